@@ -0,0 +1,132 @@
+// lib/accounts.js — named Delta accounts for copy-trading fan-out
+//
+// ACCOUNTS is a JSON array; every enabled account runs its own copy of each
+// webhook chain. Fields:
+//   name                          required, [A-Za-z0-9_-]
+//   api_key / api_secret          or api_key_env / api_secret_env (name of an env var)
+//   size_mult                     scales qty / amount_* (and the TP ladder with it)
+//   amount_inr | amount_usd       fixed per-trade budget, replaces Pine's sizing
+//   leverage                      optional, used with the amount override
+//   exchange                      adapter name (lib/exchanges.js), default EXCHANGE
+//   risk                          per-account limits for lib/risk-engine.js (max_positions, ...)
+//   enabled                       default true
+// The DELTA_API_KEY / DELTA_API_SECRET pair is always the 'default' account; an
+// entry named 'default' in ACCOUNTS only adjusts it (e.g. enabled:false).
+//
+// State isolation: the relay's per-symbol / per-signal keys (queues, CHAIN,
+// SIG_STATE, SEEN, LAST_ENTRY_SENT, ...) are prefixed with `@<account>:` for
+// every account except 'default', so single-account deployments keep their
+// existing keys and persisted state.
+
+const { currentContext } = require('./context');
+const { parseNum } = require('./num');
+
+const DEFAULT_ACCOUNT = 'default';
+
+function parseAccounts(spec, { apiKey = '', apiSecret = '', env = process.env } = {}){
+  const list = spec ? (typeof spec === 'string' ? JSON.parse(spec) : spec) : [];
+  if (!Array.isArray(list)) throw new Error('ACCOUNTS must be a JSON array');
+
+  const out = new Map();
+  out.set(DEFAULT_ACCOUNT, { name: DEFAULT_ACCOUNT, api_key: apiKey, api_secret: apiSecret, size_mult: 1, enabled: true });
+
+  for (const raw of list) {
+    const name = String(raw?.name || '').trim();
+    if (!/^[A-Za-z0-9_-]+$/.test(name)) throw new Error(`ACCOUNTS: invalid account name "${raw?.name}"`);
+    if (name !== DEFAULT_ACCOUNT && out.has(name)) throw new Error(`ACCOUNTS: duplicate account "${name}"`);
+
+    const prev = out.get(name) || {};
+    const acct = {
+      ...prev,
+      name,
+      api_key:    raw.api_key_env ? (env[raw.api_key_env] || '') : (raw.api_key ?? prev.api_key ?? ''),
+      api_secret: raw.api_secret_env ? (env[raw.api_secret_env] || '') : (raw.api_secret ?? prev.api_secret ?? ''),
+      size_mult:  parseNum(raw.size_mult) ?? prev.size_mult ?? 1,
+      enabled:    raw.enabled !== false && raw.enabled !== 'false'
+    };
+    if (!(acct.size_mult > 0)) throw new Error(`ACCOUNTS: size_mult must be > 0 for "${name}"`);
+    if (parseNum(raw.amount_inr) > 0) acct.amount_inr = parseNum(raw.amount_inr);
+    else if (parseNum(raw.amount_usd) > 0) acct.amount_usd = parseNum(raw.amount_usd);
+    if (parseNum(raw.leverage) > 0) acct.leverage = parseNum(raw.leverage);
+    if (raw.exchange) acct.exchange = String(raw.exchange).toLowerCase();
+    if (raw.risk && typeof raw.risk === 'object') acct.risk = raw.risk;
+    out.set(name, acct);
+  }
+  return out;
+}
+
+function currentAccountName(){
+  return currentContext().account || DEFAULT_ACCOUNT;
+}
+
+// `@<account>:<key>` for non-default accounts, the bare key otherwise.
+function accountKey(key, account = currentAccountName()){
+  return account === DEFAULT_ACCOUNT ? key : `@${account}:${key}`;
+}
+
+// Splits an accountKey() back into { account, key }.
+function splitAccountKey(k){
+  const m = String(k).match(/^@([A-Za-z0-9_-]+):([\s\S]*)$/);
+  return m ? { account: m[1], key: m[2] } : { account: DEFAULT_ACCOUNT, key: k };
+}
+
+// Map/Set facade that scopes every key to the current account. Iteration only
+// yields the current account's entries, with the prefix removed.
+function accountScoped(coll){
+  const isSet = typeof coll.add === 'function';
+  const mine = () => {
+    const acct = currentAccountName();
+    return Array.from(coll.keys()).filter(k => splitAccountKey(k).account === acct);
+  };
+  const bare = k => splitAccountKey(k).key;
+  return {
+    get:    k => coll.get(accountKey(k)),
+    set(k, v){ coll.set(accountKey(k), v); return this; },
+    add(k){ coll.add(accountKey(k)); return this; },
+    has:    k => coll.has(accountKey(k)),
+    delete: k => coll.delete(accountKey(k)),
+    save:   k => coll.save?.(accountKey(k)),
+    clear(){ for (const k of mine()) coll.delete(k); },
+    get size(){ return mine().length; },
+    keys(){ return mine().map(bare)[Symbol.iterator](); },
+    values(){ return mine().map(k => isSet ? bare(k) : coll.get(k))[Symbol.iterator](); },
+    entries(){ return mine().map(k => [bare(k), isSet ? bare(k) : coll.get(k)])[Symbol.iterator](); },
+    [Symbol.iterator](){ return isSet ? this.keys() : this.entries(); },
+    raw: coll
+  };
+}
+
+// Per-account copy of an inbound message. ENTER sizing is rewritten for the
+// account; the returned hints let placeEntry()/placeBatch() scale the TP ladder
+// by the same ratio so TPs still cover the account's (different) position.
+//   pine_qty       Pine's qty in lots, if it sized by qty
+//   tp_scale_hint  ratio when it is known up front (size_mult, same-ccy amounts)
+function accountMessage(msg, acct){
+  const m = JSON.parse(JSON.stringify(msg));
+  const hints = {};
+  if (!acct || String(m.action || '').toUpperCase() !== 'ENTER') return { msg: m, hints };
+
+  const pineQty = parseInt(m.qty, 10);
+  const AMOUNT_FIELDS = ['amount_inr', 'amount_usd', 'order_amount', 'amount'];
+  if (acct.amount_inr || acct.amount_usd) {
+    const ccy = acct.amount_inr ? 'INR' : 'USD';
+    const value = acct.amount_inr || acct.amount_usd;
+    const pineCcy = String(m.amount_ccy || m.ccy || (typeof m.amount_usd !== 'undefined' ? 'USD' : 'INR')).toUpperCase();
+    const pineAmount = AMOUNT_FIELDS.map(f => parseNum(m[f])).find(v => v > 0);
+    if (pineQty > 0) hints.pine_qty = pineQty;
+    else if (pineAmount > 0 && pineCcy === ccy) hints.tp_scale_hint = value / pineAmount;
+
+    delete m.qty;
+    for (const f of AMOUNT_FIELDS) delete m[f];
+    delete m.amount_ccy; delete m.ccy;
+    m[ccy === 'INR' ? 'amount_inr' : 'amount_usd'] = value;
+    if (acct.leverage) m.leverage = acct.leverage;
+  } else if (acct.size_mult !== 1) {
+    if (pineQty > 0) { m.qty = Math.max(1, Math.round(pineQty * acct.size_mult)); hints.pine_qty = pineQty; }
+    for (const f of AMOUNT_FIELDS) if (parseNum(m[f]) > 0) m[f] = parseNum(m[f]) * acct.size_mult;
+    hints.tp_scale_hint = acct.size_mult;
+  }
+  return { msg: m, hints };
+}
+
+module.exports = { DEFAULT_ACCOUNT, parseAccounts, currentAccountName, accountKey, splitAccountKey, accountScoped, accountMessage };
@@ -0,0 +1,48 @@
+// lib/admin-controls.js — operator switches behind ADMIN_TOKEN
+//
+//   paused   new entries (ENTER) are refused; protective actions keep working
+//   killed   every order-placing call is refused until rearm()
+// The switch state is persisted in the state store so a restart can't
+// silently re-enable trading. Requests authenticate with
+// `Authorization: Bearer <ADMIN_TOKEN>` or `x-admin-token: <ADMIN_TOKEN>`;
+// without ADMIN_TOKEN the admin API is disabled.
+
+const { safeEqual } = require('./webhook-auth');
+
+const KEY = 'relay';
+
+function createAdminControls({ store, token = '' }){
+  function state(){
+    return { paused: false, killed: false, ...(store.get(KEY) || {}) };
+  }
+
+  function update(patch){
+    const next = { ...state(), ...patch, updated_at: new Date().toISOString() };
+    store.set(KEY, next);
+    return next;
+  }
+
+  const pause  = (reason = null) => update({ paused: true, paused_at: new Date().toISOString(), pause_reason: reason });
+  const resume = () => update({ paused: false, paused_at: null, pause_reason: null });
+  const kill   = (reason = null) => update({ killed: true, killed_at: new Date().toISOString(), kill_reason: reason });
+  const rearm  = () => update({ killed: false, killed_at: null, kill_reason: null, rearmed_at: new Date().toISOString() });
+
+  // Returns { ok, status, reason }.
+  function authorize(req){
+    if (!token) return { ok: false, status: 404, reason: 'admin_api_disabled' };
+    const bearer = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const presented = req.headers['x-admin-token'] || bearer;
+    if (!presented) return { ok: false, status: 401, reason: 'missing_admin_token' };
+    if (!safeEqual(presented, token)) return { ok: false, status: 401, reason: 'bad_admin_token' };
+    return { ok: true, status: 200 };
+  }
+
+  return {
+    state, pause, resume, kill, rearm, authorize,
+    isPaused: () => !!state().paused,
+    isKilled: () => !!state().killed,
+    enabled: !!token
+  };
+}
+
+module.exports = { createAdminControls };
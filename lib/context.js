@@ -0,0 +1,18 @@
+// lib/context.js — per-webhook async context (sig_id, symbol, action, ...)
+//
+// processWebhook() runs its queue job inside runWithContext(), so anything it
+// awaits — down to dcall() — can tag its output without threading extra args.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const als = new AsyncLocalStorage();
+
+function runWithContext(patch, fn){
+  return als.run({ ...(als.getStore() || {}), ...patch }, fn);
+}
+
+function currentContext(){
+  return als.getStore() || {};
+}
+
+module.exports = { runWithContext, currentContext };
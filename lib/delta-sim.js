@@ -0,0 +1,969 @@
+// lib/delta-sim.js — in-process Delta India stand-in for DRY_RUN / DELTA_BASE=sim
+//
+// Implements the subset of the REST API the relay uses, with Delta-shaped
+// responses ({ success, result, meta } / { success:false, error:{ code, context } })
+// and a small matching engine:
+//   - market orders fill at mark ± SIM_SLIPPAGE_BPS; with depthLots set they walk a
+//     synthetic book (depthLots per level, one level every levelBps) instead,
+//     which GET /v2/l2orderbook/:symbol also serves
+//   - limit orders rest until mark crosses the limit (marketable limits fill at once);
+//     post_only limits that would take are cancelled (cancellation_reason post_only_would_take)
+//   - stop_loss_order / take_profit_order rest as 'pending' and trigger against mark;
+//     a stop that is already beyond mark is rejected with immediate_execution_stop_order
+//   - trail_amount stops follow the best mark since placement (sign rule as on India;
+//     hosts in unsignedTrailHosts, e.g. sim://delta-global, take an unsigned distance)
+//   - reduce_only orders never increase or flip a position
+//   - bracket_* fields on an entry spawn reduce-only SL / TP legs (bracket_order:
+//     true) sized to what filled; POST /v2/orders/bracket brackets the open
+//     position; PUT /v2/orders/bracket moves the legs; a filled leg cancels its sibling
+//   - POST /v2/orders/batch places up to batchMax orders on one product; each row
+//     of the result is the order or { success:false, error, client_order_id }
+//   - attachSimSocket() serves the private socket (key-auth, orders / positions /
+//     user_trades with snapshots, heartbeats) on the relay's HTTP server at /sim/ws,
+//     plus the public v2/ticker / all_trades / l2_orderbook channels (no auth)
+//   - with rateQuota set, each api key spends GET 3 / write 5 / batch 25 units per
+//     rateWindowMs; responses carry X-RATE-LIMIT-REMAINING, and an exhausted key
+//     gets 429 ratelimit_exceeded with X-RATE-LIMIT-RESET (ms)
+//   - the sim clock runs clockSkewMs ahead of the host (Date header on every reply);
+//     a timestamp header more than signatureWindowSec off it gets 401
+//     expired_signature with { request_time, server_time } (seconds)
+//   - injectFault({ method, path, status, code, times }) makes the next `times`
+//     matching requests (path prefix, any key) fail with that Delta error
+// Each api key gets its own book (orders/positions/fills); products and marks are shared.
+// Marks are scripted through the control router (POST /sim/mark); POST /sim/orders
+// trades an account's book behind the relay's back (inherited positions, manual trades).
+
+const express = require('express');
+const { WebSocketServer } = require('ws');
+const { log } = require('./logger');
+
+const DEFAULT_PRODUCTS = [
+  { id: 27,    symbol: 'BTCUSD',  contract_value: '0.001', tick_size: '0.5',    mark_price: 60000 },
+  { id: 3136,  symbol: 'ETHUSD',  contract_value: '0.01',  tick_size: '0.05',   mark_price: 3000 },
+  { id: 14823, symbol: 'SOLUSD',  contract_value: '1',     tick_size: '0.001',  mark_price: 150 },
+  { id: 14969, symbol: 'XRPUSD',  contract_value: '1',     tick_size: '0.0001', mark_price: 0.6 },
+  { id: 90001, symbol: 'CHIPUSD', contract_value: '1',     tick_size: '0.00001', mark_price: 0.033 }
+];
+
+function num(x, d = 0){ const n = Number(x); return Number.isFinite(n) ? n : d; }
+function str(n){ return String(Number(n.toPrecision(12))); }
+
+function deltaError(status, code, context){
+  return { status, json: { success: false, error: { code, ...(context ? { context } : {}) } } };
+}
+function ok(result, meta){
+  return { status: 200, json: { success: true, result, ...(meta ? { meta } : {}) } };
+}
+
+function createDeltaSim({
+  products = DEFAULT_PRODUCTS,
+  slippageBps = 0,
+  spreadBps = 4,
+  takerFeeBps = 5,
+  makerFeeBps = 2,
+  accountHeader = 'api-key',
+  batchMax = 50,
+  depthLots = 0,
+  depthLevels = 20,
+  levelBps = 2,
+  rateQuota = 0,
+  rateWindowMs = 300_000,
+  clockSkewMs = 0,
+  signatureWindowSec = 5,
+  timestampHeader = 'timestamp',
+  unsignedTrailHosts = ['delta-global']
+} = {}){
+  // Products and marks are shared; orders/positions/fills live in one book per
+  // account, keyed by the api-key header (copy-trading runs several accounts).
+  let market, books, book, unsignedTrail = false;
+  const listeners = new Set();
+
+  function reset(){
+    faults = [];
+    market = {
+      nextOrderId: 1000,
+      nextFillId: 1,
+      products: new Map(),  // symbol -> product
+      marks: new Map()      // symbol -> mark price
+    };
+    books = new Map();      // api key -> { orders, positions, fills }
+    book = bookFor('');
+    for (const p of products) addProduct(p);
+    for (const fn of listeners) fn(null, { type: 'reset' });
+  }
+
+  function bookFor(key){
+    let b = books.get(key);
+    if (!b) {
+      b = {
+        orders: new Map(),    // id -> order
+        positions: new Map(), // symbol -> { size, entry_price, realized_pnl }
+        fills: [],
+        rate: { start: Date.now(), used: 0 }
+      };
+      books.set(key, b);
+    }
+    return b;
+  }
+
+  function addProduct(p){
+    const symbol = String(p.symbol || '').toUpperCase();
+    if (!symbol) throw new Error('sim: product needs a symbol');
+    const id = Number.isFinite(+p.id) ? +p.id : 100000 + market.products.size;
+    const prod = {
+      id,
+      symbol,
+      contract_type: 'perpetual_futures',
+      state: 'live',
+      contract_value: String(p.contract_value ?? '1'),
+      tick_size: String(p.tick_size ?? '0.0001')
+    };
+    market.products.set(symbol, prod);
+    if (num(p.mark_price, 0) > 0) market.marks.set(symbol, num(p.mark_price));
+    return prod;
+  }
+
+  function productBySymbol(sym){ return market.products.get(String(sym || '').toUpperCase()) || null; }
+  function productById(id){
+    for (const p of market.products.values()) if (p.id === +id) return p;
+    return null;
+  }
+  function quotes(symbol){
+    const mark = market.marks.get(symbol) || 0;
+    const half = mark * spreadBps / 20000;
+    return { best_bid: str(mark - half), best_ask: str(mark + half) };
+  }
+
+  // Level i on one side of the synthetic book (0 = touch).
+  function levelPrice(symbol, side, i){
+    const mark = market.marks.get(symbol) || 0;
+    const off = mark * (spreadBps / 2 + i * levelBps) / 10000;
+    return side === 'buy' ? mark + off : mark - off;
+  }
+
+  // Average price of a market order walking the synthetic book.
+  function walkPrice(symbol, side, size){
+    let left = size, notional = 0;
+    for (let i = 0; left > 0; i++) {
+      const take = Math.min(left, depthLots);
+      notional += take * levelPrice(symbol, side, i);
+      left -= take;
+    }
+    return notional / size;
+  }
+
+  function l2orderbook(symbol){
+    const prod = productBySymbol(symbol);
+    if (!prod) return deltaError(400, 'invalid_contract', { symbol });
+    if (!(market.marks.get(prod.symbol) > 0)) return ok({ symbol: prod.symbol, buy: [], sell: [] });
+    const side = s => Array.from({ length: depthLevels }, (_, i) => ({
+      price: str(levelPrice(prod.symbol, s, i)),
+      size: depthLots > 0 ? depthLots : 1e9
+    }));
+    // Delta's naming: buy = bids, sell = asks.
+    return ok({ symbol: prod.symbol, buy: side('sell'), sell: side('buy') });
+  }
+
+  // ---------- positions / fills ----------
+  function positionOf(symbol){
+    let p = book.positions.get(symbol);
+    if (!p) { p = { size: 0, entry_price: 0, realized_pnl: 0 }; book.positions.set(symbol, p); }
+    return p;
+  }
+
+  function applyFill(order, size, price, role){
+    const prod = productBySymbol(order.product_symbol);
+    const cv = num(prod.contract_value, 1);
+    const pos = positionOf(order.product_symbol);
+    const signed = order.side === 'buy' ? size : -size;
+
+    if (pos.size === 0 || Math.sign(pos.size) === Math.sign(signed)) {
+      const newSize = pos.size + signed;
+      pos.entry_price = (Math.abs(pos.size) * pos.entry_price + size * price) / Math.abs(newSize);
+      pos.size = newSize;
+    } else {
+      const closing = Math.min(Math.abs(pos.size), size);
+      pos.realized_pnl += (price - pos.entry_price) * closing * cv * Math.sign(pos.size);
+      const newSize = pos.size + signed;
+      if (newSize !== 0 && Math.sign(newSize) !== Math.sign(pos.size)) pos.entry_price = price;
+      if (newSize === 0) pos.entry_price = 0;
+      pos.size = newSize;
+    }
+
+    const feeBps = role === 'maker' ? makerFeeBps : takerFeeBps;
+    const fill = {
+      id: market.nextFillId++,
+      order_id: order.id,
+      client_order_id: order.client_order_id || null,
+      product_id: order.product_id,
+      product_symbol: order.product_symbol,
+      side: order.side,
+      size,
+      price: str(price),
+      role,
+      commission: str(size * cv * price * feeBps / 10000),
+      created_at: new Date().toISOString()
+    };
+    book.fills.push(fill);
+    emit(null, { type: 'all_trades', symbol: order.product_symbol, price: fill.price, size, timestamp: Date.now() * 1000 });
+
+    order.unfilled_size -= size;
+    order.average_fill_price = str(
+      ((order.size - order.unfilled_size - size) * num(order.average_fill_price, 0) + size * price) /
+      (order.size - order.unfilled_size)
+    );
+    if (order.unfilled_size <= 0) order.state = 'closed';
+    if (order._bracket) syncBracketLegs(order);
+    if (order._bracketOf && order.state === 'closed') {
+      for (const o of book.orders.values()) {
+        if (o._bracketOf === order._bracketOf && o !== order && (o.state === 'open' || o.state === 'pending')) {
+          o.state = 'cancelled';
+          o.cancellation_reason = 'bracket_sibling_filled';
+        }
+      }
+    }
+    return fill;
+  }
+
+  // ---------- brackets ----------
+  const BRACKET_FIELDS = ['bracket_stop_loss_price', 'bracket_stop_loss_limit_price', 'bracket_take_profit_price', 'bracket_take_profit_limit_price', 'bracket_trail_amount'];
+
+  function bracketFrom(body){
+    const b = {};
+    for (const f of BRACKET_FIELDS) if (num(body[f], 0)) b[f] = Math.abs(num(body[f]));
+    return (b.bracket_stop_loss_price || b.bracket_trail_amount || b.bracket_take_profit_price) ? b : null;
+  }
+
+  // SL below / TP above mark for a long bracket (closing side sell), mirrored for shorts.
+  function bracketProblem(b, closeSide, mark){
+    const below = px => closeSide === 'sell' ? px < mark : px > mark;
+    if (b.bracket_stop_loss_price && !below(b.bracket_stop_loss_price)) return 'stop_loss_price';
+    if (b.bracket_take_profit_price && below(b.bracket_take_profit_price)) return 'take_profit_price';
+    return null;
+  }
+
+  function newLeg(group, symbol, closeSide, kind, b, size){
+    const sl = kind === 'stop_loss_order';
+    const limit = sl ? b.bracket_stop_loss_limit_price : b.bracket_take_profit_limit_price;
+    const trail = sl && b.bracket_trail_amount ? (closeSide === 'sell' ? -b.bracket_trail_amount : b.bracket_trail_amount) : null;
+    const prod = productBySymbol(symbol);
+    const leg = {
+      id: market.nextOrderId++, product_id: prod.id, product_symbol: symbol, side: closeSide,
+      size, unfilled_size: size, order_type: limit ? 'limit_order' : 'market_order', limit_price: limit || null,
+      stop_order_type: kind, stop_price: trail !== null ? null : (sl ? b.bracket_stop_loss_price : b.bracket_take_profit_price),
+      trail_amount: trail, reduce_only: true, time_in_force: 'gtc', post_only: false, client_order_id: null,
+      bracket_order: true, state: 'pending', average_fill_price: null, created_at: new Date().toISOString(),
+      _best: market.marks.get(symbol), _bracketOf: group
+    };
+    book.orders.set(leg.id, leg);
+    return leg;
+  }
+
+  function bracketLegs(group){
+    return Array.from(book.orders.values()).filter(o => o._bracketOf === group && (o.state === 'open' || o.state === 'pending'));
+  }
+
+  // Entry brackets cover what has filled so far.
+  function syncBracketLegs(parent){
+    const filled = parent.size - parent.unfilled_size;
+    const closeSide = parent.side === 'buy' ? 'sell' : 'buy';
+    const legs = bracketLegs(parent.id);
+    for (const kind of ['stop_loss_order', 'take_profit_order']) {
+      const has = kind === 'stop_loss_order' ? (parent._bracket.bracket_stop_loss_price || parent._bracket.bracket_trail_amount) : parent._bracket.bracket_take_profit_price;
+      if (!has) continue;
+      const leg = legs.find(o => o.stop_order_type === kind);
+      if (leg) { leg.size = filled; leg.unfilled_size = filled; }
+      else newLeg(parent.id, parent.product_symbol, closeSide, kind, parent._bracket, filled);
+    }
+  }
+
+  // POST /v2/orders/bracket — bracket the whole open position.
+  function placePositionBracket(body){
+    const prod = body.product_symbol ? productBySymbol(body.product_symbol) : productById(body.product_id);
+    if (!prod) return deltaError(400, 'invalid_contract', { product_symbol: body.product_symbol, product_id: body.product_id });
+    const pos = positionOf(prod.symbol);
+    if (!pos.size) return deltaError(400, 'no_position_for_bracket_order', { product_symbol: prod.symbol });
+    const b = bracketFrom({
+      bracket_stop_loss_price: body.stop_loss_order?.stop_price,
+      bracket_stop_loss_limit_price: body.stop_loss_order?.limit_price,
+      bracket_trail_amount: body.stop_loss_order?.trail_amount,
+      bracket_take_profit_price: body.take_profit_order?.stop_price,
+      bracket_take_profit_limit_price: body.take_profit_order?.limit_price
+    });
+    if (!b) return deltaError(400, 'invalid_bracket_order', { message: 'stop_loss_order or take_profit_order required' });
+    const closeSide = pos.size > 0 ? 'sell' : 'buy';
+    const bad = bracketProblem(b, closeSide, market.marks.get(prod.symbol));
+    if (bad) return deltaError(400, 'invalid_bracket_order', { field: bad });
+    const group = market.nextOrderId++;
+    const legs = [];
+    if (b.bracket_stop_loss_price || b.bracket_trail_amount) legs.push(newLeg(group, prod.symbol, closeSide, 'stop_loss_order', b, Math.abs(pos.size)));
+    if (b.bracket_take_profit_price) legs.push(newLeg(group, prod.symbol, closeSide, 'take_profit_order', b, Math.abs(pos.size)));
+    return ok({ id: group, product_symbol: prod.symbol, orders: legs.map(orderView) });
+  }
+
+  // PUT /v2/orders/bracket — id is the entry order (or bracket group) whose legs move.
+  function editBracket(body){
+    const group = +body.id;
+    const parent = book.orders.get(group);
+    const legs = bracketLegs(group);
+    if (!legs.length && !parent?._bracket) return deltaError(404, 'open_order_not_found', { id: body.id });
+    const patch = bracketFrom(body) || {};
+    const mark = market.marks.get(legs[0]?.product_symbol || parent.product_symbol);
+    const closeSide = legs[0]?.side || (parent.side === 'buy' ? 'sell' : 'buy');
+    const bad = bracketProblem(patch, closeSide, mark);
+    if (bad === 'stop_loss_price') return deltaError(400, 'immediate_execution_stop_order', { stop_price: str(patch.bracket_stop_loss_price), mark_price: str(mark) });
+    if (bad) return deltaError(400, 'invalid_bracket_order', { field: bad });
+    if (parent?._bracket) Object.assign(parent._bracket, patch);
+    for (const o of legs) {
+      if (o.stop_order_type === 'stop_loss_order' && patch.bracket_stop_loss_price) { o.stop_price = patch.bracket_stop_loss_price; o.trail_amount = null; }
+      if (o.stop_order_type === 'take_profit_order' && patch.bracket_take_profit_price) o.stop_price = patch.bracket_take_profit_price;
+    }
+    return ok({ id: group, orders: legs.map(orderView) });
+  }
+
+  // Reduce-only orders are clipped to the live position; with nothing to reduce they cancel.
+  function fillableSize(order){
+    if (!order.reduce_only) return order.unfilled_size;
+    const pos = positionOf(order.product_symbol);
+    const reducing = (order.side === 'buy' && pos.size < 0) || (order.side === 'sell' && pos.size > 0);
+    return reducing ? Math.min(order.unfilled_size, Math.abs(pos.size)) : 0;
+  }
+
+  function fillMarket(order){
+    const mark = market.marks.get(order.product_symbol);
+    const size = fillableSize(order);
+    if (!(size > 0)) {
+      order.state = 'cancelled';
+      order.cancellation_reason = 'reduce_only_no_position';
+      return;
+    }
+    const slip = mark * slippageBps / 10000;
+    const px = depthLots > 0 ? walkPrice(order.product_symbol, order.side, size) : (order.side === 'buy' ? mark + slip : mark - slip);
+    applyFill(order, size, px, 'taker');
+    // A market order never rests: whatever could not fill is cancelled.
+    if (order.state !== 'closed') { order.state = 'cancelled'; order.cancellation_reason = 'reduce_only_clipped'; }
+  }
+
+  // ---------- triggers ----------
+  // Trails follow the best mark seen: sell trails are negative (below the peak),
+  // buy trails positive (above the trough), so the level is always best + amount.
+  function stopLevel(o){
+    return o.trail_amount !== null ? o._best + o.trail_amount : o.stop_price;
+  }
+
+  function stopTriggered(o, mark){
+    const level = stopLevel(o);
+    if (o.stop_order_type === 'take_profit_order') return o.side === 'sell' ? mark >= level : mark <= level;
+    return o.side === 'sell' ? mark <= level : mark >= level;
+  }
+
+  function limitCrossed(o, mark){
+    return o.side === 'buy' ? mark <= o.limit_price : mark >= o.limit_price;
+  }
+
+  function runMatching(symbol){
+    const mark = market.marks.get(symbol);
+    if (!(mark > 0)) return;
+
+    for (const o of book.orders.values()) {
+      if (o.product_symbol !== symbol) continue;
+
+      if (o.state === 'pending') {
+        if (o.trail_amount !== null) {
+          o._best = o.side === 'sell' ? Math.max(o._best, mark) : Math.min(o._best, mark);
+        }
+        if (!stopTriggered(o, mark)) continue;
+        o.state = 'open';
+        o.stop_triggered_at = new Date().toISOString();
+        if (o.order_type === 'market_order') { fillMarket(o); continue; }
+      }
+
+      if (o.state === 'open' && o.order_type === 'limit_order' && limitCrossed(o, mark)) {
+        const size = fillableSize(o);
+        if (!(size > 0)) {
+          if (o.reduce_only) { o.state = 'cancelled'; o.cancellation_reason = 'reduce_only_no_position'; }
+          continue;
+        }
+        applyFill(o, size, o.limit_price, 'maker');
+      }
+    }
+  }
+
+  function setMark(symbol, price){
+    const sym = String(symbol || '').toUpperCase();
+    if (!productBySymbol(sym)) throw new Error(`sim: unknown symbol ${sym}`);
+    const px = num(price, 0);
+    if (!(px > 0)) throw new Error(`sim: invalid mark price ${price}`);
+    market.marks.set(sym, px);
+    for (const b of books.values()) { book = b; runMatching(sym); }
+    publish();
+    if (listeners.size) for (const m of marketView(sym)) emit(null, m);
+    return px;
+  }
+
+  // ---------- order views ----------
+  function orderView(o){
+    const { _best, _bracket, _bracketOf, ...rest } = o;
+    const view = {
+      ...rest,
+      limit_price:  o.limit_price  !== null ? str(o.limit_price)  : null,
+      stop_price:   o.stop_price   !== null ? str(o.stop_price)   : null,
+      trail_amount: o.trail_amount !== null ? str(o.trail_amount) : null
+    };
+    if (o.trail_amount !== null && o.state === 'pending') view.stop_price = str(stopLevel(o));
+    if (_bracket) for (const [k, v] of Object.entries(_bracket)) view[k] = str(v);
+    return view;
+  }
+
+  function positionView(symbol, p){
+    const prod = productBySymbol(symbol);
+    return {
+      product_id: prod.id,
+      product_symbol: symbol,
+      size: p.size,
+      entry_price: str(p.entry_price),
+      mark_price: str(market.marks.get(symbol) || 0),
+      realized_pnl: str(p.realized_pnl)
+    };
+  }
+
+  // ---------- REST handlers ----------
+  function placeOrder(body){
+    const prod = body.product_symbol ? productBySymbol(body.product_symbol) : productById(body.product_id);
+    if (!prod) return deltaError(400, 'invalid_contract', { product_symbol: body.product_symbol, product_id: body.product_id });
+    const mark = market.marks.get(prod.symbol);
+    if (!(mark > 0)) return deltaError(400, 'no_mark_price', { product_symbol: prod.symbol });
+
+    const side = String(body.side || '').toLowerCase();
+    if (side !== 'buy' && side !== 'sell') return deltaError(400, 'invalid_side', { side: body.side });
+
+    const size = Number(body.size);
+    if (!Number.isInteger(size) || size < 1) return deltaError(400, 'invalid_size', { size: body.size });
+
+    const order_type = body.order_type || 'limit_order';
+    if (order_type !== 'market_order' && order_type !== 'limit_order') return deltaError(400, 'invalid_order_type', { order_type });
+
+    const limit_price = order_type === 'limit_order' ? num(body.limit_price, 0) : null;
+    if (order_type === 'limit_order' && !(limit_price > 0)) return deltaError(400, 'invalid_limit_price', { limit_price: body.limit_price });
+
+    const stop_order_type = body.stop_order_type || null;
+    let stop_price = null, trail_amount = null;
+    if (stop_order_type) {
+      if (stop_order_type !== 'stop_loss_order' && stop_order_type !== 'take_profit_order') {
+        return deltaError(400, 'invalid_stop_order_type', { stop_order_type });
+      }
+      if (typeof body.trail_amount !== 'undefined' && body.trail_amount !== null) {
+        trail_amount = num(body.trail_amount, 0);
+        if (!trail_amount) return deltaError(400, 'invalid_trail_amount', { trail_amount: body.trail_amount });
+        if (unsignedTrail) {
+          if (trail_amount < 0) return deltaError(400, 'invalid_trail_amount', { message: 'Trail amount should be positive' });
+          trail_amount = side === 'sell' ? -trail_amount : trail_amount;
+        } else if (side === 'sell' && trail_amount > 0) return deltaError(400, 'invalid_trail_amount', { message: 'Trail amount should be negative for sell stop orders' });
+        if (side === 'buy' && trail_amount < 0) return deltaError(400, 'invalid_trail_amount', { message: 'Trail amount should be positive for buy stop orders' });
+      } else {
+        stop_price = num(body.stop_price, 0);
+        if (!(stop_price > 0)) return deltaError(400, 'invalid_stop_price', { stop_price: body.stop_price });
+      }
+    }
+
+    const bracket = stop_order_type ? null : bracketFrom(body);
+    if (bracket) {
+      const bad = bracketProblem(bracket, side === 'buy' ? 'sell' : 'buy', mark);
+      if (bad) return deltaError(400, 'invalid_bracket_order', { field: bad, mark_price: str(mark) });
+    }
+
+    const reduce_only = body.reduce_only === true || body.reduce_only === 'true';
+    if (reduce_only) {
+      const pos = positionOf(prod.symbol);
+      const reducing = (side === 'buy' && pos.size < 0) || (side === 'sell' && pos.size > 0);
+      if (!reducing) return deltaError(400, 'reduce_only_order_would_increase_position', { product_symbol: prod.symbol, position_size: pos.size });
+    }
+
+    const o = {
+      id: market.nextOrderId++,
+      product_id: prod.id,
+      product_symbol: prod.symbol,
+      side,
+      size,
+      unfilled_size: size,
+      order_type,
+      limit_price,
+      stop_order_type,
+      stop_price,
+      trail_amount,
+      reduce_only,
+      time_in_force: body.time_in_force || 'gtc',
+      post_only: !!body.post_only,
+      client_order_id: body.client_order_id ? String(body.client_order_id).slice(0, 32) : null,
+      state: stop_order_type ? 'pending' : 'open',
+      average_fill_price: null,
+      created_at: new Date().toISOString(),
+      _best: mark,
+      _bracket: bracket
+    };
+
+    if (stop_order_type && stopTriggered(o, mark)) {
+      return deltaError(400, 'immediate_execution_stop_order', { stop_price: str(stopLevel(o)), mark_price: str(mark) });
+    }
+
+    book.orders.set(o.id, o);
+
+    if (o.post_only && order_type === 'limit_order' && limitCrossed(o, mark)) {
+      o.state = 'cancelled';
+      o.cancellation_reason = 'post_only_would_take';
+      return ok(orderView(o));
+    }
+
+    if (!stop_order_type) {
+      if (order_type === 'market_order') fillMarket(o);
+      else if (limitCrossed(o, mark)) {
+        const fsize = fillableSize(o);
+        if (fsize > 0) applyFill(o, fsize, side === 'buy' ? Math.min(limit_price, mark) : Math.max(limit_price, mark), 'taker');
+      }
+    }
+    runMatching(prod.symbol);
+    return ok(orderView(o));
+  }
+
+  function placeBatch(body){
+    const prod = body.product_symbol ? productBySymbol(body.product_symbol) : productById(body.product_id);
+    if (!prod) return deltaError(400, 'invalid_contract', { product_symbol: body.product_symbol, product_id: body.product_id });
+    const orders = Array.isArray(body.orders) ? body.orders : [];
+    if (!orders.length) return deltaError(400, 'invalid_batch', { message: 'orders[] required' });
+    if (orders.length > batchMax) return deltaError(400, 'batch_size_exceeded', { max: batchMax, got: orders.length });
+    const rows = orders.map(o => {
+      const r = placeOrder({ ...o, product_symbol: prod.symbol });
+      return r.json.success ? r.json.result : { success: false, error: r.json.error, client_order_id: o.client_order_id || null };
+    });
+    return ok(rows);
+  }
+
+  function findOpenOrder(body){
+    const byId = Number.isFinite(+body.id) ? book.orders.get(+body.id) : null;
+    if (byId) return byId;
+    if (body.client_order_id) {
+      for (const o of book.orders.values()) {
+        if (o.client_order_id === String(body.client_order_id) && (o.state === 'open' || o.state === 'pending')) return o;
+      }
+    }
+    return null;
+  }
+
+  function cancelOrder(body){
+    if (!Number.isFinite(+body.product_id)) return deltaError(400, 'invalid_product_id', { product_id: body.product_id });
+    const o = findOpenOrder(body);
+    if (!o || !(o.state === 'open' || o.state === 'pending') || o.product_id !== +body.product_id) {
+      return deltaError(404, 'open_order_not_found', { id: body.id, client_order_id: body.client_order_id });
+    }
+    o.state = 'cancelled';
+    o.cancellation_reason = 'cancelled_by_user';
+    return ok(orderView(o));
+  }
+
+  function cancelAll(body){
+    const pid = Number.isFinite(+body?.product_id) ? +body.product_id : null;
+    let n = 0;
+    for (const o of book.orders.values()) {
+      if ((o.state === 'open' || o.state === 'pending') && (pid === null || o.product_id === pid)) {
+        o.state = 'cancelled';
+        o.cancellation_reason = 'cancelled_by_user';
+        n++;
+      }
+    }
+    return ok({ cancelled: n });
+  }
+
+  function listOrders(q){
+    const states = String(q.get('states') || 'open,pending').split(',').map(s => s.trim()).filter(Boolean);
+    const pageSize = Math.max(1, Math.min(500, num(q.get('page_size'), 100)));
+    const after = num(q.get('after'), 0);
+    const pid = q.get('product_ids') || q.get('product_id');
+
+    const all = Array.from(book.orders.values())
+      .filter(o => states.includes(o.state))
+      .filter(o => !pid || String(pid).split(',').map(Number).includes(o.product_id))
+      .filter(o => o.id > after)
+      .sort((a, b) => a.id - b.id);
+
+    const page = all.slice(0, pageSize);
+    const more = all.length > pageSize;
+    return ok(page.map(orderView), { after: more ? String(page[page.length - 1].id) : null });
+  }
+
+  // Newest first like the exchange; start_time/end_time are microseconds, `after` pages older.
+  function listFills(q){
+    const pageSize = Math.max(1, Math.min(500, num(q.get('page_size'), 100)));
+    const after = num(q.get('after'), 0);
+    const fromMs = num(q.get('start_time'), 0) / 1000;
+    const toMs = q.get('end_time') ? num(q.get('end_time'), 0) / 1000 : Infinity;
+    const pid = q.get('product_ids');
+
+    const all = book.fills
+      .filter(f => { const t = Date.parse(f.created_at); return t >= fromMs && t <= toMs; })
+      .filter(f => !pid || String(pid).split(',').map(Number).includes(f.product_id))
+      .filter(f => !after || f.id < after)
+      .sort((a, b) => b.id - a.id);
+
+    const page = all.slice(0, pageSize);
+    const more = all.length > pageSize;
+    return ok(page, { after: more ? String(page[page.length - 1].id) : null });
+  }
+
+  function listPositions(q){
+    const pid = q.get('product_id');
+    const out = [];
+    for (const [symbol, p] of book.positions) {
+      if (!p.size) continue;
+      if (pid && productBySymbol(symbol).id !== +pid) continue;
+      out.push(positionView(symbol, p));
+    }
+    return ok(out);
+  }
+
+  function closeAll(){
+    let n = 0;
+    for (const [symbol, p] of book.positions) {
+      if (!p.size) continue;
+      const r = placeOrder({ product_symbol: symbol, order_type: 'market_order', side: p.size > 0 ? 'sell' : 'buy', size: Math.abs(p.size), reduce_only: true });
+      if (r.json.success) n++;
+    }
+    return ok({ closed: n });
+  }
+
+  function tickers(q){
+    const want = q.get('symbol') ? String(q.get('symbol')).toUpperCase() : null;
+    const out = [];
+    for (const prod of market.products.values()) {
+      if (want && prod.symbol !== want) continue;
+      const mark = market.marks.get(prod.symbol);
+      if (!(mark > 0)) continue;
+      out.push({
+        symbol: prod.symbol,
+        product_id: prod.id,
+        mark_price: str(mark),
+        last_price: str(mark),
+        spot_price: str(mark),
+        quotes: quotes(prod.symbol)
+      });
+    }
+    return ok(out);
+  }
+
+  function route(method, pathname, q, body){
+    if (method === 'GET'    && pathname === '/v2/products')            return ok(Array.from(market.products.values()));
+    if (method === 'GET'    && pathname === '/v2/tickers')             return tickers(q);
+    if (method === 'GET'    && pathname === '/v2/orders')              return listOrders(q);
+    if (method === 'POST'   && pathname === '/v2/orders')              return placeOrder(body);
+    if (method === 'POST'   && pathname === '/v2/orders/batch')        return placeBatch(body);
+    if (method === 'POST'   && pathname === '/v2/orders/bracket')      return placePositionBracket(body);
+    if (method === 'PUT'    && pathname === '/v2/orders/bracket')      return editBracket(body);
+    if (method === 'DELETE' && pathname === '/v2/orders')              return cancelOrder(body);
+    if (method === 'DELETE' && pathname === '/v2/orders/all')          return cancelAll(body);
+    if (method === 'GET'    && pathname === '/v2/fills')               return listFills(q);
+    if (method === 'GET'    && pathname === '/v2/positions')           return listPositions(q);
+    if (method === 'GET'    && pathname === '/v2/positions/margined')  return listPositions(q);
+    if (method === 'POST'   && pathname === '/v2/positions/close_all') return closeAll();
+
+    const ob = pathname.match(/^\/v2\/l2orderbook\/([^/]+)$/);
+    if (method === 'GET' && ob) return l2orderbook(decodeURIComponent(ob[1]));
+
+    const m = pathname.match(/^\/v2\/orders\/(\d+)$/);
+    if (method === 'GET' && m) {
+      const o = book.orders.get(+m[1]);
+      return o ? ok(orderView(o)) : deltaError(404, 'order_not_found', { id: m[1] });
+    }
+    return deltaError(404, 'not_found', { method, path: pathname });
+  }
+
+  // fetch()-compatible entry point so dcall() can swap it in for the network.
+  async function simFetch(url, { method = 'GET', body, headers = {} } = {}){
+    const u = new URL(url);
+    book = bookFor(String(headers[accountHeader] || ''));
+    unsignedTrail = unsignedTrailHosts.includes(u.hostname);
+    const serverSec = Math.floor((Date.now() + clockSkewMs) / 1000);
+    const reqTs = Number(headers[timestampHeader]);
+    if (headers[timestampHeader] !== undefined && !(Math.abs(reqTs - serverSec) <= signatureWindowSec)) {
+      return asResponse(deltaError(401, 'expired_signature', { request_time: reqTs, server_time: serverSec }));
+    }
+    const limited = rateLimit(String(method).toUpperCase(), u.pathname);
+    if (limited) return limited;
+    const fault = takeFault(String(method).toUpperCase(), u.pathname);
+    if (fault) return asResponse(deltaError(fault.status, fault.code));
+    let parsed = {};
+    if (body) {
+      try { parsed = JSON.parse(body); }
+      catch { return asResponse(deltaError(400, 'invalid_json')); }
+    }
+    let r;
+    try { r = route(String(method).toUpperCase(), u.pathname, u.searchParams, parsed); }
+    catch (e) { r = deltaError(500, 'internal_server_error', { message: String(e?.message || e) }); }
+    publish();
+    return asResponse(r, rateQuota > 0 ? { 'x-rate-limit-remaining': String(rateQuota - book.rate.used) } : {});
+  }
+
+  // Scripted failures for tests / rehearsals; each fault is spent `times` times.
+  let faults = [];
+  function injectFault({ method = '', path = '', status = 500, code = 'internal_server_error', times = 1 } = {}){
+    const f = { method: String(method).toUpperCase(), path: String(path), status: num(status, 500), code: String(code), left: Math.max(1, num(times, 1)) };
+    faults.push(f);
+    return { method: f.method || '*', path: f.path || '*', status: f.status, code: f.code, times: f.left };
+  }
+  function takeFault(method, pathname){
+    const f = faults.find(x => (!x.method || x.method === method) && pathname.startsWith(x.path));
+    if (!f) return null;
+    if (--f.left <= 0) faults = faults.filter(x => x !== f);
+    return f;
+  }
+
+  // Fixed-window quota per api key; null when the call may proceed.
+  function rateLimit(method, pathname){
+    if (!(rateQuota > 0)) return null;
+    const r = book.rate, t = Date.now();
+    if (t - r.start >= rateWindowMs) { r.start = t; r.used = 0; }
+    const cost = pathname === '/v2/orders/batch' ? 25 : (method === 'GET' ? 3 : 5);
+    if (r.used + cost > rateQuota) {
+      return asResponse(deltaError(429, 'ratelimit_exceeded'), { 'x-rate-limit-reset': String(rateWindowMs - (t - r.start)) });
+    }
+    r.used += cost;
+    return null;
+  }
+
+  function asResponse({ status, json }, extraHeaders = {}){
+    const text = JSON.stringify(json);
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      headers: new Map([['content-type', 'application/json'], ['date', new Date(Date.now() + clockSkewMs).toUTCString()], ...Object.entries(extraHeaders)]),
+      text: async () => text,
+      json: async () => JSON.parse(text)
+    };
+  }
+
+  function state(key = ''){
+    book = bookFor(String(key));
+    const positions = {};
+    for (const [symbol, p] of book.positions) if (p.size || p.realized_pnl) positions[symbol] = positionView(symbol, p);
+    return {
+      marks: Object.fromEntries(market.marks),
+      positions,
+      open_orders: Array.from(book.orders.values()).filter(o => o.state === 'open' || o.state === 'pending').map(orderView),
+      fills: book.fills.slice(-50),
+      books: books.size
+    };
+  }
+
+  // ---------- private socket feed ----------
+  // Listeners get (key, message) for each order / position / fill change in the
+  // shape Delta's private channels push. Changes are found by diffing a book
+  // after every request and mark move, so the matching code stays unaware; only
+  // books that took a snapshot() are diffed.
+  function subscribe(fn){ listeners.add(fn); return () => listeners.delete(fn); }
+
+  function emit(key, msg){ for (const fn of listeners) fn(key, msg); }
+
+  function posKey(p){ return `${p.size}|${str(p.entry_price)}`; }
+
+  function publish(){
+    if (!listeners.size) return;
+    for (const [key, b] of books) {
+      const sent = b.sent;
+      if (!sent) continue;
+      for (const o of b.orders.values()) {
+        const view = orderView(o);
+        const s = JSON.stringify(view);
+        const prev = sent.orders.get(o.id);
+        if (prev === s) continue;
+        sent.orders.set(o.id, s);
+        const action = prev === undefined ? 'create' : (o.state === 'cancelled' ? 'delete' : 'update');
+        emit(key, { type: 'orders', action, ...view });
+      }
+      for (const [symbol, p] of b.positions) {
+        const s = posKey(p);
+        const prev = sent.positions.get(symbol);
+        if (prev === s || (prev === undefined && !p.size)) continue;
+        sent.positions.set(symbol, s);
+        emit(key, { type: 'positions', action: p.size ? (prev === undefined ? 'create' : 'update') : 'delete', ...positionView(symbol, p) });
+      }
+      for (const f of b.fills.slice(sent.fills)) emit(key, { type: 'user_trades', action: 'create', ...f });
+      sent.fills = b.fills.length;
+    }
+  }
+
+  // Current open orders / positions for a book; later changes are published from here.
+  function snapshot(key = ''){
+    const b = bookFor(String(key));
+    b.sent = { orders: new Map(), positions: new Map(), fills: b.fills.length };
+    for (const o of b.orders.values()) b.sent.orders.set(o.id, JSON.stringify(orderView(o)));
+    for (const [symbol, p] of b.positions) b.sent.positions.set(symbol, posKey(p));
+    return {
+      orders: Array.from(b.orders.values()).filter(o => o.state === 'open' || o.state === 'pending').map(orderView),
+      positions: Array.from(b.positions).filter(([, p]) => p.size).map(([symbol, p]) => positionView(symbol, p))
+    };
+  }
+
+  // Public channel messages (v2/ticker, l2_orderbook) for one symbol.
+  function marketView(symbol){
+    const prod = productBySymbol(symbol);
+    const mark = prod && market.marks.get(prod.symbol);
+    if (!(mark > 0)) return [];
+    const ts = Date.now() * 1000;
+    const { buy, sell } = l2orderbook(prod.symbol).json.result;
+    return [
+      { type: 'v2/ticker', symbol: prod.symbol, product_id: prod.id, mark_price: str(mark), close: str(mark), quotes: quotes(prod.symbol), timestamp: ts },
+      { type: 'l2_orderbook', symbol: prod.symbol, buy: buy.map(l => ({ limit_price: l.price, size: l.size })), sell: sell.map(l => ({ limit_price: l.price, size: l.size })), timestamp: ts }
+    ];
+  }
+
+  // An order placed straight into one key's book, not through the relay (a
+  // position opened by hand or before boot). Same { status, json } as the REST route.
+  function placeDirect(key, body){
+    book = bookFor(String(key || ''));
+    unsignedTrail = false;
+    let r;
+    try { r = placeOrder(body || {}); }
+    catch (e) { r = deltaError(500, 'internal_server_error', { message: String(e?.message || e) }); }
+    publish();
+    return r;
+  }
+
+  reset();
+  return { fetch: simFetch, setMark, addProduct, reset, state, subscribe, snapshot, marketView, placeDirect, injectFault, clearFaults: () => { faults = []; } };
+}
+
+// ---------- socket (ws://host/sim/ws in sim mode) ----------
+// Private channels: any api key passes key-auth (the signature isn't checked)
+// and is served that key's book. Public channels need no auth; tickers and
+// books are pushed on every mark move and re-sent every tickerMs. A sim reset
+// drops every client so feeds reconnect to the new books.
+const PRIVATE_CHANNELS = ['orders', 'positions', 'user_trades'];
+const PUBLIC_CHANNELS = ['v2/ticker', 'all_trades', 'l2_orderbook'];
+
+function attachSimSocket(sim, server, { path = '/sim/ws', heartbeatMs = 30_000, tickerMs = 1000 } = {}){
+  const wss = new WebSocketServer({ server, path });
+  const clients = new Set();
+  const send = (c, m) => { try { c.ws.send(JSON.stringify(m)); } catch {} };
+  const wantsPublic = (c, m) => c.pub.get(m.type)?.has(String(m.symbol).toUpperCase()) || c.pub.get(m.type)?.has('ALL');
+
+  sim.subscribe((key, msg) => {
+    if (msg.type === 'reset') { for (const c of clients) c.ws.close(); return; }
+    for (const c of clients) {
+      if (key === null ? wantsPublic(c, msg) : (c.key === key && c.channels.has(msg.type))) send(c, msg);
+    }
+  });
+
+  const pushMarket = () => {
+    for (const c of clients) {
+      const syms = new Set([...(c.pub.get('v2/ticker') || []), ...(c.pub.get('l2_orderbook') || [])]);
+      for (const s of syms) for (const m of sim.marketView(s)) if (wantsPublic(c, m)) send(c, m);
+    }
+  };
+  const ticker = setInterval(pushMarket, tickerMs);
+  ticker.unref?.();
+  wss.on('close', () => clearInterval(ticker));
+
+  wss.on('connection', ws => {
+    const c = { ws, key: null, channels: new Set(), pub: new Map(), hb: null };
+    clients.add(c);
+    ws.on('close', () => { clearInterval(c.hb); clients.delete(c); });
+    ws.on('message', raw => {
+      let m;
+      try { m = JSON.parse(String(raw)); } catch { return send(c, { type: 'error', error: 'invalid_json' }); }
+      if (m.type === 'key-auth' || m.type === 'auth') {
+        const key = m.payload?.['api-key'];
+        if (!key) return send(c, { type: m.type, success: false, error: { code: 'invalid_api_key' } });
+        c.key = String(key);
+        return send(c, { type: m.type, success: true, status_code: 200 });
+      }
+      if (m.type === 'subscribe' || m.type === 'unsubscribe') {
+        const chans = m.payload?.channels || [];
+        const pub = chans.filter(ch => PUBLIC_CHANNELS.includes(ch?.name));
+        for (const ch of pub) {
+          const set = c.pub.get(ch.name) || new Set();
+          for (const s of ch.symbols || []) set[m.type === 'subscribe' ? 'add' : 'delete'](String(s).toUpperCase());
+          c.pub.set(ch.name, set);
+        }
+        if (m.type === 'subscribe') for (const ch of pub) for (const s of ch.symbols || []) for (const v of sim.marketView(s)) if (v.type === ch.name) send(c, v);
+        const names = chans.map(ch => ch?.name).filter(n => PRIVATE_CHANNELS.includes(n));
+        if (!names.length || m.type === 'unsubscribe') {
+          for (const n of names) c.channels.delete(n);
+          return;
+        }
+        if (c.key === null) return send(c, { type: 'error', error: 'unauthenticated' });
+        for (const n of names) c.channels.add(n);
+        send(c, { type: 'subscriptions', channels: names.map(name => ({ name, symbols: ['all'] })) });
+        const snap = sim.snapshot(c.key);
+        if (names.includes('orders'))    send(c, { type: 'orders', action: 'snapshot', result: snap.orders });
+        if (names.includes('positions')) send(c, { type: 'positions', action: 'snapshot', result: snap.positions });
+        return;
+      }
+      if (m.type === 'enable_heartbeat') {
+        clearInterval(c.hb);
+        c.hb = setInterval(() => send(c, { type: 'heartbeat' }), heartbeatMs);
+        return;
+      }
+      if (m.type === 'ping') return send(c, { type: 'pong' });
+    });
+  });
+  return wss;
+}
+
+// ---------- control routes (mounted at /sim in sim mode) ----------
+function createSimRouter(sim, { resolveAccount = () => '' } = {}){
+  const router = express.Router();
+  const timers = new Set();
+
+  // ?account=<name> selects that account's book (resolveAccount maps name → api key).
+  router.get('/state', (req, res) => res.json({ ok: true, ...sim.state(resolveAccount(req.query.account)) }));
+
+  // { symbol, mark_price } | { symbol, pct } | { symbol, path:[p1,p2,...], step_ms }
+  router.post('/mark', (req, res) => {
+    try {
+      const { symbol, mark_price, pct, path, step_ms } = req.body || {};
+      if (Array.isArray(path) && path.length) {
+        const step = Math.max(10, num(step_ms, 1000));
+        sim.setMark(symbol, path[0]);
+        path.slice(1).forEach((px, i) => {
+          const t = setTimeout(() => {
+            timers.delete(t);
+            try { sim.setMark(symbol, px); } catch (e) { log.warn('sim_mark_step_failed', 'sim mark path step failed', { symbol, err: e }); }
+          }, step * (i + 1));
+          timers.add(t);
+        });
+        return res.json({ ok: true, symbol, scheduled: path.length, step_ms: step });
+      }
+      if (typeof pct !== 'undefined') {
+        const cur = num(sim.state().marks[String(symbol || '').toUpperCase()], 0);
+        return res.json({ ok: true, symbol, mark_price: sim.setMark(symbol, cur * (1 + num(pct) / 100)) });
+      }
+      return res.json({ ok: true, symbol, mark_price: sim.setMark(symbol, mark_price) });
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: String(e?.message || e) });
+    }
+  });
+
+  // Order body as for POST /v2/orders, into ?account=<name>'s book behind the relay's back.
+  router.post('/orders', (req, res) => {
+    const r = sim.placeDirect(resolveAccount(req.query.account), req.body || {});
+    res.status(r.status).json(r.json);
+  });
+
+  // { method?, path, status?, code?, times? } — DELETE clears every pending fault.
+  router.post('/faults', (req, res) => res.json({ ok: true, fault: sim.injectFault(req.body || {}) }));
+  router.delete('/faults', (_req, res) => { sim.clearFaults(); res.json({ ok: true }); });
+
+  router.post('/products', (req, res) => {
+    try { res.json({ ok: true, product: sim.addProduct(req.body || {}) }); }
+    catch (e) { res.status(400).json({ ok: false, error: String(e?.message || e) }); }
+  });
+
+  router.post('/reset', (_req, res) => {
+    for (const t of timers) clearTimeout(t);
+    timers.clear();
+    sim.reset();
+    res.json({ ok: true });
+  });
+
+  return router;
+}
+
+module.exports = { createDeltaSim, createSimRouter, attachSimSocket, DEFAULT_PRODUCTS };
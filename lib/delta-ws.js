@@ -0,0 +1,205 @@
+// lib/delta-ws.js — private WebSocket mirror of orders, positions and fills
+//
+// One authenticated socket per account keeps an in-memory copy of what the
+// flat / position waits used to poll over REST:
+//   orders     live orders by id — LIVE_ORDER_STATES, which server.js's flat
+//              checks share (dropped once closed or cancelled)
+//   positions  rows by product_symbol (size 0 rows are dropped)
+//   fills      the last maxFills user_trades, oldest first
+// Protocol (Delta v2 socket): { type:'key-auth', payload:auth() }, then one
+// subscribe to orders / positions / user_trades for all symbols plus
+// enable_heartbeat. The server answers each subscribe with a snapshot.
+// The socket reconnects with backoff, and one that goes quiet for staleMs is
+// recycled. ready() is false until auth and both snapshots are in, and again
+// while disconnected or stale — callers fall back to REST then.
+
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const { log: defaultLog } = require('./logger');
+
+// Resting stops are untriggered until their trigger fires, then triggered.
+const LIVE_ORDER_STATES = Object.freeze(['open', 'pending', 'untriggered', 'triggered']);
+const isLiveOrder = o => LIVE_ORDER_STATES.includes(String(o?.state || o?.status || '').toLowerCase());
+
+function rowsOf(msg){
+  if (Array.isArray(msg?.result)) return msg.result;
+  if (Array.isArray(msg?.data)) return msg.data;
+  return [];
+}
+function symbolOf(row){ return String(row?.product_symbol || row?.symbol || '').toUpperCase(); }
+
+function createPrivateFeed({
+  url,
+  auth,                              // () => key-auth payload, signed fresh per connect
+  name = '',
+  channels = ['orders', 'positions', 'user_trades'],
+  staleMs = 40_000,
+  backoffMs = [1000, 2000, 5000, 10_000, 30_000],
+  maxFills = 500,
+  log = defaultLog.child({ component: 'private_ws' }),
+  WebSocketImpl = WebSocket
+}){
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+  const orders = new Map();          // id -> order row
+  const positions = new Map();       // symbol -> position row
+  const fills = [];
+  const stats = { connects: 0, messages: 0, last_error: null, connected_at: null };
+  let ws = null, authed = false, snap = { orders: false, positions: false };
+  let lastMsgAt = 0, attempt = 0, stopped = true, reconnectTimer = null, staleTimer = null;
+
+  const tag = name ? ` ${name}` : '';
+  const send = m => { try { ws?.send(JSON.stringify(m)); } catch {} };
+  const changed = type => events.emit('update', { type });
+
+  function connect(){
+    if (stopped) return;
+    let sock;
+    try { sock = new WebSocketImpl(url); }
+    catch (e) { stats.last_error = String(e?.message || e); return scheduleReconnect(); }
+    ws = sock;
+    authed = false; snap = { orders: false, positions: false };
+    sock.on('open', () => {
+      stats.connects++; stats.connected_at = new Date().toISOString();
+      lastMsgAt = Date.now();
+      send({ type: 'key-auth', payload: auth() });
+    });
+    sock.on('message', raw => { if (sock === ws) onMessage(raw); });
+    sock.on('error', e => { stats.last_error = String(e?.message || e); });
+    sock.on('close', () => {
+      if (sock !== ws) return;
+      if (authed) log.warn('ws_closed', `⚠️ private ws${tag} closed — reconnecting (REST fallback meanwhile)`, { feed: name || undefined });
+      ws = null; authed = false;
+      changed('disconnect');
+      scheduleReconnect();
+    });
+  }
+
+  function scheduleReconnect(){
+    if (stopped || reconnectTimer) return;
+    const delay = backoffMs[Math.min(attempt++, backoffMs.length - 1)];
+    reconnectTimer = setTimeout(() => { reconnectTimer = null; connect(); }, delay);
+  }
+
+  function onMessage(raw){
+    let m;
+    try { m = JSON.parse(String(raw)); } catch { return; }
+    lastMsgAt = Date.now();
+    stats.messages++;
+
+    if (m.type === 'key-auth' || m.type === 'auth') {
+      if (m.success === false || m.error) {
+        stats.last_error = `auth: ${JSON.stringify(m.error || m)}`;
+        log.warn('ws_auth_failed', `⚠️ private ws${tag} auth failed`, { feed: name || undefined, error: m.error || m });
+        return ws?.close();
+      }
+      authed = true; attempt = 0;
+      log.info('ws_authenticated', `🔌 private ws${tag} authenticated`, { feed: name || undefined });
+      send({ type: 'subscribe', payload: { channels: channels.map(c => ({ name: c, symbols: ['all'] })) } });
+      send({ type: 'enable_heartbeat' });
+      return;
+    }
+    if (m.type === 'orders')                          return onOrder(m);
+    if (m.type === 'positions')                       return onPosition(m);
+    if (m.type === 'user_trades' || m.type === 'fills') return onFill(m);
+  }
+
+  function putOrder(o){
+    if (o?.id == null) return;
+    if (isLiveOrder(o)) orders.set(String(o.id), o);
+    else orders.delete(String(o.id));
+  }
+  function onOrder(m){
+    if (m.action === 'snapshot') {
+      orders.clear();
+      for (const o of rowsOf(m)) putOrder(o);
+      snap.orders = true;
+    } else {
+      const { type, action, ...o } = m;
+      if (action === 'delete') orders.delete(String(o.id));
+      else putOrder(o);
+    }
+    changed('orders');
+  }
+
+  function putPosition(p){
+    const sym = symbolOf(p);
+    if (!sym) return;
+    if (p.size != null && Number(p.size) !== 0) positions.set(sym, p);
+    else positions.delete(sym);
+  }
+  function onPosition(m){
+    if (m.action === 'snapshot') {
+      positions.clear();
+      for (const p of rowsOf(m)) putPosition(p);
+      snap.positions = true;
+    } else {
+      const { type, action, ...p } = m;
+      if (action === 'delete') positions.delete(symbolOf(p));
+      else putPosition(p);
+    }
+    changed('positions');
+  }
+
+  function onFill(m){
+    const rows = m.action === 'snapshot' ? rowsOf(m) : [(({ type, action, ...f }) => f)(m)];
+    fills.push(...rows);
+    if (fills.length > maxFills) fills.splice(0, fills.length - maxFills);
+    changed('fills');
+  }
+
+  function ready(){
+    return !!(ws && ws.readyState === WebSocketImpl.OPEN && authed && snap.orders && snap.positions && Date.now() - lastMsgAt < staleMs);
+  }
+
+  // Resolves on the next mirror change (or disconnect), or after ms.
+  function nextChange(ms){
+    return new Promise(resolve => {
+      const done = () => { clearTimeout(t); events.off('update', done); resolve(); };
+      const t = setTimeout(done, ms);
+      events.on('update', done);
+    });
+  }
+
+  return {
+    events,
+    ready,
+    nextChange,
+    orders: () => Array.from(orders.values()),
+    positions: () => Array.from(positions.values()),
+    fills: () => fills.slice(),
+    start(){
+      if (!stopped) return;
+      stopped = false;
+      connect();
+      staleTimer = setInterval(() => {
+        if (ws && lastMsgAt && Date.now() - lastMsgAt > staleMs) {
+          stats.last_error = `stale: no message for ${Date.now() - lastMsgAt}ms`;
+          try { ws.terminate ? ws.terminate() : ws.close(); } catch {}
+        }
+      }, Math.max(1000, Math.floor(staleMs / 2)));
+      staleTimer.unref?.();
+    },
+    stop(){
+      stopped = true;
+      clearTimeout(reconnectTimer); reconnectTimer = null;
+      clearInterval(staleTimer); staleTimer = null;
+      const s = ws; ws = null; authed = false;
+      try { s?.close(); } catch {}
+    },
+    status: () => ({
+      url,
+      ready: ready(),
+      connected: !!(ws && ws.readyState === WebSocketImpl.OPEN),
+      authenticated: authed,
+      snapshots: { ...snap },
+      last_message_ms_ago: lastMsgAt ? Date.now() - lastMsgAt : null,
+      open_orders: orders.size,
+      positions: positions.size,
+      fills: fills.length,
+      ...stats
+    })
+  };
+}
+
+module.exports = { createPrivateFeed, isLiveOrder, LIVE_ORDER_STATES };
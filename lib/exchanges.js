@@ -0,0 +1,220 @@
+// lib/exchanges.js — exchange adapters behind one interface
+//
+// Chain / protection logic in server.js is written against an adapter instead of
+// hard-wired Delta India paths. An adapter owns everything venue-specific:
+//   - base URL and request signing (transport, retries and journaling stay in dcall())
+//   - REST paths and response-shape normalisation
+//   - quirks such as the trail_amount sign rule
+// Interface:
+//   name, label, baseUrl, wsUrl
+//   authHeaders({ method, path, query, body, acct })  → headers to merge
+//   clockOffsetMs                   → server − local ms, added to signature timestamps
+//   clockError(json)                → { serverMs } for an expired-signature error, else null
+//   ping()                          → cheap public GET (clock sync probes its Date header)
+//   requestCost(method, path)       → rate-limit units the call spends
+//   rateLimitInfo(headers)          → { remaining, resetMs } from a response
+//   wsAuth(acct)                    → key-auth payload for the private socket
+//   getProducts() / cachedProducts() / getProductMeta(psym) / getProductId(psym)
+//   getTicker(psym)                 → ticker row or null
+//   getQuote(psym)                  → { bid, ask, mark } (null when unknown)
+//   getOrderbook(psym)              → { bids, asks } as [{ price, size }], best first
+//   placeOrder(body)                → raw { success, result } (result.id = order id)
+//   placeOrders(psym, orders)       → rows, one per order: the order or { success:false, error }
+//   getOrder(id)                    → order row (state, size, unfilled_size, average_fill_price)
+//   placeBracket(body)              → bracket SL/TP on the open position
+//   editBracket(body)               → move the bracket legs of order body.id
+//   cancelOrder({ id, client_order_id, product_id })
+//   cancelAllOrders() / closeAllPositions()
+//   listOpenOrders({ after })       → { orders, after }
+//   listPositions({ strict })       → positions[]; [] when unreadable, unless strict (throws)
+//   listFills({ startUs, after })   → { fills, after }
+//   trailAmount(closeSide, amount)  → trail_amount as the venue expects it
+// Adapters:
+//   delta_india   api.india.delta.exchange — sell trails NEGATIVE, buy trails positive
+//   delta_global  api.delta.exchange       — trail_amount is an unsigned distance
+
+const crypto = require('crypto');
+
+// Delta answers lists as { result: [...] }, { result: { positions: [...] } } or bare arrays.
+function listFrom(r, key){
+  if (key && Array.isArray(r?.result?.[key])) return r.result[key];
+  if (Array.isArray(r?.result)) return r.result;
+  if (key && Array.isArray(r?.[key])) return r[key];
+  return Array.isArray(r) ? r : [];
+}
+
+// Units per call against Delta's per-key quota (10000 / 5 min by default).
+const DELTA_COSTS = { read: 3, write: 5, batch: 25, cancel_all: 25 };
+
+// request(adapter, method, path, payload, query) is the relay's transport (dcall).
+function createDeltaAdapter({
+  name,
+  label,
+  baseUrl,
+  wsUrl = null,
+  request,
+  trailSign = 'by_side',       // 'by_side' (sell < 0, buy > 0) | 'unsigned'
+  authMode = 'hmac',
+  headerNames = {},
+  costs = {},
+  productsTtlMs = 5 * 60 * 1000
+}){
+  const HDR = { apiKey: 'api-key', sig: 'signature', ts: 'timestamp', ...headerNames };
+  const adapter = { name, label, baseUrl: String(baseUrl).replace(/\/+$/, ''), wsUrl };
+  const call = (method, path, payload = null, query = '') => request(adapter, method, path, payload, query);
+
+  adapter.authHeaders = ({ method, path, query = '', body = '', acct }) => {
+    const headers = { [HDR.apiKey]: acct.api_key };
+    if (authMode === 'hmac') {
+      const ts = Math.floor((Date.now() + adapter.clockOffsetMs) / 1000).toString();
+      headers[HDR.sig] = crypto.createHmac('sha256', acct.api_secret).update(method + ts + path + query + body).digest('hex');
+      headers[HDR.ts]  = ts;
+    }
+    return headers;
+  };
+
+  // ---------- clock ----------
+  // Delta refuses signatures whose timestamp is more than a few seconds off its
+  // clock (expired_signature, context { request_time, server_time } in seconds).
+  adapter.clockOffsetMs = 0;
+  adapter.clockError = json => {
+    const code = String(json?.error?.code || '');
+    if (code !== 'expired_signature' && code !== 'signature_expired') return null;
+    const t = Number(json?.error?.context?.server_time);
+    if (!(t > 0)) return { serverMs: null };
+    return { serverMs: t < 1e11 ? t * 1000 : (t < 1e14 ? t : t / 1000) };
+  };
+  adapter.ping = () => call('GET', '/v2/products', null, '?page_size=1');
+
+  // ---------- rate limit ----------
+  const COST = { ...DELTA_COSTS, ...costs };
+  adapter.requestCost = (method, path) => {
+    if (path === '/v2/orders/batch') return COST.batch;
+    if (path === '/v2/orders/all' || path === '/v2/positions/close_all') return COST.cancel_all;
+    return method === 'GET' ? COST.read : COST.write;
+  };
+  // X-RATE-LIMIT-RESET is ms until the quota frees up (sent with 429s).
+  adapter.rateLimitInfo = headers => {
+    const h = k => (typeof headers?.get === 'function' ? headers.get(k) : null);
+    return { remaining: h('x-rate-limit-remaining'), resetMs: h('x-rate-limit-reset') };
+  };
+
+  // Private socket auth is signed like REST, over 'GET' + ts + '/live'.
+  adapter.wsAuth = acct => {
+    const ts = Math.floor((Date.now() + adapter.clockOffsetMs) / 1000).toString();
+    return {
+      'api-key': acct.api_key,
+      signature: crypto.createHmac('sha256', acct.api_secret || '').update('GET' + ts + '/live').digest('hex'),
+      timestamp: ts
+    };
+  };
+
+  // ---------- products / market data ----------
+  let products = null, productsTs = 0;
+  adapter.getProducts = async () => {
+    if (!products || (Date.now() - productsTs) > productsTtlMs) {
+      products = listFrom(await call('GET', '/v2/products'), 'products');
+      productsTs = Date.now();
+    }
+    return products;
+  };
+  adapter.cachedProducts = () => products || [];
+  adapter.getProductMeta = async psym => {
+    const ps = String(psym || '').toUpperCase();
+    return (await adapter.getProducts()).find(p => String(p?.symbol || p?.product_symbol || '').toUpperCase() === ps);
+  };
+  adapter.getProductId = async psym => {
+    const meta = await adapter.getProductMeta(psym);
+    const pid = meta?.id ?? meta?.product_id;
+    return Number.isFinite(+pid) ? +pid : null;
+  };
+  adapter.getTicker = async psym => {
+    const r = await call('GET', '/v2/tickers', null, `?symbol=${encodeURIComponent(psym)}`);
+    return listFrom(r).find(x => (x?.symbol || x?.product_symbol) === psym) || null;
+  };
+  adapter.getQuote = async psym => {
+    const t = await adapter.getTicker(psym);
+    const n = v => { const x = Number(v); return Number.isFinite(x) && x > 0 ? x : null; };
+    return { bid: n(t?.quotes?.best_bid), ask: n(t?.quotes?.best_ask), mark: n(t?.mark_price) };
+  };
+  // Delta names the sides buy (bids) / sell (asks).
+  adapter.getOrderbook = async (psym, depth = 20) => {
+    const r = await call('GET', `/v2/l2orderbook/${encodeURIComponent(psym)}`, null, `?depth=${depth}`);
+    const side = rows => (Array.isArray(rows) ? rows : [])
+      .map(l => ({ price: Number(l?.price ?? l?.limit_price), size: Number(l?.size ?? l?.depth) }))
+      .filter(l => l.price > 0 && l.size > 0);
+    return { bids: side(r?.result?.buy), asks: side(r?.result?.sell) };
+  };
+
+  // ---------- orders ----------
+  adapter.placeOrder = body => call('POST', '/v2/orders', body);
+  adapter.getOrder = async id => (await call('GET', `/v2/orders/${encodeURIComponent(id)}`))?.result || null;
+  adapter.placeOrders = async (psym, orders) => {
+    const r = await call('POST', '/v2/orders/batch', { product_id: await adapter.getProductId(psym), product_symbol: psym, orders });
+    return listFrom(r, 'orders');
+  };
+  adapter.placeBracket = body => call('POST', '/v2/orders/bracket', body);
+  adapter.editBracket = body => call('PUT', '/v2/orders/bracket', body);
+  adapter.cancelOrder = payload => call('DELETE', '/v2/orders', payload);
+  adapter.cancelAllOrders = () => call('DELETE', '/v2/orders/all');
+  adapter.listOpenOrders = async ({ after = null, pageSize = 200 } = {}) => {
+    const q = `?states=open,pending&page_size=${pageSize}` + (after ? `&after=${encodeURIComponent(after)}` : '');
+    const r = await call('GET', '/v2/orders', null, q);
+    return { orders: listFrom(r, 'orders'), after: r?.meta?.after || null };
+  };
+
+  // ---------- positions ----------
+  // /v2/positions needs a product on some API versions; /v2/positions/margined lists all.
+  // A failed read looks flat unless strict: callers that act on "flat" (risk
+  // gate, OCO) pass strict and get the error instead.
+  adapter.listPositions = async ({ strict = false } = {}) => {
+    let failure = null;
+    try {
+      const pos = await call('GET', '/v2/positions');
+      const arr = listFrom(pos, 'positions');
+      if (arr.length || pos?.success !== false) return arr;
+    } catch (e) { failure = e; }
+    try {
+      const pos2 = await call('GET', '/v2/positions/margined');
+      const arr2 = listFrom(pos2, 'positions');
+      if (arr2.length || (strict && pos2?.success !== false)) return arr2;
+    } catch (e) { failure = e; }
+    if (strict) throw failure || new Error(`${label || name}: positions could not be read`);
+    return [];
+  };
+  adapter.closeAllPositions = () => call('POST', '/v2/positions/close_all', {});
+
+  // ---------- fills ----------
+  adapter.listFills = async ({ startUs, after = null, pageSize = 200 } = {}) => {
+    const q = `?start_time=${startUs}&page_size=${pageSize}` + (after ? `&after=${encodeURIComponent(after)}` : '');
+    const r = await call('GET', '/v2/fills', null, q);
+    return { fills: listFrom(r), after: r?.meta?.after || null };
+  };
+
+  // ---------- quirks ----------
+  adapter.trailSign = trailSign;
+  adapter.trailAmount = (closeSide, amount) => {
+    const a = Math.abs(Number(amount));
+    if (trailSign === 'unsigned') return String(a);
+    return String(String(closeSide).toLowerCase() === 'sell' ? -a : a);
+  };
+
+  adapter.describe = () => ({ name, label, base_url: adapter.baseUrl, ws_url: wsUrl, trail_sign: trailSign, products_cached: products ? products.length : 0 });
+  return adapter;
+}
+
+const EXCHANGE_DEFS = {
+  delta_india:  { label: 'Delta Exchange India', baseUrl: 'https://api.india.delta.exchange', wsUrl: 'wss://socket.india.delta.exchange', trailSign: 'by_side' },
+  delta_global: { label: 'Delta Exchange',       baseUrl: 'https://api.delta.exchange',       wsUrl: 'wss://socket.delta.exchange',       trailSign: 'unsigned' }
+};
+
+// Map name → adapter. overrides[name] may set baseUrl / wsUrl / trailSign per venue.
+function createExchanges({ request, overrides = {}, authMode, headerNames, costs }){
+  const out = new Map();
+  for (const [name, def] of Object.entries(EXCHANGE_DEFS)) {
+    out.set(name, createDeltaAdapter({ name, ...def, ...(overrides[name] || {}), request, authMode, headerNames, costs }));
+  }
+  return out;
+}
+
+module.exports = { createExchanges, createDeltaAdapter, EXCHANGE_DEFS, DELTA_COSTS };
@@ -0,0 +1,101 @@
+// lib/logger.js — structured JSON logs, one line per event
+//
+//   log.info(event, message?, fields?)     (also debug / warn / error)
+// writes {"ts","severity","level","event","message", ...context, ...fields}.
+// Context comes from the current webhook (lib/context.js): corr_id, account,
+// sig_id, symbol, action, seq and queue, so a Cloud Logging query on
+// jsonPayload.corr_id follows one alert through enqueue → processWebhook → dcall.
+// Fields win over context. An Error (or `err`) is reduced to { message, code }.
+// Redaction: keys matching REDACT_RE are masked at any depth, and configured
+// secret values (API secrets, webhook token) are masked wherever they appear.
+// scrub(value) applies the same redaction to a value that is served rather than logged.
+// `log` is the process-wide instance; server.js calls log.configure() from env.
+// format 'pretty' prints a readable line instead of JSON (local runs).
+
+const { currentContext } = require('./context');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+// Cloud Logging reads `severity` off a JSON line.
+const SEVERITY = { debug: 'DEBUG', info: 'INFO', warn: 'WARNING', error: 'ERROR' };
+const CONTEXT_FIELDS = ['corr_id', 'account', 'sig_id', 'symbol', 'action', 'seq', 'queue'];
+const REDACT_RE = /secret|token|signature|api[-_]?key|password|passphrase|auth_sig/i;
+
+function redact(v, depth = 0){
+  if (depth > 8 || v === null || typeof v !== 'object') return v;
+  if (Array.isArray(v)) return v.map(x => redact(x, depth + 1));
+  const out = {};
+  for (const [k, x] of Object.entries(v)) out[k] = REDACT_RE.test(k) ? '[REDACTED]' : redact(x, depth + 1);
+  return out;
+}
+
+function errorFields(e){
+  if (!(e instanceof Error)) return e;
+  return { message: e.message, code: e.code ?? undefined };
+}
+
+function createLogger({ level = 'info', format = 'json', secrets = [], base = {}, write = null } = {}){
+  const cfg = { level, format, secrets: [] };
+  const out = write || ((lvl, line) => (LEVELS[lvl] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n'));
+
+  function configure(opts = {}){
+    if (opts.level) cfg.level = LEVELS[String(opts.level).toLowerCase()] ? String(opts.level).toLowerCase() : 'info';
+    if (opts.format) cfg.format = String(opts.format).toLowerCase();
+    // Short values would mask ordinary words.
+    if (opts.secrets) cfg.secrets = Array.from(new Set(opts.secrets.map(String).filter(s => s.length >= 8)));
+  }
+  configure({ level, secrets });
+
+  const enabled = lvl => LEVELS[lvl] >= LEVELS[cfg.level];
+
+  function mask(line){
+    for (const s of cfg.secrets) if (line.includes(s)) line = line.split(s).join('[REDACTED]');
+    return line;
+  }
+
+  function scrub(v){
+    if (v === undefined) return v;
+    return JSON.parse(mask(JSON.stringify(redact(v))));
+  }
+
+  function emit(lvl, bindings, event, message, fields){
+    if (!enabled(lvl)) return;
+    if (message !== undefined && typeof message !== 'string') { fields = message; message = undefined; }
+    if (fields instanceof Error) fields = { err: fields };
+    const ctx = currentContext();
+    const entry = { ts: new Date().toISOString(), severity: SEVERITY[lvl], level: lvl, event: String(event || 'log') };
+    if (message) entry.message = message;
+    for (const k of CONTEXT_FIELDS) if (ctx[k] != null && ctx[k] !== '') entry[k] = ctx[k];
+    const extra = { ...bindings, ...(fields && typeof fields === 'object' ? fields : { value: fields }) };
+    for (const [k, v] of Object.entries(extra)) if (v !== undefined) entry[k] = errorFields(v);
+
+    let line;
+    try { line = JSON.stringify(redact(entry)); }
+    catch { line = JSON.stringify({ ts: entry.ts, severity: entry.severity, level: lvl, event: entry.event, message, unserializable: true }); }
+    if (cfg.format === 'pretty') {
+      const { ts, severity, level: _l, event: ev, message: msg, ...rest } = JSON.parse(line);
+      line = `${ts} ${lvl.toUpperCase().padEnd(5)} ${ev}${msg ? ` ${msg}` : ''}${Object.keys(rest).length ? ` ${JSON.stringify(rest)}` : ''}`;
+    }
+    try { out(lvl, mask(line)); } catch {}
+  }
+
+  function make(bindings){
+    return {
+      debug: (event, message, fields) => emit('debug', bindings, event, message, fields),
+      info:  (event, message, fields) => emit('info',  bindings, event, message, fields),
+      warn:  (event, message, fields) => emit('warn',  bindings, event, message, fields),
+      error: (event, message, fields) => emit('error', bindings, event, message, fields),
+      enabled,
+      // Same sink and config, with fields added to every line (e.g. { component }).
+      child: more => make({ ...bindings, ...more }),
+      configure,
+      scrub,
+      level: () => cfg.level
+    };
+  }
+
+  return make({ ...base });
+}
+
+const log = createLogger();
+
+module.exports = { createLogger, log, redact, LEVELS, REDACT_RE };
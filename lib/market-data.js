@@ -0,0 +1,160 @@
+// lib/market-data.js — public WebSocket cache of mark price, last trade and L2 book
+//
+// One unauthenticated socket per exchange subscribes to Delta's public channels
+// for the symbols the relay cares about:
+//   v2/ticker     mark price, last (close) and best bid / ask
+//   all_trades    last trade price / size
+//   l2_orderbook  full-depth book snapshots (buy = bids, sell = asks)
+// track(sym) adds a symbol; every lookup tracks too, and symbols nobody looked
+// at or tracked for idleMs are unsubscribed. Lookups return null once the data
+// is older than staleMs (or the socket is down) so callers go to REST instead;
+// otherwise they carry age_ms so the caller can see how fresh the value is.
+
+const WebSocket = require('ws');
+const { log: defaultLog } = require('./logger');
+
+const CHANNELS = ['v2/ticker', 'all_trades', 'l2_orderbook'];
+
+function pos(v){ const n = Number(v); return Number.isFinite(n) && n > 0 ? n : null; }
+function levels(rows){
+  return (Array.isArray(rows) ? rows : [])
+    .map(l => ({ price: Number(l?.price ?? l?.limit_price), size: Number(l?.size ?? l?.depth) }))
+    .filter(l => l.price > 0 && l.size > 0);
+}
+
+function createMarketData({
+  url,
+  name = '',
+  staleMs = 10_000,
+  idleMs = 30 * 60_000,
+  backoffMs = [1000, 2000, 5000, 10_000, 30_000],
+  log = defaultLog.child({ component: 'market_data' }),
+  WebSocketImpl = WebSocket
+}){
+  const symbols = new Map();   // symbol -> { touched, ticker, trade, book } (each with ts)
+  const stats = { connects: 0, messages: 0, last_error: null, connected_at: null };
+  let ws = null, open = false, lastMsgAt = 0, attempt = 0, stopped = true, reconnectTimer = null, houseTimer = null;
+
+  const tag = name ? ` ${name}` : '';
+  const norm = s => String(s || '').toUpperCase();
+  const send = m => { try { if (open) ws.send(JSON.stringify(m)); } catch {} };
+  const channelMsg = (type, syms) => ({ type, payload: { channels: CHANNELS.map(c => ({ name: c, symbols: syms })) } });
+
+  function connect(){
+    if (stopped) return;
+    let sock;
+    try { sock = new WebSocketImpl(url); }
+    catch (e) { stats.last_error = String(e?.message || e); return scheduleReconnect(); }
+    ws = sock; open = false;
+    sock.on('open', () => {
+      open = true; attempt = 0;
+      stats.connects++; stats.connected_at = new Date().toISOString();
+      lastMsgAt = Date.now();
+      log.info('ws_connected', `📡 market data${tag} connected (${symbols.size} symbol(s))`, { exchange: name || undefined, symbols: symbols.size });
+      send({ type: 'enable_heartbeat' });
+      if (symbols.size) send(channelMsg('subscribe', Array.from(symbols.keys())));
+    });
+    sock.on('message', raw => { if (sock === ws) onMessage(raw); });
+    sock.on('error', e => { stats.last_error = String(e?.message || e); });
+    sock.on('close', () => {
+      if (sock !== ws) return;
+      ws = null; open = false;
+      scheduleReconnect();
+    });
+  }
+
+  function scheduleReconnect(){
+    if (stopped || reconnectTimer) return;
+    const delay = backoffMs[Math.min(attempt++, backoffMs.length - 1)];
+    reconnectTimer = setTimeout(() => { reconnectTimer = null; connect(); }, delay);
+  }
+
+  function onMessage(raw){
+    let m;
+    try { m = JSON.parse(String(raw)); } catch { return; }
+    lastMsgAt = Date.now();
+    stats.messages++;
+    const e = symbols.get(norm(m.symbol));
+    if (!e) return;
+    const ts = Date.now();
+    if (m.type === 'v2/ticker') {
+      e.ticker = { mark: pos(m.mark_price), last: pos(m.close ?? m.last_price), bid: pos(m.quotes?.best_bid), ask: pos(m.quotes?.best_ask), ts };
+    } else if (m.type === 'all_trades') {
+      e.trade = { price: pos(m.price), size: pos(m.size), ts };
+    } else if (m.type === 'l2_orderbook') {
+      e.book = { bids: levels(m.buy), asks: levels(m.sell), ts };
+    }
+  }
+
+  function track(sym){
+    const s = norm(sym);
+    if (!s) return;
+    const e = symbols.get(s);
+    if (e) { e.touched = Date.now(); return; }
+    symbols.set(s, { touched: Date.now(), ticker: null, trade: null, book: null });
+    send(channelMsg('subscribe', [s]));
+  }
+
+  function pruneIdle(){
+    const cutoff = Date.now() - idleMs;
+    const drop = Array.from(symbols).filter(([, e]) => e.touched < cutoff).map(([s]) => s);
+    if (!drop.length) return;
+    for (const s of drop) symbols.delete(s);
+    send(channelMsg('unsubscribe', drop));
+  }
+
+  // Fresh value or null; a lookup counts as interest in the symbol.
+  function fresh(sym, key){
+    const s = norm(sym);
+    track(s);
+    const v = symbols.get(s)?.[key];
+    if (!v || !open) return null;
+    const age = Date.now() - v.ts;
+    return age < staleMs ? { v, age } : null;
+  }
+
+  return {
+    track,
+    ticker(sym){ const f = fresh(sym, 'ticker'); return f ? { mark: f.v.mark, last: f.v.last, bid: f.v.bid, ask: f.v.ask, age_ms: f.age } : null; },
+    trade(sym){ const f = fresh(sym, 'trade'); return f ? { price: f.v.price, size: f.v.size, age_ms: f.age } : null; },
+    book(sym, depth = Infinity){ const f = fresh(sym, 'book'); return f ? { bids: f.v.bids.slice(0, depth), asks: f.v.asks.slice(0, depth), age_ms: f.age } : null; },
+    start(){
+      if (!stopped) return;
+      stopped = false;
+      connect();
+      houseTimer = setInterval(() => {
+        pruneIdle();
+        if (ws && lastMsgAt && Date.now() - lastMsgAt > Math.max(staleMs, 30_000) * 2) {
+          stats.last_error = `stale: no message for ${Date.now() - lastMsgAt}ms`;
+          try { ws.terminate ? ws.terminate() : ws.close(); } catch {}
+        }
+      }, 15_000);
+      houseTimer.unref?.();
+    },
+    stop(){
+      stopped = true;
+      clearTimeout(reconnectTimer); reconnectTimer = null;
+      clearInterval(houseTimer); houseTimer = null;
+      const s = ws; ws = null; open = false;
+      try { s?.close(); } catch {}
+    },
+    status(){
+      const now = Date.now();
+      const age = v => v ? now - v.ts : null;
+      return {
+        url,
+        connected: open,
+        last_message_ms_ago: lastMsgAt ? now - lastMsgAt : null,
+        ...stats,
+        symbols: Object.fromEntries(Array.from(symbols, ([s, e]) => [s, {
+          mark: e.ticker?.mark ?? null, last_trade: e.trade?.price ?? null,
+          bid: e.ticker?.bid ?? null, ask: e.ticker?.ask ?? null, book_levels: e.book ? e.book.bids.length + e.book.asks.length : 0,
+          age_ms: { ticker: age(e.ticker), trade: age(e.trade), book: age(e.book) },
+          idle_ms: now - e.touched
+        }]))
+      };
+    }
+  };
+}
+
+module.exports = { createMarketData, CHANNELS };
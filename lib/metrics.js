@@ -0,0 +1,116 @@
+// lib/metrics.js — counters, gauges and histograms in Prometheus text format
+//
+// Just enough of the exposition format (0.0.4) for GET /metrics, with no client
+// library:
+//   counter(name, help, labelNames)               → { inc(labels, n = 1) }
+//   gauge(name, help, labelNames, collect?)       → { set(labels, v) }
+//     collect() runs at scrape time and returns [{ labels, value }]; use it for
+//     sizes that are cheaper to read than to keep in step (queues, maps).
+//   histogram(name, help, labelNames, buckets?)   → { observe(labels, v) }
+// render() returns the whole text page. Series are keyed by label values in
+// labelNames order; missing labels render as "".
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(v){
+  return String(v ?? '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+function formatNum(v){
+  if (v === Infinity) return '+Inf';
+  if (v === -Infinity) return '-Inf';
+  return Number.isFinite(v) ? String(v) : 'NaN';
+}
+function labelText(names, values, extra = ''){
+  const parts = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function createMetrics(){
+  const families = [];
+  const register = f => { families.push(f); return f; };
+
+  // Series by label values, created on first use.
+  function series(labelNames, init){
+    const map = new Map();
+    return {
+      get(labels = {}){
+        const values = labelNames.map(n => labels[n] ?? '');
+        const key = JSON.stringify(values);
+        let s = map.get(key);
+        if (!s) { s = { values, ...init() }; map.set(key, s); }
+        return s;
+      },
+      all: () => Array.from(map.values())
+    };
+  }
+
+  function counter(name, help, labelNames = []){
+    const ser = series(labelNames, () => ({ value: 0 }));
+    register({ name, help, type: 'counter', lines: () => ser.all().map(s => `${name}${labelText(labelNames, s.values)} ${formatNum(s.value)}`) });
+    return { inc(labels = {}, n = 1){ ser.get(labels).value += n; } };
+  }
+
+  function gauge(name, help, labelNames = [], collect = null){
+    const ser = series(labelNames, () => ({ value: 0 }));
+    register({
+      name, help, type: 'gauge',
+      lines(){
+        const rows = collect
+          ? (collect() || []).map(r => ({ values: labelNames.map(n => r.labels?.[n] ?? ''), value: Number(r.value) }))
+          : ser.all();
+        return rows.map(s => `${name}${labelText(labelNames, s.values)} ${formatNum(s.value)}`);
+      }
+    });
+    return { set(labels = {}, v){ ser.get(labels).value = Number(v); } };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS){
+    const bounds = buckets.slice().sort((a, b) => a - b);
+    const ser = series(labelNames, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+    register({
+      name, help, type: 'histogram',
+      lines(){
+        const out = [];
+        for (const s of ser.all()) {
+          let cum = 0;
+          bounds.forEach((b, i) => {
+            cum += s.counts[i];
+            out.push(`${name}_bucket${labelText(labelNames, s.values, `le="${formatNum(b)}"`)} ${cum}`);
+          });
+          out.push(`${name}_bucket${labelText(labelNames, s.values, 'le="+Inf"')} ${s.count}`);
+          out.push(`${name}_sum${labelText(labelNames, s.values)} ${formatNum(s.sum)}`);
+          out.push(`${name}_count${labelText(labelNames, s.values)} ${s.count}`);
+        }
+        return out;
+      }
+    });
+    return {
+      observe(labels = {}, v){
+        const x = Number(v);
+        if (!Number.isFinite(x)) return;
+        const s = ser.get(labels);
+        const i = bounds.findIndex(b => x <= b);
+        if (i >= 0) s.counts[i]++;
+        s.sum += x;
+        s.count++;
+      }
+    };
+  }
+
+  function render(){
+    const out = [];
+    for (const f of families) {
+      let lines;
+      try { lines = f.lines(); } catch { lines = []; }
+      out.push(`# HELP ${f.name} ${String(f.help).replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      out.push(`# TYPE ${f.name} ${f.type}`);
+      out.push(...lines);
+    }
+    return out.join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = { createMetrics, DEFAULT_BUCKETS };
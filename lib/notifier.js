@@ -0,0 +1,166 @@
+// lib/notifier.js — outbound alerts when the relay has to improvise
+//
+// notify(event, fields) renders the event's template and fans it out to every
+// sink whose min_severity admits it. Sinks:
+//   webhook   POST { event, severity, text, fields, ts } to any URL
+//   telegram  Bot API sendMessage (bot_token + chat_id)
+//   discord   incoming webhook { content }
+//   slack     incoming webhook { text } (also Mattermost / Rocket.Chat)
+// Sends are fire-and-forget with a timeout; a failing sink never blocks trading.
+// Rate limiting: identical event+symbol+sig_id within dedupMs is collapsed, and each
+// sink sends at most ratePerMin messages per minute — the overflow is counted
+// and reported as "(+N suppressed)" on that sink's next message.
+
+const { log } = require('./logger');
+
+const SEVERITY = { info: 0, warn: 1, critical: 2 };
+
+// Default severity + template per event. {field} is replaced from the event
+// fields; unknown placeholders render as '-'.
+const EVENTS = {
+  SL_BREACH:             { severity: 'critical', template: '⚡ SL BREACHED ON ARRIVAL {symbol} sig={sig_id} stop={stop_price} reason={reason} → {breach_action} (lots={lots})' },
+  TRAIL_BREACH:          { severity: 'critical', template: '⚡ TRAIL BREACHED ON ARRIVAL {symbol} sig={sig_id} trail={trail_amount} → {breach_action} (lots={lots})' },
+  DRIFT_ABORT:           { severity: 'critical', template: '⛔ ENTRY DRIFT ABORT {symbol} sig={sig_id} est={est_entry} fill={fill_price} drift={drift_pct}% > {max_drift_pct}% — closed {lots} lots' },
+  TPS_REJECTED:          { severity: 'critical', template: '⚠ ALL TPs REJECTED {symbol} sig={sig_id} entry={entry_price} side={side} — position has no take-profits ({detail})' },
+  TPS_FAILED:            { severity: 'critical', template: '⚠ ALL TP PLACEMENTS FAILED {symbol} sig={sig_id} — {failed} orders rejected by the exchange' },
+  REQUIRE_FLAT_TIMEOUT:  { severity: 'warn',     template: '⏳ require_flat timeout {symbol} sig={sig_id} — entry blocked, position still open' },
+  MANUAL_ATTENTION:      { severity: 'critical', template: '🚨 MANUAL ATTENTION NEEDED {symbol} sig={sig_id}: {detail}' },
+  WATCHDOG_EMERGENCY_SL: { severity: 'critical', template: '🚨 WATCHDOG {symbol}: naked {side} for {naked_sec}s — emergency stop {stop_price} ({basis}) from entry {entry_price}, lots={lots}' },
+  RECONCILE_ISSUE:       { severity: 'warn',     template: '🔎 RECONCILE {symbol}: {issue} {detail}' },
+  RISK_BLOCKED:          { severity: 'warn',     template: '🛑 ENTRY RISK BLOCKED {symbol} sig={sig_id} [{rule}] {reason}' },
+  ADMIN_ACTION:          { severity: 'warn',     template: '🛠 ADMIN {admin_action} {detail}' },
+  SCHEDULE_FLATTEN:      { severity: 'warn',     template: '🗓 SCHEDULE {window} opened — auto-flatten {symbol}' },
+  SLICE_DRIFT:           { severity: 'warn',     template: '🔪 SLICE DRIFT {symbol} sig={sig_id} {leg}: fill {fill_price} is {drift_pct}% worse than arrival {arrival_price} — {action} ({filled}/{total} lots)' }
+};
+
+function render(template, fields){
+  return String(template).replace(/\{(\w+)\}/g, (_, k) => {
+    const v = fields[k];
+    if (v === null || typeof v === 'undefined' || v === '') return '-';
+    return typeof v === 'object' ? JSON.stringify(v) : String(v);
+  });
+}
+
+// ---------- sinks ----------
+const SINK_TYPES = {
+  webhook: s => ({
+    url: s.url,
+    body: n => ({ event: n.event, severity: n.severity, text: n.text, fields: n.fields, ts: n.ts })
+  }),
+  telegram: s => ({
+    url: (s.bot_token && s.chat_id) ? `https://api.telegram.org/bot${s.bot_token}/sendMessage` : null,
+    body: n => ({ chat_id: s.chat_id, text: n.text.slice(0, 4000), disable_web_page_preview: true })
+  }),
+  discord: s => ({
+    url: s.url,
+    body: n => ({ content: n.text.slice(0, 1900) })
+  }),
+  slack: s => ({
+    url: s.url,
+    body: n => ({ text: n.text })
+  })
+};
+
+function describeSink(s){
+  // Never expose URLs/tokens — they are the credentials for most sinks.
+  return { name: s.name, type: s.type, min_severity: s.min_severity, events: s.events || null };
+}
+
+function createNotifier({
+  sinks = [],
+  templates = {},
+  severities = {},
+  prefix = '',
+  minSeverity = 'warn',
+  ratePerMin = 20,
+  dedupMs = 60_000,
+  timeoutMs = 5000,
+  fetchImpl = global.fetch,
+  onSend = null
+} = {}){
+  const active = [];
+  for (const [i, raw] of sinks.entries()) {
+    const type = String(raw?.type || '').toLowerCase();
+    if (!SINK_TYPES[type]) { log.warn('notify_sink_invalid', `notifier: ignoring sink #${i} with unknown type "${raw?.type}"`); continue; }
+    const s = { ...raw, type, name: raw.name || `${type}${i}`, min_severity: String(raw.min_severity || minSeverity).toLowerCase() };
+    const t = SINK_TYPES[type](s);
+    if (!t.url) { log.warn('notify_sink_invalid', `notifier: sink "${s.name}" is missing its url/bot_token/chat_id — ignored`); continue; }
+    active.push({ ...s, target: t, sent: 0, failed: 0, suppressed: 0, window: [] });
+  }
+
+  const lastByKey = new Map(); // event|symbol -> ts
+  let deduped = 0;
+
+  function admits(sink, event, severity){
+    if (Array.isArray(sink.events) && !sink.events.includes(event)) return false;
+    return (SEVERITY[severity] ?? 1) >= (SEVERITY[sink.min_severity] ?? 1);
+  }
+
+  function allow(sink, now){
+    sink.window = sink.window.filter(t => now - t < 60_000);
+    if (sink.window.length >= ratePerMin) { sink.suppressed++; return false; }
+    sink.window.push(now);
+    return true;
+  }
+
+  async function send(sink, n){
+    const extra = sink.pendingSuppressed ? ` (+${sink.pendingSuppressed} suppressed)` : '';
+    sink.pendingSuppressed = 0;
+    const note = extra ? { ...n, text: n.text + extra } : n;
+    try {
+      const res = await fetchImpl(sink.target.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(sink.target.body(note)),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      sink.sent++;
+    } catch (e) {
+      sink.failed++;
+      sink.lastError = String(e?.message || e);
+      log.warn('notify_sink_failed', `notifier: ${sink.type} sink "${sink.name}" failed (non-fatal)`, { sink: sink.name, type: sink.type, error: sink.lastError });
+    }
+  }
+
+  // Returns the rendered notification (or null when deduped); sending happens in the background.
+  function notify(event, fields = {}){
+    const def = EVENTS[event] || { severity: 'warn', template: `${event} {symbol} sig={sig_id} {detail}` };
+    const severity = String(severities[event] || fields.severity || def.severity).toLowerCase();
+    const now = Date.now();
+
+    const key = `${event}|${fields.symbol || ''}|${fields.sig_id || ''}`;
+    if (dedupMs > 0 && now - (lastByKey.get(key) || 0) < dedupMs) { deduped++; return null; }
+    lastByKey.set(key, now);
+    if (lastByKey.size > 1000) for (const [k, t] of lastByKey) if (now - t >= dedupMs) lastByKey.delete(k);
+
+    const n = {
+      event,
+      severity,
+      text: prefix + (fields.account ? `[${fields.account}] ` : '') + render(templates[event] || def.template, fields),
+      fields,
+      ts: new Date(now).toISOString()
+    };
+    if (onSend) { try { onSend(n); } catch {} }
+
+    for (const sink of active) {
+      if (!admits(sink, event, severity)) continue;
+      if (!allow(sink, now)) { sink.pendingSuppressed = (sink.pendingSuppressed || 0) + 1; continue; }
+      send(sink, n);
+    }
+    return n;
+  }
+
+  function stats(){
+    return {
+      sinks: active.map(s => ({ ...describeSink(s), sent: s.sent, failed: s.failed, suppressed: s.suppressed, last_error: s.lastError || null })),
+      rate_per_min: ratePerMin,
+      dedup_ms: dedupMs,
+      deduped
+    };
+  }
+
+  return { notify, stats, events: Object.keys(EVENTS) };
+}
+
+module.exports = { createNotifier, EVENTS, render };
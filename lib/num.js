@@ -0,0 +1,16 @@
+// lib/num.js — numeric coercion shared by server.js and the payload schemas
+
+function nnum(x, d=0){ const n = Number(x); return Number.isFinite(n) ? n : d; }
+
+// ✅ robust numeric parser (supports "10 ARC", "0.1 LINK", "100 H", etc.)
+function parseNum(v){
+  if (v === null || typeof v === 'undefined') return null;
+  if (typeof v === 'number' && Number.isFinite(v)) return v;
+  const s = String(v).trim();
+  const m = s.match(/-?\d+(\.\d+)?/);
+  if (!m) return null;
+  const n = Number(m[0]);
+  return Number.isFinite(n) ? n : null;
+}
+
+module.exports = { nnum, parseNum };
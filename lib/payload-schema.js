@@ -0,0 +1,209 @@
+// lib/payload-schema.js — declared shapes for every /tv action
+//
+// Checked in the /tv route BEFORE the 200 goes back, so a typo like
+// `stop_prcie` is rejected on arrival instead of surfacing as "invalid
+// stop_price" inside placeSLIntent() minutes later. Numbers follow the same
+// rules as parseNum() ("10 ARC" → 10); validation never rewrites the message.
+
+const { parseNum } = require('./num');
+
+// ---------- field types ----------
+const T = {
+  string:  { check: v => typeof v === 'string' || typeof v === 'number', expect: 'string' },
+  number:  { check: v => parseNum(v) !== null, expect: 'number' },
+  integer: { check: v => { const n = parseNum(v); return n !== null && Number.isInteger(n); }, expect: 'integer' },
+  boolean: { check: v => typeof v === 'boolean' || [0, 1, '0', '1', 'true', 'false'].includes(typeof v === 'string' ? v.toLowerCase() : v), expect: 'boolean' },
+  array:   { check: v => Array.isArray(v), expect: 'array' },
+  object:  { check: v => !!v && typeof v === 'object' && !Array.isArray(v), expect: 'object' }
+};
+
+function enumOf(...values){
+  const set = values.map(v => v.toUpperCase());
+  return { check: v => typeof v === 'string' && set.includes(v.toUpperCase()), expect: `one of ${values.join('|')}` };
+}
+function either(a, b){
+  return { check: v => a.check(v) || b.check(v), expect: `${a.expect} or ${b.expect}` };
+}
+function positive(base){
+  return { check: v => base.check(v) && parseNum(v) > 0, expect: `${base.expect} > 0` };
+}
+
+// ---------- shared field groups ----------
+const COMMON = {
+  action: T.string, sig_id: T.string, signal_id: T.string, seq: T.integer,
+  symbol: T.string, product_symbol: T.string, strategy: T.string, reason: T.string,
+  ts: T.string, time: T.string, comment: T.string, exchange: T.string
+};
+const SCOPE = {
+  scope: enumOf('ALL', 'SYMBOL'), close_all: T.boolean,
+  cancel_orders: T.boolean, close_position: T.boolean,
+  cancel_orders_scope: enumOf('ALL', 'SYMBOL'), cancel_fallback_all: T.boolean, require_flat: T.boolean
+};
+// qty/amount may legitimately be 0 when the other one carries the size.
+const SIZING = {
+  qty: T.number, amount_inr: T.number, amount_usd: T.number,
+  order_amount: T.number, amount: T.number, amount_ccy: enumOf('INR', 'USD'), ccy: enumOf('INR', 'USD'),
+  leverage: positive(T.number), leverage_x: positive(T.number),
+  fxQuoteToINR: positive(T.number), fx_quote_to_inr: positive(T.number), fx: positive(T.number)
+};
+const TP_ORDER = {
+  limit_price: positive(T.number), price: positive(T.number), lmt_price: positive(T.number),
+  size: positive(T.number), size_coins: positive(T.number), coins: positive(T.number),
+  client_order_id: T.string, post_only: T.boolean, mmp: T.boolean, product_symbol: T.string, symbol: T.string
+};
+
+// ---------- per-action schemas ----------
+//   fields   : allowed fields and their types (anything else → unknown-field warning)
+//   seq      : expected seq in the strict chain
+//   rules    : extra cross-field checks returning a problem string (or null)
+const SCHEMAS = {
+  CANCAL: {
+    seq: 0,
+    fields: { ...COMMON, ...SCOPE }
+  },
+  ENTER: {
+    seq: 1,
+    fields: {
+      ...COMMON, ...SCOPE, ...SIZING, side: enumOf('buy', 'sell'), entry: T.number, atr: T.number,
+      entry_type: enumOf('market', 'limit', 'post_only'), limit_price: positive(T.number),
+      slice: either(T.object, T.boolean),
+      bracket_stop_loss_price: positive(T.number), bracket_stop_loss_limit_price: positive(T.number),
+      bracket_take_profit_price: positive(T.number), bracket_take_profit_limit_price: positive(T.number),
+      bracket_trail_amount: positive(T.number),
+      bracket_stop_trigger_method: enumOf('mark_price', 'last_traded_price', 'spot_price')
+    },
+    required: ['side'],
+    rules: [
+      m => ['qty', 'amount_inr', 'amount_usd', 'order_amount', 'amount'].some(f => parseNum(m[f]) > 0)
+        ? null : 'ENTER requires qty or one of amount_inr/amount_usd/order_amount/amount > 0'
+    ]
+  },
+  BATCH_TPS: {
+    seq: 2,
+    fields: { ...COMMON, orders: T.array, entry: T.number, atr: T.number, tp_mults: T.array, dir: T.number },
+    required: ['orders'],
+    rules: [
+      m => Array.isArray(m.orders) && !m.orders.length ? 'orders[] must not be empty' : null,
+      m => Array.isArray(m.tp_mults) && m.tp_mults.some(x => parseNum(x) === null) ? 'tp_mults[] must contain numbers' : null
+    ],
+    items: { orders: { fields: TP_ORDER, anyOf: [['limit_price', 'price', 'lmt_price'], ['size', 'size_coins', 'coins']] } }
+  },
+  PLACE_SL_INTENT: {
+    fields: { ...COMMON, stop_price: positive(T.number), order_type: enumOf('market_order', 'limit_order'), stop_order_type: enumOf('stop_loss_order', 'take_profit_order') },
+    required: ['stop_price']
+  },
+  TRAIL_SL_INTENT: {
+    fields: { ...COMMON, trail_amount: positive(T.number), trail_mode: T.string },
+    required: ['trail_amount']
+  },
+  CANCEL_PROTECTIVE: {
+    fields: { ...COMMON }
+  },
+  CLOSE_SL: {
+    fields: { ...COMMON, close_price: T.number }
+  },
+  EXIT: {
+    fields: { ...COMMON }
+  }
+};
+
+const SEQ_TO_ACTION = { 0: 'CANCAL', 1: 'ENTER', 2: 'BATCH_TPS' };
+
+// Small edit distance, used only to suggest a fix for unknown field names.
+function editDistance(a, b){
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(d[i-1][j] + 1, d[i][j-1] + 1, d[i-1][j-1] + (a[i-1] === b[j-1] ? 0 : 1));
+    }
+  }
+  return d[a.length][b.length];
+}
+function suggest(field, known){
+  let best = null, bestD = 3;
+  for (const k of known) {
+    const dist = editDistance(field.toLowerCase(), k.toLowerCase());
+    if (dist < bestD) { best = k; bestD = dist; }
+  }
+  return best;
+}
+
+function checkFields(obj, fields, where, problems, warnings){
+  for (const [k, v] of Object.entries(obj)) {
+    const type = fields[k];
+    if (!type) {
+      const hint = suggest(k, Object.keys(fields));
+      warnings.push(`${where}unknown field "${k}"${hint ? ` (did you mean "${hint}"?)` : ''}`);
+      continue;
+    }
+    if (v === null || typeof v === 'undefined') continue;
+    if (!type.check(v)) problems.push(`${where}${k}: expected ${type.expect}, got ${JSON.stringify(v)}`);
+  }
+}
+
+// Returns { ok, action, schema, problems[], warnings[] }.
+function validatePayload(msg, { strict = true } = {}){
+  const problems = [];
+  const warnings = [];
+
+  if (!msg || typeof msg !== 'object' || Array.isArray(msg)) {
+    return { ok: false, action: null, schema: null, problems: ['payload must be a JSON object'], warnings };
+  }
+
+  const action = String(msg.action || '').toUpperCase();
+  let schemaName = SCHEMAS[action] ? action : null;
+  const seqNum = parseNum(msg.seq);
+
+  if (!schemaName) {
+    // Unknown actions still run through the strict chain by seq — validate them as that step.
+    if (seqNum !== null && SEQ_TO_ACTION[seqNum]) {
+      schemaName = SEQ_TO_ACTION[seqNum];
+      warnings.push(`unknown action "${msg.action || ''}" — validated as ${schemaName} (seq ${seqNum})`);
+    } else {
+      problems.push(`unknown action "${msg.action || ''}" (expected one of ${Object.keys(SCHEMAS).join(', ')})`);
+      return { ok: false, action, schema: null, problems, warnings };
+    }
+  }
+  const schema = SCHEMAS[schemaName];
+
+  checkFields(msg, schema.fields, '', problems, warnings);
+
+  if (!msg.symbol && !msg.product_symbol && !(schemaName === 'BATCH_TPS' && msg.orders?.[0]?.product_symbol)) {
+    if (!(schemaName === 'CANCAL' && (String(msg.scope || '').toUpperCase() === 'ALL' || msg.close_all))) {
+      problems.push('missing symbol/product_symbol');
+    }
+  }
+  for (const f of schema.required || []) {
+    if (typeof msg[f] === 'undefined' || msg[f] === null || msg[f] === '') problems.push(`missing required field "${f}"`);
+  }
+
+  if (typeof schema.seq !== 'undefined' && strict) {
+    if (!msg.sig_id && !msg.signal_id) problems.push(`${schemaName} requires sig_id in strict sequence mode`);
+    if (seqNum === null) problems.push(`${schemaName} requires seq in strict sequence mode`);
+  }
+  if (typeof schema.seq !== 'undefined' && seqNum !== null && seqNum !== schema.seq) {
+    problems.push(`${schemaName} must carry seq ${schema.seq}, got ${msg.seq}`);
+  }
+
+  for (const rule of schema.rules || []) {
+    const p = rule(msg);
+    if (p) problems.push(p);
+  }
+
+  for (const [field, spec] of Object.entries(schema.items || {})) {
+    if (!Array.isArray(msg[field])) continue;
+    msg[field].forEach((item, i) => {
+      const where = `${field}[${i}].`;
+      if (!T.object.check(item)) { problems.push(`${where.slice(0, -1)}: expected object`); return; }
+      checkFields(item, spec.fields, where, problems, warnings);
+      for (const group of spec.anyOf || []) {
+        if (!group.some(f => typeof item[f] !== 'undefined')) problems.push(`${where}needs one of ${group.join('/')}`);
+      }
+    });
+  }
+
+  return { ok: problems.length === 0, action: schemaName, schema: schemaName, problems, warnings };
+}
+
+module.exports = { validatePayload, SCHEMAS };
@@ -0,0 +1,226 @@
+// lib/pnl-tracker.js — realized PnL, fees and slippage per signal from exchange fills
+//
+// Orders are attributed when the relay places them (order id / client_order_id
+// → sig_id + leg). Fills pulled from /v2/fills are then folded into trades:
+//   - a fill on a symbol with no open trade opens one only if it is an ENTRY leg
+//   - fills on the trade's side add to the entry (sliced/partial entries)
+//   - opposite-side fills are exits, labelled by leg (TP1.., SL, TRAIL, CLOSE_SL,
+//     BREACH_CLOSE, ...); the trade closes when exit size reaches entry size
+// Money is in the contract's quote currency (USD on Delta India perps).
+
+function num(x, d = 0){ const n = Number(x); return Number.isFinite(n) ? n : d; }
+
+// Leg from our own client_order_id conventions when the order id wasn't attributed.
+// TP ids are T<idx><first 6 of symbol>_<hash>; with the symbol known, a symbol
+// that starts with digits (1000SHIBUSD) isn't read as part of the index.
+function legFromClientOrderId(cid, protectivePrefix = 'PRT', symbol = ''){
+  const s = String(cid || '');
+  const p = String(symbol || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 6);
+  const tp = (p && s.match(new RegExp(`^T(\\d+)${p}_`))) || s.match(/^T(\d+)/);
+  if (tp) return `TP${Number(tp[1]) + 1}`;
+  if (/^E\d/.test(s)) return 'ENTRY';
+  if (s.startsWith(`${protectivePrefix}_SL_`))  return 'SL';
+  if (s.startsWith(`${protectivePrefix}_TRL_`)) return 'TRAIL';
+  if (s.startsWith(`${protectivePrefix}_MKT_`)) return 'BREACH_CLOSE';
+  return null;
+}
+
+function dayKey(ts, tzOffsetMin){
+  return new Date(Date.parse(ts) + tzOffsetMin * 60_000).toISOString().slice(0, 10);
+}
+
+// trades/openTrades/attrib/cursor are Map-likes (state-store collections in server.js).
+// contractValueOf(symbol) converts lots to coins when an attribution didn't carry it.
+function createPnlTracker({
+  trades, openTrades, attrib, cursor,
+  contractValueOf = () => 1,
+  protectivePrefix = 'PRT',
+  tzOffsetMin = 330,
+  maxSeenIds = 1000
+}){
+  // ---------- attribution ----------
+  function attribute({ orderId, clientOrderId, sigId, symbol, leg, pineEntry, contractValue }){
+    const info = { sig_id: sigId ? String(sigId) : null, symbol: String(symbol || '').toUpperCase(), leg, ts: Date.now() };
+    if (typeof pineEntry !== 'undefined') info.pine_entry = num(pineEntry, 0) || null;
+    if (typeof contractValue !== 'undefined') info.contract_value = num(contractValue, 1);
+    if (orderId !== null && typeof orderId !== 'undefined') attrib.set(`oid:${orderId}`, info);
+    if (clientOrderId) attrib.set(`cid:${clientOrderId}`, info);
+  }
+
+  function lookup(fill){
+    return attrib.get(`oid:${fill.order_id}`) || (fill.client_order_id ? attrib.get(`cid:${fill.client_order_id}`) : null) || null;
+  }
+
+  // Drop attributions older than maxAgeMs (called from the poll loop).
+  function pruneAttrib(maxAgeMs){
+    const cutoff = Date.now() - maxAgeMs;
+    for (const [k, v] of attrib) if ((v?.ts || 0) < cutoff) attrib.delete(k);
+  }
+
+  // Drop closed trades whose local close day is retentionDays or more back, then
+  // the oldest closed ones beyond maxTrades (0 = no limit). Open trades stay.
+  function pruneTrades({ retentionDays = 0, maxTrades = 0 } = {}){
+    const cutoff = retentionDays > 0 ? dayKey(new Date(Date.now() - retentionDays * 86_400_000).toISOString(), tzOffsetMin) : null;
+    const closed = Array.from(trades.entries())
+      .filter(([, t]) => t?.status === 'closed')
+      .sort((a, b) => Date.parse(b[1].closed_at) - Date.parse(a[1].closed_at));
+    let dropped = 0;
+    closed.forEach(([k, t], i) => {
+      if ((cutoff && dayKey(t.closed_at, tzOffsetMin) <= cutoff) || (maxTrades > 0 && i >= maxTrades)) { trades.delete(k); dropped++; }
+    });
+    return dropped;
+  }
+
+  // ---------- fills → trades ----------
+  function ingest(fills){
+    const state = cursor.get('fills') || { last_ts: null, seen: [] };
+    const seen = new Set(state.seen);
+    const applied = [];
+
+    const fresh = fills
+      .filter(f => f && !seen.has(String(f.id)))
+      .sort((a, b) => (Date.parse(a.created_at) - Date.parse(b.created_at)) || (num(a.id) - num(b.id)));
+
+    // The cursor is saved after every fill, so a fill that fails to apply can't
+    // stall later polls or get the ones before it counted twice.
+    for (const f of fresh) {
+      let r;
+      try { r = applyFill(f); }
+      catch (e) { r = { fill_id: f.id, symbol: String(f.product_symbol || f.symbol || '').toUpperCase(), error: String(e?.message || e) }; }
+      if (r) applied.push(r);
+      seen.add(String(f.id));
+      if (!state.last_ts || f.created_at > state.last_ts) state.last_ts = f.created_at;
+      state.seen = Array.from(seen).slice(-maxSeenIds);
+      cursor.set('fills', state);
+    }
+    return applied;
+  }
+
+  function applyFill(f){
+    const symbol = String(f.product_symbol || f.symbol || '').toUpperCase();
+    const side   = String(f.side || '').toLowerCase();
+    const size   = Math.abs(num(f.size, 0));
+    const price  = num(f.price, 0);
+    const fee    = num(f.commission, 0);
+    if (!symbol || !(size > 0) || !(price > 0)) return null;
+
+    const info = lookup(f);
+    const leg = info?.leg || legFromClientOrderId(f.client_order_id, protectivePrefix, symbol) || 'UNATTRIBUTED';
+    const openKey = openTrades.get(symbol);
+    let t = openKey ? trades.get(openKey) : null;
+
+    if (!t) {
+      if (leg !== 'ENTRY') return { fill_id: f.id, symbol, leg, ignored: 'no_open_trade' };
+      // Unattributed E<n>… fills are still our entries, just without a known signal.
+      const key = `${info?.sig_id || `fill${f.id}`}|${symbol}`;
+      t = {
+        sig_id: info?.sig_id || null,
+        symbol,
+        side,
+        pine_entry: info?.pine_entry || null,
+        contract_value: info?.contract_value || num(contractValueOf(symbol), 1) || 1,
+        opened_at: f.created_at,
+        closed_at: null,
+        entry_size: 0, entry_value: 0, entry_avg: null,
+        exit_size: 0,  exit_value: 0,  exit_avg: null,
+        fees: 0,
+        realized_pnl: 0,
+        slippage_pct: null,
+        exits: [],
+        closed_by: null,
+        status: 'open'
+      };
+      trades.set(key, t);
+      openTrades.set(symbol, key);
+    }
+    const key = openTrades.get(symbol);
+
+    t.fees += fee;
+    if (side === t.side) {
+      t.entry_size  += size;
+      t.entry_value += size * price;
+      t.entry_avg    = t.entry_value / t.entry_size;
+      if (t.pine_entry > 0) {
+        const dir = t.side === 'buy' ? 1 : -1;
+        t.slippage_pct = +((t.entry_avg - t.pine_entry) / t.pine_entry * 100 * dir).toFixed(4); // + = adverse
+      }
+    } else {
+      const closing = Math.min(size, Math.max(0, t.entry_size - t.exit_size));
+      const dir = t.side === 'buy' ? 1 : -1;
+      t.exit_size  += closing;
+      t.exit_value += closing * price;
+      t.exit_avg    = t.exit_size > 0 ? t.exit_value / t.exit_size : null;
+      t.realized_pnl += (price - t.entry_avg) * closing * t.contract_value * dir;
+      t.exits.push({ leg, size: closing, price, fee, ts: f.created_at, fill_id: f.id });
+      if (t.exit_size >= t.entry_size - 1e-9) {
+        t.status = 'closed';
+        t.closed_at = f.created_at;
+        t.closed_by = leg;
+        openTrades.delete(symbol);
+      }
+    }
+    t.net_pnl = t.realized_pnl - t.fees;
+    trades.set(key, t);
+    return { fill_id: f.id, symbol, leg, sig_id: t.sig_id, status: t.status };
+  }
+
+  // ---------- reporting ----------
+  function emptyRoll(){ return { trades: 0, closed: 0, wins: 0, losses: 0, realized_pnl: 0, fees: 0, net_pnl: 0 }; }
+  function addRoll(r, t){
+    r.trades++;
+    if (t.status === 'closed') {
+      r.closed++;
+      if (t.net_pnl > 0) r.wins++; else r.losses++;
+    }
+    r.realized_pnl += t.realized_pnl;
+    r.fees += t.fees;
+    r.net_pnl += t.net_pnl ?? (t.realized_pnl - t.fees);
+  }
+
+  function report({ sig_id, symbol, from, to, status } = {}){
+    const fromMs = from ? Date.parse(from) || num(from, 0) : 0;
+    const toMs   = to ? Date.parse(to) || num(to, Infinity) : Infinity;
+    const sym    = symbol ? String(symbol).toUpperCase() : null;
+
+    const list = Array.from(trades.values())
+      .filter(t => !sig_id || String(t.sig_id) === String(sig_id))
+      .filter(t => !sym || t.symbol === sym)
+      .filter(t => !status || t.status === status)
+      .filter(t => { const ts = Date.parse(t.closed_at || t.opened_at); return ts >= fromMs && ts <= toMs; })
+      .sort((a, b) => Date.parse(a.opened_at) - Date.parse(b.opened_at));
+
+    const total = emptyRoll(), by_symbol = {}, by_day = {};
+    for (const t of list) {
+      addRoll(total, t);
+      addRoll(by_symbol[t.symbol] || (by_symbol[t.symbol] = emptyRoll()), t);
+      const d = dayKey(t.closed_at || t.opened_at, tzOffsetMin);
+      addRoll(by_day[d] || (by_day[d] = emptyRoll()), t);
+    }
+    return { total, by_symbol, by_day, trades: list };
+  }
+
+  // Realized (net) PnL of trades closed on the current local day — used by risk checks.
+  function realizedToday(){
+    const today = dayKey(new Date().toISOString(), tzOffsetMin);
+    let sum = 0;
+    for (const t of trades.values()) {
+      if (t.status === 'closed' && dayKey(t.closed_at, tzOffsetMin) === today) sum += t.net_pnl;
+    }
+    return sum;
+  }
+
+  // Losing trades in a row, newest first, among trades closed today (or ever, with today:false).
+  function lossStreak({ today = true } = {}){
+    const day = dayKey(new Date().toISOString(), tzOffsetMin);
+    const closed = Array.from(trades.values())
+      .filter(t => t.status === 'closed' && (!today || dayKey(t.closed_at, tzOffsetMin) === day))
+      .sort((a, b) => Date.parse(b.closed_at) - Date.parse(a.closed_at));
+    let n = 0;
+    for (const t of closed) { if (t.net_pnl > 0) break; n++; }
+    return n;
+  }
+
+  return { attribute, ingest, report, realizedToday, lossStreak, pruneAttrib, pruneTrades, lastFillTs: () => cursor.get('fills')?.last_ts || null };
+}
+
+module.exports = { createPnlTracker, legFromClientOrderId };
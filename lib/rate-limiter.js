@@ -0,0 +1,112 @@
+// lib/rate-limiter.js — token-bucket request budget with priority classes
+//
+// Delta meters each API key with a weighted quota per rolling window (every
+// endpoint costs some units). One limiter per key holds a bucket of `quota`
+// tokens refilled evenly over windowMs; acquire(cost, priority) resolves once
+// the call may go out. Classes, highest first:
+//   protective  stops, brackets, reduce-only market closes — may use the reserve
+//   normal      entries, cancels, anything unclassified
+//   tp          TP ladder placement
+//   read        GETs
+// Everything but protective must leave reservePct of the quota untouched, so a
+// burst of reads / TP placement can't starve a stop. A blocked class also holds
+// back the classes below it.
+// observe() feeds back what the exchange said: a lower remaining count pulls the
+// bucket down, and a 429 empties it and pauses every class until the reset.
+// `now` and `timers` ({ setTimeout, clearTimeout }) can be swapped for a fake clock.
+
+const PRIORITIES = ['protective', 'normal', 'tp', 'read'];
+
+function createRateLimiter({ quota = 10_000, windowMs = 300_000, reservePct = 0.1, now = Date.now, timers = { setTimeout, clearTimeout } } = {}){
+  const rate = quota / windowMs;                // tokens per ms
+  const reserve = quota * reservePct;
+  const queues = Object.fromEntries(PRIORITIES.map(p => [p, []]));
+  const stats = Object.fromEntries(PRIORITIES.map(p => [p, { granted: 0, waited: 0, wait_ms: 0, max_wait_ms: 0 }]));
+  let tokens = quota, last = now(), pausedUntil = 0, timer = null;
+  let throttled = 0, serverRemaining = null, serverAt = null;
+
+  const floorFor = p => (p === 'protective' ? 0 : reserve);
+  const queued = () => PRIORITIES.some(p => queues[p].length);
+
+  function refill(){
+    const t = now();
+    tokens = Math.min(quota, tokens + (t - last) * rate);
+    last = t;
+  }
+
+  function grant(p, job){
+    tokens -= job.cost;
+    const waited = now() - job.at;
+    const s = stats[p];
+    s.granted++;
+    if (waited > 0) { s.waited++; s.wait_ms += waited; s.max_wait_ms = Math.max(s.max_wait_ms, waited); }
+    job.resolve(waited);
+  }
+
+  function pump(){
+    timers.clearTimeout(timer); timer = null;
+    refill();
+    let wait = 0;
+    if (now() < pausedUntil) wait = pausedUntil - now();
+    else {
+      for (const p of PRIORITIES) {
+        const q = queues[p];
+        while (q.length && tokens - q[0].cost >= floorFor(p)) grant(p, q.shift());
+        if (q.length) { wait = (q[0].cost + floorFor(p) - tokens) / rate; break; }
+      }
+    }
+    if (queued()) timer = timers.setTimeout(pump, Math.max(1, Math.ceil(wait)));
+  }
+
+  // Resolves with the ms spent waiting for budget.
+  function acquire(cost = 1, priority = 'normal'){
+    const p = PRIORITIES.includes(priority) ? priority : 'normal';
+    const c = Math.max(0, Math.min(Number(cost) || 0, quota));
+    return new Promise(resolve => {
+      queues[p].push({ cost: c, at: now(), resolve });
+      pump();
+    });
+  }
+
+  // { status, remaining, resetMs } from a response; missing fields are ignored.
+  function observe({ status, remaining = null, resetMs = null } = {}){
+    refill();
+    const rem = Number(remaining);
+    if (remaining !== null && remaining !== '' && Number.isFinite(rem)) {
+      serverRemaining = rem; serverAt = now();
+      tokens = Math.min(tokens, rem);
+    }
+    if (Number(status) === 429) {
+      throttled++;
+      tokens = 0;
+      const reset = Number(resetMs);
+      pausedUntil = Math.max(pausedUntil, now() + (Number.isFinite(reset) && reset > 0 ? reset : 1000));
+      pump();
+    }
+  }
+
+  function usage(){
+    refill();
+    const t = now();
+    return {
+      quota,
+      window_ms: windowMs,
+      reserve: Math.round(reserve),
+      tokens: Math.floor(tokens),
+      used_pct: +((1 - tokens / quota) * 100).toFixed(1),
+      paused_ms: Math.max(0, pausedUntil - t),
+      throttled_429: throttled,
+      server_remaining: serverRemaining,
+      server_remaining_age_ms: serverAt ? t - serverAt : null,
+      queued: Object.fromEntries(PRIORITIES.map(p => [p, queues[p].length])),
+      by_priority: Object.fromEntries(PRIORITIES.map(p => {
+        const s = stats[p];
+        return [p, { granted: s.granted, waited: s.waited, avg_wait_ms: s.waited ? Math.round(s.wait_ms / s.waited) : 0, max_wait_ms: s.max_wait_ms }];
+      }))
+    };
+  }
+
+  return { acquire, observe, usage };
+}
+
+module.exports = { createRateLimiter, PRIORITIES };
@@ -0,0 +1,99 @@
+// lib/risk-engine.js — portfolio risk gate consulted before an entry is sent
+//
+// evaluate(entry, snapshot) checks a prospective entry against the limits and
+// the account's current exposure. Every limit is off at 0. Rules:
+//   max_positions              open positions after this entry (adding to the
+//                              same symbol doesn't count as a new one)
+//   max_notional_per_symbol    |existing same-symbol notional| + entry notional
+//   max_notional_total         sum of all open notional + entry notional
+//   max_daily_loss             realized net PnL today (from fills) <= -limit
+//   max_consecutive_losses     losing trades in a row today >= limit
+//   max_leverage               the entry's requested leverage
+// Notional is in USD (lots × contract value × price). The snapshot is gathered
+// by the caller so this module stays exchange-agnostic.
+
+const { parseNum } = require('./num');
+
+const LIMIT_FIELDS = [
+  'max_positions',
+  'max_notional_per_symbol',
+  'max_notional_total',
+  'max_daily_loss',
+  'max_consecutive_losses',
+  'max_leverage'
+];
+
+// Keeps only known, positive limits; anything else means "off".
+function normalizeLimits(raw = {}){
+  const out = {};
+  for (const f of LIMIT_FIELDS) {
+    const n = parseNum(raw[f]);
+    if (n !== null && n > 0) out[f] = n;
+  }
+  return out;
+}
+
+function round2(n){ return Math.round(n * 100) / 100; }
+
+// entry:    { symbol, side, lots, notional, leverage }
+// snapshot: { positions: [{ symbol, side, notional }], realizedToday, lossStreak }
+// Returns { ok, rule, reason, checks } — rule/reason are the FIRST violated limit.
+function evaluate(entry, snapshot, limits){
+  const L = normalizeLimits(limits);
+  const positions = Array.isArray(snapshot?.positions) ? snapshot.positions : [];
+  const symbol = String(entry.symbol || '').toUpperCase();
+  const checks = [];
+  const check = (rule, value, limit, breached, reason) => {
+    checks.push({ rule, value: round2(value), limit, ok: !breached });
+    return breached ? { rule, reason } : null;
+  };
+
+  const violations = [];
+  const push = v => { if (v) violations.push(v); };
+
+  if (L.max_positions) {
+    const others = positions.filter(p => p.symbol !== symbol).length;
+    const after = others + 1;
+    push(check('max_positions', after, L.max_positions, after > L.max_positions,
+      `${after} open positions would exceed max ${L.max_positions}`));
+  }
+
+  const sameSym = positions.filter(p => p.symbol === symbol);
+  const sameSymNotional = sameSym.reduce((a, p) => a + Math.abs(p.notional || 0), 0);
+  const newNotional = Math.abs(entry.notional || 0);
+
+  if (L.max_notional_per_symbol) {
+    const after = sameSymNotional + newNotional;
+    push(check('max_notional_per_symbol', after, L.max_notional_per_symbol, after > L.max_notional_per_symbol,
+      `${symbol} notional ${round2(after)} USD would exceed max ${L.max_notional_per_symbol} USD`));
+  }
+
+  if (L.max_notional_total) {
+    const after = positions.reduce((a, p) => a + Math.abs(p.notional || 0), 0) + newNotional;
+    push(check('max_notional_total', after, L.max_notional_total, after > L.max_notional_total,
+      `total notional ${round2(after)} USD would exceed max ${L.max_notional_total} USD`));
+  }
+
+  if (L.max_daily_loss && typeof snapshot?.realizedToday === 'number') {
+    const pnl = snapshot.realizedToday;
+    push(check('max_daily_loss', -pnl, L.max_daily_loss, pnl <= -L.max_daily_loss,
+      `realized PnL today ${round2(pnl)} USD hit the daily loss limit of ${L.max_daily_loss} USD`));
+  }
+
+  if (L.max_consecutive_losses && typeof snapshot?.lossStreak === 'number') {
+    const n = snapshot.lossStreak;
+    push(check('max_consecutive_losses', n, L.max_consecutive_losses, n >= L.max_consecutive_losses,
+      `${n} consecutive losing trades today (max ${L.max_consecutive_losses})`));
+  }
+
+  if (L.max_leverage) {
+    const lev = parseNum(entry.leverage) || 0;
+    push(check('max_leverage', lev, L.max_leverage, lev > L.max_leverage,
+      `leverage ${lev}x exceeds max ${L.max_leverage}x`));
+  }
+
+  const first = violations[0] || null;
+  return { ok: !first, rule: first?.rule || null, reason: first?.reason || null, violations, checks };
+}
+
+module.exports = { evaluate, normalizeLimits, LIMIT_FIELDS };
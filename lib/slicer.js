@@ -0,0 +1,91 @@
+// lib/slicer.js — child-order arithmetic for sliced (TWAP / iceberg) execution
+//
+// A parent entry or close of `total` lots is worked as a series of child market
+// orders. Every child is capped by each limit that is set (0 = off):
+//   max_lots       fixed child size (iceberg)
+//   book_share     share of the resting opposite-side depth within depth_bps of
+//                  the touch; the book is re-read before every child
+//   slices         split into N equal children (TWAP)
+//   interval_ms    pause between children, or
+//   duration_ms    spread the remaining children evenly over this window
+//   max_drift_pct  stop once fills move this far AGAINST the arrival price
+// The executor (placing, polling, progress) lives in server.js; this module only
+// does the sizing, timing and averaging so it stays exchange-agnostic.
+
+const { parseNum } = require('./num');
+
+const SPEC_FIELDS = ['max_lots', 'book_share', 'depth_bps', 'slices', 'interval_ms', 'duration_ms', 'max_drift_pct'];
+
+// Merges a per-message spec over the defaults, keeping only positive numbers.
+function normalizeSpec(raw = {}, defaults = {}){
+  const out = {};
+  for (const f of SPEC_FIELDS) {
+    const n = parseNum(raw?.[f] ?? defaults[f]);
+    if (n !== null && n > 0) out[f] = n;
+  }
+  if (out.book_share > 1) out.book_share = 1;
+  if (out.slices) out.slices = Math.floor(out.slices);
+  return out;
+}
+
+// True when the spec actually splits anything.
+function splits(spec){
+  return !!(spec.max_lots || spec.book_share || spec.slices > 1);
+}
+
+// Lots resting on the side we'd take from (asks for a buy, bids for a sell)
+// within depthBps of the best level. book = { bids:[{price,size}], asks:[...] }.
+function bookDepth(book, side, depthBps = 50){
+  const levels = (String(side).toLowerCase() === 'buy' ? book?.asks : book?.bids) || [];
+  const best = parseNum(levels[0]?.price);
+  if (!(best > 0)) return { lots: 0, best: null };
+  const edge = best * depthBps / 10000;
+  let lots = 0;
+  for (const l of levels) {
+    const px = parseNum(l.price);
+    if (!(px > 0) || Math.abs(px - best) > edge) break;
+    lots += parseNum(l.size) || 0;
+  }
+  return { lots, best };
+}
+
+// Next child size. depthLots is null when the book wasn't read; hardMax is the
+// venue's per-order limit. Never returns less than 1 while anything remains.
+function nextChildSize({ remaining, total, spec, depthLots = null, hardMax = Infinity }){
+  if (!(remaining > 0)) return 0;
+  const caps = [remaining, hardMax];
+  if (spec.max_lots) caps.push(Math.floor(spec.max_lots));
+  if (spec.slices > 1) caps.push(Math.ceil(total / spec.slices));
+  if (spec.book_share && depthLots !== null) caps.push(Math.floor(depthLots * spec.book_share));
+  return Math.max(1, Math.min(...caps));
+}
+
+// Pause before the next child: interval_ms, else what's left of duration_ms
+// divided over the children still to go.
+function childDelayMs(spec, { remaining, childLots, elapsedMs }){
+  if (spec.interval_ms) return spec.interval_ms;
+  if (!spec.duration_ms || !(remaining > 0)) return 0;
+  const left = Math.max(0, spec.duration_ms - elapsedMs);
+  return Math.floor(left / Math.max(1, Math.ceil(remaining / Math.max(1, childLots))));
+}
+
+// Positive when `price` is worse than `arrival` for this side.
+function adverseDriftPct(side, arrival, price){
+  if (!(arrival > 0) || !(price > 0)) return 0;
+  const d = (price - arrival) / arrival * 100;
+  return String(side).toLowerCase() === 'buy' ? d : -d;
+}
+
+// Size-weighted average over children [{ lots, price }].
+function aggregate(children){
+  let filled = 0, notional = 0, priced = 0;
+  for (const c of children) {
+    const lots = parseNum(c.lots) || 0;
+    const px = parseNum(c.price);
+    filled += lots;
+    if (px > 0) { notional += lots * px; priced += lots; }
+  }
+  return { filled, avg_price: priced > 0 ? Number((notional / priced).toPrecision(12)) : null };
+}
+
+module.exports = { normalizeSpec, splits, bookDepth, nextChildSize, childDelayMs, adverseDriftPct, aggregate, SPEC_FIELDS };
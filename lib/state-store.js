@@ -0,0 +1,259 @@
+// lib/state-store.js — write-through persistence for the relay's in-memory state
+//
+// Every Map/Set the relay keeps (CHAIN, SEEN, SIG_STATE, ABORTED_SIGS, ...) is
+// created through a store. Mutations are journaled by the selected driver and
+// replayed on boot, so a recycled instance picks up exactly where it stopped.
+// TTLs are untouched: values keep their own absolute timestamps and the normal
+// cleanup passes in server.js expire them after reload like any other entry.
+//
+// Drivers:
+//   'file'   (default) append-only NDJSON journal + periodic snapshot in STATE_DIR
+//   'memory' no persistence (previous behavior)
+// Additional drivers can be added with registerStateDriver(name, factory).
+//
+// The file driver only survives a restart if `dir` does: on Cloud Run /tmp and
+// the container filesystem are in-memory and per-instance, so STATE_DIR must be
+// a mounted volume (GCS FUSE / Filestore) — or register an external driver.
+// Journal writes are buffered and appended asynchronously every flushMs so the
+// webhook path never blocks on disk; flush() writes the buffer synchronously
+// (SIGTERM). Each op carries a sequence number `n` and the snapshot records the
+// last one it covers, so load() replays in order and skips what the snapshot
+// already holds even if a late append lands after a compaction.
+
+const fs   = require('fs');
+const path = require('path');
+const { log } = require('./logger');
+
+const DEFAULT_STATE_DIR = '/tmp/tv-relay-state';
+
+// ---------- drivers ----------
+const DRIVERS = {
+  memory: () => ({
+    name: 'memory',
+    load(){ return {}; },
+    append(){},
+    flush(){},
+    snapshot(){},
+    stats(){ return {}; }
+  }),
+
+  file: ({ dir, compactEvery = 5000, flushMs = 25 } = {}) => {
+    const stateDir     = path.resolve(dir || DEFAULT_STATE_DIR);
+    const snapshotFile = path.join(stateDir, 'snapshot.json');
+    const journalFile  = path.join(stateDir, 'journal.ndjson');
+    let journalLines = 0;
+    let lastSnapshotAt = null;
+    let seq = 0;                 // last op sequence number handed out
+    let pending = [];            // serialized ops not yet on disk
+    let flushing = false, timer = null, writeErrors = 0;
+
+    fs.mkdirSync(stateDir, { recursive: true });
+
+    return {
+      name: 'file',
+      compactEvery,
+
+      load(){
+        const data = {};
+        let covered = 0;
+        try {
+          const snap = JSON.parse(fs.readFileSync(snapshotFile, 'utf8'));
+          for (const [name, entries] of Object.entries(snap?.collections || {})) {
+            data[name] = new Map(entries);
+          }
+          lastSnapshotAt = snap?.ts || null;
+          covered = Number(snap?.seq) || 0;
+        } catch (e) {
+          if (e.code !== 'ENOENT') log.warn('state_snapshot_unreadable', 'state-store: snapshot unreadable, starting from journal only', { err: e });
+        }
+
+        let text = '';
+        try { text = fs.readFileSync(journalFile, 'utf8'); }
+        catch (e) { if (e.code !== 'ENOENT') throw e; }
+
+        const ops = [];
+        for (const line of text.split('\n')) {
+          if (!line) continue;
+          let op;
+          try { op = JSON.parse(line); }
+          catch { continue; } // torn last line after a crash — ignore
+          ops.push(op);
+        }
+        // Unnumbered lines (older journals) keep file order ahead of numbered ones.
+        ops.sort((a, b) => (a.n || 0) - (b.n || 0));
+        seq = covered;
+        for (const op of ops) {
+          if (op.n) { seq = Math.max(seq, op.n); if (op.n <= covered) continue; }
+          const m = data[op.c] || (data[op.c] = new Map());
+          if (op.op === 'set') m.set(op.k, op.v);
+          else if (op.op === 'del') m.delete(op.k);
+          else if (op.op === 'clear') m.clear();
+          journalLines++;
+        }
+        return data;
+      },
+
+      append(op){
+        pending.push(JSON.stringify({ ...op, n: ++seq }));
+        journalLines++;
+        if (!timer && !flushing) timer = setTimeout(flushAsync, flushMs);
+        return journalLines >= compactEvery;
+      },
+
+      flush(){
+        clearTimeout(timer); timer = null;
+        if (!pending.length) return;
+        const chunk = pending.join('\n') + '\n';
+        pending = [];
+        fs.appendFileSync(journalFile, chunk);
+      },
+
+      // Write the full state to a temp file, atomically swap it in, then drop the
+      // journal. Buffered ops are all covered by the snapshot, so they are dropped.
+      snapshot(collections){
+        const tmp = snapshotFile + '.tmp';
+        const ts = Date.now();
+        fs.writeFileSync(tmp, JSON.stringify({ ts, seq, collections }));
+        fs.renameSync(tmp, snapshotFile);
+        pending = [];
+        clearTimeout(timer); timer = null;
+        fs.writeFileSync(journalFile, '');
+        journalLines = 0;
+        lastSnapshotAt = ts;
+      },
+
+      stats(){ return { dir: stateDir, durable: stateDir !== path.resolve(DEFAULT_STATE_DIR), journalLines, pending: pending.length, writeErrors, lastSnapshotAt }; }
+    };
+
+    // One append in flight at a time, so chunks land in order.
+    function flushAsync(){
+      timer = null;
+      if (!pending.length) return;
+      const chunk = pending.join('\n') + '\n';
+      pending = [];
+      flushing = true;
+      fs.appendFile(journalFile, chunk, e => {
+        flushing = false;
+        if (e) {
+          writeErrors++;
+          log.warn('state_journal_write_failed', 'state-store: journal write failed (non-fatal, state is still in memory)', { err: e });
+        }
+        if (pending.length && !timer) timer = setTimeout(flushAsync, flushMs);
+      });
+    }
+  }
+};
+
+function registerStateDriver(name, factory){
+  DRIVERS[String(name).toLowerCase()] = factory;
+}
+
+// ---------- store ----------
+function createStateStore({ driver = 'file', ...opts } = {}){
+  const make = DRIVERS[String(driver).toLowerCase()];
+  if (!make) throw new Error(`state-store: unknown driver "${driver}" (have: ${Object.keys(DRIVERS).join(', ')})`);
+
+  const drv = make(opts);
+  const loaded = drv.load() || {};
+  const collections = new Map(); // name -> PersistentMap | PersistentSet
+
+  function write(op){
+    try {
+      if (drv.append(op)) compact();
+    } catch (e) {
+      // Never let persistence failures break trading — state stays correct in memory.
+      log.warn('state_journal_write_failed', 'state-store: journal write failed (non-fatal)', { err: e });
+    }
+  }
+
+  function compact(){
+    const out = {};
+    // Keep collections that were loaded but not (yet) claimed by this process.
+    for (const [name, m] of Object.entries(loaded)) if (!collections.has(name)) out[name] = Array.from(m.entries());
+    for (const [name, coll] of collections) out[name] = coll.entriesForSnapshot();
+    try { drv.snapshot(out); }
+    catch (e) { log.warn('state_snapshot_failed', 'state-store: snapshot failed (non-fatal)', { err: e }); }
+  }
+
+  class PersistentMap extends Map {
+    constructor(name, initial){
+      super();
+      this.name = name;
+      if (initial) for (const [k, v] of initial) super.set(k, v);
+    }
+    set(k, v){
+      super.set(k, v);
+      write({ c: this.name, op: 'set', k, v });
+      return this;
+    }
+    delete(k){
+      const had = super.delete(k);
+      if (had) write({ c: this.name, op: 'del', k });
+      return had;
+    }
+    clear(){
+      super.clear();
+      write({ c: this.name, op: 'clear' });
+    }
+    // Re-journal a value that was mutated in place (e.g. chain.didEnter = true).
+    save(k){
+      if (super.has(k)) write({ c: this.name, op: 'set', k, v: super.get(k) });
+    }
+    entriesForSnapshot(){ return Array.from(super.entries()); }
+  }
+
+  // Set facade over a map of member -> insertion ts.
+  class PersistentSet extends Set {
+    constructor(name, initial){
+      super();
+      this.name = name;
+      this._ts = new Map();
+      if (initial) for (const [k, ts] of initial) { super.add(k); this._ts.set(k, ts); }
+    }
+    add(k){
+      if (!super.has(k)) {
+        super.add(k);
+        this._ts.set(k, Date.now());
+        write({ c: this.name, op: 'set', k, v: this._ts.get(k) });
+      }
+      return this;
+    }
+    delete(k){
+      const had = super.delete(k);
+      this._ts.delete(k);
+      if (had) write({ c: this.name, op: 'del', k });
+      return had;
+    }
+    clear(){
+      super.clear();
+      this._ts.clear();
+      write({ c: this.name, op: 'clear' });
+    }
+    entriesForSnapshot(){ return Array.from(this._ts.entries()); }
+  }
+
+  function register(name, coll){
+    if (collections.has(name)) throw new Error(`state-store: collection "${name}" already exists`);
+    collections.set(name, coll);
+    return coll;
+  }
+
+  return {
+    driver: drv.name,
+    map(name){ return register(name, new PersistentMap(name, loaded[name])); },
+    set(name){ return register(name, new PersistentSet(name, loaded[name])); },
+    compact,
+    // Push buffered journal writes to disk now (before exit).
+    flush(){
+      try { drv.flush?.(); }
+      catch (e) { log.warn('state_journal_write_failed', 'state-store: journal flush failed (non-fatal)', { err: e }); }
+    },
+    stats(){
+      const sizes = {};
+      for (const [name, coll] of collections) sizes[name] = coll.size;
+      return { driver: drv.name, ...drv.stats(), sizes };
+    }
+  };
+}
+
+module.exports = { createStateStore, registerStateDriver, DEFAULT_STATE_DIR };
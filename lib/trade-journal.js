@@ -0,0 +1,110 @@
+// lib/trade-journal.js — append-only NDJSON audit trail
+//
+// One line per event, one file per UTC day (journal-YYYY-MM-DD.ndjson):
+//   webhook  inbound /tv payloads (accepted or rejected)
+//   dcall    every Delta request/response (credentials redacted)
+//   chain    entry-chain state transitions
+//   result   processWebhook() outcome
+// sig_id / symbol / account / corr_id come from the event itself or the current
+// webhook context; query() filters on the first three (GET /audit, admin only).
+// Entries are scrubbed like log lines (secret keys and configured secret values)
+// on write, and again on read for lines written before a secret was configured.
+
+const fs       = require('fs');
+const path     = require('path');
+const readline = require('readline');
+const { currentContext } = require('./context');
+const { log, redact } = require('./logger');
+
+function dayOf(ts){ return new Date(ts).toISOString().slice(0, 10); }
+
+function parseTime(v){
+  if (v === null || typeof v === 'undefined' || v === '') return null;
+  const n = Number(v);
+  if (Number.isFinite(n)) return n;
+  const t = Date.parse(v);
+  return Number.isFinite(t) ? t : null;
+}
+
+function createTradeJournal({ dir = '/tmp/tv-relay-journal', enabled = true, retentionDays = 30 } = {}){
+  const root = path.resolve(dir);
+  let lastDay = null;
+  let written = 0;
+
+  if (enabled) fs.mkdirSync(root, { recursive: true });
+
+  function fileFor(day){ return path.join(root, `journal-${day}.ndjson`); }
+
+  function prune(){
+    if (!(retentionDays > 0)) return;
+    const cutoff = dayOf(Date.now() - retentionDays * 86400_000);
+    for (const f of fs.readdirSync(root)) {
+      const m = f.match(/^journal-(\d{4}-\d{2}-\d{2})\.ndjson$/);
+      if (m && m[1] < cutoff) fs.unlinkSync(path.join(root, f));
+    }
+  }
+
+  function record(type, fields = {}){
+    if (!enabled) return;
+    const ctx = currentContext();
+    const now = Date.now();
+    const entry = log.scrub({
+      ts: new Date(now).toISOString(),
+      type,
+      sig_id: fields.sig_id ?? ctx.sig_id ?? null,
+      symbol: fields.symbol ?? ctx.symbol ?? null,
+      action: fields.action ?? ctx.action ?? null,
+      account: fields.account ?? ctx.account,
+      corr_id: fields.corr_id ?? ctx.corr_id,
+      ...fields
+    });
+    try {
+      const day = dayOf(now);
+      if (day !== lastDay) { lastDay = day; prune(); }
+      fs.appendFileSync(fileFor(day), JSON.stringify(entry) + '\n');
+      written++;
+    } catch (e) {
+      log.warn('journal_write_failed', 'journal write failed (non-fatal)', { err: e });
+    }
+  }
+
+  async function query({ sig_id, symbol, type, account, from, to, limit = 500 } = {}){
+    if (!enabled) return { items: [], truncated: false, disabled: true };
+    const fromMs = parseTime(from) ?? 0;
+    const toMs   = parseTime(to) ?? Date.now();
+    const fromDay = dayOf(fromMs), toDay = dayOf(toMs);
+    const sym = symbol ? String(symbol).toUpperCase() : null;
+    const max = Math.max(1, Math.min(Number(limit) || 500, 10_000));
+
+    const files = fs.readdirSync(root)
+      .map(f => f.match(/^journal-(\d{4}-\d{2}-\d{2})\.ndjson$/))
+      .filter(m => m && m[1] >= fromDay && m[1] <= toDay)
+      .map(m => m[0])
+      .sort();
+
+    const items = [];
+    let truncated = false;
+    for (const f of files) {
+      const rl = readline.createInterface({ input: fs.createReadStream(path.join(root, f)), crlfDelay: Infinity });
+      for await (const line of rl) {
+        if (!line) continue;
+        let e;
+        try { e = JSON.parse(line); } catch { continue; }
+        const t = Date.parse(e.ts);
+        if (t < fromMs || t > toMs) continue;
+        if (sig_id && String(e.sig_id || '') !== String(sig_id)) continue;
+        if (sym && String(e.symbol || '').toUpperCase() !== sym) continue;
+        if (type && e.type !== type) continue;
+        if (account && (e.account || 'default') !== account) continue;
+        if (items.length >= max) { truncated = true; rl.close(); break; }
+        items.push(log.scrub(e));
+      }
+      if (truncated) break;
+    }
+    return { items, truncated };
+  }
+
+  return { record, query, stats: () => ({ enabled, dir: root, written }) };
+}
+
+module.exports = { createTradeJournal, redact };
@@ -0,0 +1,130 @@
+// lib/trading-schedule.js — blackout windows for new entries
+//
+// TRADING_SCHEDULE is JSON: { "tz": "IST", "blackouts": [ window, ... ] }.
+// A window is either weekly or one-off:
+//   weekly   { days: "*" | "sat" | ["sat","sun"], from: "HH:MM", to: "HH:MM" }
+//            or times: ["05:25-05:35", "13:25-13:35"] for several slots a day.
+//            to <= from wraps past midnight (fri 23:00-02:00 ends sat 02:00);
+//            "24:00" is end of day.
+//   one-off  { start: ISO, end: ISO }   e.g. announced exchange maintenance
+// Optional on every window:
+//   name, tz ("IST" | "UTC" | "+05:30"), symbols: [...], strategies: [...],
+//   flatten: true   → close in-scope positions when the window opens
+// Windows only gate ENTER; protective actions are never blocked.
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TZ_ALIASES = { IST: 330, UTC: 0, GMT: 0, Z: 0 };
+
+function parseTz(tz){
+  const s = String(tz ?? 'UTC').trim().toUpperCase();
+  if (s in TZ_ALIASES) return TZ_ALIASES[s];
+  const m = s.match(/^(?:UTC)?([+-])(\d{1,2}):?(\d{2})?$/);
+  if (!m) throw new Error(`schedule: bad tz "${tz}" (use IST, UTC or +HH:MM)`);
+  return (m[1] === '-' ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3] || 0));
+}
+
+function parseHm(s){
+  const m = String(s || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!m || Number(m[1]) > 24 || Number(m[2]) > 59) throw new Error(`schedule: bad time "${s}" (HH:MM)`);
+  return Math.min(1440, Number(m[1]) * 60 + Number(m[2]));
+}
+
+function parseDays(days){
+  if (typeof days === 'undefined' || days === '*' || days === 'all') return new Set([0, 1, 2, 3, 4, 5, 6]);
+  const list = Array.isArray(days) ? days : String(days).split(',');
+  const out = new Set();
+  for (const d of list) {
+    const i = DAY_NAMES.indexOf(String(d).trim().toLowerCase().slice(0, 3));
+    if (i < 0) throw new Error(`schedule: bad day "${d}"`);
+    out.add(i);
+  }
+  return out;
+}
+
+const upperList = v => (Array.isArray(v) && v.length) ? v.map(x => String(x).toUpperCase()) : null;
+
+// Expands one config entry into normalized windows (several for `times`).
+function normalizeWindow(raw, i, defaultTz){
+  const base = {
+    name: String(raw.name || `window${i}`),
+    symbols: upperList(raw.symbols),
+    strategies: Array.isArray(raw.strategies) && raw.strategies.length ? raw.strategies.map(String) : null,
+    flatten: raw.flatten === true || raw.flatten === 'true'
+  };
+  if (raw.start || raw.end) {
+    const start = Date.parse(raw.start), end = Date.parse(raw.end);
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) throw new Error(`schedule: "${base.name}" needs start < end (ISO)`);
+    return [{ ...base, kind: 'once', start, end }];
+  }
+  const tzMin = parseTz(raw.tz ?? defaultTz);
+  const days = parseDays(raw.days);
+  const slots = Array.isArray(raw.times) ? raw.times.map(t => String(t).split('-')) : [[raw.from, raw.to]];
+  return slots.map(([from, to]) => ({ ...base, kind: 'weekly', tzMin, days, from: parseHm(from), to: parseHm(to) }));
+}
+
+// Local day-of-week and minute-of-day of `ms` in a fixed UTC offset.
+function localParts(ms, tzMin){
+  const d = new Date(ms + tzMin * 60_000);
+  return { day: d.getUTCDay(), min: d.getUTCHours() * 60 + d.getUTCMinutes(), sec: d.getUTCSeconds() };
+}
+
+// Returns the window's end (ms) if `ms` falls inside it, else null.
+function activeUntil(w, ms){
+  if (w.kind === 'once') return (ms >= w.start && ms < w.end) ? w.end : null;
+  const { day, min, sec } = localParts(ms, w.tzMin);
+  const startOfMin = ms - sec * 1000 - (ms % 1000);
+  const endIn = toMin => startOfMin + (toMin - min) * 60_000;
+  if (w.from < w.to) {
+    return (w.days.has(day) && min >= w.from && min < w.to) ? endIn(w.to) : null;
+  }
+  // wraps past midnight
+  if (w.days.has(day) && min >= w.from) return endIn(1440 + w.to);
+  if (w.days.has((day + 6) % 7) && min < w.to) return endIn(w.to);
+  return null;
+}
+
+function inScope(w, { symbol, strategy }){
+  if (w.symbols && !w.symbols.includes(String(symbol || '').toUpperCase())) return false;
+  if (w.strategies && !w.strategies.includes(String(strategy ?? ''))) return false;
+  return true;
+}
+
+function describeWindow(w){
+  const out = { name: w.name, kind: w.kind, symbols: w.symbols, strategies: w.strategies, flatten: w.flatten };
+  if (w.kind === 'once') return { ...out, start: new Date(w.start).toISOString(), end: new Date(w.end).toISOString() };
+  const hm = m => `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+  return { ...out, days: Array.from(w.days).map(d => DAY_NAMES[d]), from: hm(w.from), to: hm(w.to), tz_offset_min: w.tzMin };
+}
+
+function createTradingSchedule({ spec, defaultTz = 'IST' } = {}){
+  const cfg = spec ? (typeof spec === 'string' ? JSON.parse(spec) : spec) : {};
+  const list = Array.isArray(cfg) ? cfg : (cfg.blackouts || []);
+  const tz = Array.isArray(cfg) ? defaultTz : (cfg.tz ?? defaultTz);
+  const windows = list.flatMap((raw, i) => normalizeWindow(raw, i, tz));
+
+  // { ok } or { ok:false, window, until } for the first blackout covering this entry.
+  function check({ symbol, strategy, at = Date.now() } = {}){
+    for (const w of windows) {
+      if (!inScope(w, { symbol, strategy })) continue;
+      const until = activeUntil(w, at);
+      if (until) return { ok: false, window: w.name, until: new Date(until).toISOString() };
+    }
+    return { ok: true };
+  }
+
+  // flatten windows that opened in (prevMs, nowMs].
+  function openedBetween(prevMs, nowMs){
+    return windows.filter(w => w.flatten && activeUntil(w, nowMs) && !activeUntil(w, prevMs));
+  }
+
+  function active(at = Date.now()){
+    return windows
+      .map(w => ({ w, until: activeUntil(w, at) }))
+      .filter(x => x.until)
+      .map(x => ({ ...describeWindow(x.w), until: new Date(x.until).toISOString() }));
+  }
+
+  return { check, openedBetween, active, windows: () => windows.map(describeWindow), size: windows.length };
+}
+
+module.exports = { createTradingSchedule, parseTz };
@@ -0,0 +1,137 @@
+// lib/webhook-auth.js — authentication for the /tv webhook
+//
+// TradingView alerts cannot set custom headers, so the secret normally travels
+// in the JSON body. Supported checks, in order:
+//   1) IP allowlist          WEBHOOK_IP_ALLOWLIST ('tradingview' expands to TV's published IPs)
+//      The caller's IP is read trustedProxies hops from the right of
+//      X-Forwarded-For (WEBHOOK_TRUSTED_PROXIES, default 1 = one proxy in front,
+//      e.g. Cloud Run); entries left of that are client-supplied and ignored.
+//      0 = no proxy, the socket address is used.
+//   2) shared / per-strategy secret in the body (token | webhook_token | secret)
+//      or the legacy x-webhook-token header
+//   3) optional HMAC-SHA256 over `${ts}.${canonical JSON}` with a timestamp window
+//      and replay memory (body: auth_ts + auth_sig, or x-relay-timestamp +
+//      x-relay-signature headers over the raw body for non-TradingView senders)
+// Auth fields are stripped from the message before it is processed or logged.
+
+const crypto = require('crypto');
+
+// https://www.tradingview.com/support/solutions/43000529348
+const TRADINGVIEW_IPS = ['52.89.214.238', '34.212.75.30', '54.218.53.128', '52.32.178.7'];
+
+const AUTH_FIELDS = ['token', 'webhook_token', 'secret', 'auth_ts', 'auth_sig'];
+
+function safeEqual(a, b){
+  const ba = Buffer.from(String(a || ''));
+  const bb = Buffer.from(String(b || ''));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+// Stable key order so Pine and the relay hash the same bytes.
+function canonicalJson(v){
+  if (Array.isArray(v)) return `[${v.map(canonicalJson).join(',')}]`;
+  if (v && typeof v === 'object') {
+    return `{${Object.keys(v).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(v[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(v);
+}
+
+function hmacHex(secret, data){
+  return crypto.createHmac('sha256', secret).update(data).digest('hex');
+}
+
+// Each proxy appends the address it saw, so only the rightmost `trustedProxies`
+// entries are trustworthy; the one furthest left among them is the caller.
+function clientIp(req, trustedProxies = 1){
+  const hops = String(req.headers['x-forwarded-for'] || '').split(',').map(s => s.trim()).filter(Boolean);
+  const n = Math.max(0, Math.floor(Number(trustedProxies) || 0));
+  const fwd = n && hops.length ? hops[Math.max(0, hops.length - n)] : '';
+  const ip = fwd || req.socket?.remoteAddress || '';
+  return ip.replace(/^::ffff:/, '');
+}
+
+function parseAllowlist(spec){
+  const out = new Set();
+  for (const part of String(spec || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    if (part.toLowerCase() === 'tradingview') TRADINGVIEW_IPS.forEach(ip => out.add(ip));
+    else out.add(part);
+  }
+  return out;
+}
+
+function createWebhookAuth({
+  token = '',
+  strategySecrets = {},
+  hmacSecret = '',
+  hmacRequired = false,
+  hmacWindowSec = 300,
+  ipAllowlist = '',
+  trustedProxies = 1
+} = {}){
+  const allow = parseAllowlist(ipAllowlist);
+  const usedSigs = new Map(); // sig -> expiry ms (replay memory)
+
+  function rememberSig(sig){
+    const now = Date.now();
+    for (const [k, exp] of usedSigs) if (exp < now) usedSigs.delete(k);
+    usedSigs.set(sig, now + hmacWindowSec * 1000 * 2);
+  }
+
+  function fail(status, reason, extra){ return { ok: false, status, reason, ...extra }; }
+
+  // Returns { ok, status, reason, strategy, ip, method } and strips auth fields from msg in place.
+  function verify(req, msg){
+    const ip = clientIp(req, trustedProxies);
+    const strategy = msg && typeof msg.strategy !== 'undefined' ? String(msg.strategy) : '';
+
+    const bodySecret = msg?.token ?? msg?.webhook_token ?? msg?.secret;
+    const bodyTs  = msg?.auth_ts;
+    const bodySig = msg?.auth_sig;
+    if (msg && typeof msg === 'object') for (const f of AUTH_FIELDS) delete msg[f];
+
+    if (allow.size && !allow.has(ip)) return fail(403, 'ip_not_allowed', { ip });
+
+    // ---- shared / per-strategy secret ----
+    // A strategy with its own secret must use it; anything else falls back to the
+    // shared WEBHOOK_TOKEN, and without one only the listed strategies get in.
+    const hasOwnSecret = !!strategy && Object.prototype.hasOwnProperty.call(strategySecrets, strategy);
+    if (Object.keys(strategySecrets).length && !hasOwnSecret && !token) {
+      return fail(403, strategy ? 'unknown_strategy' : 'missing_strategy', { ip, strategy });
+    }
+    const expected = hasOwnSecret ? strategySecrets[strategy] : token;
+    let method = 'none';
+    if (expected) {
+      const presented = (typeof bodySecret !== 'undefined') ? bodySecret : req.headers['x-webhook-token'];
+      if (typeof presented === 'undefined' || presented === '') return fail(401, 'missing_token', { ip, strategy });
+      if (!safeEqual(presented, expected)) return fail(401, 'bad_token', { ip, strategy });
+      method = (typeof bodySecret !== 'undefined') ? 'body_token' : 'header_token';
+    }
+
+    // ---- HMAC ----
+    const hdrSig = req.headers['x-relay-signature'];
+    const hdrTs  = req.headers['x-relay-timestamp'];
+    const sig = bodySig || hdrSig;
+    const ts  = bodySig ? bodyTs : hdrTs;
+
+    if (hmacSecret && (sig || hmacRequired)) {
+      if (!sig || typeof ts === 'undefined') return fail(401, 'missing_signature', { ip, strategy });
+      const tsNum = Number(ts);
+      if (!Number.isFinite(tsNum)) return fail(401, 'bad_timestamp', { ip, strategy });
+      const tsSec = tsNum > 1e12 ? Math.floor(tsNum / 1000) : tsNum; // accept ms or s
+      const skew = Math.abs(Math.floor(Date.now() / 1000) - tsSec);
+      if (skew > hmacWindowSec) return fail(401, 'timestamp_outside_window', { ip, strategy, skew_sec: skew, window_sec: hmacWindowSec });
+
+      const signed = bodySig ? `${ts}.${canonicalJson(msg)}` : `${ts}.${req.rawBody || ''}`;
+      if (!safeEqual(String(sig).toLowerCase(), hmacHex(hmacSecret, signed))) return fail(401, 'bad_signature', { ip, strategy });
+      if (usedSigs.has(sig)) return fail(401, 'replayed_signature', { ip, strategy });
+      rememberSig(sig);
+      method = method === 'none' ? 'hmac' : `${method}+hmac`;
+    }
+
+    return { ok: true, status: 200, strategy, ip, method };
+  }
+
+  return { verify, allowlist: Array.from(allow) };
+}
+
+module.exports = { createWebhookAuth, canonicalJson, safeEqual, clientIp, TRADINGVIEW_IPS };
@@ -7,6 +7,7 @@
 //   4) waits for live position before placing protection
 //   5) cancels only old protective orders before replacing SL/trailing
 //   6) TP ladder now places ONE-BY-ONE via /v2/orders (not /v2/orders/batch)
+//      (batch is back since the BATCHED TP LADDER patch, with one-by-one retry)
 //   7) cancels old TP/protective orders before placing fresh TP ladder
 //   8) CLOSE_SL — candle-close confirmed SL (software SL from Pine)
 //
@@ -61,6 +62,187 @@
 //          third time inside the LAYER4 clamp. Cuts several seconds of latency
 //          off every SL tighten, which is exactly when seconds matter.
 //
+// ★ PATCH 2026-10-19: DURABLE STATE
+//   CHAIN, SEEN, SIG_STATE, ABORTED_SIGS, LAST_ENTRY_SENT, LAST_SIDE and
+//   LOT_MULT_CACHE are now write-through to lib/state-store.js (file journal by
+//   default, STATE_STORE/STATE_DIR) and reloaded on boot. Root cause: Cloud Run
+//   recycled the instance between ENTER and BATCH_TPS → blank chain, TP ladder
+//   never placed. TTLs still come from the timestamps stored in each value.
+//   The store is only as durable as STATE_DIR: on Cloud Run that must be a
+//   mounted volume (boot warns when it is left at the /tmp default). Journal
+//   writes are buffered and flushed asynchronously, and synchronously on SIGTERM.
+//
+// ★ PATCH 2026-10-19: DRY_RUN / SIMULATOR
+//   DRY_RUN=true or DELTA_BASE=sim routes every dcall() to lib/delta-sim.js, an
+//   in-process matching engine (market/limit/stop/trail, reduce-only, Delta error
+//   codes incl. immediate_execution_stop_order). Rehearse CANCAL→ENTER→BATCH_TPS,
+//   ratchets and the breach fallback without real money; drive price via /sim/mark.
+//
+// ★ PATCH 2026-10-19: STARTUP RECONCILIATION
+//   reconcileExchangeState() runs on boot (RECONCILE_ON_BOOT) and on POST /reconcile
+//   (ADMIN_TOKEN): lists live positions/orders, rebuilds LAST_ENTRY_SENT/LAST_SIDE
+//   where missing, and reports naked positions, TP ladders larger than the
+//   position and orphan orders on flat symbols. GET /reconcile serves the last
+//   report without calling Delta; POST /reconcile?dry_run=1 reports what would
+//   be rebuilt and changes nothing, pages no one.
+//
+// ★ PATCH 2026-10-19: NAKED-POSITION WATCHDOG
+//   If no PRT_ stop exists WATCHDOG_GRACE_MS after entry (dropped alert, Pine bug,
+//   dedup), an emergency stop at WATCHDOG_STOP_PCT / WATCHDOG_STOP_ATR_MULT from
+//   entry_price is placed via placeSLIntent() on the protective queue.
+//
+// ★ PATCH 2026-10-19: WEBHOOK AUTH
+//   TradingView can't send x-webhook-token, so /tv now also accepts the secret in
+//   the JSON body (token/webhook_token/secret, stripped before processing), per-
+//   strategy secrets, optional HMAC with a replay window, and an IP allowlist
+//   (caller IP = WEBHOOK_TRUSTED_PROXIES hops from the right of X-Forwarded-For).
+//   Rejections are 401 (credentials) / 403 (IP, strategy) with the reason logged.
+//
+// ★ PATCH 2026-10-19: PAYLOAD SCHEMAS
+//   Every action is checked against lib/payload-schema.js in /tv before the 200:
+//   missing/mistyped fields → 422 + entry in /debug/rejections (admin only — it holds
+//   raw payloads); unknown fields are warnings (with a "did you mean" hint).
+//   Numbers use the same rules as parseNum().
+//
+// ★ PATCH 2026-10-19: TRADE JOURNAL + /audit
+//   lib/trade-journal.js appends every inbound webhook, dcall() request/response
+//   (credentials redacted), chain transition and processWebhook result as NDJSON,
+//   tagged with sig_id/symbol via lib/context.js. Query: /audit?sig_id=&symbol=&from=&to=
+//   (ADMIN_TOKEN; entries are redacted like log lines)
+//
+// ★ PATCH 2026-10-19: REALIZED PnL FROM FILLS
+//   Orders are attributed to sig_id + leg when placed; /v2/fills is polled
+//   (PNL_POLL_MS) into per-signal trades: realized PnL, fees, entry slippage vs
+//   Pine's entry, and which leg closed it. GET /pnl rolls up by symbol and day;
+//   ?refresh=1 polls Delta first and needs the admin token. Closed trades are
+//   kept PNL_RETENTION_DAYS local days, at most PNL_MAX_TRADES of them.
+//
+// ★ PATCH 2026-10-19: NOTIFICATIONS
+//   SL/trail breach, drift abort, all-TPs-rejected, require_flat timeout,
+//   MANUAL ATTENTION, watchdog stops and reconcile issues now page out through
+//   lib/notifier.js (webhook / Telegram / Discord / Slack sinks, per-severity,
+//   rate-limited, templated). Config: NOTIFY_* env. Stats: /debug/notify
+//
+// ★ PATCH 2026-10-19: MULTI-ACCOUNT FAN-OUT
+//   ACCOUNTS (JSON) adds named Delta accounts next to the DELTA_API_KEY one;
+//   every webhook runs once per enabled account with its own credentials,
+//   queues, chain/entry state (keys prefixed '@<name>:') and sizing
+//   (size_mult or amount_inr/amount_usd override, TP ladder scaled to match).
+//   /reconcile, /pnl, /debug/watchdog report per account. See lib/accounts.js
+//
+// ★ PATCH 2026-10-19: EXCHANGE ADAPTERS
+//   Delta paths, signing, response shapes and the trail_amount sign rule moved
+//   behind lib/exchanges.js adapters (delta_india, delta_global). The chain and
+//   protection code calls currentExchange(); dcall() is transport only. Venue is
+//   picked per message ("exchange"), per account (ACCOUNTS[].exchange) or EXCHANGE.
+//
+// ★ PATCH 2026-10-19: RISK ENGINE
+//   ENTER is gated by lib/risk-engine.js just before the market order: max open
+//   positions, max notional per symbol / total, max daily realized loss and loss
+//   streak (from fills), max leverage. Violations return risk_blocked with the
+//   rule + reason and abort the signal. Config: RISK_* env, ACCOUNTS[].risk.
+//   Fails closed (rule risk_check_failed when exposure can't be read); entries
+//   in flight are reserved so concurrent entries on other symbols add up.
+//   GET /debug/risk shows limits and the last check; ?snapshot=1 reads live
+//   exposure from Delta and needs the admin token.
+//
+// ★ PATCH 2026-10-19: ADMIN API
+//   /admin/* behind ADMIN_TOKEN: pause/resume entries, flatten a symbol or
+//   everything, cancel relay-owned orders only, and a kill switch that refuses
+//   every order-placing call (webhooks, watchdog, dcall POSTs) until /admin/rearm.
+//   Switch state is persisted and shown in /health.
+//
+// ★ PATCH 2026-10-19: TRADING SCHEDULE
+//   TRADING_SCHEDULE blackout windows (weekly or one-off, IST/UTC/offset aware,
+//   per symbol or strategy) refuse ENTER with schedule_blackout; protective
+//   actions are untouched. flatten:true windows auto-close positions as they
+//   open. See lib/trading-schedule.js and /debug/schedule.
+//
+// ★ PATCH 2026-10-19: LIMIT / POST-ONLY ENTRIES
+//   ENTER accepts entry_type market | limit | post_only (default ENTRY_TYPE).
+//   Limit entries rest at best bid/ask (or limit_price / Pine's entry), chase
+//   ENTRY_CHASE_MAX times, then fall back to market. didEnter is set only after
+//   the entry filled (partial fills carry on with the filled size).
+//
+// ★ PATCH 2026-10-19: SLICED EXECUTION
+//   Market entries and closes can be worked as child orders (lib/slicer.js):
+//   max lots per child, max share of visible book depth, N slices / interval /
+//   duration. Parents may exceed MAX_LOTS_PER_ORDER. Entries stop adding on
+//   adverse drift; progress per parent sig_id is in /debug/slices and the
+//   aggregated entry price feeds the TP recalculation. Config: SLICE_* env.
+//
+// ★ PATCH 2026-10-19: BRACKET ENTRIES
+//   ENTER may carry bracket_stop_loss_price / bracket_take_profit_price (and the
+//   limit / trail variants): the stop and first TP ride on the entry order, so
+//   the position is never naked. PLACE_SL_INTENT moves the bracket SL
+//   (PUT /v2/orders/bracket) instead of adding a second stop; bracket legs count
+//   as protective / TP orders everywhere else.
+//
+// ★ PATCH 2026-10-19: BATCHED TP LADDER
+//   placeBatch() sends the ladder through /v2/orders/batch again (chunks of
+//   TP_BATCH_MAX), reads the per-order rows, and retries only the legs that
+//   failed one-by-one. The result carries mode (batch | batch+single |
+//   single_orders) and timing. TP_BATCH_ENABLED=false restores one-by-one only.
+//
+// ★ PATCH 2026-10-19: OCO MONITOR
+//   Resting TPs and the stop are separate orders on Delta, so a stop-out left
+//   the reduce-only ladder open and a final TP left the PRT_ stop. A monitor now
+//   watches symbols with relay orders; once the position is flat it cancels what
+//   is left, records which leg closed the trade, and clears that sig's chain.
+//   Config: OCO_* env. Recent events: /debug/oco
+//   (fix) Positions are read strictly and a symbol must read flat on
+//   OCO_FLAT_PASSES (2) consecutive passes: an errored read used to come back as
+//   [] and cancel every stop on the account as "flat".
+//
+// ★ PATCH 2026-10-19: PRIVATE WS FEED
+//   The flat / position waits, isFlatNow* and the entry drift guard polled REST
+//   every few hundred ms. Each account now keeps an authenticated Delta socket
+//   (lib/delta-ws.js) mirroring open orders, positions and fills; those checks
+//   read the mirror and wake on its updates, and fall back to REST polling
+//   whenever the feed isn't live. Sim mode serves the socket at /sim/ws.
+//   Config: PRIVATE_WS_* env. Feed status: /debug/ws
+//   (fix) The mirror kept only open / pending orders while the flat checks
+//   also count untriggered / triggered stops; both now use LIVE_ORDER_STATES.
+//
+// ★ PATCH 2026-10-19: MARKET DATA CACHE
+//   getTickerPriceUSD() hit REST /v2/tickers on every sizing / trail / unit
+//   check, and quotes / books did the same. A public socket per exchange
+//   (lib/market-data.js) now streams mark, last trade and the L2 book for
+//   symbols we hold or looked up recently; those reads use it while it is
+//   fresh (MARKET_DATA_STALE_MS) and go to REST otherwise.
+//   Config: MARKET_DATA_* env. Cache contents + ages: /debug/market
+//
+// ★ PATCH 2026-10-19: RATE-LIMIT BUDGET
+//   dcall() retried 429s after a fixed 300ms×attempt and nothing coordinated
+//   the per-symbol queues, so an alert burst could exhaust Delta's quota right
+//   when a stop had to go in. Every call now waits on a per-account token bucket
+//   (lib/rate-limiter.js) weighted by endpoint cost; stops / brackets / market
+//   closes go first and may use a reserve the rest can't touch. Rate-limit
+//   headers sync the bucket and a 429 pauses it until the reset.
+//   Config: RATE_LIMIT_* env. Budget usage: /debug/ratelimit
+//
+// ★ PATCH 2026-10-19: EXCHANGE CLOCK SKEW
+//   Signatures used the container clock, so a drifting clock got every signed
+//   request refused (expired_signature) — no entries and no stops. The offset
+//   to the exchange clock is now measured from reply Date headers (at boot,
+//   every CLOCK_SYNC_INTERVAL_MS and on every call) and added to signature
+//   timestamps; an expired_signature reply resyncs from that reply and the call
+//   is retried once. Measured skew is in /health.
+//
+// ★ PATCH 2026-10-19: PROMETHEUS METRICS
+//   GET /metrics (text format, lib/metrics.js): webhooks per action, webhook
+//   outcomes, receipt→entry and receipt→stop latency, dcall latency / errors
+//   by path and Delta error code, queue depth per key, CHAIN / SEEN sizes,
+//   breach fallbacks, TP validation skips and drift aborts.
+//
+// ★ PATCH 2026-10-19: STRUCTURED LOGS
+//   Logs were emoji console strings mixed with objects. Every log call now goes
+//   through lib/logger.js: one JSON line per event (severity, event, message)
+//   carrying corr_id — minted per /tv alert (or taken from X-Request-Id) and
+//   carried by the async context through enqueue(), processWebhook() and each
+//   dcall() — plus sig_id, symbol, action, seq, queue and account. Credential
+//   keys and secret values are redacted. Config: LOG_LEVEL, LOG_FORMAT.
+//
 // STRICT sequencing remains ONLY for:
 //   CANCAL(seq0) -> ENTER(seq1) -> BATCH_TPS(seq2)
 //
@@ -70,23 +252,36 @@ require('dotenv').config();
 const express = require('express');
 const crypto  = require('crypto');
 const fetch   = global.fetch; // Node 18+
+const { createStateStore, DEFAULT_STATE_DIR } = require('./lib/state-store');
+const { createDeltaSim, createSimRouter, attachSimSocket } = require('./lib/delta-sim');
+const { createPrivateFeed, isLiveOrder } = require('./lib/delta-ws');
+const { createMarketData } = require('./lib/market-data');
+const { createRateLimiter } = require('./lib/rate-limiter');
+const { createMetrics } = require('./lib/metrics');
+const { createWebhookAuth } = require('./lib/webhook-auth');
+const { nnum, parseNum } = require('./lib/num');
+const { validatePayload } = require('./lib/payload-schema');
+const { runWithContext, currentContext } = require('./lib/context');
+const { log } = require('./lib/logger');
+const { createTradeJournal } = require('./lib/trade-journal');
+const { createPnlTracker, legFromClientOrderId } = require('./lib/pnl-tracker');
+const { createNotifier } = require('./lib/notifier');
+const { DEFAULT_ACCOUNT, parseAccounts, currentAccountName, accountKey, splitAccountKey, accountScoped, accountMessage } = require('./lib/accounts');
+const { createExchanges } = require('./lib/exchanges');
+const { evaluate: evaluateRisk, normalizeLimits } = require('./lib/risk-engine');
+const { createAdminControls } = require('./lib/admin-controls');
+const { createTradingSchedule } = require('./lib/trading-schedule');
+const { normalizeSpec: normalizeSliceSpec, splits: sliceSplits, bookDepth, nextChildSize, childDelayMs, adverseDriftPct, aggregate: aggregateSlices } = require('./lib/slicer');
+
+// ---------- logging (lib/logger.js) ----------
+// One JSON line per event, tagged with the webhook context (corr_id, sig_id,
+// symbol, action, seq, queue, account). LOG_LEVEL: debug | info | warn | error
+// | silent. LOG_FORMAT=pretty for a readable line when running locally.
+log.configure({ level: process.env.LOG_LEVEL || 'info', format: process.env.LOG_FORMAT || 'json' });
 
 // -------------------- utils --------------------
-function nowTsSec(){ return Math.floor(Date.now()/1000).toString(); }
 function sleep(ms){ return new Promise(r=>setTimeout(r,ms)); }
 function clamp(n,min,max){ return Math.min(Math.max(n,min),max); }
-function nnum(x, d=0){ const n = Number(x); return Number.isFinite(n) ? n : d; }
-
-// ✅ robust numeric parser (supports "10 ARC", "0.1 LINK", "100 H", etc.)
-function parseNum(v){
-  if (v === null || typeof v === 'undefined') return null;
-  if (typeof v === 'number' && Number.isFinite(v)) return v;
-  const s = String(v).trim();
-  const m = s.match(/-?\d+(\.\d+)?/);
-  if (!m) return null;
-  const n = Number(m[0]);
-  return Number.isFinite(n) ? n : null;
-}
 
 function toProductSymbol(sym){
   if(!sym) return sym;
@@ -102,30 +297,89 @@ function sigKey(sigId, psym){ return `${String(sigId||'')}|${safeUpper(psym||'')
 function oppositeSide(side){ return (String(side||'').toLowerCase()==='buy') ? 'sell' : 'buy'; }
 
 // ---------- protection helpers ----------
+// Queue keys are per account (lib/accounts.js) — accounts never wait on each other.
 function protectiveKey(psym){
-  return `PROTECT:${safeUpper(toProductSymbol(psym || ''))}`;
+  return accountKey(`PROTECT:${safeUpper(toProductSymbol(psym || ''))}`);
+}
+function symbolKey(psym){
+  return accountKey(`SYM:${safeUpper(psym)}`);
 }
 
 // ---------- queue (serializes webhook execution) ----------
+// The job runs in the caller's context (corr_id, sig_id, ...) plus its queue key.
 const QUEUE = new Map(); // key -> Promise chain
+const QUEUE_DEPTH = new Map(); // key -> jobs waiting or running
 function enqueue(key, fn) {
+  const depth0 = QUEUE_DEPTH.get(key) || 0;
+  QUEUE_DEPTH.set(key, depth0 + 1);
+  const queuedAt = Date.now();
   const prev = QUEUE.get(key) || Promise.resolve();
   const next = prev
     .catch(() => {})
-    .then(fn)
+    .then(() => runWithContext({ queue: key }, () => {
+      if (depth0) log.debug('queue_start', `queue ${key}: started after ${Date.now() - queuedAt}ms behind ${depth0} job(s)`, { waited_ms: Date.now() - queuedAt, ahead: depth0 });
+      return fn();
+    }))
     .finally(() => {
+      const depth = (QUEUE_DEPTH.get(key) || 1) - 1;
+      if (depth > 0) QUEUE_DEPTH.set(key, depth); else QUEUE_DEPTH.delete(key);
       if (QUEUE.get(key) === next) QUEUE.delete(key);
     });
   QUEUE.set(key, next);
   return next;
 }
 
+// -------------------- metrics (GET /metrics, lib/metrics.js) --------------------
+// Gauges over state maps read them at scrape time (see the collectors below).
+const METRICS = createMetrics();
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 30, 60, 120];
+const M = {
+  webhooks:     METRICS.counter('relay_webhooks_total', 'Webhooks received on /tv by action and status (accepted, unauthorized, invalid_payload, parse_error)', ['action', 'status']),
+  outcomes:     METRICS.counter('relay_webhook_outcomes_total', 'processWebhook results by action and outcome (done, queued, ignored, error, dedup), one per account', ['action', 'outcome']),
+  entryLatency: METRICS.histogram('relay_entry_latency_seconds', 'Webhook receipt to entry filled / confirmed', [], LATENCY_BUCKETS),
+  stopLatency:  METRICS.histogram('relay_stop_latency_seconds', 'Webhook receipt to stop (or trail) placed', ['action'], LATENCY_BUCKETS),
+  dcallSeconds: METRICS.histogram('relay_dcall_duration_seconds', 'Exchange REST call duration per attempt', ['method', 'path']),
+  dcallErrors:  METRICS.counter('relay_dcall_errors_total', 'Failed exchange REST attempts by path and error code (HTTP status when there is none, network for transport errors)', ['method', 'path', 'code']),
+  breaches:     METRICS.counter('relay_breach_fallbacks_total', 'Stops / trails rejected as already breached, by kind and what was done', ['kind', 'fallback']),
+  tpSkips:      METRICS.counter('relay_tp_validation_skips_total', 'TP legs dropped by validation, by reason', ['reason']),
+  driftAborts:  METRICS.counter('relay_drift_aborts_total', 'Entries stopped for adverse fill drift (entry = drift guard close, slice = sliced execution)', ['kind', 'action'])
+};
+METRICS.gauge('relay_queue_depth', 'Jobs waiting or running per queue key', ['key'],
+  () => Array.from(QUEUE_DEPTH, ([key, value]) => ({ labels: { key }, value })));
+// Per-account sizes of an accountScoped() state map.
+const sizeByAccount = coll => {
+  const n = {};
+  for (const k of coll.raw.keys()) { const a = splitAccountKey(k).account; n[a] = (n[a] || 0) + 1; }
+  return Object.entries(n).map(([account, value]) => ({ labels: { account }, value }));
+};
+METRICS.gauge('relay_chain_size', 'Signal chains held (CHAIN) per account', ['account'], () => sizeByAccount(CHAIN));
+METRICS.gauge('relay_seen_size', 'Dedup keys held (SEEN) per account', ['account'], () => sizeByAccount(SEEN));
+METRICS.gauge('relay_start_time_seconds', 'Process start, unix seconds', [], () => [{ value: Math.floor(Date.parse(process.env.__STARTED_AT) / 1000) }]);
+
+// /v2/orders/12345 → /v2/orders/:id so order ids don't become series.
+function metricPath(path){ return String(path).replace(/\/\d+(?=\/|$)/g, '/:id'); }
+
+function webhookOutcome(r){
+  if (r?.dedup) return 'dedup';
+  if (r?.queued) return 'queued';
+  if (r?.ok === false || r?.error) return 'error';
+  if (r?.ignored || r?.skipped) return 'ignored';
+  return 'done';
+}
+
+// Seconds since the /tv request that started this job (null outside one).
+function sinceReceipt(){
+  const t = currentContext().received_at;
+  return t ? (Date.now() - t) / 1000 : null;
+}
+
 // -------------------- app --------------------
 const app = express();
 process.env.__STARTED_AT = new Date().toISOString();
 
 // ---------- parsing ----------
-app.use(express.json({ type: '*/*' }));
+// rawBody is kept for header-HMAC verification of /tv (lib/webhook-auth.js)
+app.use(express.json({ type: '*/*', verify: (req, _res, buf) => { req.rawBody = buf.toString('utf8'); } }));
 app.use(express.urlencoded({ extended: true }));
 app.use((req, _res, next) => {
   if (typeof req.body === 'string') {
@@ -145,15 +399,115 @@ app.use((req, _res, next) => {
 // ---------- env / auth ----------
 const API_KEY       = process.env.DELTA_API_KEY || '';
 const API_SECRET    = process.env.DELTA_API_SECRET || '';
-const BASE_URL      = (process.env.DELTA_BASE || process.env.DELTA_BASE_URL || 'https://api.india.delta.exchange').replace(/\/+$/,'');
+
+// DRY_RUN=true or DELTA_BASE=sim → every dcall() goes to the in-process simulator
+// (lib/delta-sim.js) instead of the exchange. Marks are scripted via POST /sim/mark.
+const SIM_MODE = String(process.env.DRY_RUN || 'false').toLowerCase() === 'true'
+  || String(process.env.DELTA_BASE || '').toLowerCase() === 'sim';
+const DELTA_SIM = SIM_MODE ? createDeltaSim({
+  products:    process.env.SIM_PRODUCTS ? JSON.parse(process.env.SIM_PRODUCTS) : undefined,
+  slippageBps: nnum(process.env.SIM_SLIPPAGE_BPS, 0),
+  spreadBps:   nnum(process.env.SIM_SPREAD_BPS, 4),
+  takerFeeBps: nnum(process.env.SIM_TAKER_FEE_BPS, 5),
+  makerFeeBps: nnum(process.env.SIM_MAKER_FEE_BPS, 2),
+  accountHeader: process.env.DELTA_HDR_API_KEY || 'api-key',
+  depthLots:   nnum(process.env.SIM_BOOK_DEPTH_LOTS, 0),
+  levelBps:    nnum(process.env.SIM_BOOK_LEVEL_BPS, 2),
+  batchMax:    nnum(process.env.SIM_BATCH_MAX, 50),
+  rateQuota:   nnum(process.env.SIM_RATE_QUOTA, 0),
+  rateWindowMs: nnum(process.env.SIM_RATE_WINDOW_MS, 300_000),
+  clockSkewMs: nnum(process.env.SIM_CLOCK_SKEW_MS, 0),
+  timestampHeader: process.env.DELTA_HDR_TS || 'timestamp'
+}) : null;
+
 const WEBHOOK_TOKEN = process.env.WEBHOOK_TOKEN || '';
 const PORT          = process.env.PORT || 3000;
 
 const AUTH_MODE     = (process.env.DELTA_AUTH || 'hmac').toLowerCase();
+
+// ---------- accounts (copy-trading fan-out, lib/accounts.js) ----------
+// DELTA_API_KEY/SECRET is the 'default' account; ACCOUNTS (JSON) adds more.
+// Each enabled account runs every webhook in its own context: own credentials,
+// queues, chain state and sizing. The simulator keeps one book per api key.
+const ACCOUNTS = parseAccounts(process.env.ACCOUNTS, { apiKey: API_KEY, apiSecret: API_SECRET });
+if (SIM_MODE) for (const a of ACCOUNTS.values()) if (!a.api_key) a.api_key = `sim-${a.name}`;
+
+function enabledAccounts(){ return Array.from(ACCOUNTS.values()).filter(a => a.enabled); }
+function currentAccount(){ return ACCOUNTS.get(currentAccountName()) || ACCOUNTS.get(DEFAULT_ACCOUNT); }
+function isMultiAccount(){ return enabledAccounts().length > 1 || !ACCOUNTS.get(DEFAULT_ACCOUNT).enabled; }
+
+// Run fn once per enabled account (inside its context). A single default
+// account returns fn's result unchanged; otherwise { accounts: { name: result } }.
+async function forEachAccount(fn){
+  if (!isMultiAccount()) return fn(ACCOUNTS.get(DEFAULT_ACCOUNT));
+  const accounts = {};
+  for (const a of enabledAccounts()) {
+    try { accounts[a.name] = await runWithContext({ account: a.name }, () => fn(a)); }
+    catch (e) { accounts[a.name] = { ok:false, error: String(e?.message || e) }; }
+  }
+  return { accounts };
+}
+// ' @name' for log lines when more than one account is trading.
+function acctTag(){ return isMultiAccount() ? ` @${currentAccountName()}` : ''; }
 const HDR_API_KEY   = process.env.DELTA_HDR_API_KEY || 'api-key';
 const HDR_SIG       = process.env.DELTA_HDR_SIG     || 'signature';
 const HDR_TS        = process.env.DELTA_HDR_TS      || 'timestamp';
 
+// ---------- exchanges (lib/exchanges.js) ----------
+// Venue-specific paths, signing, response shapes and quirks live in adapters;
+// everything below talks to currentExchange(). Picked per message ("exchange"),
+// else per account (ACCOUNTS[].exchange), else EXCHANGE (default delta_india).
+// Watchdog / reconcile / PnL loops use the account's exchange.
+function exchangeOverride(base, trailSign, wsUrl){
+  const o = {};
+  if (base) o.baseUrl = base;
+  if (trailSign) o.trailSign = trailSign;
+  if (wsUrl) o.wsUrl = wsUrl;
+  return o;
+}
+const EXCHANGES = createExchanges({
+  request: (ex, method, path, payload, query) => dcall(method, path, payload, query, ex),
+  authMode: AUTH_MODE,
+  headerNames: { apiKey: HDR_API_KEY, sig: HDR_SIG, ts: HDR_TS },
+  costs: process.env.RATE_LIMIT_COSTS ? JSON.parse(process.env.RATE_LIMIT_COSTS) : undefined,
+  overrides: {
+    delta_india:  exchangeOverride(SIM_MODE ? 'sim://delta' : (process.env.DELTA_BASE || process.env.DELTA_BASE_URL), process.env.DELTA_INDIA_TRAIL_SIGN,
+                                   SIM_MODE ? `ws://127.0.0.1:${PORT}/sim/ws` : process.env.DELTA_WS_URL),
+    delta_global: exchangeOverride(SIM_MODE ? 'sim://delta-global' : process.env.DELTA_GLOBAL_BASE, process.env.DELTA_GLOBAL_TRAIL_SIGN,
+                                   SIM_MODE ? `ws://127.0.0.1:${PORT}/sim/ws` : process.env.DELTA_GLOBAL_WS_URL)
+  }
+});
+const DEFAULT_EXCHANGE = String(process.env.EXCHANGE || 'delta_india').toLowerCase();
+if (!EXCHANGES.has(DEFAULT_EXCHANGE)) throw new Error(`EXCHANGE: unknown exchange "${DEFAULT_EXCHANGE}" (known: ${Array.from(EXCHANGES.keys()).join(', ')})`);
+for (const a of ACCOUNTS.values()) {
+  if (a.exchange && !EXCHANGES.has(a.exchange)) throw new Error(`ACCOUNTS: unknown exchange "${a.exchange}" for "${a.name}"`);
+}
+
+function currentExchange(){
+  return EXCHANGES.get(currentContext().exchange || currentAccount().exchange || DEFAULT_EXCHANGE);
+}
+
+// ---------- webhook auth (/tv) ----------
+// Secret in the body (TradingView can't send headers), optional HMAC + timestamp
+// window, per-strategy secrets, and an IP allowlist ('tradingview' = TV's IPs).
+const WEBHOOK_AUTH = createWebhookAuth({
+  token:           WEBHOOK_TOKEN,
+  strategySecrets: process.env.WEBHOOK_STRATEGY_SECRETS ? JSON.parse(process.env.WEBHOOK_STRATEGY_SECRETS) : {},
+  hmacSecret:      process.env.WEBHOOK_HMAC_SECRET || '',
+  hmacRequired:    String(process.env.WEBHOOK_HMAC_REQUIRED || 'false').toLowerCase() === 'true',
+  hmacWindowSec:   nnum(process.env.WEBHOOK_HMAC_WINDOW_SEC, 300),
+  ipAllowlist:     process.env.WEBHOOK_IP_ALLOWLIST || '',
+  trustedProxies:  nnum(process.env.WEBHOOK_TRUSTED_PROXIES, 1)
+});
+
+// Credentials never reach the logs, even inside messages or error strings.
+log.configure({ secrets: [
+  WEBHOOK_TOKEN,
+  process.env.WEBHOOK_HMAC_SECRET || '',
+  ...Object.values(process.env.WEBHOOK_STRATEGY_SECRETS ? JSON.parse(process.env.WEBHOOK_STRATEGY_SECRETS) : {}),
+  ...Array.from(ACCOUNTS.values(), a => a.api_secret || '')
+] });
+
 // Amount-based sizing defaults
 const DEFAULT_LEVERAGE   = nnum(process.env.DEFAULT_LEVERAGE, 10);
 const FX_INR_FALLBACK    = nnum(process.env.FX_INR_FALLBACK, 85);
@@ -196,8 +550,71 @@ const MIN_TP_DISTANCE_PCT = nnum(process.env.MIN_TP_DISTANCE_PCT, 0.15);
 //   'skip'            → keep old protection, just log loudly (NOT recommended)
 const SL_BREACH_ACTION = String(process.env.SL_BREACH_ACTION || 'close').toLowerCase();
 
+// ---------- durable state ----------
+// All relay memory below (SEEN, SIG_STATE, CHAIN, LOT_MULT_CACHE, LAST_SIDE,
+// ABORTED_SIGS, LAST_ENTRY_SENT) is write-through to this store and reloaded on
+// boot. STATE_STORE='file' (default) journals to STATE_DIR — on Cloud Run point
+// STATE_DIR at a mounted volume (GCS FUSE / Filestore): /tmp is in-memory and
+// per-instance, so the default only survives a process restart, not a recycle.
+const STATE_STORE = createStateStore({
+  driver: process.env.STATE_STORE || 'file',
+  dir: process.env.STATE_DIR || DEFAULT_STATE_DIR,
+  compactEvery: nnum(process.env.STATE_COMPACT_EVERY, 5000),
+  flushMs: nnum(process.env.STATE_FLUSH_MS, 25)
+});
+if (STATE_STORE.driver === 'file' && !process.env.STATE_DIR) {
+  const note = `STATE_DIR not set — state journals to ${DEFAULT_STATE_DIR}, which does NOT survive an instance recycle. Mount a volume and set STATE_DIR (or use another STATE_STORE driver).`;
+  // K_SERVICE is set on Cloud Run, where this is the exact failure the store exists for.
+  if (process.env.K_SERVICE) log.error('state_dir_ephemeral', `🚨 ${note}`, { dir: DEFAULT_STATE_DIR });
+  else log.warn('state_dir_ephemeral', `⚠ ${note}`, { dir: DEFAULT_STATE_DIR });
+}
+
+// ---------- trade journal (GET /audit, admin only) ----------
+// Append-only NDJSON of webhooks, dcall() traffic, chain transitions and results.
+// GET responses are summarized unless JOURNAL_FULL_READS=true (flat-waits poll a lot).
+const JOURNAL = createTradeJournal({
+  dir: process.env.JOURNAL_DIR || '/tmp/tv-relay-journal',
+  enabled: String(process.env.JOURNAL_ENABLED || 'true').toLowerCase() !== 'false',
+  retentionDays: nnum(process.env.JOURNAL_RETENTION_DAYS, 30)
+});
+const JOURNAL_FULL_READS = String(process.env.JOURNAL_FULL_READS || 'false').toLowerCase() === 'true';
+
+// ---------- notifications (lib/notifier.js) ----------
+// Sinks come from NOTIFY_SINKS (JSON array of { type, url | bot_token+chat_id,
+// min_severity, events }) plus one-line shortcuts for the common cases.
+// NOTIFY_TEMPLATES / NOTIFY_SEVERITIES (JSON, keyed by event) override defaults.
+function notifySinksFromEnv(){
+  const sinks = process.env.NOTIFY_SINKS ? JSON.parse(process.env.NOTIFY_SINKS) : [];
+  if (process.env.NOTIFY_WEBHOOK_URL) sinks.push({ type:'webhook', url: process.env.NOTIFY_WEBHOOK_URL });
+  if (process.env.NOTIFY_TELEGRAM_BOT_TOKEN) sinks.push({ type:'telegram', bot_token: process.env.NOTIFY_TELEGRAM_BOT_TOKEN, chat_id: process.env.NOTIFY_TELEGRAM_CHAT_ID });
+  if (process.env.NOTIFY_DISCORD_WEBHOOK_URL) sinks.push({ type:'discord', url: process.env.NOTIFY_DISCORD_WEBHOOK_URL });
+  if (process.env.NOTIFY_SLACK_WEBHOOK_URL) sinks.push({ type:'slack', url: process.env.NOTIFY_SLACK_WEBHOOK_URL });
+  return sinks;
+}
+
+const NOTIFIER = createNotifier({
+  sinks:       notifySinksFromEnv(),
+  templates:   process.env.NOTIFY_TEMPLATES ? JSON.parse(process.env.NOTIFY_TEMPLATES) : {},
+  severities:  process.env.NOTIFY_SEVERITIES ? JSON.parse(process.env.NOTIFY_SEVERITIES) : {},
+  minSeverity: String(process.env.NOTIFY_MIN_SEVERITY || 'warn').toLowerCase(),
+  prefix:      (process.env.NOTIFY_PREFIX || '[tv-relay] ') + (SIM_MODE ? '[SIM] ' : ''),
+  ratePerMin:  nnum(process.env.NOTIFY_RATE_PER_MIN, 20),
+  dedupMs:     nnum(process.env.NOTIFY_DEDUP_MS, 60_000),
+  onSend:      n => JOURNAL.record('notify', { event: n.event, severity: n.severity, text: n.text })
+});
+
+// sig_id / symbol default to the current webhook context. Never throws.
+function notify(event, fields = {}){
+  try {
+    const ctx = currentContext();
+    NOTIFIER.notify(event, { sig_id: ctx.sig_id, symbol: ctx.symbol, account: isMultiAccount() ? currentAccountName() : undefined, ...fields });
+  } catch (e) {
+    log.warn('notify_failed', 'notify failed (non-fatal)', { notify_event: event, err: e });
+  }
+}
+
 // ---------- idempotency ----------
-const SEEN = new Map();
+const SEEN = accountScoped(STATE_STORE.map('SEEN'));
 const SEEN_TTL_MS = 60_000;
 
 function seenKey(msg){
@@ -247,7 +664,7 @@ function rememberSeen(k){
 }
 
 // ---------- STRICT sequence state ----------
-const SIG_STATE = new Map();
+const SIG_STATE = accountScoped(STATE_STORE.map('SIG_STATE'));
 const SIG_STATE_TTL_MS = 10 * 60 * 1000;
 
 function cleanupSigState(){
@@ -265,7 +682,7 @@ function setSigState(sig_id, psym, patch){
 }
 
 // -------------------- CHAIN BUFFER --------------------
-const CHAIN = new Map();
+const CHAIN = accountScoped(STATE_STORE.map('CHAIN'));
 // ✅ FIX 1: Bumped from 2 min to 10 min — entry chains can take 2+ min on slow fills
 const CHAIN_TTL_MS = nnum(process.env.CHAIN_TTL_MS, 10 * 60 * 1000);
 
@@ -305,6 +722,8 @@ function upsertChainMsg(sigId, psym, seq, msg){
   if (seq === 1) c.enterMsg  = msg;
   if (seq === 2) c.batchMsg  = msg;
   c.lastTouch = Date.now();
+  CHAIN.save(sigKey(sigId, psym));
+  JOURNAL.record('chain', { sig_id: sigId, symbol: psym, transition: `received_seq${seq}` });
   return c;
 }
 
@@ -313,7 +732,14 @@ function touchChain(sigId, psym) {
   if (!sigId || !psym) return;
   const k = sigKey(sigId, psym);
   const c = CHAIN.get(k);
-  if (c) c.lastTouch = Date.now();
+  if (c) { c.lastTouch = Date.now(); CHAIN.save(k); }
+}
+
+// Persist in-place flag changes (didCancel/didEnter/...) so a restart resumes the chain.
+function saveChain(sigId, psym, transition) {
+  if (!sigId || !psym) return;
+  CHAIN.save(sigKey(sigId, psym));
+  if (transition) JOURNAL.record('chain', { sig_id: sigId, symbol: psym, transition });
 }
 
 // ✅ FIX 2 helper: peek at chain's didEnter without creating/touching it
@@ -324,56 +750,182 @@ function peekChainDidEnter(sigId, psym) {
   return !!(c && c.didEnter);
 }
 
+// ---------- rate-limit budget (lib/rate-limiter.js) ----------
+// One bucket per account + exchange. Costs come from the adapter
+// (RATE_LIMIT_COSTS JSON overrides { read, write, batch, cancel_all }).
+const RATE_LIMIT_ENABLED     = String(process.env.RATE_LIMIT_ENABLED || 'true').toLowerCase() !== 'false';
+const RATE_LIMIT_QUOTA       = nnum(process.env.RATE_LIMIT_QUOTA, 10_000);
+const RATE_LIMIT_WINDOW_MS   = nnum(process.env.RATE_LIMIT_WINDOW_MS, 300_000);
+const RATE_LIMIT_RESERVE_PCT = nnum(process.env.RATE_LIMIT_RESERVE_PCT, 0.1);
+const RATE_LIMIT_LOG_WAIT_MS = nnum(process.env.RATE_LIMIT_LOG_WAIT_MS, 1000);
+const LIMITERS = new Map();  // `${account}|${exchange}` -> limiter
+
+function rateLimiterFor(ex, acct){
+  const k = `${acct.name}|${ex.name}`;
+  let l = LIMITERS.get(k);
+  if (!l) {
+    l = createRateLimiter({ quota: RATE_LIMIT_QUOTA, windowMs: RATE_LIMIT_WINDOW_MS, reservePct: RATE_LIMIT_RESERVE_PCT });
+    LIMITERS.set(k, l);
+  }
+  return l;
+}
+
+// protective: stops, brackets, reduce-only market closes, close-all
+// tp: reduce-only limits and the batch endpoint (the TP ladder); read: GETs.
+function requestPriority(method, path, payload){
+  if (method === 'GET') return 'read';
+  if (path === '/v2/positions/close_all' || path === '/v2/orders/bracket') return 'protective';
+  if (path === '/v2/orders/batch') return 'tp';
+  if (method === 'POST' && path === '/v2/orders') {
+    if (payload?.stop_order_type || payload?.bracket_stop_loss_price) return 'protective';
+    if (payload?.reduce_only && payload?.order_type === 'market_order') return 'protective';
+    if (payload?.reduce_only && payload?.order_type === 'limit_order') return 'tp';
+  }
+  return 'normal';
+}
+
+// ---------- exchange clock (signature timestamps) ----------
+// Each reply's Date header (1 s resolution, so +500ms) against the request
+// midpoint is one sample of server − local time. The median of the last
+// CLOCK_SAMPLES becomes the adapter's clockOffsetMs once it reaches
+// CLOCK_SKEW_MIN_MS; below that it's header rounding noise and stays 0.
+const CLOCK_SYNC_ENABLED     = String(process.env.CLOCK_SYNC_ENABLED || 'true').toLowerCase() !== 'false';
+const CLOCK_SYNC_INTERVAL_MS = nnum(process.env.CLOCK_SYNC_INTERVAL_MS, 10 * 60_000);
+const CLOCK_SKEW_MIN_MS      = nnum(process.env.CLOCK_SKEW_MIN_MS, 1000);
+const CLOCK_SKEW_WARN_MS     = nnum(process.env.CLOCK_SKEW_WARN_MS, 2000);
+const CLOCK_SAMPLES          = 15;
+const CLOCK = new Map();  // exchange -> { samples, offset_ms, measured_ms, source, synced_at, resyncs }
+
+function clockState(ex){
+  let c = CLOCK.get(ex.name);
+  if (!c) { c = { samples: [], offset_ms: 0, measured_ms: null, source: null, synced_at: null, resyncs: 0 }; CLOCK.set(ex.name, c); }
+  return c;
+}
+
+function applyClockOffset(ex, c, source){
+  const sorted = c.samples.slice().sort((a, b) => a - b);
+  const measured = sorted[Math.floor(sorted.length / 2)];
+  const offset = Math.abs(measured) >= CLOCK_SKEW_MIN_MS ? measured : 0;
+  if (Math.abs(offset - c.offset_ms) >= CLOCK_SKEW_MIN_MS && (Math.abs(offset) >= CLOCK_SKEW_WARN_MS || source === 'expired_signature')) {
+    log.warn('clock_skew', `⏰ clock skew vs ${ex.name}: ${offset >= 0 ? '+' : ''}${offset}ms (${source}) — signing with corrected timestamps`, { exchange: ex.name, offset_ms: offset, source });
+  }
+  Object.assign(c, { measured_ms: measured, offset_ms: offset, source, synced_at: new Date().toISOString() });
+  ex.clockOffsetMs = offset;
+}
+
+function observeServerClock(ex, res, t0, t1){
+  if (!CLOCK_SYNC_ENABLED) return;
+  const d = Date.parse(res?.headers?.get?.('date') || '');
+  if (!Number.isFinite(d)) return;
+  const c = clockState(ex);
+  c.samples.push(Math.round(d + 500 - (t0 + t1) / 2));
+  if (c.samples.length > CLOCK_SAMPLES) c.samples.shift();
+  applyClockOffset(ex, c, 'date_header');
+}
+
+// expired_signature: trust only this reply (its server_time, else its Date header).
+function resyncClock(ex, clockErr, t0, t1){
+  const c = clockState(ex);
+  c.resyncs++;
+  c.samples = clockErr.serverMs ? [Math.round(clockErr.serverMs + 500 - (t0 + t1) / 2)] : c.samples.slice(-1);
+  if (c.samples.length) applyClockOffset(ex, c, 'expired_signature');
+}
+
+function startClockSync(){
+  if (!CLOCK_SYNC_ENABLED) return;
+  const probe = () => forEachAccount(() => currentExchange().ping()).catch(e => log.warn('clock_sync_failed', 'clock sync probe failed (non-fatal)', { err: e }));
+  probe();
+  setInterval(probe, CLOCK_SYNC_INTERVAL_MS);
+}
+
 // ---------- Delta request helper ----------
-async function dcall(method, path, payload=null, query='') {
+// Transport only: the exchange adapter supplies the base URL and auth headers.
+async function dcall(method, path, payload=null, query='', ex = currentExchange()) {
+  // Kill switch: only reads and cancels reach the exchange, except admin flattens.
+  if (ADMIN.isKilled() && method !== 'GET' && method !== 'DELETE' && !currentContext().admin) {
+    throw new Error(`kill switch engaged — ${method} ${path} refused (POST /admin/rearm to re-enable)`);
+  }
   const body = payload ? JSON.stringify(payload) : '';
   const MAX_TRIES = 3;
+  const acct = currentAccount();
+  const limiter = RATE_LIMIT_ENABLED ? rateLimiterFor(ex, acct) : null;
+  const priority = requestPriority(method, path, payload);
+  let resynced = false;
 
   for (let attempt = 1; attempt <= MAX_TRIES; attempt++) {
-    const ts   = nowTsSec();
-    const url  = BASE_URL + path + (query||'');
+    const waited = limiter ? await limiter.acquire(ex.requestCost(method, path), priority) : 0;
+    if (waited >= RATE_LIMIT_LOG_WAIT_MS) log.warn('rate_budget_wait', `⏳ rate budget: ${method} ${path} (${priority}) waited ${waited}ms${acctTag()}`, { method, path, priority, waited_ms: waited });
+    const url  = ex.baseUrl + path + (query||'');
     const headers = {
       'Content-Type':'application/json',
       'Accept':'application/json',
-      'User-Agent':'tv-relay-node'
+      'User-Agent':'tv-relay-node',
+      ...ex.authHeaders({ method, path, query: query || '', body, acct })
     };
 
-    if (AUTH_MODE === 'hmac') {
-      const prehash = method + ts + path + (query||'') + body;
-      const signature = crypto.createHmac('sha256', API_SECRET).update(prehash).digest('hex');
-      headers[HDR_API_KEY] = API_KEY;
-      headers[HDR_SIG]     = signature;
-      headers[HDR_TS]      = ts;
-    } else {
-      headers[HDR_API_KEY] = API_KEY;
-    }
-
+    const t0 = Date.now();
     try {
-      const res  = await fetch(url,{ method, headers, body: body || undefined });
+      const res  = await (DELTA_SIM ? DELTA_SIM.fetch : fetch)(url,{ method, headers, body: body || undefined });
       const text = await res.text(); let json;
       try { json = JSON.parse(text); } catch { json = { raw: text }; }
+      const t1 = Date.now();
+      limiter?.observe({ status: res.status, ...ex.rateLimitInfo(res.headers) });
+      observeServerClock(ex, res, t0, t1);
+      M.dcallSeconds.observe({ method, path: metricPath(path) }, (t1 - t0) / 1000);
+      log.debug('dcall', `${method} ${path} → ${res.status} in ${t1 - t0}ms`, { exchange: ex.name, method, path, attempt, status: res.status, ms: t1 - t0, priority, waited_ms: waited || undefined });
+
+      JOURNAL.record('dcall', {
+        exchange: ex.name, method, path, query: query || undefined, attempt, status: res.status, ms: Date.now() - t0,
+        priority, waited_ms: waited || undefined,
+        request: payload || undefined,
+        response: (method === 'GET' && !JOURNAL_FULL_READS && res.ok) ? summarizeRead(json) : json
+      });
 
       if (!res.ok || json?.success === false) {
+        M.dcallErrors.inc({ method, path: metricPath(path), code: String(json?.error?.code || res.status) });
+        log.warn('dcall_error', `${method} ${path} → ${res.status} ${json?.error?.code || ''}`.trim(), { exchange: ex.name, method, path, attempt, status: res.status, code: json?.error?.code, error: json?.error, ms: t1 - t0 });
+        // Signed with a skewed clock: resync from this reply and retry once (not counted).
+        const clockErr = (CLOCK_SYNC_ENABLED && !resynced) ? ex.clockError(json) : null;
+        if (clockErr) {
+          resynced = true;
+          resyncClock(ex, clockErr, t0, t1);
+          attempt--;
+          continue;
+        }
         const code = Number(json?.error?.code || res.status);
+        // 429: the limiter is paused until the reset, so the next acquire() waits it out.
+        if (res.status === 429 && limiter && attempt < MAX_TRIES) continue;
         if ([429,500,502,503,504].includes(code) && attempt < MAX_TRIES) {
           await sleep(300*attempt);
           continue;
         }
         // ★ PATCH 2026-07-11 (FIX C): tag the error with the parsed Delta JSON
         //   so callers can react to specific error codes (e.g. breach fallback).
-        const err = new Error(`Delta API error: ${JSON.stringify({ method, url, status: res.status, json })}`);
+        const err = new Error(`${ex.label} API error: ${JSON.stringify({ method, url, status: res.status, json })}`);
         err.deltaJson = json;
         err.httpStatus = res.status;
         throw err;
       }
       return json;
     } catch (e) {
+      if (!e.deltaJson) {
+        M.dcallErrors.inc({ method, path: metricPath(path), code: 'network' });
+        log.warn('dcall_error', `${method} ${path} failed: ${e?.message || e}`, { exchange: ex.name, method, path, attempt, code: 'network', ms: Date.now() - t0, err: e });
+        JOURNAL.record('dcall', { exchange: ex.name, method, path, query: query || undefined, attempt, ms: Date.now() - t0, request: payload || undefined, error: String(e?.message || e) });
+      }
       if (attempt === MAX_TRIES) throw e;
       await sleep(300*attempt);
     }
   }
 }
 
+function summarizeRead(json){
+  const r = json?.result;
+  if (Array.isArray(r)) return { success: json.success, result_count: r.length, meta: json.meta };
+  if (Array.isArray(r?.positions)) return { success: json.success, result_count: r.positions.length };
+  return json;
+}
+
 // ★ PATCH 2026-07-11 (FIX C/D helpers) --------------------------------------
 function deltaErrorCode(e){
   if (e?.deltaJson?.error?.code) return String(e.deltaJson.error.code);
@@ -392,7 +944,7 @@ function isImmediateExecutionError(e){
 async function marketCloseNow(psym, reason, sigId){
   const info = await getPositionCloseSideAndLots(psym);
   if (!info.hasPos || !(info.lots > 0)) {
-    console.log('marketCloseNow: no open position for', psym, '(may already be closed)');
+    log.info('market_close_no_position', `marketCloseNow: no open position for ${psym} (may already be closed)`, { symbol: psym });
     return { ok:true, skipped:true, reason:'no_position', symbol:psym };
   }
 
@@ -406,17 +958,18 @@ async function marketCloseNow(psym, reason, sigId){
     client_order_id
   };
 
-  console.log('⚡ marketCloseNow: closing position at market', {
-    psym, side: info.closeSide, lots: info.lots, reason, client_order_id
+  log.warn('market_close', '⚡ marketCloseNow: closing position at market', {
+    symbol: psym, side: info.closeSide, lots: info.lots, reason, client_order_id
   });
 
-  const r = await dcall('POST', '/v2/orders', body);
+  const r = await currentExchange().placeOrder(body);
+  attributeOrder(r, body, 'BREACH_CLOSE', sigId);
 
   // Position is gone → cancel ALL remaining orders for this symbol (TPs + old protective)
   try {
     await cancelOrdersBySymbol(psym);
   } catch (e) {
-    console.warn('marketCloseNow: order cleanup failed (non-fatal)', { psym, err: e?.message || e });
+    log.warn('market_close_cleanup_failed', 'marketCloseNow: order cleanup failed (non-fatal)', { symbol: psym, err: e });
   }
 
   return { ok:true, closed:true, symbol:psym, lots:info.lots, side:info.closeSide, reason, r: r?.result || r };
@@ -424,32 +977,19 @@ async function marketCloseNow(psym, reason, sigId){
 // ---------------------------------------------------------------------------
 
 // ---------- product helpers ----------
-let _products = null, _products_ts = 0;
-async function getProducts(){
-  const STALE_MS = 5*60*1000;
-  if(!_products || (Date.now()-_products_ts) > STALE_MS){
-    const r = await dcall('GET','/v2/products');
-    const arr = Array.isArray(r?.result) ? r.result
-            : Array.isArray(r?.products) ? r.products
-            : Array.isArray(r) ? r : [];
-    _products = arr;
-    _products_ts = Date.now();
-  }
-  return _products;
-}
-async function getProductMeta(product_symbol){
-  const ps = String(product_symbol||'').toUpperCase();
-  const list = await getProducts();
-  return list.find(p => String(p?.symbol||p?.product_symbol||'').toUpperCase() === ps);
-}
-async function getProductIdBySymbol(psym){
-  const meta = await getProductMeta(psym);
-  const pid = meta?.id ?? meta?.product_id;
-  return Number.isFinite(+pid) ? +pid : null;
+// Product lists are cached per exchange inside the adapter.
+const getProducts          = () => currentExchange().getProducts();
+const getProductMeta       = psym => currentExchange().getProductMeta(psym);
+const getProductIdBySymbol = psym => currentExchange().getProductId(psym);
+
+// Keyed by product symbol; other venues get a '<exchange>:' prefix so Delta
+// India keeps its existing persisted entries.
+const LOT_MULT_CACHE = STATE_STORE.map('LOT_MULT_CACHE');
+function lotMultKey(psym){
+  const ex = currentExchange().name;
+  return ex === 'delta_india' ? psym : `${ex}:${psym}`;
 }
 
-const LOT_MULT_CACHE = new Map();
-
 function lotMultiplierFromMeta(meta){
   const candidates = [
     meta?.lot_size,
@@ -466,10 +1006,10 @@ function lotMultiplierFromMeta(meta){
   return 1;
 }
 
-function getCachedLotMult(psym){ return LOT_MULT_CACHE.get(psym)?.m || null; }
+function getCachedLotMult(psym){ return LOT_MULT_CACHE.get(lotMultKey(psym))?.m || null; }
 function setCachedLotMult(psym, m){
   const n = Number(m);
-  if (Number.isFinite(n) && n > 0 && n <= 1e9) LOT_MULT_CACHE.set(psym,{m: n, ts: Date.now()});
+  if (Number.isFinite(n) && n > 0 && n <= 1e9) LOT_MULT_CACHE.set(lotMultKey(psym),{m: n, ts: Date.now()});
 }
 
 async function getLotMult(psym){
@@ -482,8 +1022,8 @@ async function getLotMult(psym){
 
   setCachedLotMult(psym, m);
 
-  console.log('lotMult resolved', {
-    psym,
+  log.debug('lot_mult_resolved', 'lotMult resolved', {
+    symbol: psym,
     lotMult: m,
     lot_size: meta?.lot_size,
     contract_size: meta?.contract_size,
@@ -496,11 +1036,10 @@ async function getLotMult(psym){
 }
 
 async function getTickerPriceUSD(psym){
+  const cached = marketData()?.ticker(psym);
+  if (cached?.mark > 0) return cached.mark;
   try {
-    const q = `?symbol=${encodeURIComponent(psym)}`;
-    const r = await dcall('GET','/v2/tickers', null, q);
-    const arr = Array.isArray(r?.result) ? r.result : Array.isArray(r) ? r : [];
-    const t = arr.find(x => (x?.symbol||x?.product_symbol)===psym);
+    const t = await currentExchange().getTicker(psym);
     const px = nnum(t?.mark_price || t?.last_price || t?.index_price, 0);
     return px > 0 ? px : null;
   } catch { return null; }
@@ -525,14 +1064,14 @@ function lotsFromAmount({ amount, ccy='INR', leverage=DEFAULT_LEVERAGE, entryPxU
 }
 
 // ---------- last entry side ----------
-const LAST_SIDE = new Map();
+const LAST_SIDE = accountScoped(STATE_STORE.map('LAST_SIDE'));
 // ==================== ★ LAYER 3: ENTRY-DRIFT CIRCUIT BREAKER ====================
 // If the REAL fill is more than MAX_ENTRY_DRIFT_PCT away from Pine's estimated
 // entry, the trade premise is dead (chart-frame vs Delta-frame divergence, e.g.
 // MUSD -19% crash: est 1.26 vs fill 1.1454). We close immediately and blacklist
 // the sig_id so late TPs/SL intents for that signal are skipped.
 const MAX_ENTRY_DRIFT_PCT = Number(process.env.MAX_ENTRY_DRIFT_PCT || 0);  // 0 = drift breaker DISABLED
-const ABORTED_SIGS = new Set();
+const ABORTED_SIGS = accountScoped(STATE_STORE.set('ABORTED_SIGS'));
 function pruneAbortedSigs(){ if (ABORTED_SIGS.size > 500) ABORTED_SIGS.clear(); }
 
 async function entryDriftGuard(psym, estEntry, sigId){
@@ -541,28 +1080,29 @@ async function entryDriftGuard(psym, estEntry, sigId){
     if (!estEntry || !(estEntry > 0)) return { ok:true, note:'no_estimate' };
     let fill = 0, info = null;
     for (let i = 0; i < 6; i++) {
-      info = await getPositionCloseSideAndLots(psym).catch(()=>null);
+      info = await positionsForWait().then(rows => getPositionCloseSideAndLots(psym, rows)).catch(()=>null);
       if (info && info.hasPos && info.lots > 0) {
-        const rows = await listPositionsArray().catch(()=>[]);
-        const row = rows.find(p => toProductSymbol(p.product_symbol || p.symbol) === psym);
-        fill = nnum(row?.entry_price, 0);
+        fill = nnum(info.row?.entry_price, 0);
         if (fill > 0) break;
       }
-      await sleep(1500);
+      await waitTick(1500);
     }
     if (!(fill > 0) || !info?.hasPos) return { ok:true, note:'fill_not_confirmed' };
     const driftPct = Math.abs(fill - estEntry) / estEntry * 100;
     if (driftPct <= MAX_ENTRY_DRIFT_PCT) {
-      console.log(`✓ entry drift OK ${psym}: est=${estEntry} fill=${fill} drift=${driftPct.toFixed(2)}%`);
+      log.info('entry_drift_ok', `✓ entry drift OK ${psym}: est=${estEntry} fill=${fill} drift=${driftPct.toFixed(2)}%`, { est_entry: estEntry, fill, drift_pct: +driftPct.toFixed(4) });
       return { ok:true, fill, driftPct };
     }
-    console.error(`⛔ ENTRY DRIFT ABORT ${psym}: est=${estEntry} fill=${fill} drift=${driftPct.toFixed(2)}% > ${MAX_ENTRY_DRIFT_PCT}% — closing position now`);
-    await dcall('POST','/v2/orders',{ product_symbol: psym, order_type:'market_order', side: info.closeSide, size: info.lots, reduce_only: true });
+    log.error('entry_drift_abort', `⛔ ENTRY DRIFT ABORT ${psym}: est=${estEntry} fill=${fill} drift=${driftPct.toFixed(2)}% > ${MAX_ENTRY_DRIFT_PCT}% — closing position now`, { est_entry: estEntry, fill, drift_pct: +driftPct.toFixed(4), max_drift_pct: MAX_ENTRY_DRIFT_PCT });
+    M.driftAborts.inc({ kind: 'entry', action: 'close' });
+    notify('DRIFT_ABORT', { symbol: psym, sig_id: sigId, est_entry: estEntry, fill_price: fill, drift_pct: driftPct.toFixed(2), max_drift_pct: MAX_ENTRY_DRIFT_PCT, lots: info.lots });
+    const abortBody = { product_symbol: psym, order_type:'market_order', side: info.closeSide, size: info.lots, reduce_only: true };
+    attributeOrder(await currentExchange().placeOrder(abortBody), abortBody, 'DRIFT_ABORT', sigId);
     if (sigId) { ABORTED_SIGS.add(String(sigId)); pruneAbortedSigs(); }
-    try { await cancelOrdersBySymbol(psym); } catch(e){ console.warn('drift abort: order cleanup failed (non-fatal):', e?.message || e); }
+    try { await cancelOrdersBySymbol(psym); } catch(e){ log.warn('entry_drift_cleanup_failed', 'drift abort: order cleanup failed (non-fatal)', { err: e }); }
     return { ok:false, fill, driftPct };
   } catch (e) {
-    console.error('entryDriftGuard error (non-fatal, allowing trade):', e?.message || e);
+    log.error('entry_drift_guard_failed', 'entryDriftGuard error (non-fatal, allowing trade)', { err: e });
     return { ok:true, note:'guard_error' };
   }
 }
@@ -574,24 +1114,14 @@ function rememberSide(productSymbol, side){
 }
 
 // ---------- positions ----------
-async function listPositionsArray(){
-  try {
-    const pos = await dcall('GET','/v2/positions');
-    const arr = Array.isArray(pos?.result?.positions) ? pos.result.positions
-              : Array.isArray(pos?.result) ? pos.result
-              : Array.isArray(pos?.positions) ? pos.positions
-              : Array.isArray(pos) ? pos : [];
-    if (arr.length || pos?.success !== false) return arr;
-  } catch(e) {}
-  try {
-    const pos2 = await dcall('GET','/v2/positions/margined');
-    const arr2 = Array.isArray(pos2?.result?.positions) ? pos2.result.positions
-               : Array.isArray(pos2?.result) ? pos2.result
-               : Array.isArray(pos2?.positions) ? pos2.positions
-               : Array.isArray(pos2) ? pos2 : [];
-    if (arr2.length) return arr2;
-  } catch(e) {}
-  return [];
+function listPositionsArray(){
+  return currentExchange().listPositions();
+}
+
+// Throws instead of returning [] when positions can't be read — for callers
+// that act on "flat" or on exposure (risk gate, OCO).
+function listPositionsStrict(){
+  return currentExchange().listPositions({ strict: true });
 }
 
 async function inferPositionUnits({ psym, rawSize, lotMult, posRow }){
@@ -618,9 +1148,10 @@ async function inferPositionUnits({ psym, rawSize, lotMult, posRow }){
   return { units:'lots', lots: Math.max(1, Math.round(abs)) };
 }
 
-async function getPositionCloseSideAndLots(psym){
+// rows: positions already in hand (e.g. the private-WS mirror); else read over REST.
+async function getPositionCloseSideAndLots(psym, rows = null){
   const sym = safeUpper(toProductSymbol(psym));
-  const pos = await listPositionsArray();
+  const pos = rows || await listPositionsArray();
   const row = pos.find(p => safeUpper(p?.product_symbol || p?.symbol) === sym);
 
   const rawSize = Number(row?.size || row?.position_size || 0);
@@ -636,7 +1167,9 @@ async function getPositionCloseSideAndLots(psym){
 }
 
 // ---------- order helpers ----------
-const LAST_ENTRY_SENT = new Map();
+const LAST_ENTRY_SENT = accountScoped(STATE_STORE.map('LAST_ENTRY_SENT'));
+// symbol -> strategy of the last entry (strategy-scoped schedule flattens)
+const ENTRY_STRATEGY = accountScoped(STATE_STORE.map('ENTRY_STRATEGY'));
 
 async function learnLotMultFromPositions(psym){
   const last = LAST_ENTRY_SENT.get(psym);
@@ -666,9 +1199,9 @@ async function learnLotMultFromPositions(psym){
 
       if (Math.abs(learned - lotMultMeta) / Math.max(1, lotMultMeta) < 0.5) {
         setCachedLotMult(psym, learned);
-        console.log('learned lot multiplier', { product_symbol: psym, learned, coinsAbs, lotsSent, inferred_units: inferred.units });
+        log.info('lot_mult_learned', 'learned lot multiplier', { symbol: psym, learned, coinsAbs, lotsSent, inferred_units: inferred.units });
       } else {
-        console.log('learn rejected (conflicts with meta)', { psym, learned, lotMultMeta, inferred_units: inferred.units });
+        log.warn('lot_mult_learn_rejected', 'learn rejected (conflicts with meta)', { symbol: psym, learned, lotMultMeta, inferred_units: inferred.units });
       }
 
       LAST_ENTRY_SENT.delete(psym);
@@ -676,7 +1209,7 @@ async function learnLotMultFromPositions(psym){
   } catch {}
 }
 
-async function maxLotsFromMsgBudget(m, product_symbol, lotMult){
+async function maxLotsFromMsgBudget(m, product_symbol, lotMult, maxLots = MAX_LOTS_PER_ORDER){
   const fxHint   = nnum(m.fxQuoteToINR || m.fx_quote_to_inr || m.fx || FX_INR_FALLBACK, FX_INR_FALLBACK);
   const leverage = Math.max(1, Math.floor(nnum(m.leverage || m.leverage_x || DEFAULT_LEVERAGE, DEFAULT_LEVERAGE)));
   const ccy      = String(m.amount_ccy || m.ccy || (typeof m.amount_usd !== 'undefined' ? 'USD' : 'INR')).toUpperCase();
@@ -694,18 +1227,24 @@ async function maxLotsFromMsgBudget(m, product_symbol, lotMult){
   if (!(entryPxUSD > 0)) return null;
 
   const lots = lotsFromAmount({ amount, ccy, leverage, entryPxUSD, lotMult, fxInrPerUsd: fxHint });
-  return clamp(lots, 1, MAX_LOTS_PER_ORDER);
+  return clamp(lots, 1, maxLots);
 }
 
 async function placeEntry(m){
   const side = (m.side||'').toLowerCase()==='buy' ? 'buy' : 'sell';
   const product_symbol = toProductSymbol(m.symbol || m.product_symbol);
   const lotMult = await getLotMult(product_symbol);
+  marketData()?.track(product_symbol);
 
   let sizeLots = parseInt(m.qty,10);
   let usedMode = 'qty';
 
-  const budgetMaxLots = await maxLotsFromMsgBudget(m, product_symbol, lotMult);
+  // Sliced market entries may exceed one order's limit; each child stays under it.
+  const entryType = String(m.entry_type || ENTRY_TYPE).toLowerCase();
+  const sliceable = entryType === 'market' && sliceSpecFor(m.slice, Infinity) !== null;
+  const maxLots = sliceable ? MAX_LOTS_PER_ORDER * SLICE_MAX_CHILDREN : MAX_LOTS_PER_ORDER;
+
+  const budgetMaxLots = await maxLotsFromMsgBudget(m, product_symbol, lotMult, maxLots);
   if (Number.isFinite(budgetMaxLots) && budgetMaxLots > 0) {
     if (!sizeLots || sizeLots < 1) {
       sizeLots = budgetMaxLots;
@@ -736,27 +1275,391 @@ async function placeEntry(m){
       sizeLots = lotsFromAmount({ amount, ccy, leverage, entryPxUSD, lotMult, fxInrPerUsd: fxHint });
       usedMode = `${ccy==='USD'?'amount_usd':'amount_inr'}`;
 
-      console.log('amount sizing debug', { product_symbol, amount, ccy, leverage, entryPxUSD, lotMult, sizeLots });
+      log.debug('amount_sizing', 'amount sizing debug', { symbol: product_symbol, amount, ccy, leverage, entryPxUSD, lotMult, sizeLots });
     }
   }
 
-  sizeLots = clamp(sizeLots, 1, MAX_LOTS_PER_ORDER);
+  sizeLots = clamp(sizeLots, 1, maxLots);
 
-  console.log('entry size normalization', { product_symbol, side, lotMult, usedMode, sizeLots, budgetMaxLots });
+  log.info('entry_size', 'entry size normalization', { symbol: product_symbol, side, lotMult, usedMode, sizeLots, budgetMaxLots });
 
-  const out = await dcall('POST','/v2/orders',{
-    product_symbol,
-    order_type:'market_order',
-    side,
-    size: sizeLots
-  });
+  const leverage = nnum(m.leverage || m.leverage_x || DEFAULT_LEVERAGE, DEFAULT_LEVERAGE);
+  const risk = await checkEntryRisk({ symbol: product_symbol, side, lots: sizeLots, lotMult, price: m.entry, leverage });
+  if (!risk.ok) {
+    return { ok:false, risk_blocked:true, rule: risk.rule, reason: risk.reason, error: risk.error, violations: risk.violations, symbol: product_symbol, side, lots: sizeLots };
+  }
+
+  // Held until the order is on the exchange, so concurrent entries on other
+  // symbols are counted by the risk gate before they show up as positions.
+  try {
+    const sliceSpec = sliceable ? sliceSpecFor(m.slice, sizeLots) : null;
+    const bracket = await bracketFields(m, product_symbol, side);
+    const hasBracket = Object.keys(bracket).length > 0;
+    let out, filledLots = sizeLots;
+    if (entryType === 'limit' || entryType === 'post_only') {
+      out = await placeLimitEntry({ m, product_symbol, side, sizeLots, postOnly: entryType === 'post_only', bracket });
+      if (hasBracket) rememberBracket(product_symbol, m.sig_id || m.signal_id, out.order_ids);
+      if (!(out.filled > 0)) return { ok:false, entry_unfilled:true, entry_type: entryType, symbol: product_symbol, side, lots: sizeLots, attempts: out.attempts };
+      filledLots = out.filled;
+    } else if (sliceSpec) {
+      const prog = await executeSliced({ psym: product_symbol, side, total: sizeLots, spec: sliceSpec, leg: 'ENTRY', sigId: m.sig_id || m.signal_id, pineEntry: m.entry });
+      out = { ok: true, sliced: true, result: prog };
+      filledLots = prog.filled;
+      if (hasBracket && prog.filled > 0) {
+        try {
+          const br = await bracketPosition(product_symbol, bracket);
+          rememberBracket(product_symbol, m.sig_id || m.signal_id, [br?.result?.id]);
+        } catch (e) {
+          log.warn('bracket_failed', `🔗 bracket on sliced entry failed [${product_symbol}] (position waits for PLACE_SL_INTENT)`, { symbol: product_symbol, err: e });
+        }
+      }
+    } else {
+      const entryBody = {
+        product_symbol,
+        order_type:'market_order',
+        side,
+        size: sizeLots,
+        ...bracket
+      };
+      out = await currentExchange().placeOrder(entryBody);
+      attributeOrder(out, entryBody, 'ENTRY', m.sig_id || m.signal_id, { pineEntry: m.entry });
+      if (hasBracket) rememberBracket(product_symbol, m.sig_id || m.signal_id, [out?.result?.id]);
+    }
+    if (hasBracket) log.info('bracket_entry', `🔗 bracket entry ${product_symbol}${acctTag()}`, { symbol: product_symbol, bracket });
+
+    // Copy-trading: remember on the chain how this account's size relates to Pine's,
+    // so placeBatch() can scale the TP ladder (hints come from accountMessage()).
+    const { pine_qty, tp_scale_hint } = currentContext();
+    const tpScale = pine_qty > 0 ? sizeLots / pine_qty : nnum(tp_scale_hint, 1);
+    const chainKey = sigKey(m.sig_id || m.signal_id, product_symbol);
+    if (tpScale !== 1 && CHAIN.has(chainKey)) { CHAIN.get(chainKey).tpScale = tpScale; CHAIN.save(chainKey); }
+    // Sliced: the children's average is this entry's price for the TP recalculation.
+    if (out?.sliced && out.result.avg_price && CHAIN.has(chainKey)) { CHAIN.get(chainKey).entryAvgPx = out.result.avg_price; CHAIN.save(chainKey); }
+
+    rememberSide(product_symbol, side);
+    LAST_ENTRY_SENT.set(product_symbol, { lots: filledLots, ts: Date.now(), side, lotMult });
+    if (typeof m.strategy !== 'undefined') ENTRY_STRATEGY.set(product_symbol, String(m.strategy));
+    learnLotMultFromPositions(product_symbol).catch(()=>{});
+    return out;
+  } finally {
+    releaseRiskReservation(risk.reservation);
+  }
+}
+
+// ---------- limit / post-only entries ----------
+// entry_type (per message, default ENTRY_TYPE) = market | limit | post_only.
+// Limit entries rest at the passive best bid/ask (or limit_price / Pine's entry
+// when ENTRY_LIMIT_PRICE_SOURCE=pine), are re-priced ENTRY_CHASE_MAX times every
+// ENTRY_CHASE_MS, and whatever is still unfilled after ENTRY_LIMIT_TIMEOUT_MS
+// goes at market (ENTRY_MARKET_FALLBACK). placeEntry() only returns once the
+// entry is filled, so the chain's didEnter is never set on a resting order.
+const ENTRY_TYPE                = String(process.env.ENTRY_TYPE || 'market').toLowerCase();
+const ENTRY_LIMIT_PRICE_SOURCE  = String(process.env.ENTRY_LIMIT_PRICE_SOURCE || 'book').toLowerCase(); // book | pine
+const ENTRY_CHASE_MAX           = nnum(process.env.ENTRY_CHASE_MAX, 3);
+const ENTRY_CHASE_MS            = nnum(process.env.ENTRY_CHASE_MS, 5000);
+const ENTRY_LIMIT_TIMEOUT_MS    = nnum(process.env.ENTRY_LIMIT_TIMEOUT_MS, 30_000);
+const ENTRY_FILL_POLL_MS        = nnum(process.env.ENTRY_FILL_POLL_MS, 1000);
+const ENTRY_MARKET_FALLBACK     = String(process.env.ENTRY_MARKET_FALLBACK || 'true').toLowerCase() !== 'false';
+
+function entryClientOrderId(sigId, psym, attempt){
+  const base = `${String(sigId||'')}|${String(psym||'')}|ENTRY|${attempt}|${Date.now()}`;
+  const h = crypto.createHash('sha1').update(base).digest('hex');
+  const p = String(psym || '').toUpperCase().replace(/[^A-Z0-9]/g,'').slice(0,6);
+  return `E${attempt % 10}${p}_${h.slice(0,22)}`.slice(0,32);
+}
+
+// Passive side of the book: bid for buys, ask for sells, rounded away from the spread.
+async function entryLimitPrice(psym, side, m, attempt){
+  let px = 0;
+  if (attempt === 0) px = nnum(m.limit_price, 0) || (ENTRY_LIMIT_PRICE_SOURCE === 'pine' ? nnum(m.entry, 0) : 0);
+  if (!(px > 0)) {
+    const q = await marketQuote(psym);
+    px = (side === 'buy' ? q.bid : q.ask) || q.mark || nnum(m.entry, 0);
+  }
+  if (!(px > 0)) throw new Error(`placeLimitEntry: no price available for ${psym}`);
+  const meta = await getProductMeta(psym);
+  return roundStopToTick(px, nnum(meta?.tick_size, 0), side === 'buy');
+}
+
+function filledOf(o){
+  return Math.max(0, nnum(o?.size, 0) - nnum(o?.unfilled_size, 0));
+}
+
+// Waits for the order to fill, then cancels any rest. Returns lots filled.
+async function waitEntryFill(order, psym, untilMs){
+  let o = order;
+  while (o?.state === 'open' && nnum(o?.unfilled_size, 0) > 0 && Date.now() < untilMs) {
+    await sleep(ENTRY_FILL_POLL_MS);
+    o = await currentExchange().getOrder(order.id).catch(() => o);
+  }
+  if (o?.state === 'open' && nnum(o?.unfilled_size, 0) > 0) {
+    try { await cancelOrder({ id: o.id, client_order_id: o.client_order_id, product_id: o.product_id, product_symbol: psym }); }
+    catch (e) { log.warn('limit_entry_cancel_failed', 'placeLimitEntry: cancel failed (re-reading order)', { symbol: psym, order_id: o.id, err: e }); }
+    o = await currentExchange().getOrder(order.id).catch(() => o);
+  }
+  return { filled: filledOf(o), order: o };
+}
+
+async function placeLimitEntry({ m, product_symbol: psym, side, sizeLots, postOnly, bracket = {} }){
+  const sigId = m.sig_id || m.signal_id;
+  const deadline = Date.now() + ENTRY_LIMIT_TIMEOUT_MS;
+  const attempts = [];
+  const order_ids = [];
+  let filled = 0;
+
+  for (let attempt = 0; attempt <= ENTRY_CHASE_MAX && filled < sizeLots && Date.now() < deadline; attempt++) {
+    const limit_price = await entryLimitPrice(psym, side, m, attempt);
+    const body = {
+      product_symbol: psym,
+      order_type: 'limit_order',
+      side,
+      size: sizeLots - filled,
+      limit_price: String(limit_price),
+      post_only: postOnly,
+      client_order_id: entryClientOrderId(sigId, psym, attempt),
+      ...bracket
+    };
+    let r;
+    try {
+      r = await currentExchange().placeOrder(body);
+    } catch (e) {
+      // Post-only rejected because it would take: re-price on the next attempt.
+      if (postOnly && /post_only|would_take|immediate/i.test(String(deltaErrorCode(e) || e?.message))) {
+        attempts.push({ attempt, limit_price, rejected: deltaErrorCode(e) || 'post_only' });
+        await sleep(ENTRY_FILL_POLL_MS);
+        continue;
+      }
+      throw e;
+    }
+    attributeOrder(r, body, 'ENTRY', sigId, { pineEntry: m.entry });
+    order_ids.push(r?.result?.id);
+    const res = await waitEntryFill(r?.result || r, psym, Math.min(deadline, Date.now() + ENTRY_CHASE_MS));
+    filled += res.filled;
+    attempts.push({ attempt, limit_price, size: body.size, filled: res.filled, state: res.order?.state, reason: res.order?.cancellation_reason || undefined });
+    log.info('limit_entry_attempt', `⏱ limit entry ${psym} ${side} attempt ${attempt}: px=${limit_price} filled ${filled}/${sizeLots}`, { symbol: psym, side, attempt, limit_price, filled, lots: sizeLots });
+  }
+
+  let fallback = null;
+  if (filled < sizeLots && ENTRY_MARKET_FALLBACK) {
+    const body = { product_symbol: psym, order_type: 'market_order', side, size: sizeLots - filled, ...bracket };
+    log.info('limit_entry_fallback', `⏱ limit entry ${psym}: ${sizeLots - filled} lots unfilled — market fallback`, { symbol: psym, unfilled: sizeLots - filled });
+    fallback = await currentExchange().placeOrder(body);
+    attributeOrder(fallback, body, 'ENTRY', sigId, { pineEntry: m.entry });
+    order_ids.push(fallback?.result?.id);
+    filled += filledOf(fallback?.result) || body.size;
+  }
+
+  return { ok: filled > 0, entry_type: postOnly ? 'post_only' : 'limit', filled, requested: sizeLots, attempts, order_ids, fallback: fallback?.result || null };
+}
+
+// ---------- sliced (TWAP / iceberg) execution ----------
+// A market entry (ENTER slice:{...} | true | false, else SLICE_ENABLED) or, with
+// SLICE_CLOSES, a closePositionBySymbol() is worked as child market orders sized
+// by lib/slicer.js from the SLICE_* defaults overlaid with the message's spec.
+// Each child stays under MAX_LOTS_PER_ORDER; a parent may have up to
+// SLICE_MAX_CHILDREN of them. On adverse drift past max_drift_pct an entry
+// stops adding (the position keeps what filled and is protected as usual) while
+// a close sends the rest at once — a half-closed position is worse than slippage.
+const SLICE_ENABLED      = String(process.env.SLICE_ENABLED || 'false').toLowerCase() === 'true';
+const SLICE_CLOSES       = String(process.env.SLICE_CLOSES || 'true').toLowerCase() !== 'false';
+const SLICE_MAX_CHILDREN = nnum(process.env.SLICE_MAX_CHILDREN, 50);
+const SLICE_DEFAULTS = {
+  max_lots:      process.env.SLICE_MAX_LOTS,
+  book_share:    process.env.SLICE_BOOK_SHARE,
+  depth_bps:     process.env.SLICE_DEPTH_BPS || 50,
+  slices:        process.env.SLICE_COUNT,
+  interval_ms:   process.env.SLICE_INTERVAL_MS,
+  duration_ms:   process.env.SLICE_DURATION_MS,
+  max_drift_pct: process.env.SLICE_MAX_DRIFT_PCT
+};
+const SLICE_PROGRESS = accountScoped(new Map()); // `${sigKey}|${leg}` -> progress (see /debug/slices)
+const SLICE_PROGRESS_MAX = nnum(process.env.SLICE_PROGRESS_MAX, 200);
+
+// Spec for this order, or null when it goes as one order. `raw` is ENTER's slice field.
+function sliceSpecFor(raw, total){
+  if (raw === false || String(raw).toLowerCase() === 'false') return null;
+  const explicit = !!raw && typeof raw === 'object';
+  if (!explicit && !SLICE_ENABLED && !(raw === true || String(raw).toLowerCase() === 'true')) return null;
+  const spec = normalizeSliceSpec(explicit ? raw : {}, SLICE_DEFAULTS);
+  if (!sliceSplits(spec) && !(total > MAX_LOTS_PER_ORDER)) return null;
+  return spec;
+}
+
+function pruneSliceProgress(){
+  const keys = Array.from(SLICE_PROGRESS.keys());
+  for (const k of keys.slice(0, Math.max(0, keys.length - SLICE_PROGRESS_MAX))) SLICE_PROGRESS.delete(k);
+}
+
+// Price we'd have paid for the whole parent on arrival: the touch we take from.
+async function sliceArrivalPrice(psym, side){
+  const q = await marketQuote(psym).catch(() => ({}));
+  return (side === 'buy' ? q.ask : q.bid) || q.mark || null;
+}
+
+// Works `total` lots as child market orders and returns the progress record
+// { parent_sig_id, leg, status, filled, total, avg_price, children, ... }.
+// status: done | aborted_drift | finished_on_drift | unfilled | max_children.
+async function executeSliced({ psym, side, total, spec, leg, sigId, reduceOnly = false, onDrift = 'stop', pineEntry }){
+  const sig = (sigId && sigId !== 'nosig') ? sigId : currentContext().sig_id;
+  const key = `${sigKey(sig, psym)}|${leg}`;
+  const started = Date.now();
+  const prog = {
+    parent_sig_id: sig || null, symbol: psym, leg, side, total, filled: 0, avg_price: null,
+    arrival_price: await sliceArrivalPrice(psym, side), spec, status: 'working', children: [],
+    started_at: new Date(started).toISOString(), finished_at: null
+  };
+  SLICE_PROGRESS.set(key, prog);
+  pruneSliceProgress();
+  log.info('slice_start', `🔪 SLICED ${leg} ${psym}${acctTag()} ${side} ${total} lots`, { symbol: psym, leg, side, lots: total, spec });
+
+  const send = async lots => {
+    const body = { product_symbol: psym, order_type: 'market_order', side, size: lots, ...(reduceOnly ? { reduce_only: true } : {}) };
+    const r = await currentExchange().placeOrder(body);
+    attributeOrder(r, body, leg, sig, { pineEntry });
+    const o = r?.result || {};
+    const child = {
+      n: prog.children.length + 1,
+      requested: lots,
+      lots: typeof o.unfilled_size !== 'undefined' ? filledOf(o) : lots,
+      price: nnum(o.average_fill_price, 0) || null,
+      order_id: o.id ?? null,
+      ts: new Date().toISOString()
+    };
+    prog.children.push(child);
+    prog.filled += child.lots;
+    return child;
+  };
+
+  while (prog.filled < total) {
+    if (prog.children.length >= SLICE_MAX_CHILDREN) { prog.status = 'max_children'; break; }
+
+    let depthLots = null;
+    if (spec.book_share) {
+      try { depthLots = bookDepth(await marketBook(psym), side, spec.depth_bps).lots; }
+      catch (e) { log.warn('slice_book_failed', `slice: orderbook read failed for ${psym} (sizing without it)`, { symbol: psym, err: e }); }
+    }
+    const lots = nextChildSize({ remaining: total - prog.filled, total, spec, depthLots, hardMax: MAX_LOTS_PER_ORDER });
+    const child = await send(lots);
+    log.info('slice_child', `🔪 slice ${child.n} ${psym}${acctTag()}: ${child.lots}/${lots} lots @ ${child.price ?? '?'} (${prog.filled}/${total})`, { symbol: psym, leg, child: child.n, lots: child.lots, sent: lots, price: child.price, filled: prog.filled, total });
+    if (!(child.lots > 0)) { prog.status = 'unfilled'; break; }   // reduce_only with nothing left, etc.
+
+    const drift = adverseDriftPct(side, prog.arrival_price, child.price);
+    if (spec.max_drift_pct && drift > spec.max_drift_pct && prog.filled < total) {
+      prog.drift_pct = +drift.toFixed(3);
+      const action = onDrift === 'finish' ? 'sending the rest at once' : 'stopping';
+      log.warn('slice_drift_abort', `⛔ SLICE DRIFT ${psym}${acctTag()} ${leg}: fill ${child.price} is ${drift.toFixed(2)}% worse than arrival ${prog.arrival_price} (max ${spec.max_drift_pct}%) — ${action}`, { symbol: psym, leg, fill: child.price, arrival_price: prog.arrival_price, drift_pct: +drift.toFixed(4), max_drift_pct: spec.max_drift_pct, drift_action: action });
+      M.driftAborts.inc({ kind: 'slice', action });
+      notify('SLICE_DRIFT', { symbol: psym, sig_id: sig, leg, fill_price: child.price, arrival_price: prog.arrival_price, drift_pct: drift.toFixed(2), action, filled: prog.filled, total });
+      if (onDrift === 'finish') {
+        while (prog.filled < total && prog.children.length < SLICE_MAX_CHILDREN) {
+          if (!((await send(Math.min(total - prog.filled, MAX_LOTS_PER_ORDER))).lots > 0)) break;
+        }
+        prog.status = 'finished_on_drift';
+      } else {
+        prog.status = 'aborted_drift';
+      }
+      break;
+    }
 
-  rememberSide(product_symbol, side);
-  LAST_ENTRY_SENT.set(product_symbol, { lots: sizeLots, ts: Date.now(), side, lotMult });
-  learnLotMultFromPositions(product_symbol).catch(()=>{});
+    if (prog.filled < total) await sleep(childDelayMs(spec, { remaining: total - prog.filled, childLots: lots, elapsedMs: Date.now() - started }));
+  }
+
+  if (prog.status === 'working') prog.status = 'done';
+  prog.avg_price = aggregateSlices(prog.children).avg_price;
+  prog.finished_at = new Date().toISOString();
+  SLICE_PROGRESS.set(key, prog);
+  JOURNAL.record('slice', { sig_id: sig, symbol: psym, leg, side, status: prog.status, filled: prog.filled, total, avg_price: prog.avg_price, children: prog.children.length });
+  log.info('slice_done', `🔪 SLICED ${leg} ${psym}${acctTag()} ${prog.status}: ${prog.filled}/${total} lots in ${prog.children.length} children, avg ${prog.avg_price ?? '?'}`, { symbol: psym, leg, status: prog.status, filled: prog.filled, total, children: prog.children.length, avg_price: prog.avg_price });
+  return prog;
+}
+
+app.get('/debug/slices', async (req,res)=>{
+  try {
+    const out = await forEachAccount(async () => ({
+      progress: Array.from(SLICE_PROGRESS.entries()).map(([key, p]) => ({ key, ...p }))
+        .filter(p => !req.query.sig_id || String(p.parent_sig_id) === String(req.query.sig_id))
+    }));
+    res.json({ ok:true, enabled: SLICE_ENABLED, closes: SLICE_CLOSES, defaults: normalizeSliceSpec({}, SLICE_DEFAULTS), max_children: SLICE_MAX_CHILDREN, ...out });
+  } catch (e) {
+    res.status(500).json({ ok:false, error:String(e?.message || e) });
+  }
+});
+
+// ---------- bracket entries ----------
+// ENTER's bracket_* fields ride on the entry order (each limit attempt and the
+// market fallback too), so Delta arms the SL / first TP as the entry fills. A
+// sliced entry brackets the position once the children are done. The bracketed
+// order ids are kept per symbol in BRACKETS; placeSLIntent() moves their SL legs
+// with PUT /v2/orders/bracket rather than adding a second stop.
+const BRACKET_PRICE_FIELDS = ['bracket_stop_loss_price', 'bracket_stop_loss_limit_price', 'bracket_take_profit_price', 'bracket_take_profit_limit_price'];
+const BRACKETS = accountScoped(STATE_STORE.map('BRACKETS')); // psym -> { sig_id, ids[], ts }
+const BRACKET_IDS_MAX = 20;
+
+// The message's bracket fields, tick-rounded like every other stop ({} when none).
+async function bracketFields(m, psym, side){
+  const out = {};
+  const isLong = side === 'buy';
+  const wanted = BRACKET_PRICE_FIELDS.filter(f => nnum(m[f], 0) > 0);
+  if (wanted.length) {
+    const tick = nnum((await getProductMeta(psym))?.tick_size, 0);
+    for (const f of wanted) out[f] = String(roundStopToTick(nnum(m[f], 0), tick, isLong));
+  }
+  if (nnum(m.bracket_trail_amount, 0) > 0) out.bracket_trail_amount = currentExchange().trailAmount(isLong ? 'sell' : 'buy', nnum(m.bracket_trail_amount, 0));
+  if (Object.keys(out).length && m.bracket_stop_trigger_method) out.bracket_stop_trigger_method = String(m.bracket_stop_trigger_method);
   return out;
 }
 
+function rememberBracket(psym, sigId, ids){
+  const fresh = (ids || []).filter(id => id !== null && typeof id !== 'undefined');
+  if (!fresh.length) return;
+  const prev = BRACKETS.get(psym);
+  BRACKETS.set(psym, { sig_id: sigId || null, ids: [...(prev?.ids || []), ...fresh].slice(-BRACKET_IDS_MAX), ts: Date.now() });
+}
+
+// POST /v2/orders/bracket over the whole open position.
+async function bracketPosition(psym, bracket){
+  const leg = (stop_price, limit_price, trail_amount) => ({
+    order_type: limit_price ? 'limit_order' : 'market_order',
+    ...(stop_price ? { stop_price } : {}),
+    ...(limit_price ? { limit_price } : {}),
+    ...(trail_amount ? { trail_amount } : {})
+  });
+  const body = { product_symbol: psym, product_id: await getProductIdBySymbol(psym) };
+  if (bracket.bracket_stop_loss_price || bracket.bracket_trail_amount) {
+    body.stop_loss_order = leg(bracket.bracket_stop_loss_price, bracket.bracket_stop_loss_limit_price, bracket.bracket_trail_amount);
+  }
+  if (bracket.bracket_take_profit_price) {
+    body.take_profit_order = leg(bracket.bracket_take_profit_price, bracket.bracket_take_profit_limit_price);
+  }
+  if (bracket.bracket_stop_trigger_method) body.bracket_stop_trigger_method = bracket.bracket_stop_trigger_method;
+  return currentExchange().placeBracket(body);
+}
+
+// Moves the bracket SL legs on psym to stopPrice. null when there are none
+// (the caller places a normal SL); else { edited, legs }. Throws on rejection.
+async function editBracketStops(psym, stopPrice){
+  const legs = (await listOpenOrdersAllPages()).filter(o =>
+    safeUpper(o?.product_symbol || o?.symbol) === safeUpper(psym) &&
+    isBracketLeg(o) && o?.stop_order_type === 'stop_loss_order'
+  );
+  if (!legs.length) return null;
+
+  const rec = BRACKETS.get(psym);
+  const ids = rec?.ids?.length ? rec.ids : legs.map(o => o.id);
+  const alive = [];
+  for (const id of ids) {
+    try {
+      await currentExchange().editBracket({ id, product_id: legs[0].product_id, product_symbol: psym, bracket_stop_loss_price: String(stopPrice) });
+      alive.push(id);
+    } catch (e) {
+      if (deltaErrorCode(e) === 'open_order_not_found') continue; // that bracket already closed out
+      throw e;
+    }
+  }
+  if (rec) BRACKETS.set(psym, { ...rec, ids: alive, ts: Date.now() });
+  return { edited: alive.length, legs: legs.length };
+}
+
 // -------------------- TP SIZE NORMALIZATION --------------------
 function normalizeTpSizeLots({ psym, lotMult, order, lastEntry }) {
   const coins = nnum(order?.size_coins ?? order?.coins, 0);
@@ -796,9 +1699,15 @@ function protectiveClientOrderId(kind, sigId, psym){
   return `${PROTECTIVE_PREFIX}_${kind}_${p}_${h.slice(0,12)}`.slice(0,32);
 }
 
+// Bracket legs are spawned by the entry order itself, so they carry no relay
+// client_order_id; Delta flags them bracket_order.
+function isBracketLeg(o){
+  return o?.bracket_order === true || String(o?.bracket_order).toLowerCase() === 'true';
+}
+
 function isProtectiveOrder(o){
   const cid = String(o?.client_order_id || '');
-  return cid.startsWith(`${PROTECTIVE_PREFIX}_`);
+  return cid.startsWith(`${PROTECTIVE_PREFIX}_`) || (isBracketLeg(o) && o?.stop_order_type === 'stop_loss_order');
 }
 
 // ✅ FIX 5b: isTpLikeOrder matches ONLY TP orders (T0-T5/TP prefix).
@@ -814,7 +1723,8 @@ function isTpLikeOrder(o){
     cid.startsWith('T3') ||
     cid.startsWith('T4') ||
     cid.startsWith('T5') ||
-    cid.startsWith('TP')
+    cid.startsWith('TP') ||
+    (isBracketLeg(o) && o?.stop_order_type === 'take_profit_order')
   );
 }
 
@@ -892,7 +1802,7 @@ async function cancelTpOrdersBySymbol(psym){
       cancelled++;
     } catch(e){
       failed++;
-      console.warn('cancelTpOrdersBySymbol failed', { sym, oid, coid, err: e?.message || e });
+      log.warn('cancel_tp_failed', 'cancelTpOrdersBySymbol failed', { symbol: sym, oid, coid, err: e });
     }
   }
 
@@ -920,13 +1830,13 @@ async function placeBatch(m){
     if (posInfo.lots <= 0) {
       posInfo.lots = knownEntry.lots;
     } else if (posInfo.lots > knownEntry.lots) {
-      console.log('⚠ placeBatch LOT FIX: inferred > entry, using entry lots', {
-        psym, inferredLots: posInfo.lots, knownEntryLots: knownEntry.lots
+      log.warn('tp_lot_fix', '⚠ placeBatch LOT FIX: inferred > entry, using entry lots', {
+        symbol: psym, inferredLots: posInfo.lots, knownEntryLots: knownEntry.lots
       });
       posInfo.lots = knownEntry.lots;
     } else if (posInfo.lots < knownEntry.lots) {
-      console.log('✓ placeBatch: position reduced by TP fills, using actual size', {
-        psym, actualLots: posInfo.lots, originalEntryLots: knownEntry.lots
+      log.info('tp_position_reduced', '✓ placeBatch: position reduced by TP fills, using actual size', {
+        symbol: psym, actualLots: posInfo.lots, originalEntryLots: knownEntry.lots
       });
     }
   }
@@ -938,7 +1848,7 @@ async function placeBatch(m){
   const entryPrice = nnum(posInfo.row?.entry_price, 0) || nnum(m.entry, 0);
   const isLong = (tpSide === 'sell');  // long → close side is sell
   // ★ V05c: Recalculate TP prices from actual fill price when entry drifted
-  const actualFillPrice = nnum(posInfo.row?.entry_price, 0);
+  const actualFillPrice = nnum(CHAIN.get(sigKey(sigId, psym))?.entryAvgPx, 0) || nnum(posInfo.row?.entry_price, 0);
   const atrFromPine = nnum(m.atr, 0);
   const tpMults = Array.isArray(m.tp_mults) ? m.tp_mults.map(x => nnum(x, 0)) : [];
   const dirFromPine = nnum(m.dir, isLong ? 1 : -1);
@@ -949,7 +1859,7 @@ async function placeBatch(m){
     const entryDrift = pineEntry > 0 ? Math.abs(actualFillPrice - pineEntry) / pineEntry * 100 : 0;
 
     if (entryDrift > 0.5) {
-      console.log(`★ TP RECALC [${psym}]: fill=${actualFillPrice} vs pine=${pineEntry} (drift ${entryDrift.toFixed(2)}%). Recalculating TPs from fill price.`);
+      log.info('tp_recalc', `★ TP RECALC [${psym}]: fill=${actualFillPrice} vs pine=${pineEntry} (drift ${entryDrift.toFixed(2)}%). Recalculating TPs from fill price.`, { symbol: psym, fill: actualFillPrice, pine_entry: pineEntry, drift_pct: +entryDrift.toFixed(4) });
 
       for (let idx = 0; idx < Math.min(m.orders.length, tpMults.length); idx++) {
         const mult = tpMults[idx];
@@ -961,7 +1871,7 @@ async function placeBatch(m){
           const oldPrice = m.orders[idx].limit_price;
           m.orders[idx].limit_price = String(parseFloat(newTpPrice.toFixed(8)));
 
-          console.log(`  TP${idx+1}: ${oldPrice} -> ${m.orders[idx].limit_price} (${mult}x ATR from fill)`);
+          log.info('tp_recalc_leg', `TP${idx+1}: ${oldPrice} -> ${m.orders[idx].limit_price} (${mult}x ATR from fill)`, { symbol: psym, idx, old_price: oldPrice, limit_price: m.orders[idx].limit_price, atr_mult: mult });
         }
       }
     }
@@ -971,11 +1881,17 @@ async function placeBatch(m){
   let pre = [];
   let skippedTps = [];
 
+  // Copy-trading: Pine sized this ladder for its own position — normalize against
+  // Pine's entry size, then scale to this account's (see placeEntry).
+  const tpScale = nnum(CHAIN.get(sigKey(sigId, psym))?.tpScale, 1);
+  const pineLastEntry = (tpScale !== 1 && lastEntry) ? { ...lastEntry, lots: lastEntry.lots / tpScale } : lastEntry;
+
   for (let idx = 0; idx < Math.min(m.orders.length, 50); idx++) {
     const o = m.orders[idx];
     const oo = { ...o };
 
-    const sizeLots = normalizeTpSizeLots({ psym, lotMult, order: oo, lastEntry });
+    const pineLots = normalizeTpSizeLots({ psym, lotMult, order: oo, lastEntry: pineLastEntry });
+    const sizeLots = (pineLots && tpScale !== 1) ? Math.max(1, Math.round(pineLots * tpScale)) : pineLots;
     if (!sizeLots) throw new Error(`placeBatch: bad size on order #${idx}`);
 
     if (!oo.limit_price && (oo.price || oo.lmt_price)) oo.limit_price = oo.price || oo.lmt_price;
@@ -986,19 +1902,19 @@ async function placeBatch(m){
     const tpPrice = nnum(oo.limit_price, 0);
     if (entryPrice > 0 && tpPrice > 0) {
       if (isLong && tpPrice < entryPrice) {
-        console.warn(`⚠ TP PRICE REJECTED [${psym}] order #${idx}: sell limit ${tpPrice} < entry ${entryPrice} (long). Would fill at a loss. SKIPPING.`);
+        log.warn('tp_rejected', `⚠ TP PRICE REJECTED [${psym}] order #${idx}: sell limit ${tpPrice} < entry ${entryPrice} (long). Would fill at a loss. SKIPPING.`, { symbol: psym, idx, limit_price: tpPrice, entry_price: entryPrice, reason: 'loss_side' });
         skippedTps.push({ idx, limit_price: oo.limit_price, sizeLots, reason: 'sell_limit_below_entry_for_long', entryPrice });
         continue;
       }
       if (!isLong && tpPrice > entryPrice) {
-        console.warn(`⚠ TP PRICE REJECTED [${psym}] order #${idx}: buy limit ${tpPrice} > entry ${entryPrice} (short). Would fill at a loss. SKIPPING.`);
+        log.warn('tp_rejected', `⚠ TP PRICE REJECTED [${psym}] order #${idx}: buy limit ${tpPrice} > entry ${entryPrice} (short). Would fill at a loss. SKIPPING.`, { symbol: psym, idx, limit_price: tpPrice, entry_price: entryPrice, reason: 'loss_side' });
         skippedTps.push({ idx, limit_price: oo.limit_price, sizeLots, reason: 'buy_limit_above_entry_for_short', entryPrice });
         continue;
       }
       // FIX 6: TP too close to entry = useless (like COOKIE where entry = TP1)
       const distPct = Math.abs(tpPrice - entryPrice) / entryPrice * 100;
       if (distPct < MIN_TP_DISTANCE_PCT) {
-        console.warn(`⚠ TP TOO CLOSE [${psym}] order #${idx}: ${tpSide} limit ${tpPrice} is only ${distPct.toFixed(3)}% from entry ${entryPrice} (min ${MIN_TP_DISTANCE_PCT}%). SKIPPING.`);
+        log.warn('tp_rejected', `⚠ TP TOO CLOSE [${psym}] order #${idx}: ${tpSide} limit ${tpPrice} is only ${distPct.toFixed(3)}% from entry ${entryPrice} (min ${MIN_TP_DISTANCE_PCT}%). SKIPPING.`, { symbol: psym, idx, limit_price: tpPrice, entry_price: entryPrice, reason: 'too_close', dist_pct: +distPct.toFixed(4) });
         skippedTps.push({ idx, limit_price: oo.limit_price, sizeLots, reason: 'tp_too_close_to_entry', distPct: +distPct.toFixed(4), minPct: MIN_TP_DISTANCE_PCT, entryPrice });
         continue;
       }
@@ -1019,7 +1935,8 @@ async function placeBatch(m){
   }
 
   if (skippedTps.length) {
-    console.warn(`⚠ TP VALIDATION: ${skippedTps.length} TPs skipped for ${psym}`, { skippedTps, entryPrice, isLong });
+    log.warn('tp_validation', `⚠ TP VALIDATION: ${skippedTps.length} TPs skipped for ${psym}`, { symbol: psym, skipped: skippedTps, entry_price: entryPrice, is_long: isLong });
+    for (const s of skippedTps) M.tpSkips.inc({ reason: s.reason });
 
     // FIX 6 v2: Redistribute skipped TP lots PROPORTIONALLY across remaining TPs
     const skippedLots = skippedTps.reduce((a, s) => a + (s.sizeLots || 0), 0);
@@ -1042,13 +1959,14 @@ async function placeBatch(m){
         }
       }
  
-      console.log(`⚠ TP REDISTRIBUTION [${psym}]: ${skippedLots} lots from ${skippedTps.length} skipped TPs → distributed proportionally across ${pre.length} remaining TPs`, {
+      log.info('tp_redistribution', `⚠ TP REDISTRIBUTION [${psym}]: ${skippedLots} lots from ${skippedTps.length} skipped TPs → distributed proportionally across ${pre.length} remaining TPs`, {
         redistribution: pre.map(x => ({ idx: x.idx, newSize: x.sizeLots, limit_price: x.limit_price }))
       });
     }
   }
 
   if (!pre.length) {
+    notify('TPS_REJECTED', { symbol: psym, sig_id: sigId, entry_price: entryPrice, side: isLong ? 'LONG' : 'SHORT', detail: skippedTps.map(t => `${t.limit_price}:${t.reason}`).join(', ') });
     throw new Error(`placeBatch: all TPs rejected by price validation for ${psym} (entry=${entryPrice}, isLong=${isLong}). Skipped: ${JSON.stringify(skippedTps)}`);
   }
 
@@ -1056,8 +1974,8 @@ async function placeBatch(m){
 
   const sumLots = pre.reduce((a,o)=>a + Number(o.sizeLots || 0), 0);
 
-  console.log('TP ladder placing one-by-one', {
-    psym,
+  log.info('tp_ladder_placing', 'TP ladder placing', {
+    symbol: psym,
     lotMult,
     positionLots,
     tpSide,
@@ -1072,8 +1990,7 @@ async function placeBatch(m){
 
   const placed = [];
   const failed = [];
-
-  for (const x of pre) {
+  const legs = pre.map(x => {
     const body = {
       product_symbol: psym,
       order_type: 'limit_order',
@@ -1087,65 +2004,109 @@ async function placeBatch(m){
 
     if (typeof x.post_only !== 'undefined') body.post_only = x.post_only;
     if (typeof x.mmp !== 'undefined') body.mmp = x.mmp;
+    return { x, body };
+  });
+  const legOut = (x, extra) => ({ idx: x.idx, size: x.sizeLots, limit_price: x.limit_price, client_order_id: x.client_order_id, ...extra });
+
+  const t0 = Date.now();
+  const timing = { batches: 0, batch_ms: 0, singles: 0, single_ms: 0, total_ms: 0 };
+  const batched = await placeTpLegsBatched(psym, legs, sigId, timing);
+  for (const b of batched.placed) placed.push(legOut(b.x, { via: 'batch', result: b.row }));
 
+  const ts = Date.now();
+  for (const [i, { x, body, batchError }] of batched.retry.entries()) {
+    if (i > 0) await sleep(TP_SINGLE_GAP_MS);
     try {
-      const r = await dcall('POST', '/v2/orders', body);
+      const r = await currentExchange().placeOrder(body);
+      attributeOrder(r, body, `TP${x.idx + 1}`, sigId);
 
-      console.log('TP single placed raw', {
-        psym,
+      log.debug('tp_single_placed', 'TP single placed raw', {
+        symbol: psym,
         idx: x.idx,
         request: body,
         response: r?.result || r
       });
 
-      placed.push({
-        idx: x.idx,
-        size: x.sizeLots,
-        limit_price: x.limit_price,
-        client_order_id: x.client_order_id,
-        result: r?.result || r
-      });
+      placed.push(legOut(x, { via: 'single', batch_error: batchError, result: r?.result || r }));
     } catch (e) {
-      console.warn('TP single place failed', {
-        psym,
+      log.warn('tp_single_failed', 'TP single place failed', {
+        symbol: psym,
         idx: x.idx,
         size: x.sizeLots,
         limit_price: x.limit_price,
         client_order_id: x.client_order_id,
-        err: e?.message || e
+        err: e
       });
 
-      failed.push({
-        idx: x.idx,
-        size: x.sizeLots,
-        limit_price: x.limit_price,
-        client_order_id: x.client_order_id,
-        error: String(e?.message || e)
-      });
+      failed.push(legOut(x, { batch_error: batchError, error: String(e?.message || e) }));
     }
-
-    await sleep(120);
+    timing.singles++;
   }
+  timing.single_ms = batched.retry.length ? Date.now() - ts : 0;
+  timing.total_ms = Date.now() - t0;
+  placed.sort((a, b) => a.idx - b.idx);
 
-  console.log('TP ladder one-by-one result', {
-    psym,
+  const mode = !batched.placed.length ? 'single_orders' : (batched.retry.length ? 'batch+single' : 'batch');
+  log.info('tp_ladder_result', 'TP ladder result', {
+    symbol: psym,
+    mode,
     placed: placed.length,
     failed: failed.length,
     skipped: skippedTps.length,
+    timing,
     placed_first3: placed.slice(0, 3),
     failed_first3: failed.slice(0, 3)
   });
 
   if (!placed.length) {
+    notify('TPS_FAILED', { symbol: psym, sig_id: sigId, failed: failed.length });
     throw new Error(`placeBatch: all TP placements failed for ${psym}`);
   }
 
-  return { ok:true, mode:'single_orders', placed, failed, skippedTps };
+  return { ok:true, mode, placed, failed, skippedTps, timing };
+}
+
+// ---------- batched TP placement ----------
+// Delta takes up to TP_BATCH_MAX orders per /v2/orders/batch call, all on one
+// product. Rows come back per order, so one bad leg (price band, size) doesn't
+// sink the rest: only the legs without an order row are retried one-by-one.
+const TP_BATCH_ENABLED  = String(process.env.TP_BATCH_ENABLED || 'true').toLowerCase() !== 'false';
+const TP_BATCH_MAX      = Math.max(1, nnum(process.env.TP_BATCH_MAX, 50));
+const TP_SINGLE_GAP_MS  = nnum(process.env.TP_SINGLE_GAP_MS, 120);
+
+// legs: [{ x, body }]. Returns { placed: [{ x, body, row }], retry: [{ x, body, batchError }] }.
+async function placeTpLegsBatched(psym, legs, sigId, timing){
+  if (!TP_BATCH_ENABLED || legs.length < 2) return { placed: [], retry: legs };
+  const placed = [], retry = [];
+  for (let i = 0; i < legs.length; i += TP_BATCH_MAX) {
+    const chunk = legs.slice(i, i + TP_BATCH_MAX);
+    const tb = Date.now();
+    try {
+      const rows = await currentExchange().placeOrders(psym, chunk.map(l => l.body));
+      chunk.forEach((l, j) => {
+        const cid = l.body.client_order_id;
+        const row = (cid && rows.find(r => r?.client_order_id === cid)) || (rows.length === chunk.length ? rows[j] : null);
+        if (row && row.success !== false && !row.error && (row.id ?? row.order_id) != null) {
+          attributeOrder({ result: row }, l.body, `TP${l.x.idx + 1}`, sigId);
+          placed.push({ ...l, row });
+        } else {
+          retry.push({ ...l, batchError: row?.error?.code || (row ? 'rejected' : 'missing_row') });
+        }
+      });
+    } catch (e) {
+      log.warn('tp_batch_failed', `TP batch failed for ${psym} (${chunk.length} legs → one-by-one)`, { symbol: psym, legs: chunk.length, err: e });
+      for (const l of chunk) retry.push({ ...l, batchError: deltaErrorCode(e) || 'batch_failed' });
+    }
+    timing.batches++;
+    timing.batch_ms += Date.now() - tb;
+  }
+  if (retry.length) log.warn('tp_batch_partial', `TP batch ${psym}: ${placed.length} placed, ${retry.length} legs retried one-by-one`, { symbol: psym, placed: placed.length, retry: retry.map(r => ({ idx: r.x.idx, error: r.batchError })) });
+  return { placed, retry };
 }
 
 // ---------- CANCEL/CLOSE ----------
-const cancelAllOrders   = () => dcall('DELETE','/v2/orders/all');
-const closeAllPositions = () => dcall('POST','/v2/positions/close_all', {});
+const cancelAllOrders   = () => currentExchange().cancelAllOrders();
+const closeAllPositions = () => currentExchange().closeAllPositions();
 
 async function cancelOrder({ id, client_order_id, product_id, product_symbol }){
   const payload = {};
@@ -1159,7 +2120,7 @@ async function cancelOrder({ id, client_order_id, product_id, product_symbol }){
   payload.product_id = pid;
 
   if (!payload.id && !payload.client_order_id) return { ok:true, skipped:true, reason:'missing_id_and_client_order_id' };
-  return dcall('DELETE', '/v2/orders', payload);
+  return currentExchange().cancelOrder(payload);
 }
 
 async function listOpenOrdersAllPages(){
@@ -1167,19 +2128,10 @@ async function listOpenOrdersAllPages(){
   let after = null;
 
   while (true) {
-    const q =
-      `?states=open,pending&page_size=200` +
-      (after ? `&after=${encodeURIComponent(after)}` : '');
-
-    const oo = await dcall('GET','/v2/orders', null, q);
-
-    const arr = Array.isArray(oo?.result) ? oo.result
-              : Array.isArray(oo?.orders) ? oo.orders
-              : Array.isArray(oo) ? oo : [];
+    const { orders: arr, after: nextAfter } = await currentExchange().listOpenOrders({ after });
 
     all = all.concat(arr);
 
-    const nextAfter = oo?.meta?.after || null;
     if (!nextAfter || arr.length === 0) break;
     after = nextAfter;
   }
@@ -1215,7 +2167,7 @@ async function cancelOrdersBySymbol(psym, { fallbackAll=false, skipProtective=fa
       cancelled++;
     } catch(e){
       failed++;
-      console.warn('cancelOrdersBySymbol: cancel failed', { symbol: sym, oid, pid, err: e?.message || e });
+      log.warn('cancel_failed', 'cancelOrdersBySymbol: cancel failed', { symbol: sym, oid, pid, err: e });
     }
   }
 
@@ -1259,14 +2211,14 @@ async function cancelProtectiveOrdersBySymbol(psym, skipClientOrderId = null){
       cancelled++;
     } catch(e){
       failed++;
-      console.warn('cancelProtectiveOrdersBySymbol failed', { sym, oid, coid, err: e?.message || e });
+      log.warn('cancel_protective_failed', 'cancelProtectiveOrdersBySymbol failed', { symbol: sym, oid, coid, err: e });
     }
   }
 
   return { ok:true, cancelled, failed, symbol:sym };
 }
 
-async function closePositionBySymbol(symbolOrProductSymbol){
+async function closePositionBySymbol(symbolOrProductSymbol, leg = 'CLOSE'){
   const psym = toProductSymbol(symbolOrProductSymbol);
   if (!psym) throw new Error('closePositionBySymbol: missing symbol/product_symbol');
 
@@ -1275,103 +2227,189 @@ async function closePositionBySymbol(symbolOrProductSymbol){
 
   const rawSize = Number(row?.size || row?.position_size || 0);
   if (!rawSize || Math.abs(rawSize) < 1e-12) {
-    console.log('closePositionBySymbol: no open position for', psym);
+    log.info('close_no_position', `closePositionBySymbol: no open position for ${psym}`, { symbol: psym });
     return { ok:true, skipped:true, reason:'no_position' };
   }
 
   const lotMult = await getLotMult(psym);
   const inferred = await inferPositionUnits({ psym, rawSize, lotMult, posRow: row });
 
-  let lots = clamp(inferred.lots, 1, MAX_LOTS_PER_ORDER);
   const side = rawSize > 0 ? 'sell' : 'buy';
+  const sliceSpec = SLICE_CLOSES ? sliceSpecFor(undefined, inferred.lots) : null;
+  if (sliceSpec) {
+    const prog = await executeSliced({ psym, side, total: Math.max(1, inferred.lots), spec: sliceSpec, leg, reduceOnly: true, onDrift: 'finish' });
+    return { ok: true, sliced: true, result: prog };
+  }
+
+  let lots = clamp(inferred.lots, 1, MAX_LOTS_PER_ORDER);
 
-  console.log('closePositionBySymbol:', { psym, rawSize, lotMult, inferred_units: inferred.units, lots, side });
+  log.info('close_position', 'closePositionBySymbol', { symbol: psym, rawSize, lotMult, inferred_units: inferred.units, lots, side });
 
-  return dcall('POST','/v2/orders',{
+  const body = {
     product_symbol: psym,
     order_type: 'market_order',
     side,
     size: lots,
     reduce_only: true
-  });
+  };
+  const r = await currentExchange().placeOrder(body);
+  attributeOrder(r, body, leg);
+  return r;
+}
+
+// ===================== MARKET DATA ===================== //
+// Public socket per exchange (lib/market-data.js): mark / last trade / L2 book
+// for symbols we hold (rescanned every MARKET_DATA_HOLD_SCAN_MS) or looked up
+// within MARKET_DATA_IDLE_MS. Reads fall back to REST when the cache is stale.
+const MARKET_DATA_ENABLED        = String(process.env.MARKET_DATA_ENABLED || 'true').toLowerCase() !== 'false';
+const MARKET_DATA_STALE_MS       = nnum(process.env.MARKET_DATA_STALE_MS, 10_000);
+const MARKET_DATA_IDLE_MS        = nnum(process.env.MARKET_DATA_IDLE_MS, 30 * 60_000);
+const MARKET_DATA_HOLD_SCAN_MS   = nnum(process.env.MARKET_DATA_HOLD_SCAN_MS, 60_000);
+const MARKET = new Map();  // exchange -> market-data cache
+
+function marketData(ex = currentExchange()){
+  if (!MARKET_DATA_ENABLED || !ex.wsUrl) return null;
+  let md = MARKET.get(ex.name);
+  if (!md) {
+    md = createMarketData({ url: ex.wsUrl, name: ex.name, staleMs: MARKET_DATA_STALE_MS, idleMs: MARKET_DATA_IDLE_MS });
+    MARKET.set(ex.name, md);
+    md.start();
+  }
+  return md;
+}
+
+// { bid, ask, mark } like adapter.getQuote, plus source and age_ms when cached.
+async function marketQuote(psym){
+  const t = marketData()?.ticker(psym);
+  if (t && (t.bid || t.ask || t.mark)) return { bid: t.bid, ask: t.ask, mark: t.mark, source: 'ws', age_ms: t.age_ms };
+  return { ...await currentExchange().getQuote(psym), source: 'rest' };
+}
+
+async function marketBook(psym, depth = 20){
+  const b = marketData()?.book(psym, depth);
+  if (b && (b.bids.length || b.asks.length)) return b;
+  return currentExchange().getOrderbook(psym, depth);
+}
+
+// Keeps held symbols subscribed even when nothing looks them up.
+async function trackHeldSymbols(){
+  const md = marketData();
+  if (!md) return;
+  for (const p of await positionsForWait()) {
+    if (hasSize(p)) md.track(toProductSymbol(p.product_symbol || p.symbol));
+  }
+}
+
+function startMarketData(){
+  if (!MARKET_DATA_ENABLED) return;
+  const scan = () => forEachAccount(() => trackHeldSymbols()).catch(e => log.warn('market_data_scan_failed', 'market data hold scan failed (non-fatal)', { err: e }));
+  scan();
+  setInterval(scan, MARKET_DATA_HOLD_SCAN_MS);
+}
+
+// ===================== PRIVATE WS FEED ===================== //
+// One authenticated socket per account + exchange (lib/delta-ws.js) mirrors
+// open orders, positions and fills. The checks below read the mirror and wake
+// on its updates; while a feed isn't live (connecting, stale, disabled, no
+// credentials) they poll REST exactly as before.
+const PRIVATE_WS_ENABLED  = String(process.env.PRIVATE_WS_ENABLED || 'true').toLowerCase() !== 'false';
+const PRIVATE_WS_STALE_MS = nnum(process.env.PRIVATE_WS_STALE_MS, 40_000);
+const FEEDS = new Map();  // `${account}|${exchange}` -> feed
+
+// Feed for the current account + exchange, started on first use.
+function privateFeed(){
+  if (!PRIVATE_WS_ENABLED) return null;
+  const acct = currentAccount(), ex = currentExchange();
+  if (!ex.wsUrl || !acct.api_key) return null;
+  const k = `${acct.name}|${ex.name}`;
+  let feed = FEEDS.get(k);
+  if (!feed) {
+    feed = createPrivateFeed({ url: ex.wsUrl, auth: () => ex.wsAuth(acct), name: k, staleMs: PRIVATE_WS_STALE_MS });
+    FEEDS.set(k, feed);
+    feed.start();
+  }
+  return feed;
+}
+function liveFeed(){
+  const feed = privateFeed();
+  return feed && feed.ready() ? feed : null;
+}
+function startPrivateFeeds(){
+  if (!PRIVATE_WS_ENABLED) return;
+  forEachAccount(() => privateFeed()).catch(e => log.warn('private_ws_start_failed', 'private ws start failed (non-fatal)', { err: e }));
+}
+
+// Mirror first, REST when the feed isn't live (rest:true forces REST).
+async function openOrdersForWait({ rest = false } = {}){
+  const feed = rest ? null : liveFeed();
+  return feed ? feed.orders() : listOpenOrdersAllPages();
+}
+async function positionsForWait({ rest = false } = {}){
+  const feed = rest ? null : liveFeed();
+  return feed ? feed.positions() : listPositionsArray();
+}
+// Poll pause: returns early on the next mirror update when the feed is live.
+function waitTick(ms){
+  const feed = liveFeed();
+  return feed ? feed.nextChange(ms) : sleep(ms);
 }
 
 // ---------- flat checks ----------
+// isLiveOrder comes from lib/delta-ws.js, so the mirror and REST agree on what is resting.
+const hasSize = p => Math.abs(Number(p?.size||p?.position_size||0)) > 0;
+
 async function waitUntilFlat(timeoutMs = FLAT_TIMEOUT_MS, pollMs = FLAT_POLL_MS) {
   const end = Date.now() + timeoutMs;
   while (Date.now() < end) {
-    try {
-      const oo  = await listOpenOrdersAllPages();
-      const hasOrders = oo.some(o => ['open','pending','triggered','untriggered']
-        .includes(String(o?.state||o?.status||'').toLowerCase()));
-      const pos = await listPositionsArray();
-      const hasPos = pos.some(p => Math.abs(Number(p?.size||p?.position_size||0)) > 0);
-      if (!hasOrders && !hasPos) return true;
-    } catch(e) {}
-    await sleep(pollMs);
+    if (await isFlatNowGlobal()) return true;
+    await waitTick(pollMs);
   }
-  return false;
+  // The mirror can lag or miss an event; REST has the last word.
+  return liveFeed() ? isFlatNowGlobal({ rest:true }) : false;
 }
 
 async function waitUntilFlatSymbol(psym, timeoutMs = FLAT_TIMEOUT_MS, pollMs = FLAT_POLL_MS) {
-  const sym = toProductSymbol(psym);
   const end = Date.now() + timeoutMs;
   while (Date.now() < end) {
-    try {
-      const oo  = await listOpenOrdersAllPages();
-      const mineOrders = oo.filter(o => safeUpper(o?.product_symbol||o?.symbol) === safeUpper(sym));
-      const hasOrders = mineOrders.some(o => ['open','pending','triggered','untriggered']
-        .includes(String(o?.state||o?.status||'').toLowerCase()));
-
-      const pos = await listPositionsArray();
-      const minePos = pos.find(p => safeUpper(p?.product_symbol||p?.symbol) === safeUpper(sym));
-      const hasPos = minePos ? (Math.abs(Number(minePos?.size||minePos?.position_size||0)) > 0) : false;
-
-      if (!hasOrders && !hasPos) return true;
-    } catch(e) {}
-    await sleep(pollMs);
+    if (await isFlatNowSymbol(psym)) return true;
+    await waitTick(pollMs);
   }
-  return false;
+  return liveFeed() ? isFlatNowSymbol(psym, { rest:true }) : false;
 }
 
-async function isFlatNowGlobal(){
+async function isFlatNowGlobal({ rest = false } = {}){
   try {
-    const oo  = await listOpenOrdersAllPages();
-    const hasOrders = oo.some(o => ['open','pending','triggered','untriggered']
-      .includes(String(o?.state||o?.status||'').toLowerCase()));
-    const pos = await listPositionsArray();
-    const hasPos = pos.some(p => Math.abs(Number(p?.size||p?.position_size||0)) > 0);
-    return !hasOrders && !hasPos;
+    const oo  = await openOrdersForWait({ rest });
+    const pos = await positionsForWait({ rest });
+    return !oo.some(isLiveOrder) && !pos.some(hasSize);
   } catch { return false; }
 }
-async function isFlatNowSymbol(psym){
-  const sym = toProductSymbol(psym);
+async function isFlatNowSymbol(psym, { rest = false } = {}){
+  const sym = safeUpper(toProductSymbol(psym));
+  const mine = r => safeUpper(r?.product_symbol||r?.symbol) === sym;
   try {
-    const oo  = await listOpenOrdersAllPages();
-    const mineOrders = oo.filter(o => safeUpper(o?.product_symbol||o?.symbol) === safeUpper(sym));
-    const hasOrders = mineOrders.some(o => ['open','pending','triggered','untriggered']
-      .includes(String(o?.state||o?.status||'').toLowerCase()));
-
-    const pos = await listPositionsArray();
-    const minePos = pos.find(p => safeUpper(p?.product_symbol||p?.symbol) === safeUpper(sym));
-    const hasPos = minePos ? (Math.abs(Number(minePos?.size||minePos?.position_size||0)) > 0) : false;
-
-    return !hasOrders && !hasPos;
+    const oo  = await openOrdersForWait({ rest });
+    const pos = await positionsForWait({ rest });
+    return !oo.some(o => mine(o) && isLiveOrder(o)) && !hasSize(pos.find(mine));
   } catch { return false; }
 }
 
 async function waitUntilPositionSymbol(psym, timeoutMs = POSITION_WAIT_MS, pollMs = POSITION_POLL_MS){
   const sym = toProductSymbol(psym);
   const end = Date.now() + timeoutMs;
+  const check = async opts => {
+    try {
+      const info = await getPositionCloseSideAndLots(sym, await positionsForWait(opts));
+      return (info?.hasPos && info?.lots > 0) ? info : null;
+    } catch(e) { return null; }
+  };
 
   while (Date.now() < end) {
-    try {
-      const info = await getPositionCloseSideAndLots(sym);
-      if (info?.hasPos && info?.lots > 0) return info;
-    } catch(e) {}
-    await sleep(pollMs);
+    const info = await check();
+    if (info) return info;
+    await waitTick(pollMs);
   }
-  return null;
+  return liveFeed() ? check({ rest:true }) : null;
 }
 
 // ✅ FIX 2 helper: wait for the entry chain to set didEnter for a given sigId+psym
@@ -1379,19 +2417,19 @@ async function waitForEntryChainCompletion(sigId, psym, timeoutMs = PROTECTION_W
   const start = Date.now();
   const end = start + timeoutMs;
 
-  console.log(`waitForEntryChain: polling for didEnter on ${psym} (sigId=${sigId}), timeout=${timeoutMs}ms`);
+  log.info('entry_chain_wait', `waitForEntryChain: polling for didEnter on ${psym} (sigId=${sigId}), timeout=${timeoutMs}ms`, { symbol: psym, sig_id: sigId, timeout_ms: timeoutMs });
 
   while (Date.now() < end) {
     if (peekChainDidEnter(sigId, psym)) {
       const elapsed = Date.now() - start;
-      console.log(`waitForEntryChain: didEnter=true for ${psym} after ${elapsed}ms`);
+      log.info('entry_chain_done', `waitForEntryChain: didEnter=true for ${psym} after ${elapsed}ms`, { symbol: psym, sig_id: sigId, ms: elapsed });
       return true;
     }
     await sleep(pollMs);
   }
 
   const elapsed = Date.now() - start;
-  console.warn(`waitForEntryChain: TIMEOUT waiting for didEnter on ${psym} after ${elapsed}ms`);
+  log.warn('entry_chain_timeout', `waitForEntryChain: TIMEOUT waiting for didEnter on ${psym} after ${elapsed}ms`, { symbol: psym, sig_id: sigId, ms: elapsed });
   return false;
 }
 
@@ -1432,7 +2470,7 @@ async function flattenFromCancelMsg(cancelMsg, psym){
       steps.cancel_orders = true;
     } catch (e) {
       steps.cancel_error = String(e?.message || e);
-      console.warn('cancel step: cancel failed:', e?.message || e);
+      log.warn('cancel_step_failed', 'cancel step: cancel failed', { step: 'cancel', err: e });
     }
   }
 
@@ -1444,7 +2482,7 @@ async function flattenFromCancelMsg(cancelMsg, psym){
       } else {
         const sym = cancelMsg.symbol || cancelMsg.product_symbol || psym;
         if (sym) {
-          await closePositionBySymbol(sym);
+          await closePositionBySymbol(sym, 'CANCAL_CLOSE');
           steps.close_mode = 'close_by_symbol';
         } else {
           await closeAllPositions();
@@ -1454,7 +2492,7 @@ async function flattenFromCancelMsg(cancelMsg, psym){
       steps.close_position = true;
     } catch (e) {
       steps.close_error = String(e?.message || e);
-      console.warn('cancel step: close failed:', e?.message || e);
+      log.warn('cancel_step_failed', 'cancel step: close failed', { step: 'close', err: e });
     }
   }
 
@@ -1495,7 +2533,7 @@ async function preflightFromEnterMsg(enterMsg, psym){
       steps.cancel_orders = true;
     } catch (e) {
       steps.cancel_error = String(e?.message || e);
-      console.warn('enter preflight: cancel failed:', e?.message || e);
+      log.warn('enter_preflight_failed', 'enter preflight: cancel failed', { step: 'cancel', err: e });
     }
   }
 
@@ -1507,7 +2545,7 @@ async function preflightFromEnterMsg(enterMsg, psym){
       } else {
         const sym = enterMsg.symbol || enterMsg.product_symbol || psym;
         if (sym) {
-          await closePositionBySymbol(sym);
+          await closePositionBySymbol(sym, 'PREFLIGHT_CLOSE');
           steps.close_mode = 'close_by_symbol';
         } else {
           await closeAllPositions();
@@ -1517,7 +2555,7 @@ async function preflightFromEnterMsg(enterMsg, psym){
       steps.close_position = true;
     } catch (e) {
       steps.close_error = String(e?.message || e);
-      console.warn('enter preflight: close failed:', e?.message || e);
+      log.warn('enter_preflight_failed', 'enter preflight: close failed', { step: 'close', err: e });
     }
   }
 
@@ -1529,7 +2567,7 @@ async function placeSLIntent(m){
   const psym = toProductSymbol(m.symbol || m.product_symbol);
   const sigId = m.sig_id || m.signal_id || '';
 
-  console.log('PLACE_SL_INTENT received', {
+  log.info('sl_intent_received', 'PLACE_SL_INTENT received', {
     sig_id: sigId,
     symbol: psym,
     stop_price: m.stop_price,
@@ -1557,7 +2595,7 @@ async function placeSLIntent(m){
   let info = null;
 
   if (alreadyInPosition) {
-    console.log(`placeSLIntent: position already open for ${psym} → ratchet update, skipping entry-chain wait`);
+    log.info('sl_ratchet', `placeSLIntent: position already open for ${psym} → ratchet update, skipping entry-chain wait`, { symbol: psym });
     info = preInfo; // ★ fast path: no second positions poll
   } else if (sigId) {
     // ✅ FIX 2: Wait for the entry chain to complete (didEnter=true) instead of blind 10s sleep.
@@ -1565,11 +2603,11 @@ async function placeSLIntent(m){
     //   the entry chain takes (could be 2s or 200s depending on API latency and flat-wait).
     const entryDone = await waitForEntryChainCompletion(sigId, psym);
     if (!entryDone) {
-      console.warn(`placeSLIntent: entry chain never completed for ${psym} (sigId=${sigId}), proceeding anyway to check position`);
+      log.warn('sl_entry_chain_incomplete', `placeSLIntent: entry chain never completed for ${psym} (sigId=${sigId}), proceeding anyway to check position`, { symbol: psym, sig_id: sigId });
     }
   } else {
     // No sigId → fallback to old behavior (short sleep)
-    console.log(`placeSLIntent: no sigId, falling back to 10s sleep for ${psym}`);
+    log.info('sl_no_sig_wait', `placeSLIntent: no sigId, falling back to 10s sleep for ${psym}`, { symbol: psym });
     await sleep(10000);
   }
 
@@ -1582,12 +2620,12 @@ async function placeSLIntent(m){
     const _lastEntry = LAST_ENTRY_SENT.get(psym);
     const _entryAge = _lastEntry ? (Date.now() - _lastEntry.ts) : Infinity;
     if (_entryAge > 60_000) {
-      console.log(`placeSLIntent: no position for ${psym}, cleaning up orphaned protective orders (entry was ${Math.round(_entryAge/1000)}s ago)`);
+      log.info('sl_orphan_cleanup', `placeSLIntent: no position for ${psym}, cleaning up orphaned protective orders (entry was ${Math.round(_entryAge/1000)}s ago)`, { symbol: psym, entry_age_ms: _entryAge });
       try { await cancelProtectiveOrdersBySymbol(psym); } catch (e) {
-        console.warn(`placeSLIntent: orphan cleanup failed for ${psym} (non-fatal):`, e?.message || e);
+        log.warn('sl_orphan_cleanup_failed', `placeSLIntent: orphan cleanup failed for ${psym} (non-fatal)`, { symbol: psym, err: e });
       }
     } else {
-      console.log(`placeSLIntent: no position for ${psym}, but entry is recent (${Math.round(_entryAge/1000)}s ago) — skipping cleanup`);
+      log.info('sl_no_position', `placeSLIntent: no position for ${psym}, but entry is recent (${Math.round(_entryAge/1000)}s ago) — skipping cleanup`, { symbol: psym, entry_age_ms: _entryAge });
     }
     return { ok:true, action:'PLACE_SL_INTENT', symbol:psym, skipped:true, reason:'no_position_found', cleaned_up: _entryAge > 60_000 };
   }
@@ -1597,18 +2635,18 @@ async function placeSLIntent(m){
   if (knownEntry?.lots > 0 && (Date.now() - knownEntry.ts) < 5 * 60 * 1000) {
     if (info.lots <= 0) {
       // Position hasn't settled yet → use known entry lots (original safety behavior)
-      console.log('placeSLIntent: position not settled, using entry lots', { psym, knownEntryLots: knownEntry.lots });
+      log.info('sl_entry_lots', 'placeSLIntent: position not settled, using entry lots', { symbol: psym, knownEntryLots: knownEntry.lots });
       info.lots = knownEntry.lots;
     } else if (info.lots > knownEntry.lots) {
       // Inference error (lots/coins confusion) → use known entry lots (safety)
-      console.log('⚠ placeSLIntent LOT FIX: inferred > entry, using entry lots', {
-        psym, inferredLots: info.lots, knownEntryLots: knownEntry.lots
+      log.warn('sl_lot_fix', '⚠ placeSLIntent LOT FIX: inferred > entry, using entry lots', {
+        symbol: psym, inferredLots: info.lots, knownEntryLots: knownEntry.lots
       });
       info.lots = knownEntry.lots;
     } else if (info.lots < knownEntry.lots) {
       // Position is SMALLER than entry → TPs have filled → use actual position size
-      console.log('✓ placeSLIntent: position reduced by TP fills, using actual size', {
-        psym, actualLots: info.lots, originalEntryLots: knownEntry.lots,
+      log.info('sl_position_reduced', '✓ placeSLIntent: position reduced by TP fills, using actual size', {
+        symbol: psym, actualLots: info.lots, originalEntryLots: knownEntry.lots,
         tpFilledLots: knownEntry.lots - info.lots
       });
       // info.lots stays as-is (the correct reduced value)
@@ -1640,11 +2678,25 @@ async function placeSLIntent(m){
         const wrongSide = isLong ? (stopPrice < bound) : (stopPrice > bound);
         if (wrongSide) {
           const clamped = Number(bound.toPrecision(6));
-          console.warn(`⚠ LAYER4 CLAMP ${psym}: ${m.reason} stop ${stopPrice} is on LOSS side of real fill ${fill} → clamped to ${clamped}`);
+          log.warn('sl_clamped', `⚠ LAYER4 CLAMP ${psym}: ${m.reason} stop ${stopPrice} is on LOSS side of real fill ${fill} → clamped to ${clamped}`, { symbol: psym, reason: m.reason, stop_price: stopPrice, fill, clamped });
           stopPrice = clamped;
         }
       }
-    } catch (e) { console.warn('LAYER4 clamp check failed (non-fatal, using requested stop):', e?.message || e); }
+    } catch (e) { log.warn('sl_clamp_failed', 'LAYER4 clamp check failed (non-fatal, using requested stop)', { symbol: psym, err: e }); }
+  }
+
+  // Bracket entry: move its SL leg instead of stacking a second stop. If that is
+  // refused, fall through — the new SL goes in and the bracket SL is cancelled below.
+  if (!m.stop_order_type || m.stop_order_type === 'stop_loss_order') {
+    try {
+      const br = await editBracketStops(psym, stopPrice);
+      if (br?.edited > 0) {
+        log.info('bracket_sl_moved', `🔗 bracket SL moved [${psym}] → ${stopPrice} (${m.reason || 'n/a'}) on ${br.edited} bracket(s)`, { symbol: psym, stop_price: stopPrice, reason: m.reason, edited: br.edited });
+        return { ok:true, action:'PLACE_SL_INTENT', symbol:psym, lots:info.lots, closeSide:info.closeSide, stopPrice, reason: m.reason, bracket: br };
+      }
+    } catch (e) {
+      log.warn('bracket_sl_edit_failed', `placeSLIntent: bracket SL edit failed for ${psym} (placing a normal SL instead)`, { symbol: psym, err: e });
+    }
   }
 
   const client_order_id = protectiveClientOrderId('SL', sigId, psym);
@@ -1660,8 +2712,8 @@ async function placeSLIntent(m){
     client_order_id
   };
 
-  console.log('PLACE_SL_INTENT placing (place-first, cancel-after)', {
-    psym,
+  log.info('sl_placing', 'PLACE_SL_INTENT placing (place-first, cancel-after)', {
+    symbol: psym,
     closeSide: info.closeSide,
     lots: info.lots,
     stopPrice,
@@ -1677,10 +2729,13 @@ async function placeSLIntent(m){
   //   silently keeping the old, wider stop.
   let r;
   try {
-    r = await dcall('POST', '/v2/orders', body);
+    r = await currentExchange().placeOrder(body);
+    attributeOrder(r, body, /WATCHDOG/i.test(String(m.reason || '')) ? 'WATCHDOG_SL' : 'SL', sigId);
   } catch (e) {
     if (isImmediateExecutionError(e)) {
-      console.error(`⚡ SL BREACHED ON ARRIVAL [${psym}]: stop ${stopPrice} (${m.reason}) would trigger immediately — mark price is already beyond it. SL_BREACH_ACTION=${SL_BREACH_ACTION}`);
+      log.error('sl_breach', `⚡ SL BREACHED ON ARRIVAL [${psym}]: stop ${stopPrice} (${m.reason}) would trigger immediately — mark price is already beyond it. SL_BREACH_ACTION=${SL_BREACH_ACTION}`, { symbol: psym, stop_price: stopPrice, reason: m.reason, breach_action: SL_BREACH_ACTION });
+      M.breaches.inc({ kind: 'sl', fallback: SL_BREACH_ACTION === 'close' ? 'market_close' : 'skipped' });
+      notify('SL_BREACH', { symbol: psym, sig_id: sigId, stop_price: stopPrice, reason: m.reason, lots: body.size, breach_action: SL_BREACH_ACTION === 'close' ? 'market close' : 'NOT closed' });
 
       if (SL_BREACH_ACTION === 'close') {
         const closed = await marketCloseNow(psym, `SL_BREACH_${m.reason || 'UNKNOWN'}`, sigId);
@@ -1695,7 +2750,8 @@ async function placeSLIntent(m){
         };
       }
 
-      console.warn(`placeSLIntent: SL_BREACH_ACTION=${SL_BREACH_ACTION} → NOT closing. Old protective order (if any) remains active for ${psym}. MANUAL ATTENTION NEEDED.`);
+      log.error('manual_attention', `placeSLIntent: SL_BREACH_ACTION=${SL_BREACH_ACTION} → NOT closing. Old protective order (if any) remains active for ${psym}. MANUAL ATTENTION NEEDED.`, { symbol: psym, breach_action: SL_BREACH_ACTION });
+      notify('MANUAL_ATTENTION', { symbol: psym, sig_id: sigId, detail: `SL ${stopPrice} breached on arrival, SL_BREACH_ACTION=${SL_BREACH_ACTION} — old protection (if any) left in place` });
       return {
         ok: false,
         action: 'PLACE_SL_INTENT',
@@ -1713,7 +2769,7 @@ async function placeSLIntent(m){
   try {
     await cancelProtectiveOrdersBySymbol(psym, client_order_id);
   } catch (e) {
-    console.warn('placeSLIntent: cancel old protective failed (non-fatal, new SL is already placed)', { psym, err: e?.message || e });
+    log.warn('cancel_protective_failed', 'placeSLIntent: cancel old protective failed (non-fatal, new SL is already placed)', { symbol: psym, err: e });
   }
 
   return { ok:true, action:'PLACE_SL_INTENT', symbol:psym, lots:info.lots, closeSide:info.closeSide, stopPrice, reason: m.reason, r };
@@ -1723,7 +2779,7 @@ async function placeTrailIntent(m){
   const psym = toProductSymbol(m.symbol || m.product_symbol);
   const sigId = m.sig_id || m.signal_id || '';
 
-  console.log('TRAIL_SL_INTENT received', {
+  log.info('trail_intent_received', 'TRAIL_SL_INTENT received', {
     sig_id: sigId,
     symbol: psym,
     trail_amount: m.trail_amount,
@@ -1742,16 +2798,16 @@ async function placeTrailIntent(m){
   let info = null;
 
   if (alreadyInPositionT) {
-    console.log(`placeTrailIntent: position already open for ${psym} → ratchet update, skipping entry-chain wait`);
+    log.info('trail_ratchet', `placeTrailIntent: position already open for ${psym} → ratchet update, skipping entry-chain wait`, { symbol: psym });
     info = preInfoT; // ★ fast path: no second positions poll
   } else if (sigId) {
     // ✅ FIX 2: Wait for the entry chain to complete instead of blind 10s sleep
     const entryDone = await waitForEntryChainCompletion(sigId, psym);
     if (!entryDone) {
-      console.warn(`placeTrailIntent: entry chain never completed for ${psym} (sigId=${sigId}), proceeding anyway to check position`);
+      log.warn('trail_entry_chain_incomplete', `placeTrailIntent: entry chain never completed for ${psym} (sigId=${sigId}), proceeding anyway to check position`, { symbol: psym, sig_id: sigId });
     }
   } else {
-    console.log(`placeTrailIntent: no sigId, falling back to 10s sleep for ${psym}`);
+    log.info('trail_no_sig_wait', `placeTrailIntent: no sigId, falling back to 10s sleep for ${psym}`, { symbol: psym });
     await sleep(10000);
   }
 
@@ -1764,12 +2820,12 @@ async function placeTrailIntent(m){
     const _lastEntry = LAST_ENTRY_SENT.get(psym);
     const _entryAge = _lastEntry ? (Date.now() - _lastEntry.ts) : Infinity;
     if (_entryAge > 60_000) {
-      console.log(`placeTrailIntent: no position for ${psym}, cleaning up orphaned protective orders (entry was ${Math.round(_entryAge/1000)}s ago)`);
+      log.info('trail_orphan_cleanup', `placeTrailIntent: no position for ${psym}, cleaning up orphaned protective orders (entry was ${Math.round(_entryAge/1000)}s ago)`, { symbol: psym, entry_age_ms: _entryAge });
       try { await cancelProtectiveOrdersBySymbol(psym); } catch (e) {
-        console.warn(`placeTrailIntent: orphan cleanup failed for ${psym} (non-fatal):`, e?.message || e);
+        log.warn('trail_orphan_cleanup_failed', `placeTrailIntent: orphan cleanup failed for ${psym} (non-fatal)`, { symbol: psym, err: e });
       }
     } else {
-      console.log(`placeTrailIntent: no position for ${psym}, but entry is recent (${Math.round(_entryAge/1000)}s ago) — skipping cleanup`);
+      log.info('trail_no_position', `placeTrailIntent: no position for ${psym}, but entry is recent (${Math.round(_entryAge/1000)}s ago) — skipping cleanup`, { symbol: psym, entry_age_ms: _entryAge });
     }
     return { ok:true, action:'TRAIL_SL_INTENT', symbol:psym, skipped:true, reason:'no_position_found', cleaned_up: _entryAge > 60_000 };
   }
@@ -1778,16 +2834,16 @@ async function placeTrailIntent(m){
   const knownEntry = LAST_ENTRY_SENT.get(psym);
   if (knownEntry?.lots > 0 && (Date.now() - knownEntry.ts) < 5 * 60 * 1000) {
     if (info.lots <= 0) {
-      console.log('placeTrailIntent: position not settled, using entry lots', { psym, knownEntryLots: knownEntry.lots });
+      log.info('trail_entry_lots', 'placeTrailIntent: position not settled, using entry lots', { symbol: psym, knownEntryLots: knownEntry.lots });
       info.lots = knownEntry.lots;
     } else if (info.lots > knownEntry.lots) {
-      console.log('⚠ placeTrailIntent LOT FIX: inferred > entry, using entry lots', {
-        psym, inferredLots: info.lots, knownEntryLots: knownEntry.lots
+      log.warn('trail_lot_fix', '⚠ placeTrailIntent LOT FIX: inferred > entry, using entry lots', {
+        symbol: psym, inferredLots: info.lots, knownEntryLots: knownEntry.lots
       });
       info.lots = knownEntry.lots;
     } else if (info.lots < knownEntry.lots) {
-      console.log('✓ placeTrailIntent: position reduced by TP fills, using actual size', {
-        psym, actualLots: info.lots, originalEntryLots: knownEntry.lots,
+      log.info('trail_position_reduced', '✓ placeTrailIntent: position reduced by TP fills, using actual size', {
+        symbol: psym, actualLots: info.lots, originalEntryLots: knownEntry.lots,
         tpFilledLots: knownEntry.lots - info.lots
       });
     }
@@ -1819,9 +2875,10 @@ async function placeTrailIntent(m){
   // ✅ FIX 4b: Delta India API requires NEGATIVE trail_amount for sell stop orders (closing a long),
   //   and POSITIVE trail_amount for buy stop orders (closing a short).
   //   Without this, sell-side trails get: "Trail amount should be negative for sell stop orders"
-  const signedTrailAmount = isLong ? -trailAmount : trailAmount;
+  //   The sign rule is per venue now — see trailAmount() in lib/exchanges.js.
+  const signedTrailAmount = currentExchange().trailAmount(info.closeSide, trailAmount);
 
-  // Delta India API: use stop_loss_order + trail_amount
+  // Delta API: use stop_loss_order + trail_amount
   // trail_amount makes it behave as trailing stop
   // stop_trigger_method: last_traded_price for more responsive trailing
   const body = {
@@ -1836,8 +2893,8 @@ async function placeTrailIntent(m){
     client_order_id
   };
 
-  console.log('TRAIL_SL_INTENT placing (place-first, cancel-after)', {
-    psym,
+  log.info('trail_placing', 'TRAIL_SL_INTENT placing (place-first, cancel-after)', {
+    symbol: psym,
     closeSide: info.closeSide,
     lots: info.lots,
     isLong,
@@ -1854,10 +2911,13 @@ async function placeTrailIntent(m){
   // ★ PATCH 2026-07-11 (FIX D): same breach fallback as placeSLIntent.
   let r;
   try {
-    r = await dcall('POST', '/v2/orders', body);
+    r = await currentExchange().placeOrder(body);
+    attributeOrder(r, body, 'TRAIL', sigId);
   } catch (e) {
     if (isImmediateExecutionError(e)) {
-      console.error(`⚡ TRAIL BREACHED ON ARRIVAL [${psym}]: trail stop would trigger immediately. SL_BREACH_ACTION=${SL_BREACH_ACTION}`);
+      log.error('trail_breach', `⚡ TRAIL BREACHED ON ARRIVAL [${psym}]: trail stop would trigger immediately. SL_BREACH_ACTION=${SL_BREACH_ACTION}`, { symbol: psym, breach_action: SL_BREACH_ACTION });
+      M.breaches.inc({ kind: 'trail', fallback: SL_BREACH_ACTION === 'close' ? 'market_close' : 'skipped' });
+      notify('TRAIL_BREACH', { symbol: psym, sig_id: sigId, trail_amount: trailAmount, lots: body.size, breach_action: SL_BREACH_ACTION === 'close' ? 'market close' : 'NOT closed' });
 
       if (SL_BREACH_ACTION === 'close') {
         const closed = await marketCloseNow(psym, 'TRAIL_BREACH', sigId);
@@ -1871,7 +2931,8 @@ async function placeTrailIntent(m){
         };
       }
 
-      console.warn(`placeTrailIntent: SL_BREACH_ACTION=${SL_BREACH_ACTION} → NOT closing. Old protective order (if any) remains active for ${psym}. MANUAL ATTENTION NEEDED.`);
+      log.error('manual_attention', `placeTrailIntent: SL_BREACH_ACTION=${SL_BREACH_ACTION} → NOT closing. Old protective order (if any) remains active for ${psym}. MANUAL ATTENTION NEEDED.`, { symbol: psym, breach_action: SL_BREACH_ACTION });
+      notify('MANUAL_ATTENTION', { symbol: psym, sig_id: sigId, detail: `trail ${trailAmount} breached on arrival, SL_BREACH_ACTION=${SL_BREACH_ACTION} — old protection (if any) left in place` });
       return {
         ok: false,
         action: 'TRAIL_SL_INTENT',
@@ -1888,7 +2949,7 @@ async function placeTrailIntent(m){
   try {
     await cancelProtectiveOrdersBySymbol(psym, client_order_id);
   } catch (e) {
-    console.warn('placeTrailIntent: cancel old protective failed (non-fatal, new trail is already placed)', { psym, err: e?.message || e });
+    log.warn('cancel_protective_failed', 'placeTrailIntent: cancel old protective failed (non-fatal, new trail is already placed)', { symbol: psym, err: e });
   }
 
   return {
@@ -1907,7 +2968,7 @@ async function placeTrailIntent(m){
 }
 async function cancelProtectiveIntent(m){
   const psym = toProductSymbol(m.symbol || m.product_symbol);
-  console.log('CANCEL_PROTECTIVE received', {
+  log.info('cancel_protective_received', 'CANCEL_PROTECTIVE received', {
     sig_id: m.sig_id || m.signal_id,
     symbol: m.symbol || m.product_symbol
   });
@@ -1925,7 +2986,7 @@ async function closeSLIntent(m){
   const reason = m.reason || 'SOFTWARE_SL';
   const closePrice = nnum(m.close_price, 0);
 
-  console.log('CLOSE_SL received', {
+  log.info('close_sl_received', 'CLOSE_SL received', {
     sig_id: sigId,
     symbol: psym,
     reason,
@@ -1938,9 +2999,9 @@ async function closeSLIntent(m){
   let cancelResult = null;
   try {
     cancelResult = await cancelOrdersBySymbol(psym, { fallbackAll: false });
-    console.log('CLOSE_SL cancel orders done', { psym, cancelResult });
+    log.info('close_sl_cancelled', 'CLOSE_SL cancel orders done', { symbol: psym, result: cancelResult });
   } catch (e) {
-    console.warn('CLOSE_SL cancel orders failed, continuing to close position', { psym, err: e?.message || e });
+    log.warn('close_sl_cancel_failed', 'CLOSE_SL cancel orders failed, continuing to close position', { symbol: psym, err: e });
   }
 
   // Step 2: Close the position with a market order
@@ -1950,23 +3011,23 @@ async function closeSLIntent(m){
   const knownEntry = LAST_ENTRY_SENT.get(psym);
   if (knownEntry?.lots > 0 && posInfo.hasPos && (Date.now() - knownEntry.ts) < 30 * 60 * 1000) {
     if (posInfo.lots <= 0) {
-      console.log('closeSLIntent: position not settled, using entry lots', { psym, knownEntryLots: knownEntry.lots });
+      log.info('close_sl_entry_lots', 'closeSLIntent: position not settled, using entry lots', { symbol: psym, knownEntryLots: knownEntry.lots });
       posInfo.lots = knownEntry.lots;
     } else if (posInfo.lots > knownEntry.lots) {
-      console.log('⚠ closeSLIntent LOT FIX: inferred > entry, using entry lots', {
-        psym, inferredLots: posInfo.lots, knownEntryLots: knownEntry.lots
+      log.warn('close_sl_lot_fix', '⚠ closeSLIntent LOT FIX: inferred > entry, using entry lots', {
+        symbol: psym, inferredLots: posInfo.lots, knownEntryLots: knownEntry.lots
       });
       posInfo.lots = knownEntry.lots;
     } else if (posInfo.lots < knownEntry.lots) {
-      console.log('✓ closeSLIntent: position reduced by TP fills, using actual size', {
-        psym, actualLots: posInfo.lots, originalEntryLots: knownEntry.lots,
+      log.info('close_sl_position_reduced', '✓ closeSLIntent: position reduced by TP fills, using actual size', {
+        symbol: psym, actualLots: posInfo.lots, originalEntryLots: knownEntry.lots,
         tpFilledLots: knownEntry.lots - posInfo.lots
       });
     }
   }
 
   if (!posInfo.hasPos || !(posInfo.lots > 0)) {
-    console.log('CLOSE_SL: no open position found, may already be closed', { psym });
+    log.info('close_sl_no_position', 'CLOSE_SL: no open position found, may already be closed', { symbol: psym });
     return {
       ok: true,
       action: 'CLOSE_SL',
@@ -1987,15 +3048,16 @@ async function closeSLIntent(m){
     reduce_only: true
   };
 
-  console.log('CLOSE_SL closing position', {
-    psym,
+  log.info('close_sl_closing', 'CLOSE_SL closing position', {
+    symbol: psym,
     closeSide: posInfo.closeSide,
     lots: posInfo.lots,
     reason,
     close_price: closePrice
   });
 
-  const closeResult = await dcall('POST', '/v2/orders', closeBody);
+  const closeResult = await currentExchange().placeOrder(closeBody);
+  attributeOrder(closeResult, closeBody, 'CLOSE_SL', sigId);
 
   return {
     ok: true,
@@ -2011,12 +3073,892 @@ async function closeSLIntent(m){
   };
 }
 
+// ===================== STARTUP RECONCILIATION ===================== //
+// On boot (and via POST /reconcile) look at what is ALREADY live on Delta:
+// rebuild entry/side memory for inherited positions and flag anything a
+// restart may have left half-done (no stop, oversized ladder, orphan orders).
+// apply:false is the read-only variant behind POST /reconcile?dry_run=1.
+const RECONCILE_ON_BOOT = String(process.env.RECONCILE_ON_BOOT || 'true').toLowerCase() !== 'false';
+const LAST_RECONCILE = new Map(); // account -> last report
+
+function orderLots(o){
+  return Math.abs(nnum(o?.unfilled_size ?? o?.size, 0));
+}
+
+async function reconcileExchangeState({ apply = true } = {}){
+  const started = Date.now();
+  const [positions, orders] = await Promise.all([listPositionsArray(), listOpenOrdersAllPages()]);
+
+  const bySymbol = new Map();
+  for (const o of orders) {
+    const sym = safeUpper(o?.product_symbol || o?.symbol);
+    if (!bySymbol.has(sym)) bySymbol.set(sym, []);
+    bySymbol.get(sym).push(o);
+  }
+
+  const report = { ok:true, ts: new Date().toISOString(), dry_run: !apply || undefined, positions: [], issues: [], rebuilt: [] };
+  const heldSymbols = new Set();
+
+  for (const row of positions) {
+    const rawSize = Number(row?.size || row?.position_size || 0);
+    if (!rawSize || Math.abs(rawSize) < 1e-12) continue;
+
+    const psym = safeUpper(toProductSymbol(row?.product_symbol || row?.symbol));
+    heldSymbols.add(psym);
+
+    const lotMult  = await getLotMult(psym);
+    const inferred = await inferPositionUnits({ psym, rawSize, lotMult, posRow: row });
+    const side     = rawSize > 0 ? 'buy' : 'sell';
+    const closeSide = oppositeSide(side);
+
+    const mine       = bySymbol.get(psym) || [];
+    const protective = mine.filter(isProtectiveOrder);
+    const tps        = mine.filter(isTpLikeOrder);
+    const other      = mine.filter(o => !isProtectiveOrder(o) && !isTpLikeOrder(o));
+    const tpLots     = tps.filter(o => String(o?.side || '').toLowerCase() === closeSide)
+                          .reduce((a, o) => a + orderLots(o), 0);
+
+    report.positions.push({
+      symbol: psym,
+      side,
+      raw_size: rawSize,
+      lots: inferred.lots,
+      units: inferred.units,
+      entry_price: nnum(row?.entry_price, 0) || null,
+      protective_orders: protective.map(o => ({ id: o?.id, client_order_id: o?.client_order_id, stop_price: o?.stop_price, trail_amount: o?.trail_amount, lots: orderLots(o) })),
+      tp_orders: tps.map(o => ({ id: o?.id, client_order_id: o?.client_order_id, limit_price: o?.limit_price, lots: orderLots(o) })),
+      tp_lots: tpLots,
+      other_orders: other.length
+    });
+
+    if (!protective.length) {
+      report.issues.push({ type:'naked_position', symbol: psym, side, lots: inferred.lots, note:'No PRT_ protective stop resting for this position' });
+    }
+    if (tpLots > inferred.lots) {
+      report.issues.push({ type:'ladder_exceeds_position', symbol: psym, tp_lots: tpLots, position_lots: inferred.lots });
+    }
+
+    // Rebuild memory only where the restart left a gap — persisted values win.
+    if (apply) rememberSide(psym, side);
+    if (!LAST_ENTRY_SENT.has(psym)) {
+      const openedAt = Date.parse(row?.created_at || row?.updated_at || '') || 0;
+      if (apply) LAST_ENTRY_SENT.set(psym, { lots: inferred.lots, ts: openedAt, side, lotMult, reconciled: true });
+      report.rebuilt.push({ symbol: psym, lots: inferred.lots, side });
+    }
+  }
+
+  for (const [sym, list] of bySymbol) {
+    if (heldSymbols.has(sym)) continue;
+    report.issues.push({
+      type: 'orphan_orders',
+      symbol: sym,
+      count: list.length,
+      orders: list.map(o => ({
+        id: o?.id,
+        client_order_id: o?.client_order_id,
+        kind: isProtectiveOrder(o) ? 'protective' : isTpLikeOrder(o) ? 'tp' : 'other',
+        side: o?.side,
+        lots: orderLots(o)
+      }))
+    });
+  }
+
+  report.open_orders = orders.length;
+  report.duration_ms = Date.now() - started;
+  if (!apply) return report;
+  LAST_RECONCILE.set(currentAccountName(), report);
+
+  if (report.issues.length) {
+    log.warn('reconcile_issues', `⚠ RECONCILE${acctTag()}: ${report.issues.length} issue(s) on ${report.positions.length} position(s)`, { positions: report.positions.length, issues: report.issues });
+    for (const i of report.issues) {
+      const detail = i.type === 'naked_position' ? `${i.side} ${i.lots} lots, no protective stop`
+                   : i.type === 'ladder_exceeds_position' ? `TP lots ${i.tp_lots} > position ${i.position_lots}`
+                   : `${i.count} order(s) with no position`;
+      notify('RECONCILE_ISSUE', { symbol: i.symbol, sig_id: null, issue: i.type, detail, severity: i.type === 'naked_position' ? 'critical' : 'warn' });
+    }
+  } else {
+    log.info('reconcile_ok', `✓ RECONCILE${acctTag()}: ${report.positions.length} position(s), ${orders.length} open order(s), no issues`, { positions: report.positions.length, open_orders: orders.length });
+  }
+  return report;
+}
+
+// GET serves the last applied report (boot or admin POST) and never calls Delta,
+// so polling it can't spend the rate budget the trading paths need. Live passes
+// are admin-only: POST applies, ?dry_run=1 only reports.
+app.get('/reconcile', async (_req,res)=>{
+  if (!LAST_RECONCILE.size) return res.status(404).json({ ok:false, error:'no reconcile report yet — POST /reconcile (admin) runs one' });
+  res.json(await forEachAccount(() => LAST_RECONCILE.get(currentAccountName()) || null));
+});
+
+app.post('/reconcile', requireAdmin, async (req,res)=>{
+  const dryRun = ['1','true'].includes(String(req.query.dry_run ?? req.body?.dry_run ?? '').toLowerCase());
+  try { res.json(await forEachAccount(() => reconcileExchangeState({ apply: !dryRun }))); }
+  catch (e) { res.status(502).json({ ok:false, error:String(e?.message || e) }); }
+});
+
+// ===================== NAKED-POSITION WATCHDOG ===================== //
+// Safety net for a PLACE_SL_INTENT that never arrives (dropped alert, Pine bug,
+// dedup). Every WATCHDOG_INTERVAL_MS each open position is checked for a PRT_
+// stop; once WATCHDOG_GRACE_MS has passed since entry without one, an emergency
+// stop is placed WATCHDOG_STOP_PCT % (or WATCHDOG_STOP_ATR_MULT × Pine's ATR)
+// from entry_price through placeSLIntent() — same place-first / breach logic.
+const WATCHDOG_ENABLED        = String(process.env.WATCHDOG_ENABLED || 'true').toLowerCase() !== 'false';
+const WATCHDOG_INTERVAL_MS    = nnum(process.env.WATCHDOG_INTERVAL_MS, 30_000);
+const WATCHDOG_GRACE_MS       = nnum(process.env.WATCHDOG_GRACE_MS, 120_000);
+const WATCHDOG_STOP_PCT       = nnum(process.env.WATCHDOG_STOP_PCT, 3);
+const WATCHDOG_STOP_ATR_MULT  = nnum(process.env.WATCHDOG_STOP_ATR_MULT, 0);  // 0 = use % only
+
+const WATCHDOG_FIRST_NAKED = accountScoped(new Map()); // psym -> ts first seen without protection
+let WATCHDOG_RUNNING = false;
+const LAST_WATCHDOG = new Map(); // account -> last pass
+
+// Latest sig_id + ATR Pine sent for this symbol (from the entry chain, if still held).
+function latestChainForSymbol(psym){
+  let best = null;
+  for (const [k, c] of CHAIN) {
+    const [sig, sym] = k.split('|');
+    if (sym !== safeUpper(psym) || !c) continue;
+    if (!best || (c.createdAt || 0) > best.createdAt) {
+      best = { sigId: sig, createdAt: c.createdAt || 0, atr: nnum(c.batchMsg?.atr, 0) || nnum(c.enterMsg?.atr, 0) };
+    }
+  }
+  return best;
+}
+
+function roundStopToTick(px, tick, isLong){
+  if (!(tick > 0)) return Number(px.toPrecision(6));
+  const steps = isLong ? Math.floor(px / tick) : Math.ceil(px / tick);
+  const decimals = (String(tick).split('.')[1] || '').length;
+  return Number((steps * tick).toFixed(decimals));
+}
+
+async function emergencyStopPrice(psym, isLong, entryPrice){
+  const chain = latestChainForSymbol(psym);
+  const useAtr = WATCHDOG_STOP_ATR_MULT > 0 && chain?.atr > 0;
+  const dist = useAtr ? chain.atr * WATCHDOG_STOP_ATR_MULT : entryPrice * WATCHDOG_STOP_PCT / 100;
+  const raw = isLong ? entryPrice - dist : entryPrice + dist;
+  const meta = await getProductMeta(psym).catch(() => null);
+  return { stopPrice: roundStopToTick(raw, nnum(meta?.tick_size, 0), isLong), basis: useAtr ? 'atr' : 'pct', dist, sigId: chain?.sigId || '' };
+}
+
+async function runWatchdogOnce(){
+  const [positions, orders] = await Promise.all([listPositionsArray(), listOpenOrdersAllPages()]);
+  const now = Date.now();
+  const held = new Set();
+  const actions = [];
+
+  for (const row of positions) {
+    const rawSize = Number(row?.size || row?.position_size || 0);
+    if (!rawSize || Math.abs(rawSize) < 1e-12) continue;
+    const psym = safeUpper(toProductSymbol(row?.product_symbol || row?.symbol));
+    held.add(psym);
+
+    const protectedNow = orders.some(o => safeUpper(o?.product_symbol || o?.symbol) === psym && isProtectiveOrder(o));
+    if (protectedNow) { WATCHDOG_FIRST_NAKED.delete(psym); continue; }
+
+    // Something is already working on this symbol (entry chain or an SL intent) — next tick.
+    if (QUEUE.has(protectiveKey(psym)) || QUEUE.has(symbolKey(psym))) continue;
+
+    if (!WATCHDOG_FIRST_NAKED.has(psym)) WATCHDOG_FIRST_NAKED.set(psym, now);
+    const lastEntry = LAST_ENTRY_SENT.get(psym);
+    const since = (lastEntry?.ts > 0) ? lastEntry.ts : WATCHDOG_FIRST_NAKED.get(psym);
+    const nakedMs = now - since;
+    if (nakedMs < WATCHDOG_GRACE_MS) continue;
+
+    const entryPrice = nnum(row?.entry_price, 0);
+    if (!(entryPrice > 0)) {
+      log.error('watchdog_no_entry_price', `🚨 WATCHDOG [${psym}]: NAKED position for ${Math.round(nakedMs/1000)}s but entry_price unknown — cannot compute emergency stop. MANUAL ATTENTION NEEDED.`, { symbol: psym, naked_ms: nakedMs });
+      notify('MANUAL_ATTENTION', { symbol: psym, detail: `naked position for ${Math.round(nakedMs/1000)}s, entry_price unknown — watchdog cannot place an emergency stop` });
+      actions.push({ symbol: psym, ok:false, error:'no_entry_price' });
+      continue;
+    }
+
+    const isLong = rawSize > 0;
+    const { stopPrice, basis, dist, sigId } = await emergencyStopPrice(psym, isLong, entryPrice);
+    log.error('watchdog_naked', `🚨 WATCHDOG [${psym}]: NAKED ${isLong ? 'LONG' : 'SHORT'} for ${Math.round(nakedMs/1000)}s (grace ${Math.round(WATCHDOG_GRACE_MS/1000)}s) — placing EMERGENCY stop ${stopPrice} (${basis}, dist=${dist}) from entry ${entryPrice}`, { symbol: psym, side: isLong ? 'LONG' : 'SHORT', naked_ms: nakedMs, stop_price: stopPrice, basis, dist, entry_price: entryPrice });
+
+    const r = await enqueue(protectiveKey(psym), async () => {
+      // Re-check inside the protective queue: a Pine SL may have landed meanwhile,
+      // and we must never replace a real stop with the emergency one.
+      const fresh = await listOpenOrdersAllPages();
+      if (fresh.some(o => safeUpper(o?.product_symbol || o?.symbol) === psym && isProtectiveOrder(o))) {
+        return { ok:true, skipped:true, reason:'protected_meanwhile' };
+      }
+      const placed = await placeSLIntent({ symbol: psym, sig_id: sigId, stop_price: stopPrice, reason: 'WATCHDOG_EMERGENCY' });
+      // Page only once placeSLIntent actually acted; a failure pages MANUAL_ATTENTION below.
+      if (placed?.ok && !placed.skipped) notify('WATCHDOG_EMERGENCY_SL', { symbol: psym, sig_id: sigId, side: isLong ? 'LONG' : 'SHORT', naked_sec: Math.round(nakedMs/1000), stop_price: stopPrice, basis, entry_price: entryPrice, lots: Math.abs(rawSize) });
+      return placed;
+    }).catch(e => ({ ok:false, error: String(e?.message || e) }));
+
+    if (!r?.ok) {
+      log.error('watchdog_stop_failed', `🚨 WATCHDOG [${psym}]: emergency stop FAILED — MANUAL ATTENTION NEEDED`, { symbol: psym, stop_price: stopPrice, result: r });
+      notify('MANUAL_ATTENTION', { symbol: psym, sig_id: sigId, detail: `watchdog emergency stop ${stopPrice} FAILED: ${r?.error || 'unknown error'}` });
+    }
+    actions.push({ symbol: psym, stopPrice, basis, naked_ms: nakedMs, result: r });
+    WATCHDOG_FIRST_NAKED.delete(psym);
+  }
+
+  for (const psym of WATCHDOG_FIRST_NAKED.keys()) if (!held.has(psym)) WATCHDOG_FIRST_NAKED.delete(psym);
+
+  const pass = { ts: new Date().toISOString(), positions: held.size, naked_pending: Object.fromEntries(WATCHDOG_FIRST_NAKED), actions };
+  LAST_WATCHDOG.set(currentAccountName(), pass);
+  return pass;
+}
+
+function startWatchdog(){
+  if (!WATCHDOG_ENABLED) return;
+  setInterval(async () => {
+    if (WATCHDOG_RUNNING || ADMIN.isKilled()) return;
+    WATCHDOG_RUNNING = true;
+    try { await forEachAccount(() => runWatchdogOnce()); }
+    catch (e) { log.warn('watchdog_tick_failed', 'watchdog tick failed (non-fatal)', { err: e }); }
+    finally { WATCHDOG_RUNNING = false; }
+  }, WATCHDOG_INTERVAL_MS);
+}
+
+app.get('/debug/watchdog', async (_req,res)=>res.json({ enabled: WATCHDOG_ENABLED, interval_ms: WATCHDOG_INTERVAL_MS, grace_ms: WATCHDOG_GRACE_MS, last: await forEachAccount(() => LAST_WATCHDOG.get(currentAccountName()) || null) }));
+
+// ===================== OCO MONITOR ===================== //
+// Every OCO_INTERVAL_MS the relay's resting orders (TP ladder, PRT_ stops,
+// bracket legs) are snapshotted per symbol. When a symbol that held a position
+// is flat, the orders that vanished since the last pass are looked up: a filled
+// stop means stop-out, a filled TP the final TP. Whatever is still resting on
+// that symbol is cancelled, the closing leg is recorded (journal 'oco',
+// /debug/oco) and the sig's CHAIN / SIG_STATE are dropped. Relay orders on a
+// flat symbol nobody entered within OCO_GRACE_MS are cleaned up as orphans.
+// Positions are read strictly (a failed read skips the pass), and a symbol must
+// read flat on OCO_FLAT_PASSES consecutive passes before anything is cancelled,
+// so one bad or stale positions response can't strip a live position's stop.
+const OCO_ENABLED     = String(process.env.OCO_ENABLED || 'true').toLowerCase() !== 'false';
+const OCO_INTERVAL_MS = nnum(process.env.OCO_INTERVAL_MS, 5000);
+const OCO_GRACE_MS    = nnum(process.env.OCO_GRACE_MS, 60_000);
+const OCO_EVENTS_MAX  = nnum(process.env.OCO_EVENTS_MAX, 100);
+const OCO_FLAT_PASSES = Math.max(1, nnum(process.env.OCO_FLAT_PASSES, 2));
+
+const OCO_SNAPSHOT = accountScoped(new Map()); // psym -> { orders: { id: leg }, hasPos, held, flatPasses, sigId, ts }
+const OCO_EVENTS = [];                         // recent terminal events, newest last
+let OCO_RUNNING = false;
+const LAST_OCO = new Map(); // account -> last pass
+
+function ocoLegOf(o){
+  const cid = String(o?.client_order_id || '');
+  if (isBracketLeg(o)) return o?.stop_order_type === 'take_profit_order' ? 'BRACKET_TP' : 'BRACKET_SL';
+  return legFromClientOrderId(cid, PROTECTIVE_PREFIX) || (isProtectiveOrder(o) ? 'SL' : 'TP');
+}
+const isStopLeg = leg => ['SL', 'TRAIL', 'BRACKET_SL'].includes(leg);
+
+// Which of the vanished orders actually filled: a stop beats a TP, a later TP an earlier one.
+async function ocoClosingLeg(vanished){
+  const filled = [];
+  for (const [id, leg] of vanished) {
+    const o = await currentExchange().getOrder(id).catch(() => null);
+    if (o && String(o.state || '').toLowerCase() === 'closed' && filledOf(o) > 0) filled.push({ id, leg, price: nnum(o.average_fill_price, 0) || null });
+  }
+  if (!filled.length) return { leg: vanished.length ? 'EXTERNAL' : 'UNKNOWN', order_id: null, price: null };
+  const rank = l => isStopLeg(l.leg) ? 100 : (Number(String(l.leg).replace(/\D/g, '')) || 0);
+  filled.sort((a, b) => rank(b) - rank(a));
+  return { leg: filled[0].leg, order_id: filled[0].id, price: filled[0].price };
+}
+
+async function ocoCloseOut(psym, prev, mine, orphan){
+  const vanished = Object.entries(prev?.orders || {}).filter(([id]) => !mine.some(o => String(o?.id) === id));
+  const closing = orphan ? { leg: 'ORPHAN', order_id: null, price: null } : await ocoClosingLeg(vanished);
+  const sigId = prev?.sigId || latestChainForSymbol(psym)?.sigId || BRACKETS.get(psym)?.sig_id || null;
+
+  const cleanup = await enqueue(protectiveKey(psym), async () => {
+    const tps = await cancelTpOrdersBySymbol(psym).catch(e => ({ ok:false, error: String(e?.message || e) }));
+    const prot = await cancelProtectiveOrdersBySymbol(psym).catch(e => ({ ok:false, error: String(e?.message || e) }));
+    return { tps, protective: prot };
+  });
+
+  if (sigId) {
+    const k = sigKey(sigId, psym);
+    if (CHAIN.has(k)) { CHAIN.delete(k); JOURNAL.record('chain', { sig_id: sigId, symbol: psym, transition: `closed_by_${closing.leg}` }); }
+    SIG_STATE.delete(k);
+  }
+  BRACKETS.delete(psym);
+
+  const ev = {
+    ts: new Date().toISOString(), account: currentAccountName(), symbol: psym, sig_id: sigId,
+    closed_by: closing.leg, order_id: closing.order_id, fill_price: closing.price,
+    cancelled_tps: cleanup?.tps?.cancelled || 0, cancelled_protective: cleanup?.protective?.cancelled || 0
+  };
+  OCO_EVENTS.push(ev);
+  if (OCO_EVENTS.length > OCO_EVENTS_MAX) OCO_EVENTS.splice(0, OCO_EVENTS.length - OCO_EVENTS_MAX);
+  JOURNAL.record('oco', ev);
+  log.info('oco_closed', `🔀 OCO [${psym}]${acctTag()} sig=${sigId || 'n/a'} closed by ${closing.leg}${closing.price ? ` @ ${closing.price}` : ''} — cancelled ${ev.cancelled_tps} TP / ${ev.cancelled_protective} protective`, { symbol: psym, sig_id: sigId || undefined, leg: closing.leg, price: closing.price, cancelled_tps: ev.cancelled_tps, cancelled_protective: ev.cancelled_protective });
+  return ev;
+}
+
+async function runOcoOnce(){
+  let positions, orders;
+  try { [positions, orders] = await Promise.all([listPositionsStrict(), listOpenOrdersAllPages()]); }
+  catch (e) {
+    log.warn('oco_read_failed', `OCO${acctTag()}: positions / orders unreadable — pass skipped`, { err: e });
+    const pass = { ts: new Date().toISOString(), watched: OCO_SNAPSHOT.size, events: [], skipped: 'read_failed' };
+    LAST_OCO.set(currentAccountName(), pass);
+    return pass;
+  }
+  const now = Date.now();
+  const held = new Set(positions
+    .filter(p => Math.abs(Number(p?.size || p?.position_size || 0)) > 1e-12)
+    .map(p => safeUpper(toProductSymbol(p?.product_symbol || p?.symbol))));
+  const relay = orders.filter(o => isProtectiveOrder(o) || isTpLikeOrder(o));
+  const symbols = new Set([...held, ...relay.map(o => safeUpper(o?.product_symbol || o?.symbol)), ...OCO_SNAPSHOT.keys()]);
+  const events = [];
+
+  for (const psym of symbols) {
+    const mine = relay.filter(o => safeUpper(o?.product_symbol || o?.symbol) === psym);
+    const prev = OCO_SNAPSHOT.get(psym);
+    const hasPos = held.has(psym);
+    const wasHeld = !!(prev?.held ?? prev?.hasPos);
+
+    // An entry / SL intent is in flight on this symbol — look again next pass.
+    const busy = QUEUE.has(protectiveKey(psym)) || QUEUE.has(symbolKey(psym));
+    const flatPasses = (hasPos || busy) ? 0 : (prev?.flatPasses || 0) + 1;
+    if (!hasPos && !busy) {
+      const lastEntry = LAST_ENTRY_SENT.get(psym);
+      const orphan = !wasHeld && mine.length > 0 && !(lastEntry?.ts > now - OCO_GRACE_MS);
+      if ((wasHeld || orphan) && flatPasses < OCO_FLAT_PASSES) {
+        // Flat once — keep the held-time orders so the closing leg is still found next pass.
+        OCO_SNAPSHOT.set(psym, {
+          ...(prev || {}),
+          orders: { ...Object.fromEntries(mine.map(o => [String(o.id), ocoLegOf(o)])), ...(prev?.orders || {}) },
+          hasPos: false, held: wasHeld, flatPasses, sigId: prev?.sigId || null, ts: now
+        });
+        log.debug('oco_flat_pending', `OCO [${psym}] reads flat (${flatPasses}/${OCO_FLAT_PASSES}) — confirming next pass`, { symbol: psym, flat_passes: flatPasses, orphan });
+        continue;
+      }
+      if (wasHeld || orphan) {
+        try { events.push(await ocoCloseOut(psym, prev, mine, orphan)); }
+        catch (e) { log.warn('oco_cleanup_failed', `OCO [${psym}] cleanup failed (retrying next pass)`, { symbol: psym, err: e }); continue; }
+        OCO_SNAPSHOT.delete(psym);
+        continue;
+      }
+    }
+
+    if (!hasPos && !mine.length) { OCO_SNAPSHOT.delete(psym); continue; }
+    OCO_SNAPSHOT.set(psym, {
+      orders: Object.fromEntries(mine.map(o => [String(o.id), ocoLegOf(o)])),
+      hasPos,
+      held: hasPos || (busy && wasHeld),
+      flatPasses,
+      sigId: (hasPos && (latestChainForSymbol(psym)?.sigId || prev?.sigId || BRACKETS.get(psym)?.sig_id)) || prev?.sigId || null,
+      ts: now
+    });
+  }
+
+  const pass = { ts: new Date().toISOString(), watched: OCO_SNAPSHOT.size, events };
+  LAST_OCO.set(currentAccountName(), pass);
+  return pass;
+}
+
+function startOcoMonitor(){
+  if (!OCO_ENABLED) return;
+  setInterval(async () => {
+    if (OCO_RUNNING) return;
+    OCO_RUNNING = true;
+    try { await forEachAccount(() => runOcoOnce()); }
+    catch (e) { log.warn('oco_tick_failed', 'oco tick failed (non-fatal)', { err: e }); }
+    finally { OCO_RUNNING = false; }
+  }, OCO_INTERVAL_MS);
+}
+
+app.get('/debug/oco', async (_req,res)=>res.json({
+  enabled: OCO_ENABLED,
+  interval_ms: OCO_INTERVAL_MS,
+  grace_ms: OCO_GRACE_MS,
+  flat_passes: OCO_FLAT_PASSES,
+  watching: await forEachAccount(() => Object.fromEntries(OCO_SNAPSHOT)),
+  last: await forEachAccount(() => LAST_OCO.get(currentAccountName()) || null),
+  events: OCO_EVENTS
+}));
+
+// ===================== REALIZED PnL (GET /pnl) ===================== //
+// Every order the relay places is attributed to its sig_id + leg (ENTRY, TP1..,
+// SL, TRAIL, CLOSE_SL, BREACH_CLOSE, ...). A poller pulls /v2/fills every
+// PNL_POLL_MS and lib/pnl-tracker.js folds them into per-signal trades with
+// realized PnL, fees and entry slippage vs Pine's `entry`. Days roll over in
+// PNL_DAY_TZ_OFFSET_MIN (default IST).
+const PNL_ENABLED             = String(process.env.PNL_ENABLED || 'true').toLowerCase() !== 'false';
+const PNL_POLL_MS             = nnum(process.env.PNL_POLL_MS, 15_000);
+const PNL_LOOKBACK_MS         = nnum(process.env.PNL_LOOKBACK_MS, 24 * 3600_000);  // first poll after boot
+const PNL_DAY_TZ_OFFSET_MIN   = nnum(process.env.PNL_DAY_TZ_OFFSET_MIN, 330);
+const PNL_ATTRIB_TTL_MS       = nnum(process.env.PNL_ATTRIB_TTL_MS, 7 * 24 * 3600_000);
+const PNL_RETENTION_DAYS      = nnum(process.env.PNL_RETENTION_DAYS, 30);  // closed trades, local days (0 = forever)
+const PNL_MAX_TRADES          = nnum(process.env.PNL_MAX_TRADES, 5000);    // closed trades kept per account (0 = no cap)
+
+const PNL = createPnlTracker({
+  trades:     accountScoped(STATE_STORE.map('PNL_TRADES')),
+  openTrades: accountScoped(STATE_STORE.map('PNL_OPEN_TRADE')),
+  attrib:     STATE_STORE.map('PNL_ORDER_ATTRIB'),
+  cursor:     accountScoped(STATE_STORE.map('PNL_CURSOR')),
+  contractValueOf: psym => {
+    const meta = currentExchange().cachedProducts().find(p => safeUpper(p?.symbol || p?.product_symbol) === safeUpper(psym));
+    return nnum(meta?.contract_value, 1);
+  },
+  protectivePrefix: PROTECTIVE_PREFIX,
+  tzOffsetMin: PNL_DAY_TZ_OFFSET_MIN
+});
+let PNL_POLLING = false;
+const LAST_PNL_POLL = new Map(); // account -> last poll
+
+// Tag an order we just placed so its fills land on the right signal. Never throws.
+function attributeOrder(r, body, leg, sigId, { pineEntry } = {}){
+  if (!PNL_ENABLED) return;
+  try {
+    const sig = (sigId && sigId !== 'nosig') ? sigId : currentContext().sig_id;
+    PNL.attribute({
+      orderId: r?.result?.id ?? r?.id,
+      clientOrderId: body?.client_order_id,
+      sigId: sig,
+      symbol: body?.product_symbol,
+      leg,
+      pineEntry
+    });
+  } catch (e) {
+    log.warn('pnl_attribution_failed', 'pnl: order attribution failed (non-fatal)', { err: e });
+  }
+}
+
+async function pollFillsOnce(){
+  const last = PNL.lastFillTs();
+  // Overlap the cursor a little — fills are de-duplicated by id.
+  const sinceMs = last ? Date.parse(last) - 60_000 : Date.now() - PNL_LOOKBACK_MS;
+  let after = null, fills = [];
+  for (let page = 0; page < 20; page++) {
+    const r = await currentExchange().listFills({ startUs: Math.floor(sinceMs) * 1000, after });
+    fills = fills.concat(r.fills);
+    after = r.after;
+    if (!after || !r.fills.length) break;
+  }
+  getProducts().catch(()=>{}); // keep contract_value lookups warm
+  const applied = PNL.ingest(fills);
+  for (const a of applied) {
+    if (a.error) log.warn('pnl_fill_failed', `pnl: fill ${a.fill_id} [${a.symbol}]${acctTag()} could not be applied — skipped`, { symbol: a.symbol, fill_id: a.fill_id, error: a.error });
+    if (a.status === 'closed') log.info('trade_closed', `✅ PnL trade closed [${a.symbol}]${acctTag()} sig=${a.sig_id} by ${a.leg}`, { symbol: a.symbol, sig_id: a.sig_id, leg: a.leg });
+  }
+  PNL.pruneAttrib(PNL_ATTRIB_TTL_MS);
+  const pruned = PNL.pruneTrades({ retentionDays: PNL_RETENTION_DAYS, maxTrades: PNL_MAX_TRADES });
+  if (pruned) log.debug('pnl_trades_pruned', `pnl: dropped ${pruned} closed trade(s) past retention`, { pruned, retention_days: PNL_RETENTION_DAYS, max_trades: PNL_MAX_TRADES });
+  const poll = { ts: new Date().toISOString(), fetched: fills.length, applied: applied.length };
+  LAST_PNL_POLL.set(currentAccountName(), poll);
+  return poll;
+}
+
+function startPnlPoller(){
+  if (!PNL_ENABLED) return;
+  const tick = async () => {
+    if (PNL_POLLING) return;
+    PNL_POLLING = true;
+    try { await forEachAccount(() => pollFillsOnce()); }
+    catch (e) { log.warn('pnl_poll_failed', 'pnl: fill poll failed (non-fatal)', { err: e }); }
+    finally { PNL_POLLING = false; }
+  };
+  tick();
+  setInterval(tick, PNL_POLL_MS);
+}
+
+// GET /pnl?sig_id=&symbol=&from=&to=&status=open|closed&refresh=1&trades=0
+// refresh=1 polls /v2/fills before answering, so it is admin only.
+app.get('/pnl', requireAdminWhen(req => req.query.refresh), async (req,res)=>{
+  try {
+    if (!PNL_ENABLED) return res.status(404).json({ ok:false, error:'pnl_disabled' });
+    const { sig_id, symbol, from, to, status } = req.query;
+    const out = await forEachAccount(async () => {
+      if (req.query.refresh) await pollFillsOnce();
+      const r = PNL.report({ sig_id, symbol: symbol ? toProductSymbol(symbol) : undefined, from, to, status });
+      if (String(req.query.trades || '1') === '0') delete r.trades;
+      return { last_poll: LAST_PNL_POLL.get(currentAccountName()) || null, ...r };
+    });
+    res.json({ ok:true, day_tz_offset_min: PNL_DAY_TZ_OFFSET_MIN, ...out });
+  } catch (e) {
+    res.status(502).json({ ok:false, error:String(e?.message || e) });
+  }
+});
+
+// ===================== RISK ENGINE (ENTER gate) ===================== //
+// placeEntry() asks lib/risk-engine.js before sending the market order. Limits
+// (0 = off) come from RISK_* env, overridden per account by ACCOUNTS[].risk.
+// Daily loss and the loss streak come from the fills-based PnL tracker, so they
+// need PNL_ENABLED. A blocked entry returns risk_blocked and aborts the signal
+// (its TPs / SL intents are skipped like a drift abort). The gate fails closed:
+// if exposure can't be read the entry is blocked with rule risk_check_failed.
+// An allowed entry stays reserved (RISK_INFLIGHT) until its order is placed,
+// so entries racing on other symbols of the same account count against it.
+const RISK_ENABLED = String(process.env.RISK_ENABLED || 'true').toLowerCase() !== 'false';
+const RISK_LIMITS  = normalizeLimits({
+  max_positions:           process.env.RISK_MAX_POSITIONS,
+  max_notional_per_symbol: process.env.RISK_MAX_NOTIONAL_PER_SYMBOL_USD,
+  max_notional_total:      process.env.RISK_MAX_NOTIONAL_TOTAL_USD,
+  max_daily_loss:          process.env.RISK_MAX_DAILY_LOSS_USD,
+  max_consecutive_losses:  process.env.RISK_MAX_CONSECUTIVE_LOSSES,
+  max_leverage:            process.env.RISK_MAX_LEVERAGE
+});
+const LAST_RISK_CHECK = new Map(); // account -> last evaluation
+const RISK_INFLIGHT = accountScoped(new Map()); // reservation id -> { symbol, side, lots, notional }
+let RISK_RESERVATION_SEQ = 0;
+
+function releaseRiskReservation(id){
+  if (id) RISK_INFLIGHT.delete(id);
+}
+
+// Exchange positions plus entries that passed the gate but aren't placed yet.
+function withInflight(positions){
+  const out = positions.map(p => ({ ...p }));
+  for (const r of RISK_INFLIGHT.values()) {
+    const row = out.find(p => p.symbol === r.symbol);
+    if (row) row.notional = Math.abs(row.notional || 0) + Math.abs(r.notional || 0);
+    else out.push({ ...r, inflight: true });
+  }
+  return out;
+}
+
+function riskLimits(){
+  return { ...RISK_LIMITS, ...normalizeLimits(currentAccount().risk || {}) };
+}
+
+// Open positions as { symbol, side, lots, notional USD } for the current account.
+// Throws when positions (or, with needPrice, a price) can't be read.
+async function riskPositions({ needPrice = false } = {}){
+  const rows = await listPositionsStrict();
+  const out = [];
+  for (const row of rows) {
+    const rawSize = Number(row?.size || row?.position_size || 0);
+    if (!rawSize || Math.abs(rawSize) < 1e-12) continue;
+    const sym = safeUpper(row?.product_symbol || row?.symbol);
+    const lotMult = await getLotMult(sym);
+    const { lots } = await inferPositionUnits({ psym: sym, rawSize, lotMult, posRow: row });
+    const px = nnum(row?.mark_price || row?.entry_price, 0) || nnum(await getTickerPriceUSD(sym), 0);
+    if (needPrice && !(px > 0)) throw new Error(`no price for open position ${sym}`);
+    out.push({ symbol: sym, side: rawSize > 0 ? 'buy' : 'sell', lots, notional: lots * lotMult * px });
+  }
+  return out;
+}
+
+// Only fetches what the active limits need, unless all=true (/debug/risk).
+async function riskSnapshot(limits, { all = false } = {}){
+  const needPnl = PNL_ENABLED && (all || limits.max_daily_loss || limits.max_consecutive_losses);
+  if (needPnl) await pollFillsOnce().catch(e => log.warn('risk_fill_refresh_failed', 'risk: fill refresh failed (using cached PnL)', { err: e }));
+  const needNotional = !!(limits.max_notional_per_symbol || limits.max_notional_total);
+  const needPositions = all || limits.max_positions || needNotional;
+  return {
+    positions: needPositions ? await riskPositions({ needPrice: needNotional }) : [],
+    realizedToday: needPnl ? PNL.realizedToday() : undefined,
+    lossStreak: needPnl ? PNL.lossStreak() : undefined
+  };
+}
+
+// Never throws. Fails closed: an unreadable snapshot blocks the entry. An
+// allowed entry carries `reservation`; placeEntry() releases it once placed.
+async function checkEntryRisk({ symbol, side, lots, lotMult, price, leverage }){
+  const limits = riskLimits();
+  if (!RISK_ENABLED || !Object.keys(limits).length) return { ok:true, skipped:true };
+  const entry = { symbol, side, lots, leverage, notional: 0 };
+  try {
+    const px = nnum(price, 0) || nnum(await getTickerPriceUSD(symbol), 0);
+    if (!(px > 0) && (limits.max_notional_per_symbol || limits.max_notional_total)) throw new Error(`no price for ${symbol}`);
+    entry.notional = lots * lotMult * px;
+    const snap = await riskSnapshot(limits);
+    // No await from here to the reservation, so concurrent checks see each other.
+    const r = evaluateRisk(entry, { ...snap, positions: withInflight(snap.positions) }, limits);
+    if (r.ok) {
+      r.reservation = `risk${++RISK_RESERVATION_SEQ}`;
+      RISK_INFLIGHT.set(r.reservation, { symbol, side, lots, notional: entry.notional });
+    }
+    LAST_RISK_CHECK.set(currentAccountName(), { ts: new Date().toISOString(), entry, ...r });
+    return r;
+  } catch (e) {
+    log.error('risk_check_failed', `✖ risk check failed for ${symbol}${acctTag()} — entry BLOCKED`, { symbol, err: e });
+    const r = { ok:false, rule:'risk_check_failed', reason:'risk_check_failed', error: String(e?.message || e), violations: [] };
+    LAST_RISK_CHECK.set(currentAccountName(), { ts: new Date().toISOString(), entry, ...r });
+    return r;
+  }
+}
+
+app.get('/debug/risk', requireAdminWhen(req => req.query.snapshot), async (req,res)=>{
+  try {
+    const out = await forEachAccount(async () => {
+      const limits = riskLimits();
+      return {
+        limits,
+        snapshot: req.query.snapshot ? await riskSnapshot(limits, { all: true }) : undefined,
+        inflight: Array.from(RISK_INFLIGHT.values()),
+        last: LAST_RISK_CHECK.get(currentAccountName()) || null
+      };
+    });
+    res.json({ ok:true, enabled: RISK_ENABLED, ...out });
+  } catch (e) {
+    res.status(502).json({ ok:false, error:String(e?.message || e) });
+  }
+});
+
+// ===================== TRADING SCHEDULE (blackouts) ===================== //
+// lib/trading-schedule.js windows from TRADING_SCHEDULE (JSON; times in
+// TRADING_SCHEDULE_TZ, default IST). The ENTER step refuses entries inside a
+// window; windows with flatten:true close their symbols (or, for strategy
+// windows, the symbols that strategy last entered; or everything) as they open.
+// Edge-triggered on SCHEDULE_TICK_MS — a restart inside a window won't re-flatten.
+const SCHEDULE = createTradingSchedule({
+  spec: process.env.TRADING_SCHEDULE,
+  defaultTz: process.env.TRADING_SCHEDULE_TZ || 'IST'
+});
+const SCHEDULE_TICK_MS = nnum(process.env.SCHEDULE_TICK_MS, 30_000);
+const SCHEDULE_FLATTENS = []; // recent auto-flattens for /debug/schedule
+
+function strategySymbols(strategies){
+  return Array.from(ENTRY_STRATEGY.entries()).filter(([, st]) => strategies.includes(st)).map(([sym]) => sym);
+}
+
+async function runScheduleFlatten(w){
+  if (ADMIN.isKilled()) {
+    log.warn('schedule_flatten_skipped', `🗓 SCHEDULE "${w.name}" opened — auto-flatten skipped (kill switch engaged)`, { window: w.name });
+    return;
+  }
+  log.warn('schedule_flatten', `🗓 SCHEDULE "${w.name}" opened — auto-flatten`, { window: w.name, symbols: w.symbols, strategies: w.strategies });
+  const result = await forEachAccount(async () => {
+    const syms = w.symbols || (w.strategies ? strategySymbols(w.strategies) : null);
+    if (!syms) return enqueue(accountKey('GLOBAL'), () => adminFlatten(null));
+    const out = {};
+    for (const sym of syms) out[sym] = await enqueue(symbolKey(sym), () => adminFlatten(sym)).catch(e => ({ ok:false, error: String(e?.message || e) }));
+    return out;
+  });
+  JOURNAL.record('schedule_flatten', { window: w.name, result });
+  notify('SCHEDULE_FLATTEN', { window: w.name, symbol: (w.symbols || []).join(',') || (w.strategies ? `strategies ${w.strategies.join(',')}` : 'ALL') });
+  SCHEDULE_FLATTENS.push({ ts: new Date().toISOString(), window: w.name, result });
+  if (SCHEDULE_FLATTENS.length > 20) SCHEDULE_FLATTENS.shift();
+}
+
+function startScheduler(){
+  if (!SCHEDULE.windows().some(w => w.flatten)) return;
+  let prev = Date.now();
+  setInterval(async () => {
+    const now = Date.now();
+    const opened = SCHEDULE.openedBetween(prev, now);
+    prev = now;
+    for (const w of opened) {
+      try { await runScheduleFlatten(w); }
+      catch (e) { log.error('schedule_flatten_failed', `✖ schedule flatten "${w.name}" failed`, { window: w.name, err: e }); }
+    }
+  }, SCHEDULE_TICK_MS);
+}
+
+app.get('/debug/schedule', (_req,res)=>res.json({
+  windows: SCHEDULE.windows(),
+  active: SCHEDULE.active(),
+  tick_ms: SCHEDULE_TICK_MS,
+  recent_flattens: SCHEDULE_FLATTENS
+}));
+
+// ---------- payload rejections (see lib/payload-schema.js) ----------
+const REJECTIONS = [];
+const REJECTIONS_MAX = nnum(process.env.REJECTIONS_MAX, 200);
+
+function recordRejection(entry){
+  REJECTIONS.push({ ts: new Date().toISOString(), ...entry });
+  if (REJECTIONS.length > REJECTIONS_MAX) REJECTIONS.splice(0, REJECTIONS.length - REJECTIONS_MAX);
+}
+
+// Raw payloads and exchange traffic: admin only, scrubbed by JOURNAL.query().
+app.get('/audit', requireAdmin, async (req,res)=>{
+  try {
+    const { sig_id, symbol, type, account, from, to, limit } = req.query;
+    const r = await JOURNAL.query({ sig_id, symbol: symbol ? toProductSymbol(symbol) : undefined, type, account, from, to, limit });
+    res.json({ ok:true, count: r.items.length, ...r });
+  } catch (e) {
+    res.status(500).json({ ok:false, error:String(e?.message || e) });
+  }
+});
+
+app.get('/debug/notify', (_req,res)=>res.json(NOTIFIER.stats()));
+
+app.get('/debug/rejections', requireAdmin, (req,res)=>{
+  const limit = Math.max(1, nnum(req.query.limit, 50));
+  res.json({ size: REJECTIONS.length, items: REJECTIONS.slice(-limit).reverse() });
+});
+
+// ===================== ADMIN API (ADMIN_TOKEN) ===================== //
+// Operator switches (lib/admin-controls.js) plus flatten / cancel helpers.
+//   POST /admin/pause  {reason}      refuse new entries; protection keeps working
+//   POST /admin/resume
+//   POST /admin/flatten {symbol?}    one symbol (orders + position) or everything
+//   POST /admin/cancel-orders {symbol?}  relay-owned orders only (TP ladder + PRT_*)
+//   POST /admin/kill {reason, flatten?}  block every order-placing call
+//   POST /admin/rearm
+//   GET  /admin/state
+// Actions run for every enabled account, or just `account` when given.
+const ADMIN = createAdminControls({ store: STATE_STORE.map('ADMIN_STATE'), token: process.env.ADMIN_TOKEN || '' });
+
+function requireAdmin(req, res, next){
+  const a = ADMIN.authorize(req);
+  if (a.ok) return next();
+  log.warn('admin_rejected', `⛔ ADMIN ${req.method} ${req.path} rejected: ${a.reason}`, { method: req.method, path: req.path, reason: a.reason });
+  return res.status(a.status).json({ ok:false, error: a.status === 404 ? 'not_found' : 'unauthorized', reason: a.reason });
+}
+
+// Open read-only routes whose live-refresh flag calls Delta: only that variant needs the token.
+function requireAdminWhen(pred){
+  return (req, res, next) => pred(req) ? requireAdmin(req, res, next) : next();
+}
+
+// Runs fn per account (or the one named in the request) with admin privileges
+// (passes the kill switch), serialized with the webhook queue for that scope.
+async function adminForAccounts(req, qKeyFn, fn){
+  const only = req.body?.account || req.query.account;
+  if (only && !ACCOUNTS.has(String(only))) throw new Error(`unknown account "${only}"`);
+  const accounts = only ? [ACCOUNTS.get(String(only))] : enabledAccounts();
+  const corrId = String(req.get('x-request-id') || '').slice(0, 64) || crypto.randomUUID();
+  const out = {};
+  for (const a of accounts) {
+    out[a.name] = await runWithContext({ corr_id: corrId, account: a.name, admin: true }, () => enqueue(qKeyFn(), () => fn(a)))
+      .catch(e => ({ ok:false, error: String(e?.message || e) }));
+  }
+  return out;
+}
+
+function adminAction(action, detail){
+  log.warn('admin_action', `🛠 ADMIN ${action}`, { admin_action: action, detail });
+  JOURNAL.record('admin', { action, ...detail });
+  notify('ADMIN_ACTION', { admin_action: action, detail: detail?.reason || detail?.symbol || '' });
+}
+
+// Relay-owned = our TP ladder (T<idx>...) and protective (PRT_*) client order ids.
+async function cancelRelayOwnedOrders(psym = null){
+  const open = await listOpenOrdersAllPages();
+  const mine = open.filter(o =>
+    (isProtectiveOrder(o) || isTpLikeOrder(o)) &&
+    (!psym || safeUpper(o?.product_symbol || o?.symbol) === safeUpper(psym))
+  );
+  let cancelled = 0, failed = 0;
+  for (const o of mine) {
+    try {
+      await cancelOrder({ id: o?.id ?? o?.order_id, client_order_id: o?.client_order_id, product_id: o?.product_id, product_symbol: o?.product_symbol || o?.symbol });
+      cancelled++;
+    } catch (e) {
+      failed++;
+      log.warn('admin_cancel_failed', 'admin cancel: cancel failed', { coid: o?.client_order_id, err: e });
+    }
+  }
+  return { ok: failed === 0, cancelled, failed, skipped_foreign: open.length - mine.length };
+}
+
+async function adminFlatten(psym){
+  if (psym) {
+    const steps = await flattenFromCancelMsg({ action:'CANCAL', symbol: psym, cancel_orders: true, close_position: true, cancel_orders_scope: 'SYMBOL' }, psym);
+    const protective = await cancelProtectiveOrdersBySymbol(psym);
+    return { ok: !steps.cancel_error && !steps.close_error, symbol: psym, steps, protective };
+  }
+  const steps = await flattenFromCancelMsg({ action:'CANCAL', scope: 'ALL', cancel_orders: true, close_position: true }, null);
+  return { ok: !steps.cancel_error && !steps.close_error, scope: 'ALL', steps };
+}
+
+const adminScopeKey = psym => () => (psym ? symbolKey(psym) : accountKey('GLOBAL'));
+
+app.get('/admin/state', requireAdmin, (_req,res)=>res.json({ ok:true, ...ADMIN.state() }));
+
+app.post('/admin/pause', requireAdmin, (req,res)=>{
+  const reason = req.body?.reason ? String(req.body.reason) : null;
+  const state = ADMIN.pause(reason);
+  adminAction('pause', { reason });
+  res.json({ ok:true, ...state });
+});
+
+app.post('/admin/resume', requireAdmin, (_req,res)=>{
+  const state = ADMIN.resume();
+  adminAction('resume');
+  res.json({ ok:true, ...state });
+});
+
+app.post('/admin/flatten', requireAdmin, async (req,res)=>{
+  try {
+    const psym = req.body?.symbol ? toProductSymbol(req.body.symbol) : null;
+    adminAction('flatten', { symbol: psym || 'ALL' });
+    const accounts = await adminForAccounts(req, adminScopeKey(psym), () => adminFlatten(psym));
+    res.json({ ok: Object.values(accounts).every(r => r.ok), accounts });
+  } catch (e) {
+    res.status(400).json({ ok:false, error:String(e?.message || e) });
+  }
+});
+
+app.post('/admin/cancel-orders', requireAdmin, async (req,res)=>{
+  try {
+    const psym = req.body?.symbol ? toProductSymbol(req.body.symbol) : null;
+    adminAction('cancel_orders', { symbol: psym || 'ALL' });
+    const accounts = await adminForAccounts(req, adminScopeKey(psym), () => cancelRelayOwnedOrders(psym));
+    res.json({ ok: Object.values(accounts).every(r => r.ok), accounts });
+  } catch (e) {
+    res.status(400).json({ ok:false, error:String(e?.message || e) });
+  }
+});
+
+app.post('/admin/kill', requireAdmin, async (req,res)=>{
+  try {
+    const reason = req.body?.reason ? String(req.body.reason) : null;
+    const state = ADMIN.kill(reason);
+    adminAction('kill', { reason });
+    const flatten = (req.body?.flatten === true || req.body?.flatten === 'true')
+      ? await adminForAccounts(req, adminScopeKey(null), () => adminFlatten(null))
+      : undefined;
+    res.json({ ok:true, ...state, flatten });
+  } catch (e) {
+    res.status(400).json({ ok:false, error:String(e?.message || e) });
+  }
+});
+
+app.post('/admin/rearm', requireAdmin, (_req,res)=>{
+  const state = ADMIN.rearm();
+  adminAction('rearm');
+  res.json({ ok:true, ...state });
+});
+
 // ---------- health ----------
-app.get('/health', (_req,res)=>res.json({ok:true, started_at:process.env.__STARTED_AT}));
+app.get('/health', (_req,res)=>{
+  const { paused, killed, pause_reason, kill_reason, paused_at, killed_at } = ADMIN.state();
+  const clock = Object.fromEntries(Array.from(CLOCK, ([name, c]) => [name, {
+    offset_ms: c.offset_ms, measured_ms: c.measured_ms, source: c.source, synced_at: c.synced_at, samples: c.samples.length, resyncs: c.resyncs
+  }]));
+  res.json({ ok:true, started_at:process.env.__STARTED_AT, paused, killed, pause_reason, kill_reason, paused_at, killed_at, clock });
+});
 app.get('/healthz', (_req,res)=>res.send('ok'));
+app.get('/metrics', (_req,res)=>res.type('text/plain; version=0.0.4; charset=utf-8').send(METRICS.render()));
 app.get('/debug/seen', (_req,res)=>{ res.json({ size: SEEN.size }); });
-
-app.get('/debug/chain', (_req,res)=>{
+app.get('/debug/state', (_req,res)=>{ res.json(STATE_STORE.stats()); });
+
+// ---------- simulator control (DRY_RUN / DELTA_BASE=sim only) ----------
+if (DELTA_SIM) app.use('/sim', createSimRouter(DELTA_SIM, { resolveAccount: name => ACCOUNTS.get(name || DEFAULT_ACCOUNT)?.api_key || '' }));
+
+app.get('/debug/accounts', (_req,res)=>res.json({
+  multi: isMultiAccount(),
+  accounts: Array.from(ACCOUNTS.values()).map(a => ({
+    name: a.name, enabled: a.enabled, size_mult: a.size_mult,
+    amount_inr: a.amount_inr, amount_usd: a.amount_usd, leverage: a.leverage,
+    exchange: a.exchange || DEFAULT_EXCHANGE,
+    has_credentials: !!(a.api_key && a.api_secret)
+  }))
+}));
+app.get('/debug/ws', async (_req,res)=>res.json({
+  enabled: PRIVATE_WS_ENABLED,
+  stale_ms: PRIVATE_WS_STALE_MS,
+  feeds: Object.fromEntries(Array.from(FEEDS, ([k, feed]) => [k, feed.status()]))
+}));
+app.get('/debug/ratelimit', (_req,res)=>res.json({
+  enabled: RATE_LIMIT_ENABLED,
+  reserve_pct: RATE_LIMIT_RESERVE_PCT,
+  buckets: Object.fromEntries(Array.from(LIMITERS, ([k, l]) => [k, l.usage()]))
+}));
+app.get('/debug/market', (_req,res)=>res.json({
+  enabled: MARKET_DATA_ENABLED,
+  stale_ms: MARKET_DATA_STALE_MS,
+  idle_ms: MARKET_DATA_IDLE_MS,
+  exchanges: Object.fromEntries(Array.from(MARKET, ([name, md]) => [name, md.status()]))
+}));
+app.get('/debug/exchanges', (_req,res)=>res.json({
+  default: DEFAULT_EXCHANGE,
+  exchanges: Array.from(EXCHANGES.values()).map(ex => ex.describe())
+}));
+
+// ?account=<name> for a non-default account's chains.
+app.get('/debug/chain', (req,res)=>runWithContext({ account: String(req.query.account || DEFAULT_ACCOUNT) }, ()=>{
   cleanupChain();
   const out = {};
   for (const [k,v] of CHAIN) {
@@ -2033,7 +3975,7 @@ app.get('/debug/chain', (_req,res)=>{
     };
   }
   res.json({ size: CHAIN.size, items: out });
-});
+}));
 
 // =====================================================================
 // ✅ PATCHED: CORE WEBHOOK PROCESSING LOGIC (extracted from /tv handler)
@@ -2050,9 +3992,12 @@ async function processWebhook(msg) {
   const qKey =
     action === 'CANCEL_PROTECTIVE' || action === 'CLOSE_SL' || action === 'PLACE_SL_INTENT' || action === 'TRAIL_SL_INTENT'
       ? protectiveKey(psym)
-      : (isScopeAll(msg) ? 'GLOBAL' : `SYM:${safeUpper(psym)}`);
+      : (isScopeAll(msg) ? accountKey('GLOBAL') : symbolKey(psym));
 
-  const out = await enqueue(qKey, async () => {
+  // Everything inside the queue job (down to dcall) sees this context — used by the trade journal.
+  const ctx = { sig_id: sigId || null, symbol: psym || null, action, seq: Number.isFinite(seq) ? seq : null, queue: qKey };
+
+  const out = await runWithContext(ctx, () => enqueue(qKey, async () => {
 
     const key = seenKey(msg);
     if (SEEN.has(key)) return { ok:true, dedup:true };
@@ -2060,17 +4005,23 @@ async function processWebhook(msg) {
 
     if (action === 'EXIT') return { ok:true, ignored:'EXIT' };
 
+    // Admin kill switch: nothing is placed until POST /admin/rearm.
+    if (ADMIN.isKilled()) {
+      log.warn('kill_switch_ignored', `⛔ KILL SWITCH [${action}] ${psym}${acctTag()} — ignored`);
+      return { ok:false, error:'kill_switch_engaged', action, sig_id: sigId || undefined, symbol: psym };
+    }
+
     // ★ LAYER 3: everything for an aborted signal is skipped (TPs, SL intents, trail, cleanup)
     if (msg.sig_id && ABORTED_SIGS.has(String(msg.sig_id))) {
       return { ok:true, skipped:'aborted_signal', action, sig_id: String(msg.sig_id) };
     }
 
     // ---------- protection actions (OUTSIDE strict seq0/1/2 chain) ----------
-    if (action === 'PLACE_SL_INTENT') {
-      return await placeSLIntent(msg);
-    }
-    if (action === 'TRAIL_SL_INTENT') {
-      return await placeTrailIntent(msg);
+    if (action === 'PLACE_SL_INTENT' || action === 'TRAIL_SL_INTENT') {
+      const r = action === 'PLACE_SL_INTENT' ? await placeSLIntent(msg) : await placeTrailIntent(msg);
+      const secs = sinceReceipt();
+      if (r?.ok && !r.skipped && !r.breach_fallback && secs !== null) M.stopLatency.observe({ action }, secs);
+      return r;
     }
     if (action === 'CANCEL_PROTECTIVE') {
       return await cancelProtectiveIntent(msg);
@@ -2086,7 +4037,7 @@ async function processWebhook(msg) {
       if (![0,1,2].includes(seq)) return { ok:true, ignored:'bad_seq', sig_id: sigId, symbol: psym, seq };
     }
 
-    console.log('instance:', { K_REVISION: process.env.K_REVISION, HOSTNAME: process.env.HOSTNAME });
+    log.debug('instance', { revision: process.env.K_REVISION, hostname: process.env.HOSTNAME });
 
     const chain = upsertChainMsg(sigId, psym, seq, msg);
 
@@ -2117,6 +4068,7 @@ async function processWebhook(msg) {
         }
 
         chain.didCancel = true;
+        saveChain(sigId, psym, 'didCancel');
         if (STRICT_SEQUENCE) setSigState(sigId, psym, { lastSeq: 0 });
 
         progressed.push({ ok:true, did:'CANCAL', steps, flat, symbol: psym });
@@ -2134,11 +4086,13 @@ async function processWebhook(msg) {
           touchChain(sigId, psym);
 
           chain.didCancel = true;
+          saveChain(sigId, psym, 'didCancel');
           if (STRICT_SEQUENCE) setSigState(sigId, psym, { lastSeq: 0 });
           progressed.push({ ok:true, did:'CANCAL', synthetic:true, steps, flat, symbol: psym });
         } else {
           if (chain.enterMsg) {
             chain.didCancel = true;
+            saveChain(sigId, psym, 'didCancel');
             if (STRICT_SEQUENCE) setSigState(sigId, psym, { lastSeq: 0 });
             progressed.push({ ok:true, did:'CANCAL', skipped:true, note:'No seq0 received; proceeding because ENTER exists', symbol: psym });
           } else {
@@ -2170,12 +4124,28 @@ async function processWebhook(msg) {
 
       const enterMsg = chain.enterMsg;
 
+      // Admin pause: refuse the entry (and its TPs); protective actions still run.
+      if (ADMIN.isPaused()) {
+        log.warn('entry_paused', `⏸ ENTRY PAUSED [${psym}]${acctTag()} sig=${sigId} — entries paused by admin`);
+        if (sigId) { ABORTED_SIGS.add(String(sigId)); pruneAbortedSigs(); }
+        return { ok:false, error:'entries_paused', sig_id: sigId, symbol: psym, reason: ADMIN.state().pause_reason || undefined, progressed };
+      }
+
+      // Trading schedule: no new positions inside a blackout window.
+      const blackout = SCHEDULE.check({ symbol: psym, strategy: enterMsg.strategy });
+      if (!blackout.ok) {
+        log.warn('entry_blackout', `🗓 ENTRY BLACKOUT [${psym}]${acctTag()} sig=${sigId} — window "${blackout.window}" until ${blackout.until}`, { window: blackout.window, until: blackout.until });
+        if (sigId) { ABORTED_SIGS.add(String(sigId)); pruneAbortedSigs(); }
+        return { ok:false, error:'schedule_blackout', sig_id: sigId, symbol: psym, window: blackout.window, until: blackout.until, progressed };
+      }
+
       if (!chain.didEnterPrep) {
         touchChain(sigId, psym);
         const pre = await preflightFromEnterMsg(enterMsg, psym);
         touchChain(sigId, psym);
 
         chain.didEnterPrep = true;
+        saveChain(sigId, psym, 'didEnterPrep');
         progressed.push({ ok:true, did:'ENTER_PRE', pre, symbol: psym });
       }
 
@@ -2202,6 +4172,7 @@ async function processWebhook(msg) {
               touchChain(sigId, psym);
 
               if (!flatRetry) {
+                notify('REQUIRE_FLAT_TIMEOUT', { symbol: psym, sig_id: sigId });
                 return { ok:false, error:'require_flat_timeout', sig_id: sigId, symbol: psym, stage:'ENTER', note:'Not flat after ENTER preflight. Entry blocked.' };
               }
             }
@@ -2211,6 +4182,7 @@ async function processWebhook(msg) {
             touchChain(sigId, psym);
 
             if (!flat) {
+              notify('REQUIRE_FLAT_TIMEOUT', { symbol: psym, sig_id: sigId });
               return { ok:false, error:'require_flat_timeout', sig_id: sigId, symbol: psym, stage:'ENTER', note:'Not flat after ENTER preflight. Entry blocked.' };
             }
           }
@@ -2221,8 +4193,26 @@ async function processWebhook(msg) {
       const r = await placeEntry(enterMsg);
       touchChain(sigId, psym);
 
+      if (r?.entry_unfilled) {
+        log.warn('entry_not_filled', `⏱ ENTRY NOT FILLED [${psym}]${acctTag()} sig=${sigId} (${r.entry_type}, no market fallback)`, { entry_type: r.entry_type });
+        if (sigId) { ABORTED_SIGS.add(String(sigId)); pruneAbortedSigs(); }
+        progressed.push({ ok:false, step:'entry_unfilled', attempts: r.attempts, symbol: psym });
+        return { ok:false, error:'entry_not_filled', sig_id: sigId, symbol: psym, entry_type: r.entry_type, progressed };
+      }
+
+      if (r?.risk_blocked) {
+        log.warn('risk_blocked', `⛔ RISK BLOCKED [${psym}]${acctTag()} sig=${sigId} ${r.rule}: ${r.reason}`, { rule: r.rule, reason: r.reason, error: r.error });
+        if (sigId) { ABORTED_SIGS.add(String(sigId)); pruneAbortedSigs(); }
+        notify('RISK_BLOCKED', { symbol: psym, sig_id: sigId, rule: r.rule, reason: r.error ? `${r.reason} (${r.error})` : r.reason });
+        progressed.push({ ok:false, step:'risk_blocked', rule: r.rule, reason: r.reason, symbol: psym });
+        return { ok:false, error:'risk_blocked', sig_id: sigId, symbol: psym, rule: r.rule, reason: r.reason, detail: r.error, violations: r.violations, progressed };
+      }
+
       chain.didEnter = true;
+      saveChain(sigId, psym, 'didEnter');
       if (STRICT_SEQUENCE) setSigState(sigId, psym, { lastSeq: 1 });
+      const entrySecs = sinceReceipt();
+      if (entrySecs !== null) M.entryLatency.observe({}, entrySecs);
 
       progressed.push({ ok:true, step:'entry', r, symbol: psym });
 
@@ -2252,6 +4242,7 @@ async function processWebhook(msg) {
       touchChain(sigId, psym);
 
       chain.didBatch = true;
+      saveChain(sigId, psym, 'didBatch');
       if (STRICT_SEQUENCE) setSigState(sigId, psym, { lastSeq: 2 });
 
       progressed.push({ ok:true, step:'batch', r, symbol: psym });
@@ -2269,8 +4260,14 @@ async function processWebhook(msg) {
       did,
       progressed
     };
+  })).catch(e => {
+    M.outcomes.inc({ action, outcome: 'error' });
+    JOURNAL.record('result', { ...ctx, ok:false, error: String(e?.message || e) });
+    throw e;
   });
 
+  M.outcomes.inc({ action, outcome: webhookOutcome(out) });
+  JOURNAL.record('result', { ...ctx, result: out });
   return out;
 }
 
@@ -2281,23 +4278,48 @@ async function processWebhook(msg) {
 // Queue serialization is preserved (CANCAL → ENTER → TPs → SL in order).
 // =====================================================================
 app.post('/tv', async (req, res) => {
+  const receivedAt = Date.now();
+  // Correlation id for every log line / journal entry this alert causes (all accounts).
+  const corrId = String(req.get('x-request-id') || '').slice(0, 64) || crypto.randomUUID();
   try {
-    // ---- Auth check (fast, synchronous) ----
-    if (WEBHOOK_TOKEN) {
-      const hdr = req.headers['x-webhook-token'];
-      if (hdr !== WEBHOOK_TOKEN) return res.status(401).json({ ok:false, error:'unauthorized' });
-    }
-
     // ---- Parse message (fast, synchronous) ----
     const msg    = (typeof req.body === 'string') ? JSON.parse(req.body) : (req.body || {});
+
+    // ---- Auth check (fast, synchronous) — also strips token/auth_* from msg ----
+    const auth = WEBHOOK_AUTH.verify(req, msg);
+    if (!auth.ok) {
+      M.webhooks.inc({ action: String(msg?.action || '').toUpperCase(), status: 'unauthorized' });
+      JOURNAL.record('webhook', { accepted:false, status: auth.status, reason: auth.reason, ip: auth.ip, corr_id: corrId, action: String(msg?.action || '').toUpperCase(), sig_id: String(msg?.sig_id || msg?.signal_id || '') || null, symbol: toProductSymbol(msg?.symbol || msg?.product_symbol || '') || null });
+      log.warn('webhook_unauthorized', `⛔ /tv AUTH REJECTED ${auth.status} ${auth.reason}`, { corr_id: corrId, status: auth.status, reason: auth.reason, ip: auth.ip, strategy: auth.strategy, action: msg?.action, symbol: msg?.symbol, skew_sec: auth.skew_sec });
+      return res.status(auth.status).json({ ok:false, error: auth.status === 403 ? 'forbidden' : 'unauthorized', reason: auth.reason });
+    }
     const action = String(msg.action || '').toUpperCase();
     const sigId  = String(msg.sig_id || msg.signal_id || '');
     const seq    = (typeof msg.seq !== 'undefined') ? Number(msg.seq) : NaN;
     const symTV  = msg.symbol || msg.product_symbol || '';
     const psym   = toProductSymbol(symTV);
 
-    console.log('\n=== INCOMING /tv ===');
-    console.log(JSON.stringify({ action, sigId, seq, symTV, psym, ts: new Date().toISOString() }));
+    log.info('webhook_received', `/tv ${action} ${psym}`, { corr_id: corrId, action, sig_id: sigId || undefined, seq: Number.isFinite(seq) ? seq : undefined, symbol: psym, symbol_tv: symTV, auth: auth.method, strategy: auth.strategy || undefined });
+
+    // ---- Schema check (fast, synchronous) — reject BEFORE accepting ----
+    const check = validatePayload(msg, { strict: STRICT_SEQUENCE });
+    if (msg.exchange && !EXCHANGES.has(String(msg.exchange).toLowerCase())) {
+      check.problems.push(`unknown exchange "${msg.exchange}" (expected one of ${Array.from(EXCHANGES.keys()).join(', ')})`);
+      check.ok = false;
+    }
+    if (check.warnings.length) {
+      log.warn('webhook_payload_warnings', `⚠ /tv payload warnings [${action}] ${psym}`, { corr_id: corrId, action, sig_id: sigId || undefined, symbol: psym, warnings: check.warnings });
+    }
+    if (!check.ok) {
+      log.warn('webhook_invalid_payload', `⛔ /tv PAYLOAD REJECTED [${action}] ${psym}`, { corr_id: corrId, action, sig_id: sigId || undefined, symbol: psym, problems: check.problems });
+      M.webhooks.inc({ action, status: 'invalid_payload' });
+      recordRejection({ ip: auth.ip, action, sig_id: sigId, symbol: psym, problems: check.problems, warnings: check.warnings, payload: msg });
+      JOURNAL.record('webhook', { accepted:false, status: 422, action, sig_id: sigId || null, symbol: psym || null, corr_id: corrId, ip: auth.ip, problems: check.problems, payload: msg });
+      return res.status(422).json({ ok:false, error:'invalid_payload', action, symbol: psym, sig_id: sigId, problems: check.problems, warnings: check.warnings });
+    }
+
+    M.webhooks.inc({ action, status: 'accepted' });
+    JOURNAL.record('webhook', { accepted:true, action, sig_id: sigId || null, symbol: psym || null, corr_id: corrId, ip: auth.ip, auth: auth.method, warnings: check.warnings.length ? check.warnings : undefined, payload: msg });
 
     // =========================================================
     // ✅ RESPOND TO TRADINGVIEW IMMEDIATELY — prevents timeout
@@ -2309,6 +4331,9 @@ app.post('/tv', async (req, res) => {
       symbol: psym,
       sig_id: sigId,
       seq: Number.isFinite(seq) ? seq : undefined,
+      warnings: check.warnings.length ? check.warnings : undefined,
+      accounts: isMultiAccount() ? enabledAccounts().map(a => a.name) : undefined,
+      corr_id: corrId,
       ts: new Date().toISOString()
     });
 
@@ -2317,18 +4342,27 @@ app.post('/tv', async (req, res) => {
     // The enqueue() inside processWebhook() preserves ordering:
     //   CANCAL → ENTER → BATCH_TPS all serialize on same queue key
     //   PLACE_SL_INTENT serializes on its own protective queue key
+    // Copy-trading: one run per enabled account, each in its own context
+    // (credentials, queues, chain state) — accounts proceed in parallel.
     // =========================================================
-    setImmediate(async () => {
-      try {
-        const result = await processWebhook(msg);
-        console.log(`ASYNC RESULT [${action}] ${psym}:`, JSON.stringify(result));
-      } catch (e) {
-        console.error(`✖ ASYNC ERROR [${action}] ${psym}:`, e?.message || e);
+    setImmediate(() => {
+      const exchange = msg.exchange ? String(msg.exchange).toLowerCase() : null;
+      for (const acct of enabledAccounts()) {
+        const { msg: acctMsg, hints } = accountMessage(msg, acct);
+        runWithContext({ corr_id: corrId, account: acct.name, exchange: exchange || undefined, received_at: receivedAt, ...hints }, async () => {
+          try {
+            const result = await processWebhook(acctMsg);
+            log.info('webhook_result', `[${action}] ${psym}${acctTag()} ${webhookOutcome(result)}`, { action, sig_id: sigId || undefined, symbol: psym, outcome: webhookOutcome(result), ms: Date.now() - receivedAt, result });
+          } catch (e) {
+            log.error('webhook_error', `✖ ASYNC ERROR [${action}] ${psym}${acctTag()}`, { action, sig_id: sigId || undefined, symbol: psym, ms: Date.now() - receivedAt, err: e });
+          }
+        });
       }
     });
 
   } catch (e) {
-    console.error('✖ PARSE/AUTH ERROR:', e?.message || e);
+    M.webhooks.inc({ action: '', status: 'parse_error' });
+    log.error('webhook_parse_error', '✖ PARSE/AUTH ERROR', { corr_id: corrId, err: e });
     // If we haven't sent a response yet (parse/auth failed before res.json)
     if (!res.headersSent) {
       return res.status(400).json({ ok:false, error:String(e.message || e) });
@@ -2336,6 +4370,30 @@ app.post('/tv', async (req, res) => {
   }
 });
 
-app.listen(PORT, ()=>console.log(
-  `Relay listening http://localhost:${PORT} (BASE=${BASE_URL}, AUTH=${AUTH_MODE}, STRICT_SEQUENCE=${STRICT_SEQUENCE}, FAST_ENTER=${FAST_ENTER}, SIGNAL_CHAIN_WINDOW_MS=${SIGNAL_CHAIN_WINDOW_MS}, AUTO_CANCEL_ON_ENTER=${AUTO_CANCEL_ON_ENTER}, FORCE_CLOSE_ON_CANCEL=${FORCE_CLOSE_ON_CANCEL}, CHAIN_TTL_MS=${CHAIN_TTL_MS}, PROTECTION_WAIT_FOR_ENTRY_MS=${PROTECTION_WAIT_FOR_ENTRY_MS}, SL_BREACH_ACTION=${SL_BREACH_ACTION}, INSTANT_RESPONSE=true)`
-));
+// Cloud Run sends SIGTERM before recycling: fold the journal into a snapshot first.
+process.on('SIGTERM', () => {
+  log.info('shutdown', 'SIGTERM: compacting state store before exit');
+  STATE_STORE.flush();
+  try { STATE_STORE.compact(); } catch (e) { log.warn('state_compact_failed', 'state compaction on exit failed', { err: e }); }
+  process.exit(0);
+});
+
+const server = app.listen(PORT, ()=>{
+  log.info('listening', `Relay listening http://localhost:${PORT}`, {
+    port: Number(PORT), exchange: DEFAULT_EXCHANGE, base_url: EXCHANGES.get(DEFAULT_EXCHANGE).baseUrl, sim_mode: SIM_MODE, auth: AUTH_MODE,
+    state_store: STATE_STORE.driver, strict_sequence: STRICT_SEQUENCE, fast_enter: FAST_ENTER, signal_chain_window_ms: SIGNAL_CHAIN_WINDOW_MS,
+    auto_cancel_on_enter: AUTO_CANCEL_ON_ENTER, force_close_on_cancel: FORCE_CLOSE_ON_CANCEL, chain_ttl_ms: CHAIN_TTL_MS,
+    protection_wait_for_entry_ms: PROTECTION_WAIT_FOR_ENTRY_MS, sl_breach_action: SL_BREACH_ACTION, log_level: log.level()
+  });
+  if (RECONCILE_ON_BOOT) {
+    forEachAccount(() => reconcileExchangeState()).catch(e => log.error('reconcile_failed', '✖ RECONCILE on boot failed (non-fatal)', { err: e }));
+  }
+  startWatchdog();
+  startOcoMonitor();
+  startPnlPoller();
+  startScheduler();
+  startPrivateFeeds();
+  startMarketData();
+  startClockSync();
+});
+if (DELTA_SIM) attachSimSocket(DELTA_SIM, server, { heartbeatMs: nnum(process.env.SIM_WS_HEARTBEAT_MS, 30_000) });
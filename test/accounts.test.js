@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAccounts, accountKey, splitAccountKey, accountScoped, accountMessage, DEFAULT_ACCOUNT } = require('../lib/accounts');
+const { runWithContext } = require('../lib/context');
+const { startRelay, eventually } = require('./support/relay');
+
+const as = (account, fn) => runWithContext({ account }, fn);
+
+test('parseAccounts: default account from the env pair, overrides and validation', () => {
+  const accts = parseAccounts(JSON.stringify([
+    { name: 'default', enabled: false },
+    { name: 'copy-1', api_key_env: 'K1', api_secret_env: 'S1', size_mult: '0.5', amount_usd: 100, leverage: 5, exchange: 'Delta_Global', risk: { max_positions: 2 } }
+  ]), { apiKey: 'main-key', apiSecret: 'main-secret', env: { K1: 'k1', S1: 's1' } });
+
+  assert.deepEqual(accts.get(DEFAULT_ACCOUNT), { name: 'default', api_key: 'main-key', api_secret: 'main-secret', size_mult: 1, enabled: false });
+  assert.deepEqual(accts.get('copy-1'), {
+    name: 'copy-1', api_key: 'k1', api_secret: 's1', size_mult: 0.5, enabled: true,
+    amount_usd: 100, leverage: 5, exchange: 'delta_global', risk: { max_positions: 2 }
+  });
+  assert.deepEqual(Array.from(parseAccounts('').keys()), ['default']);
+  assert.throws(() => parseAccounts('{}'), /must be a JSON array/);
+  assert.throws(() => parseAccounts([{ name: 'a b' }]), /invalid account name/);
+  assert.throws(() => parseAccounts([{ name: 'a' }, { name: 'a' }]), /duplicate account "a"/);
+  assert.throws(() => parseAccounts([{ name: 'a', size_mult: 0 }]), /size_mult must be > 0/);
+});
+
+test('accountKey round-trips; the default account keeps bare keys', () => {
+  assert.equal(accountKey('SOLUSD', 'default'), 'SOLUSD');
+  assert.equal(accountKey('s1|SOLUSD', 'b'), '@b:s1|SOLUSD');
+  assert.deepEqual(splitAccountKey('@b:s1|SOLUSD'), { account: 'b', key: 's1|SOLUSD' });
+  assert.deepEqual(splitAccountKey('SOLUSD'), { account: 'default', key: 'SOLUSD' });
+  assert.equal(as('b', () => accountKey('X')), '@b:X');
+});
+
+test('accountScoped Map: each account only sees and clears its own entries', () => {
+  const raw = new Map();
+  const m = accountScoped(raw);
+  m.set('SOLUSD', 1);
+  as('b', () => { m.set('SOLUSD', 2); m.set('BTCUSD', 3); });
+  as('c', () => m.set('SOLUSD', 4));
+
+  assert.deepEqual(Array.from(raw.keys()), ['SOLUSD', '@b:SOLUSD', '@b:BTCUSD', '@c:SOLUSD']);
+  assert.equal(m.get('SOLUSD'), 1);
+  assert.equal(m.has('BTCUSD'), false);
+  as('b', () => {
+    assert.equal(m.get('SOLUSD'), 2);
+    assert.equal(m.size, 2);
+    assert.deepEqual(Array.from(m), [['SOLUSD', 2], ['BTCUSD', 3]]);
+    assert.deepEqual(Array.from(m.values()), [2, 3]);
+    m.clear();
+    assert.equal(m.size, 0);
+  });
+  assert.deepEqual(Array.from(raw.keys()), ['SOLUSD', '@c:SOLUSD']);
+  as('c', () => { assert.equal(m.delete('SOLUSD'), true); });
+  assert.equal(m.get('SOLUSD'), 1);
+});
+
+test('accountScoped Set iterates bare keys of the current account', () => {
+  const raw = new Set();
+  const s = accountScoped(raw);
+  s.add('a');
+  as('b', () => s.add('a').add('z'));
+  assert.deepEqual(Array.from(s), ['a']);
+  as('b', () => assert.deepEqual(Array.from(s.values()), ['a', 'z']));
+  assert.equal(raw.has('@b:z'), true);
+});
+
+test('accountMessage rescales ENTER and reports the TP scale', () => {
+  const enter = { action: 'ENTER', symbol: 'SOLUSD', qty: 3, side: 'buy' };
+  assert.deepEqual(accountMessage(enter, { size_mult: 2 }), { msg: { ...enter, qty: 6 }, hints: { pine_qty: 3, tp_scale_hint: 2 } });
+  assert.deepEqual(accountMessage({ ...enter, qty: undefined, amount_inr: 5000 }, { size_mult: 0.5 }).msg.amount_inr, 2500);
+
+  const fixed = accountMessage({ action: 'ENTER', amount_usd: 50, leverage: 10 }, { size_mult: 1, amount_usd: 200, leverage: 3 });
+  assert.deepEqual(fixed, { msg: { action: 'ENTER', amount_usd: 200, leverage: 3 }, hints: { tp_scale_hint: 4 } });
+  const crossCcy = accountMessage({ action: 'ENTER', amount_inr: 5000 }, { size_mult: 1, amount_usd: 100 });
+  assert.deepEqual(crossCcy.hints, {});
+
+  const other = { action: 'BATCH_TPS', orders: [{ size: 1 }] };
+  const copy = accountMessage(other, { size_mult: 2 });
+  assert.deepEqual(copy.msg, other);
+  assert.notEqual(copy.msg, other);
+});
+
+test('one ENTER fans out to every enabled account, each into its own book', async t => {
+  const relay = await startRelay({ ACCOUNTS: JSON.stringify([{ name: 'copy', size_mult: 2 }, { name: 'off', enabled: false }]), STRICT_SEQUENCE: 'false' });
+  t.after(() => relay.stop());
+
+  const r = await relay.post('/tv', { action: 'ENTER', sig_id: 'fan1', seq: 1, symbol: 'SOLUSD', side: 'buy', qty: 3 });
+  assert.equal(r.status, 200, r.text);
+  assert.deepEqual(r.json.accounts, ['default', 'copy']);
+
+  const size = async account => Number((await relay.get(`/sim/state?account=${account}`)).json.positions.SOLUSD?.size || 0);
+  await eventually(async () => (await size('default')) === 3 && (await size('copy')) === 6);
+  assert.equal(await size('off'), 0);
+});
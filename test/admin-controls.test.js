@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const { createAdminControls } = require('../lib/admin-controls');
+const { startRelay, eventually } = require('./support/relay');
+
+const TOKEN = 'admin-token-for-tests';
+const AUTH = { authorization: `Bearer ${TOKEN}` };
+
+test('authorize: disabled without a token, bearer or x-admin-token otherwise', () => {
+  const req = headers => ({ headers });
+  assert.deepEqual(createAdminControls({ store: new Map() }).authorize(req({ authorization: 'Bearer x' })), { ok: false, status: 404, reason: 'admin_api_disabled' });
+  const admin = createAdminControls({ store: new Map(), token: TOKEN });
+  assert.equal(admin.authorize(req({ authorization: `bearer ${TOKEN}` })).ok, true);
+  assert.equal(admin.authorize(req({ 'x-admin-token': TOKEN })).ok, true);
+  assert.equal(admin.authorize(req({})).reason, 'missing_admin_token');
+  assert.equal(admin.authorize(req({ 'x-admin-token': `${TOKEN}x` })).reason, 'bad_admin_token');
+});
+
+test('switch state lives in the store', () => {
+  const store = new Map();
+  const a = createAdminControls({ store, token: TOKEN });
+  a.pause('news');
+  a.kill('runaway');
+  const b = createAdminControls({ store, token: TOKEN });
+  assert.equal(b.isPaused(), true);
+  assert.equal(b.isKilled(), true);
+  assert.equal(b.state().kill_reason, 'runaway');
+  b.resume();
+  b.rearm();
+  assert.deepEqual([a.isPaused(), a.isKilled(), a.state().pause_reason], [false, false, null]);
+  assert.ok(a.state().rearmed_at);
+});
+
+const enter = sig => ({ action: 'ENTER', sig_id: sig, seq: 1, symbol: 'SOLUSD', side: 'buy', qty: 1 });
+const ENV = { ADMIN_TOKEN: TOKEN, STRICT_SEQUENCE: 'false', WATCHDOG_ENABLED: 'false', OCO_ENABLED: 'false' };
+const solSize = async relay => Number((await relay.get('/sim/state')).json.positions.SOLUSD?.size || 0);
+
+test('pause refuses entries until resume', async t => {
+  const relay = await startRelay(ENV);
+  t.after(() => relay.stop());
+
+  assert.equal((await relay.post('/admin/pause', { reason: 'cpi' })).status, 401);
+  const paused = await relay.post('/admin/pause', { reason: 'cpi' }, AUTH);
+  assert.equal(paused.json.paused, true);
+
+  await relay.post('/tv', enter('p1'));
+  await relay.waitFor('entry_paused');
+  assert.equal(await solSize(relay), 0);
+  assert.equal((await relay.get('/health')).json.pause_reason, 'cpi');
+
+  assert.equal((await relay.post('/admin/resume', {}, AUTH)).json.paused, false);
+  await relay.post('/tv', enter('p2'));
+  await eventually(async () => (await solSize(relay)) === 1);
+});
+
+test('the kill switch survives a restart and blocks placement until rearm', async t => {
+  let relay = await startRelay(ENV);
+  t.after(() => relay.stop());
+  assert.equal((await relay.post('/admin/kill', { reason: 'drill' }, AUTH)).json.killed, true);
+  await relay.stop({ keep: true });
+  const { dir } = relay;
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  relay = await startRelay(ENV, { dir });
+  assert.equal((await relay.get('/health')).json.killed, true);
+  await relay.post('/tv', enter('k1'));
+  await relay.waitFor('kill_switch_ignored');
+  assert.equal(await solSize(relay), 0);
+
+  await relay.post('/admin/rearm', {}, AUTH);
+  await relay.post('/tv', enter('k2'));
+  await eventually(async () => (await solSize(relay)) === 1);
+});
+
+test('flatten closes the position and cancels resting orders on that symbol only', async t => {
+  const relay = await startRelay(ENV);
+  t.after(() => relay.stop());
+
+  await relay.post('/sim/orders', { product_symbol: 'SOLUSD', side: 'buy', size: 2, order_type: 'market_order' });
+  await relay.post('/sim/orders', { product_symbol: 'SOLUSD', side: 'sell', size: 2, order_type: 'market_order', stop_order_type: 'stop_loss_order', stop_price: '140', reduce_only: true, client_order_id: 'PRT_SL_SOLUSD_t' });
+  await relay.post('/sim/orders', { product_symbol: 'XRPUSD', side: 'buy', size: 5, order_type: 'market_order' });
+
+  const r = await relay.post('/admin/flatten', { symbol: 'SOLUSD' }, AUTH);
+  assert.equal(r.status, 200, r.text);
+  assert.equal(r.json.ok, true);
+
+  const { json } = await relay.get('/sim/state');
+  assert.equal(Number(json.positions.SOLUSD?.size || 0), 0);
+  assert.equal(Number(json.positions.XRPUSD.size), 5);
+  assert.deepEqual(json.open_orders.filter(o => o.product_symbol === 'SOLUSD'), []);
+  assert.match((await relay.post('/admin/flatten', { account: 'nobody' }, AUTH)).json.error, /unknown account/);
+});
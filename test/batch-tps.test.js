@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startRelay, eventually } = require('./support/relay');
+
+const ENV = { STRICT_SEQUENCE: 'false', WATCHDOG_ENABLED: 'false', OCO_ENABLED: 'false', TP_SINGLE_GAP_MS: '0' };
+const simState = async relay => (await relay.get('/sim/state')).json;
+const tps = s => s.open_orders.filter(o => /^T\d/.test(o.client_order_id || '')).sort((a, b) => a.limit_price - b.limit_price);
+
+async function enterThenTps(relay, sig){
+  await relay.post('/tv', { action: 'ENTER', sig_id: sig, seq: 1, symbol: 'SOLUSD', side: 'buy', qty: 3 });
+  await eventually(async () => Number((await simState(relay)).positions.SOLUSD?.size || 0) === 3);
+  await relay.post('/tv', { action: 'BATCH_TPS', sig_id: sig, seq: 2, symbol: 'SOLUSD', orders: [
+    { limit_price: 153, size: 1 }, { limit_price: 156, size: 1 }, { limit_price: 159, size: 1 }
+  ] });
+  return relay.waitFor('tp_ladder_result', { timeoutMs: 6000 });
+}
+
+test('BATCH_TPS places the ladder through one batch call', async t => {
+  const relay = await startRelay(ENV);
+  t.after(() => relay.stop());
+
+  const res = await enterThenTps(relay, 'tp1');
+  assert.equal(res.mode, 'batch');
+  assert.equal(res.placed, 3);
+  assert.equal(res.failed, 0);
+  assert.equal(res.timing.batches, 1);
+  assert.equal(res.timing.singles, 0);
+  assert.equal(relay.logs.filter(l => l.event === 'dcall' && l.path === '/v2/orders/batch').length, 1);
+
+  const ladder = tps(await simState(relay));
+  assert.deepEqual(ladder.map(o => Number(o.limit_price)), [153, 156, 159]);
+  for (const o of ladder) {
+    assert.equal(o.side, 'sell');
+    assert.equal(o.reduce_only, true);
+    assert.equal(Number(o.size), 1);
+  }
+});
+
+test('the ladder is chunked at TP_BATCH_MAX', async t => {
+  const relay = await startRelay({ ...ENV, TP_BATCH_MAX: '2' });
+  t.after(() => relay.stop());
+
+  const res = await enterThenTps(relay, 'tp2');
+  assert.equal(res.mode, 'batch');
+  assert.equal(res.timing.batches, 2);
+  assert.equal(tps(await simState(relay)).length, 3);
+});
+
+test('a failed batch falls back to one-by-one placement per leg', async t => {
+  const relay = await startRelay(ENV);
+  t.after(() => relay.stop());
+
+  await relay.post('/sim/faults', { method: 'POST', path: '/v2/orders/batch', status: 400, code: 'batch_rejected', times: 5 });
+  const res = await enterThenTps(relay, 'tp3');
+  const failed = relay.logs.find(l => l.event === 'tp_batch_failed');
+  assert.equal(failed.legs, 3);
+  const partial = relay.logs.find(l => l.event === 'tp_batch_partial');
+  assert.deepEqual(partial.retry.map(r => r.error), ['batch_rejected', 'batch_rejected', 'batch_rejected']);
+
+  assert.equal(res.mode, 'single_orders');
+  assert.equal(res.placed, 3);
+  assert.equal(res.timing.singles, 3);
+  assert.deepEqual(tps(await simState(relay)).map(o => Number(o.limit_price)), [153, 156, 159]);
+});
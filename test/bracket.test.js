@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startRelay, eventually } = require('./support/relay');
+
+const ENV = { STRICT_SEQUENCE: 'false', WATCHDOG_ENABLED: 'false', OCO_ENABLED: 'false' };
+const simState = async relay => (await relay.get('/sim/state')).json;
+const legs = s => s.open_orders.filter(o => o.bracket_order === true);
+const leg = (s, kind) => legs(s).find(o => o.stop_order_type === kind);
+
+test('ENTER with bracket prices arms reduce-only SL and TP legs on the fill', async t => {
+  const relay = await startRelay(ENV);
+  t.after(() => relay.stop());
+
+  await relay.post('/tv', { action: 'ENTER', sig_id: 'b1', seq: 1, symbol: 'SOLUSD', side: 'buy', qty: 2,
+    bracket_stop_loss_price: 140, bracket_take_profit_price: 165 });
+  const logged = await relay.waitFor('bracket_entry', { timeoutMs: 5000 });
+  assert.equal(logged.bracket.bracket_stop_loss_price, '140');
+
+  const s = await eventually(async () => { const x = await simState(relay); return legs(x).length === 2 && x; });
+  assert.equal(Number(s.positions.SOLUSD.size), 2);
+  for (const o of legs(s)) {
+    assert.equal(o.side, 'sell');
+    assert.equal(Number(o.size), 2);
+    assert.equal(o.reduce_only, true);
+  }
+  assert.equal(Number(leg(s, 'stop_loss_order').stop_price), 140);
+  assert.equal(Number(leg(s, 'take_profit_order').stop_price), 165);
+});
+
+test('PLACE_SL_INTENT moves the bracket SL instead of stacking a second stop', async t => {
+  const relay = await startRelay(ENV);
+  t.after(() => relay.stop());
+
+  await relay.post('/tv', { action: 'ENTER', sig_id: 'b2', seq: 1, symbol: 'SOLUSD', side: 'buy', qty: 2,
+    bracket_stop_loss_price: 140, bracket_take_profit_price: 165 });
+  await eventually(async () => legs(await simState(relay)).length === 2);
+
+  await relay.post('/tv', { action: 'PLACE_SL_INTENT', sig_id: 'b2', seq: 2, symbol: 'SOLUSD', stop_price: 145, reason: 'STRUCTURE' });
+  const moved = await relay.waitFor('bracket_sl_moved', { timeoutMs: 5000 });
+  assert.equal(moved.stop_price, 145);
+  assert.equal(moved.edited, 1);
+
+  const s = await simState(relay);
+  assert.equal(Number(leg(s, 'stop_loss_order').stop_price), 145);
+  assert.equal(Number(leg(s, 'take_profit_order').stop_price), 165);
+  assert.equal(s.open_orders.filter(o => o.stop_order_type === 'stop_loss_order').length, 1, 'no second stop');
+});
+
+test('without bracket legs PLACE_SL_INTENT places a normal protective stop', async t => {
+  const relay = await startRelay(ENV);
+  t.after(() => relay.stop());
+
+  await relay.post('/tv', { action: 'ENTER', sig_id: 'b3', seq: 1, symbol: 'SOLUSD', side: 'buy', qty: 2 });
+  await eventually(async () => Number((await simState(relay)).positions.SOLUSD?.size || 0) === 2);
+  await relay.post('/tv', { action: 'PLACE_SL_INTENT', sig_id: 'b3', seq: 2, symbol: 'SOLUSD', stop_price: 140 });
+
+  const sl = await eventually(async () => (await simState(relay)).open_orders.find(o => o.stop_order_type === 'stop_loss_order'));
+  assert.match(sl.client_order_id, /^PRT_SL_/);
+  assert.equal(Number(sl.stop_price), 140);
+  assert.equal(relay.logs.some(l => l.event === 'bracket_sl_moved'), false);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startRelay, eventually } = require('./support/relay');
+
+const ENV = { STRICT_SEQUENCE: 'false', WATCHDOG_ENABLED: 'false', OCO_ENABLED: 'false' };
+const enter = { action: 'ENTER', sig_id: 'c1', seq: 1, symbol: 'SOLUSD', side: 'buy', qty: 1 };
+const solSize = async relay => Number((await relay.get('/sim/state')).json.positions.SOLUSD?.size || 0);
+
+test('a skewed exchange clock is measured and signatures follow it', async t => {
+  const relay = await startRelay({ ...ENV, SIM_CLOCK_SKEW_MS: '30000' });
+  t.after(() => relay.stop());
+
+  await relay.post('/tv', enter);
+  await eventually(async () => await solSize(relay) === 1, { timeoutMs: 5000 });
+
+  const clock = (await relay.get('/health')).json.clock.delta_india;
+  assert.ok(Math.abs(clock.offset_ms - 30_000) < 1500, `offset ${clock.offset_ms}`);
+  assert.ok(clock.resyncs >= 1, 'calls signed before the first sample were resynced');
+  const warned = relay.logs.find(l => l.event === 'clock_skew');
+  assert.ok(Math.abs(warned.offset_ms - 30_000) < 1500);
+
+  // Each refused call went out once more, signed with the corrected clock.
+  const refused = relay.logs.filter(l => l.event === 'dcall' && l.status === 401);
+  assert.ok(refused.length >= 1);
+  for (const r of refused) {
+    const retry = relay.logs.find(l => l.event === 'dcall' && l.path === r.path && l.status === 200);
+    assert.ok(retry, `${r.method} ${r.path} retried`);
+  }
+  assert.equal(relay.logs.some(l => l.event === 'dcall' && l.path === '/v2/orders' && l.method === 'POST' && l.status === 401), false);
+});
+
+test('a small offset is treated as header rounding and left at 0', async t => {
+  const relay = await startRelay({ ...ENV, SIM_CLOCK_SKEW_MS: '300' });
+  t.after(() => relay.stop());
+  await relay.post('/tv', enter);
+  await eventually(async () => await solSize(relay) === 1, { timeoutMs: 5000 });
+  const clock = (await relay.get('/health')).json.clock.delta_india;
+  assert.equal(clock.offset_ms, 0);
+  assert.equal(clock.resyncs, 0);
+});
+
+test('with clock sync off every signed call is refused', async t => {
+  const relay = await startRelay({ ...ENV, SIM_CLOCK_SKEW_MS: '30000', CLOCK_SYNC_ENABLED: 'false' });
+  t.after(() => relay.stop());
+
+  await relay.post('/tv', enter);
+  await relay.waitFor('dcall_error', { timeoutMs: 5000, where: l => l.path === '/v2/orders' && l.code === 'expired_signature' });
+  assert.equal(await solSize(relay), 0);
+  assert.deepEqual((await relay.get('/health')).json.clock, {});
+});
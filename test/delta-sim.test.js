@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDeltaSim } = require('../lib/delta-sim');
+
+function client(sim, key = 'k1', base = 'sim://delta'){
+  return async (method, path, body) => {
+    const res = await sim.fetch(base + path, { method, headers: { 'api-key': key }, body: body ? JSON.stringify(body) : undefined });
+    return { status: res.status, headers: res.headers, json: await res.json() };
+  };
+}
+const market = (side, size, extra = {}) => ({ product_symbol: 'SOLUSD', order_type: 'market_order', side, size, ...extra });
+
+test('market order fills at mark ± slippage and opens a position', async () => {
+  const sim = createDeltaSim({ slippageBps: 10 });
+  const call = client(sim);
+  const r = await call('POST', '/v2/orders', market('buy', 10));
+  assert.equal(r.json.success, true);
+  assert.equal(r.json.result.state, 'closed');
+  assert.equal(Number(r.json.result.average_fill_price), 150.15);
+  const pos = (await call('GET', '/v2/positions')).json.result;
+  assert.equal(pos[0].size, 10);
+  assert.equal(Number(pos[0].entry_price), 150.15);
+  const fills = (await call('GET', '/v2/fills')).json.result;
+  assert.equal(fills.length, 1);
+  assert.equal(fills[0].role, 'taker');
+});
+
+test('limit orders rest until mark crosses, then fill as maker', async () => {
+  const sim = createDeltaSim();
+  const call = client(sim);
+  const r = await call('POST', '/v2/orders', { product_symbol: 'SOLUSD', order_type: 'limit_order', side: 'buy', size: 5, limit_price: '148' });
+  assert.equal(r.json.result.state, 'open');
+  sim.setMark('SOLUSD', 147.5);
+  const o = (await call('GET', `/v2/orders/${r.json.result.id}`)).json.result;
+  assert.equal(o.state, 'closed');
+  assert.equal(Number(o.average_fill_price), 148);
+});
+
+test('post_only limit that would take is cancelled', async () => {
+  const call = client(createDeltaSim());
+  const r = await call('POST', '/v2/orders', { product_symbol: 'SOLUSD', order_type: 'limit_order', side: 'buy', size: 1, limit_price: '151', post_only: true });
+  assert.equal(r.json.result.state, 'cancelled');
+  assert.equal(r.json.result.cancellation_reason, 'post_only_would_take');
+});
+
+test('stop already beyond mark is rejected with immediate_execution_stop_order', async () => {
+  const sim = createDeltaSim();
+  const call = client(sim);
+  await call('POST', '/v2/orders', market('buy', 10));
+  const r = await call('POST', '/v2/orders', market('sell', 10, { stop_order_type: 'stop_loss_order', stop_price: '151', reduce_only: true }));
+  assert.equal(r.status, 400);
+  assert.equal(r.json.error.code, 'immediate_execution_stop_order');
+});
+
+test('resting stop triggers on mark and closes the position reduce-only', async () => {
+  const sim = createDeltaSim();
+  const call = client(sim);
+  await call('POST', '/v2/orders', market('buy', 10));
+  const sl = await call('POST', '/v2/orders', market('sell', 20, { stop_order_type: 'stop_loss_order', stop_price: '145', reduce_only: true }));
+  assert.equal(sl.json.result.state, 'pending');
+  sim.setMark('SOLUSD', 144);
+  const pos = (await call('GET', '/v2/positions')).json.result;
+  assert.equal(pos.length, 0);
+  assert.equal(sim.state('k1').open_orders.length, 0);
+});
+
+test('reduce_only never opens or flips a position', async () => {
+  const call = client(createDeltaSim());
+  const r = await call('POST', '/v2/orders', market('sell', 1, { reduce_only: true }));
+  assert.equal(r.status, 400);
+  assert.equal(r.json.error.code, 'reduce_only_order_would_increase_position');
+});
+
+test('trailing stop follows the best mark', async () => {
+  const sim = createDeltaSim();
+  const call = client(sim);
+  await call('POST', '/v2/orders', market('buy', 1));
+  const t = await call('POST', '/v2/orders', market('sell', 1, { stop_order_type: 'stop_loss_order', trail_amount: '-2', reduce_only: true }));
+  sim.setMark('SOLUSD', 160);
+  const o = (await call('GET', `/v2/orders/${t.json.result.id}`)).json.result;
+  assert.equal(Number(o.stop_price), 158);
+  sim.setMark('SOLUSD', 157.9);
+  assert.equal(sim.state('k1').positions.SOLUSD?.size ?? 0, 0);
+});
+
+test('each api key trades its own book', async () => {
+  const sim = createDeltaSim();
+  await client(sim, 'a')('POST', '/v2/orders', market('buy', 3));
+  assert.equal((await client(sim, 'b')('GET', '/v2/positions')).json.result.length, 0);
+  assert.equal((await client(sim, 'a')('GET', '/v2/positions')).json.result[0].size, 3);
+});
+
+test('unknown routes and products return Delta-shaped errors', async () => {
+  const call = client(createDeltaSim());
+  assert.equal((await call('GET', '/v2/nope')).json.error.code, 'not_found');
+  assert.equal((await call('POST', '/v2/orders', { product_symbol: 'NOPE', side: 'buy', size: 1, order_type: 'market_order' })).json.error.code, 'invalid_contract');
+});
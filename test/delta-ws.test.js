@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { EventEmitter } = require('node:events');
+const { createPrivateFeed, isLiveOrder, LIVE_ORDER_STATES } = require('../lib/delta-ws');
+const { createDeltaSim, attachSimSocket } = require('../lib/delta-sim');
+const { createLogger } = require('../lib/logger');
+const { eventually } = require('./support/relay');
+
+const log = createLogger({ level: 'silent' });
+
+// The sim's private socket on a local port; feeds authenticate as api key k1.
+async function simSocket(t){
+  const sim = createDeltaSim();
+  const server = http.createServer();
+  const wss = attachSimSocket(sim, server, { heartbeatMs: 60_000 });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `ws://127.0.0.1:${server.address().port}/sim/ws`;
+  const feed = createPrivateFeed({ url, auth: () => ({ 'api-key': 'k1' }), backoffMs: [100], log });
+  t.after(async () => {
+    feed.stop();
+    for (const c of wss.clients) c.terminate();
+    wss.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+  return { sim, feed };
+}
+
+// Stands in for the ws client: the test plays the server side.
+class FakeSocket extends EventEmitter {
+  static OPEN = 1;
+  static instances = [];
+  constructor(url){ super(); this.url = url; this.readyState = 0; this.sent = []; FakeSocket.instances.push(this); setImmediate(() => { this.readyState = 1; this.emit('open'); }); }
+  send(m){ this.sent.push(JSON.parse(m)); }
+  close(){ if (this.readyState === 3) return; this.readyState = 3; setImmediate(() => this.emit('close')); }
+  reply(m){ this.emit('message', JSON.stringify(m)); }
+}
+
+test('isLiveOrder covers resting stops as well as open and pending orders', () => {
+  assert.deepEqual([...LIVE_ORDER_STATES], ['open', 'pending', 'untriggered', 'triggered']);
+  for (const state of ['open', 'PENDING', 'untriggered', 'triggered']) assert.equal(isLiveOrder({ state }), true, state);
+  assert.equal(isLiveOrder({ status: 'untriggered' }), true);
+  for (const state of ['closed', 'cancelled', '', undefined]) assert.equal(isLiveOrder({ state }), false, String(state));
+});
+
+test('the feed mirrors the sim book: resting orders, positions and fills', async t => {
+  const { sim, feed } = await simSocket(t);
+  feed.start();
+  await eventually(() => feed.ready(), { timeoutMs: 3000 });
+  assert.deepEqual(feed.orders(), []);
+
+  sim.placeDirect('k1', { product_symbol: 'SOLUSD', side: 'buy', size: 2, order_type: 'market_order' });
+  sim.placeDirect('k1', { product_symbol: 'SOLUSD', side: 'sell', size: 2, order_type: 'market_order', stop_order_type: 'stop_loss_order', stop_price: '140', reduce_only: true });
+  sim.placeDirect('k1', { product_symbol: 'SOLUSD', side: 'sell', size: 1, order_type: 'limit_order', limit_price: '160', reduce_only: true });
+  sim.placeDirect('k2', { product_symbol: 'BTCUSD', side: 'buy', size: 1, order_type: 'market_order' });
+
+  await eventually(() => feed.orders().length === 2 && feed.positions().length === 1 && feed.fills().length === 1, { timeoutMs: 3000 });
+  assert.equal(Number(feed.positions()[0].size), 2);
+  assert.equal(feed.positions()[0].product_symbol, 'SOLUSD', 'k2\'s book is not mirrored');
+  assert.deepEqual(feed.orders().map(o => o.stop_order_type || o.order_type).sort(), ['limit_order', 'stop_loss_order']);
+
+  sim.setMark('SOLUSD', 139);
+  await eventually(() => feed.positions().length === 0 && feed.orders().length === 1, { timeoutMs: 3000 });
+  assert.equal(feed.orders()[0].order_type, 'limit_order');
+});
+
+test('a dropped socket reconnects and resyncs from the fresh snapshot', async t => {
+  const { sim, feed } = await simSocket(t);
+  feed.start();
+  await eventually(() => feed.ready(), { timeoutMs: 3000 });
+  sim.placeDirect('k1', { product_symbol: 'SOLUSD', side: 'buy', size: 1, order_type: 'limit_order', limit_price: '120' });
+  await eventually(() => feed.orders().length === 1, { timeoutMs: 3000 });
+
+  const disconnected = new Promise(resolve => feed.events.on('update', u => u.type === 'disconnect' && resolve()));
+  sim.reset(); // drops every client and empties the books
+  await disconnected;
+  assert.equal(feed.ready(), false);
+
+  // Placed while the feed is down — only the reconnect snapshot can carry it.
+  sim.placeDirect('k1', { product_symbol: 'ETHUSD', side: 'buy', size: 1, order_type: 'limit_order', limit_price: '2500' });
+  await eventually(() => feed.ready(), { timeoutMs: 3000 });
+  assert.deepEqual(feed.orders().map(o => o.product_symbol), ['ETHUSD']);
+  assert.equal(feed.status().connects, 2);
+});
+
+test('stop states are mirrored, a refused key-auth closes and retries', async t => {
+  FakeSocket.instances.length = 0;
+  const feed = createPrivateFeed({ url: 'ws://fake', auth: () => ({ 'api-key': 'k1' }), backoffMs: [20], log, WebSocketImpl: FakeSocket });
+  t.after(() => feed.stop());
+  feed.start();
+
+  await eventually(() => FakeSocket.instances[0]?.sent.length === 1);
+  FakeSocket.instances[0].reply({ type: 'key-auth', success: false, error: { code: 'invalid_api_key' } });
+  await eventually(() => FakeSocket.instances[1]?.sent.length === 1, { timeoutMs: 2000 });
+  assert.match(feed.status().last_error, /invalid_api_key/);
+
+  const ws = FakeSocket.instances[1];
+  ws.reply({ type: 'key-auth', success: true });
+  assert.deepEqual(ws.sent[1].payload.channels.map(c => c.name), ['orders', 'positions', 'user_trades']);
+  ws.reply({ type: 'orders', action: 'snapshot', result: [{ id: 1, state: 'untriggered' }, { id: 2, state: 'open' }, { id: 3, state: 'closed' }] });
+  assert.equal(feed.ready(), false, 'waits for the positions snapshot');
+  ws.reply({ type: 'positions', action: 'snapshot', result: [] });
+  assert.equal(feed.ready(), true);
+  assert.deepEqual(feed.orders().map(o => o.id), [1, 2]);
+
+  ws.reply({ type: 'orders', action: 'update', id: 1, state: 'triggered' });
+  ws.reply({ type: 'orders', action: 'update', id: 2, state: 'cancelled' });
+  assert.deepEqual(feed.orders().map(o => [o.id, o.state]), [[1, 'triggered']]);
+});
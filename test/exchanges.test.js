@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { createExchanges, createDeltaAdapter, EXCHANGE_DEFS } = require('../lib/exchanges');
+
+// Transport stand-in: answers from `routes` ("METHOD path" → value or fn) and records calls.
+function fakeRequest(routes = {}){
+  const calls = [];
+  const request = async (adapter, method, path, payload, query) => {
+    calls.push({ exchange: adapter.name, method, path, payload, query });
+    const r = routes[`${method} ${path}`];
+    if (r instanceof Error) throw r;
+    return typeof r === 'function' ? r({ payload, query }) : r;
+  };
+  request.calls = calls;
+  return request;
+}
+const acct = { api_key: 'key-1', api_secret: 'secret-1' };
+
+test('HMAC headers sign method + timestamp + path + query + body, shifted by the clock offset', () => {
+  const a = createDeltaAdapter({ name: 'x', baseUrl: 'https://api.example/', request: fakeRequest() });
+  assert.equal(a.baseUrl, 'https://api.example');
+  a.clockOffsetMs = 30_000;
+  const h = a.authHeaders({ method: 'POST', path: '/v2/orders', query: '', body: '{"a":1}', acct });
+  const expectTs = Math.floor((Date.now() + 30_000) / 1000);
+  assert.ok(Math.abs(Number(h.timestamp) - expectTs) <= 1);
+  assert.equal(h['api-key'], 'key-1');
+  assert.equal(h.signature, crypto.createHmac('sha256', 'secret-1').update(`POST${h.timestamp}/v2/orders{"a":1}`).digest('hex'));
+
+  const ws = a.wsAuth(acct);
+  assert.equal(ws.signature, crypto.createHmac('sha256', 'secret-1').update(`GET${ws.timestamp}/live`).digest('hex'));
+
+  const renamed = createDeltaAdapter({ name: 'y', baseUrl: 'x', request: fakeRequest(), headerNames: { apiKey: 'X-KEY' } });
+  assert.ok('X-KEY' in renamed.authHeaders({ method: 'GET', path: '/', acct }));
+  const keyOnly = createDeltaAdapter({ name: 'z', baseUrl: 'x', request: fakeRequest(), authMode: 'key' });
+  assert.deepEqual(keyOnly.authHeaders({ method: 'GET', path: '/', acct }), { 'api-key': 'key-1' });
+});
+
+test('clockError reads server_time in s, ms or µs', () => {
+  const a = createDeltaAdapter({ name: 'x', baseUrl: 'x', request: fakeRequest() });
+  const err = t => ({ success: false, error: { code: 'expired_signature', context: { server_time: t } } });
+  assert.deepEqual(a.clockError(err(1_760_000_000)), { serverMs: 1_760_000_000_000 });
+  assert.deepEqual(a.clockError(err(1_760_000_000_123)), { serverMs: 1_760_000_000_123 });
+  assert.deepEqual(a.clockError(err(1_760_000_000_123_000)), { serverMs: 1_760_000_000_123 });
+  assert.deepEqual(a.clockError({ error: { code: 'signature_expired' } }), { serverMs: null });
+  assert.equal(a.clockError({ error: { code: 'insufficient_margin' } }), null);
+});
+
+test('request costs and rate-limit headers', () => {
+  const a = createDeltaAdapter({ name: 'x', baseUrl: 'x', request: fakeRequest(), costs: { read: 1 } });
+  assert.equal(a.requestCost('GET', '/v2/orders'), 1);
+  assert.equal(a.requestCost('POST', '/v2/orders'), 5);
+  assert.equal(a.requestCost('POST', '/v2/orders/batch'), 25);
+  assert.equal(a.requestCost('DELETE', '/v2/orders/all'), 25);
+  assert.deepEqual(a.rateLimitInfo(new Headers({ 'x-rate-limit-remaining': '40', 'x-rate-limit-reset': '1200' })), { remaining: '40', resetMs: '1200' });
+  assert.deepEqual(a.rateLimitInfo(null), { remaining: null, resetMs: null });
+});
+
+test('trail_amount sign rule per venue', () => {
+  const ex = createExchanges({ request: fakeRequest(), overrides: { delta_global: { baseUrl: 'sim://delta-global' } } });
+  const india = ex.get('delta_india'), global = ex.get('delta_global');
+  assert.equal(india.trailAmount('sell', 12), '-12');
+  assert.equal(india.trailAmount('BUY', -12), '12');
+  assert.equal(global.trailAmount('sell', -12), '12');
+  assert.equal(global.baseUrl, 'sim://delta-global');
+  assert.equal(india.baseUrl, EXCHANGE_DEFS.delta_india.baseUrl);
+});
+
+test('products are cached and looked up by symbol; market data is normalised', async () => {
+  const request = fakeRequest({
+    'GET /v2/products': { success: true, result: [{ id: 14823, symbol: 'SOLUSD', tick_size: '0.01' }] },
+    'GET /v2/tickers': { result: [{ symbol: 'SOLUSD', mark_price: '150.5', quotes: { best_bid: '150.4', best_ask: '0' } }] },
+    'GET /v2/l2orderbook/SOLUSD': { result: { buy: [{ price: '150', size: 10 }, { price: 'x', size: 1 }], sell: [{ limit_price: '151', depth: '5' }] } }
+  });
+  const a = createDeltaAdapter({ name: 'x', baseUrl: 'x', request });
+  assert.equal(await a.getProductId('solusd'), 14823);
+  assert.equal((await a.getProductMeta('SOLUSD')).tick_size, '0.01');
+  assert.equal(await a.getProductId('NOPE'), null);
+  assert.equal(request.calls.filter(c => c.path === '/v2/products').length, 1);
+  assert.deepEqual(await a.getQuote('SOLUSD'), { bid: 150.4, ask: null, mark: 150.5 });
+  assert.deepEqual(await a.getOrderbook('SOLUSD', 5), { bids: [{ price: 150, size: 10 }], asks: [{ price: 151, size: 5 }] });
+  assert.equal(request.calls.at(-1).query, '?depth=5');
+});
+
+test('orders, batch and pagination go to the Delta paths', async () => {
+  const request = fakeRequest({
+    'GET /v2/products': { result: [{ id: 7, symbol: 'SOLUSD' }] },
+    'POST /v2/orders/batch': { result: [{ id: 1 }, { success: false, error: { code: 'x' } }] },
+    'GET /v2/orders': ({ query }) => ({ result: [{ id: 9 }], meta: { after: query.includes('after=') ? null : 'cur1' } }),
+    'GET /v2/fills': { result: [{ id: 'f1' }], meta: {} }
+  });
+  const a = createDeltaAdapter({ name: 'x', baseUrl: 'x', request });
+  assert.equal((await a.placeOrders('SOLUSD', [{ size: 1 }, { size: 2 }])).length, 2);
+  assert.deepEqual(request.calls.find(c => c.path === '/v2/orders/batch').payload, { product_id: 7, product_symbol: 'SOLUSD', orders: [{ size: 1 }, { size: 2 }] });
+
+  const p1 = await a.listOpenOrders();
+  assert.deepEqual(p1, { orders: [{ id: 9 }], after: 'cur1' });
+  assert.equal(request.calls.at(-1).query, '?states=open,pending&page_size=200');
+  assert.equal((await a.listOpenOrders({ after: p1.after })).after, null);
+  assert.match(request.calls.at(-1).query, /&after=cur1$/);
+
+  assert.deepEqual(await a.listFills({ startUs: 5 }), { fills: [{ id: 'f1' }], after: null });
+  await a.cancelOrder({ id: 3 });
+  assert.deepEqual(request.calls.at(-1), { exchange: 'x', method: 'DELETE', path: '/v2/orders', payload: { id: 3 }, query: '' });
+});
+
+test('listPositions falls back to /v2/positions/margined', async () => {
+  const margined = { result: { positions: [{ product_symbol: 'SOLUSD', size: 2 }] } };
+  const a = createDeltaAdapter({ name: 'x', baseUrl: 'x', request: fakeRequest({ 'GET /v2/positions': { success: false, error: { code: 'bad_schema' } }, 'GET /v2/positions/margined': margined }) });
+  assert.deepEqual(await a.listPositions(), margined.result.positions);
+  const b = createDeltaAdapter({ name: 'x', baseUrl: 'x', request: fakeRequest({ 'GET /v2/positions': { success: true, result: [] } }) });
+  assert.deepEqual(await b.listPositions(), []);
+});
+
+test('listPositions strict throws instead of reporting flat', async () => {
+  const down = new Error('Delta API error: 503');
+  const a = createDeltaAdapter({ name: 'x', baseUrl: 'x', request: fakeRequest({ 'GET /v2/positions': down, 'GET /v2/positions/margined': down }) });
+  assert.deepEqual(await a.listPositions(), []);
+  await assert.rejects(a.listPositions({ strict: true }), /503/);
+
+  const empty = createDeltaAdapter({ name: 'x', baseUrl: 'x', request: fakeRequest({ 'GET /v2/positions': down, 'GET /v2/positions/margined': { success: true, result: [] } }) });
+  assert.deepEqual(await empty.listPositions({ strict: true }), []);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startRelay, eventually } = require('./support/relay');
+
+const ENV = {
+  STRICT_SEQUENCE: 'false', WATCHDOG_ENABLED: 'false', OCO_ENABLED: 'false',
+  ENTRY_FILL_POLL_MS: '50', ENTRY_CHASE_MS: '400', ENTRY_CHASE_MAX: '1', ENTRY_LIMIT_TIMEOUT_MS: '3000'
+};
+const enter = extra => ({ action: 'ENTER', sig_id: 'l1', seq: 1, symbol: 'SOLUSD', side: 'buy', qty: 2, ...extra });
+const simState = async relay => (await relay.get('/sim/state')).json;
+
+test('a limit entry rests on the bid and fills as maker when price comes to it', async t => {
+  const relay = await startRelay({ ...ENV, ENTRY_CHASE_MS: '5000', ENTRY_LIMIT_TIMEOUT_MS: '8000' });
+  t.after(() => relay.stop());
+
+  await relay.post('/tv', enter({ entry_type: 'limit' }));
+  const resting = await eventually(async () => (await simState(relay)).open_orders[0]);
+  assert.equal(resting.order_type, 'limit_order');
+  assert.match(resting.client_order_id, /^E0SOLUSD_/);
+  assert.ok(Number(resting.limit_price) < 150, `rests below mark: ${resting.limit_price}`);
+  assert.equal(Number((await simState(relay)).positions.SOLUSD?.size || 0), 0, 'no position while resting');
+
+  await relay.post('/sim/mark', { symbol: 'SOLUSD', mark_price: 149 });
+  const attempt = await relay.waitFor('limit_entry_attempt', { timeoutMs: 5000 });
+  assert.equal(attempt.filled, 2);
+  const s = await simState(relay);
+  assert.equal(Number(s.positions.SOLUSD.size), 2);
+  assert.equal(Number(s.positions.SOLUSD.entry_price), Number(resting.limit_price));
+  assert.equal(relay.logs.some(l => l.event === 'limit_entry_fallback'), false);
+});
+
+test('post_only that would take is re-priced, then the rest goes at market', async t => {
+  const relay = await startRelay(ENV);
+  t.after(() => relay.stop());
+
+  await relay.post('/tv', enter({ entry_type: 'post_only', limit_price: 155 }));
+  const fallback = await relay.waitFor('limit_entry_fallback', { timeoutMs: 6000 });
+  assert.equal(fallback.unfilled, 2);
+  const attempts = relay.logs.filter(l => l.event === 'limit_entry_attempt');
+  assert.deepEqual(attempts.map(a => [a.attempt, a.filled]), [[0, 0], [1, 0]]);
+  assert.equal(attempts[0].limit_price, 155);
+  assert.ok(attempts[1].limit_price < 150);
+
+  await eventually(async () => Number((await simState(relay)).positions.SOLUSD?.size || 0) === 2);
+  assert.deepEqual((await simState(relay)).open_orders, []);
+});
+
+test('without the market fallback an unfilled limit entry aborts the signal', async t => {
+  const relay = await startRelay({ ...ENV, ENTRY_CHASE_MAX: '0', ENTRY_LIMIT_TIMEOUT_MS: '500', ENTRY_MARKET_FALLBACK: 'false' });
+  t.after(() => relay.stop());
+  await relay.post('/tv', enter({ entry_type: 'limit' }));
+  await relay.waitFor('limit_entry_attempt', { timeoutMs: 5000 });
+  await eventually(async () => (await simState(relay)).open_orders.length === 0);
+  assert.equal((await simState(relay)).positions.SOLUSD, undefined);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger, redact } = require('../lib/logger');
+const { runWithContext } = require('../lib/context');
+const { startRelay, eventually } = require('./support/relay');
+
+function capture(opts = {}){
+  const lines = [];
+  const log = createLogger({ ...opts, write: (level, line) => lines.push({ level, line }) });
+  return { log, lines, json: () => lines.map(l => JSON.parse(l.line)) };
+}
+
+test('one JSON line per event with severity, message and fields', () => {
+  const { log, json } = capture();
+  log.info('entry_placed', 'placed', { lots: 2, skip: undefined });
+  log.warn('retry', { attempt: 2 });
+  log.error('boom', 'failed', Object.assign(new Error('nope'), { code: 'E_X' }));
+
+  const [a, b, c] = json();
+  assert.match(a.ts, /^\d{4}-\d\d-\d\dT/);
+  assert.deepEqual({ ...a, ts: undefined }, { ts: undefined, severity: 'INFO', level: 'info', event: 'entry_placed', message: 'placed', lots: 2 });
+  assert.deepEqual([b.severity, b.message, b.attempt], ['WARNING', undefined, 2], 'fields may stand in for the message');
+  assert.deepEqual(c.err, { message: 'nope', code: 'E_X' }, 'an Error is reduced to message + code');
+});
+
+test('levels filter below the configured one; unknown levels fall back to info', () => {
+  const { log, lines } = capture({ level: 'warn' });
+  log.debug('a'); log.info('b'); log.warn('c'); log.error('d');
+  assert.deepEqual(lines.map(l => l.level), ['warn', 'error']);
+  assert.equal(log.enabled('info'), false);
+
+  log.configure({ level: 'DEBUG' });
+  assert.equal(log.level(), 'debug');
+  log.configure({ level: 'loud' });
+  assert.equal(log.level(), 'info');
+  log.configure({ level: 'silent' });
+  log.error('e');
+  assert.equal(lines.length, 2);
+});
+
+test('webhook context and child bindings tag every line; fields win', async () => {
+  const { log, json } = capture();
+  const child = log.child({ component: 'oco' });
+  await runWithContext({ corr_id: 'c-1', symbol: 'SOLUSD', seq: 0, sig_id: '' }, async () => {
+    await Promise.resolve();
+    child.info('tick');
+    log.info('override', { symbol: 'BTCUSD' });
+  });
+  log.info('outside');
+
+  const [tick, override, outside] = json();
+  assert.deepEqual([tick.corr_id, tick.symbol, tick.seq, tick.component], ['c-1', 'SOLUSD', 0, 'oco']);
+  assert.equal('sig_id' in tick, false, 'empty context values are left out');
+  assert.equal(override.symbol, 'BTCUSD');
+  assert.equal(outside.corr_id, undefined);
+});
+
+test('secret keys are redacted at depth and secret values masked anywhere', () => {
+  const { log, json } = capture({ secrets: ['api-secret-123456', 'short'] });
+  log.info('req', 'signed with api-secret-123456', {
+    headers: { 'api-key': 'k', signature: 'abc', nested: [{ password: 'p', ok: 1 }] },
+    body: { note: 'x api-secret-123456 y', short: 'short' }
+  });
+  const e = json()[0];
+  assert.equal(e.message, 'signed with [REDACTED]');
+  assert.deepEqual(e.headers, { 'api-key': '[REDACTED]', signature: '[REDACTED]', nested: [{ password: '[REDACTED]', ok: 1 }] });
+  assert.deepEqual(e.body, { note: 'x [REDACTED] y', short: 'short' }, 'secrets under 8 chars are not masked');
+
+  assert.deepEqual(log.scrub({ token: 't', msg: 'api-secret-123456' }), { token: '[REDACTED]', msg: '[REDACTED]' });
+  assert.equal(log.scrub(undefined), undefined);
+  assert.deepEqual(redact({ webhook_token: 1, auth_sig: 2, keep: 3 }), { webhook_token: '[REDACTED]', auth_sig: '[REDACTED]', keep: 3 });
+});
+
+test('pretty format and unserializable fields', () => {
+  const { log, lines } = capture({ format: 'pretty' });
+  log.warn('sl_placed', 'stop in', { stop_price: 140 });
+  assert.match(lines[0].line, /^\S+Z WARN  sl_placed stop in \{"stop_price":140\}$/);
+
+  const json = capture();
+  const loop = {}; loop.self = loop;
+  json.log.info('cyclic', 'x', { loop });
+  assert.equal(json.json()[0].unserializable, true);
+});
+
+test('the relay never logs the webhook token, even inside free text', async t => {
+  const secret = 'hook-secret-9f8e7d6c';
+  const relay = await startRelay({ STRICT_SEQUENCE: 'false', WATCHDOG_ENABLED: 'false', OCO_ENABLED: 'false', WEBHOOK_TOKEN: secret });
+  t.after(() => relay.stop());
+
+  assert.equal((await relay.post('/tv', { action: 'ENTER', sig_id: 'g1', seq: 1, symbol: 'SOLUSD', side: 'buy', qty: 1, token: secret })).status, 200);
+  await eventually(async () => Number((await relay.get('/sim/state')).json.positions.SOLUSD?.size || 0) === 1);
+  await relay.post('/tv', { action: 'PLACE_SL_INTENT', sig_id: 'g1', seq: 3, symbol: 'SOLUSD', stop_price: 140, reason: `manual ${secret}`, token: secret });
+  const received = await relay.waitFor('sl_intent_received', { timeoutMs: 5000 });
+
+  assert.match(JSON.stringify(received), /manual \[REDACTED\]/);
+  assert.equal(JSON.stringify(relay.logs).includes(secret), false);
+  const hooks = relay.logs.filter(l => l.event === 'webhook_received');
+  assert.equal(hooks.length, 2);
+  assert.ok(hooks.every(l => l.corr_id && l.auth === 'body_token'));
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { EventEmitter } = require('node:events');
+const { createMarketData } = require('../lib/market-data');
+const { createDeltaSim, attachSimSocket } = require('../lib/delta-sim');
+const { createLogger } = require('../lib/logger');
+const { eventually } = require('./support/relay');
+
+const log = createLogger({ level: 'silent' });
+
+async function simMarket(t, opts = {}, { tickerMs = 50 } = {}){
+  const sim = createDeltaSim();
+  const server = http.createServer();
+  const wss = attachSimSocket(sim, server, { heartbeatMs: 60_000, tickerMs });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const md = createMarketData({ url: `ws://127.0.0.1:${server.address().port}/sim/ws`, backoffMs: [50], log, ...opts });
+  t.after(async () => {
+    md.stop();
+    for (const c of wss.clients) c.terminate();
+    wss.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+  return { sim, md };
+}
+
+class FakeSocket extends EventEmitter {
+  static OPEN = 1;
+  static last = null;
+  constructor(){ super(); this.sent = []; FakeSocket.last = this; setImmediate(() => this.emit('open')); }
+  send(m){ this.sent.push(JSON.parse(m)); }
+  close(){ setImmediate(() => this.emit('close')); }
+  reply(m){ this.emit('message', JSON.stringify(m)); }
+}
+
+test('a tracked symbol streams mark and book from the socket', async t => {
+  const { sim, md } = await simMarket(t);
+  md.start();
+  assert.equal(md.ticker('SOLUSD'), null, 'nothing cached yet — caller goes to REST');
+
+  const tick = await eventually(() => md.ticker('SOLUSD'), { timeoutMs: 3000 });
+  assert.equal(tick.mark, 150);
+  assert.ok(tick.bid < 150 && tick.ask > 150, `quotes straddle the mark: ${tick.bid} / ${tick.ask}`);
+  assert.ok(tick.age_ms >= 0 && tick.age_ms < 10_000);
+
+  const book = md.book('SOLUSD', 3);
+  assert.equal(book.bids.length, 3);
+  assert.ok(book.bids[0].price > book.bids[1].price, 'bids best first');
+  assert.ok(book.asks[0].price < book.asks[1].price, 'asks best first');
+
+  sim.setMark('SOLUSD', 155);
+  await eventually(() => md.ticker('SOLUSD')?.mark === 155, { timeoutMs: 3000 });
+  assert.equal(md.status().symbols.SOLUSD.mark, 155);
+  assert.equal(md.ticker('BTCUSD'), null, 'an untracked symbol is subscribed on first lookup');
+  await eventually(() => md.ticker('BTCUSD')?.mark === 60000, { timeoutMs: 3000 });
+});
+
+test('values older than staleMs read as null', async t => {
+  const { md } = await simMarket(t, { staleMs: 150 }, { tickerMs: 60_000 });
+  md.track('ETHUSD');
+  md.start();
+  await eventually(() => md.ticker('ETHUSD'), { timeoutMs: 3000 });
+  await new Promise(r => setTimeout(r, 250));
+  assert.equal(md.ticker('ETHUSD'), null);
+  assert.equal(md.book('ETHUSD'), null);
+  assert.ok(md.status().symbols.ETHUSD.age_ms.ticker >= 150);
+});
+
+test('a dropped socket reads as null, then reconnects and resubscribes', async t => {
+  const { sim, md } = await simMarket(t);
+  md.track('SOLUSD');
+  md.start();
+  await eventually(() => md.ticker('SOLUSD'), { timeoutMs: 3000 });
+
+  sim.reset(); // the sim drops every client
+  await eventually(() => md.status().connected === false, { timeoutMs: 3000 });
+  assert.equal(md.ticker('SOLUSD'), null);
+
+  sim.setMark('SOLUSD', 151);
+  await eventually(() => md.ticker('SOLUSD')?.mark === 151, { timeoutMs: 3000 });
+  assert.equal(md.status().connects, 2);
+});
+
+test('trades are cached per symbol and untracked symbols are ignored', async () => {
+  const md = createMarketData({ url: 'ws://fake', log, WebSocketImpl: FakeSocket });
+  md.track('XRPUSD');
+  md.start();
+  await eventually(() => FakeSocket.last?.sent.length === 2);
+  const ws = FakeSocket.last;
+  assert.deepEqual(ws.sent[1].payload.channels.map(c => [c.name, c.symbols]),
+    [['v2/ticker', ['XRPUSD']], ['all_trades', ['XRPUSD']], ['l2_orderbook', ['XRPUSD']]]);
+
+  ws.reply({ type: 'all_trades', symbol: 'XRPUSD', price: '0.61', size: '40' });
+  ws.reply({ type: 'all_trades', symbol: 'DOGEUSD', price: '0.2', size: '1' });
+  assert.deepEqual((({ price, size }) => ({ price, size }))(md.trade('XRPUSD')), { price: 0.61, size: 40 });
+  assert.equal(md.status().symbols.DOGEUSD, undefined);
+  md.stop();
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetrics } = require('../lib/metrics');
+const { startRelay, eventually } = require('./support/relay');
+
+const linesOf = (text, name) => text.split('\n').filter(l => l.startsWith(name));
+
+test('counters render per label set, with HELP / TYPE and escaped values', () => {
+  const m = createMetrics();
+  const c = m.counter('x_total', 'Things\nby kind', ['kind', 'code']);
+  c.inc({ kind: 'a' });
+  c.inc({ kind: 'a' }, 2);
+  c.inc({ kind: 'say "hi"\\', code: 7 });
+  const text = m.render();
+  assert.ok(text.startsWith('# HELP x_total Things\\nby kind\n# TYPE x_total counter\n'));
+  assert.deepEqual(linesOf(text, 'x_total'), [
+    'x_total{kind="a",code=""} 3',
+    'x_total{kind="say \\"hi\\"\\\\",code="7"} 1'
+  ]);
+  assert.ok(text.endsWith('\n'));
+});
+
+test('gauges are set or collected at scrape time', () => {
+  const m = createMetrics();
+  m.gauge('plain', 'h').set({}, 4.5);
+  let size = 1;
+  m.gauge('sized', 'h', ['key'], () => [{ labels: { key: 'q' }, value: size }]);
+  m.gauge('broken', 'h', [], () => { throw new Error('boom'); });
+
+  assert.deepEqual(linesOf(m.render(), 'plain'), ['plain 4.5']);
+  size = 9;
+  assert.deepEqual(linesOf(m.render(), 'sized'), ['sized{key="q"} 9']);
+  assert.match(m.render(), /# TYPE broken gauge\n(?!broken)/, 'a failing collector renders no series');
+});
+
+test('histograms keep cumulative buckets, +Inf, sum and count', () => {
+  const m = createMetrics();
+  const h = m.histogram('lat_seconds', 'h', ['op'], [1, 0.1]);
+  for (const v of [0.05, 0.5, 3, 'x']) h.observe({ op: 'get' }, v);
+  assert.deepEqual(linesOf(m.render(), 'lat_seconds'), [
+    'lat_seconds_bucket{op="get",le="0.1"} 1',
+    'lat_seconds_bucket{op="get",le="1"} 2',
+    'lat_seconds_bucket{op="get",le="+Inf"} 3',
+    'lat_seconds_sum{op="get"} 3.55',
+    'lat_seconds_count{op="get"} 3'
+  ]);
+});
+
+test('GET /metrics counts webhooks, outcomes, entry latency and exchange calls', async t => {
+  const relay = await startRelay({ STRICT_SEQUENCE: 'false', WATCHDOG_ENABLED: 'false', OCO_ENABLED: 'false' });
+  t.after(() => relay.stop());
+
+  await relay.post('/tv', { action: 'ENTER', sig_id: 'm1', seq: 1, symbol: 'SOLUSD', side: 'buy', qty: 1 });
+  await relay.post('/tv', { action: 'NOPE', symbol: 'SOLUSD' });
+  const text = await eventually(async () => {
+    const r = await relay.get('/metrics');
+    return /relay_entry_latency_seconds_count 1/.test(r.text) && r.text;
+  }, { timeoutMs: 5000 });
+
+  assert.ok(text.includes('relay_webhooks_total{action="ENTER",status="accepted"} 1'));
+  assert.ok(text.includes('relay_webhooks_total{action="NOPE",status="invalid_payload"} 1'));
+  assert.ok(text.includes('relay_webhook_outcomes_total{action="ENTER",outcome="queued"} 1'));
+  assert.ok(text.includes('relay_dcall_duration_seconds_count{method="POST",path="/v2/orders"} 1'));
+  assert.ok(text.includes('relay_chain_size{account="default"} 1'));
+  assert.match(text, /^relay_start_time_seconds \d+$/m);
+});
+
+test('failed exchange calls are counted by error code', async t => {
+  const relay = await startRelay({ STRICT_SEQUENCE: 'false', WATCHDOG_ENABLED: 'false', OCO_ENABLED: 'false' });
+  t.after(() => relay.stop());
+
+  await relay.post('/sim/faults', { method: 'POST', path: '/v2/orders', status: 400, code: 'insufficient_margin', times: 1 });
+  await relay.post('/tv', { action: 'ENTER', sig_id: 'm2', seq: 1, symbol: 'SOLUSD', side: 'buy', qty: 1 });
+  await eventually(async () => (await relay.get('/metrics')).text
+    .includes('relay_dcall_errors_total{method="POST",path="/v2/orders",code="insufficient_margin"} 1'), { timeoutMs: 5000 });
+});
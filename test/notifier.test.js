@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createNotifier, render } = require('../lib/notifier');
+
+function fakeFetch({ status = 200 } = {}){
+  const calls = [];
+  const fn = async (url, init) => { calls.push({ url, body: JSON.parse(init.body) }); return { ok: status < 300, status }; };
+  fn.calls = calls;
+  return fn;
+}
+const tick = () => new Promise(r => setImmediate(r));
+
+test('render fills placeholders and marks missing ones', () => {
+  assert.equal(render('{a} {b} {c} {d}', { a: 1, b: '', c: { x: 1 } }), '1 - {"x":1} -');
+});
+
+test('each sink type gets its own body; URLs never show in stats', async () => {
+  const fetchImpl = fakeFetch();
+  const n = createNotifier({
+    fetchImpl, prefix: '[t] ', dedupMs: 0,
+    sinks: [
+      { type: 'webhook', url: 'https://hooks.example/x' },
+      { type: 'telegram', bot_token: 'bot-secret', chat_id: '42' },
+      { type: 'discord', url: 'https://discord.example/y' },
+      { type: 'slack', name: 'ops', url: 'https://slack.example/z' },
+      { type: 'pager', url: 'https://nope' },
+      { type: 'telegram', bot_token: 'only-token' }
+    ]
+  });
+  const note = n.notify('MANUAL_ATTENTION', { symbol: 'SOLUSD', sig_id: 's1', detail: 'help', account: 'main' });
+  assert.equal(note.text, '[t] [main] 🚨 MANUAL ATTENTION NEEDED SOLUSD sig=s1: help');
+  assert.equal(note.severity, 'critical');
+  await tick();
+
+  const byUrl = Object.fromEntries(fetchImpl.calls.map(c => [c.url, c.body]));
+  assert.equal(byUrl['https://hooks.example/x'].event, 'MANUAL_ATTENTION');
+  assert.deepEqual(byUrl['https://hooks.example/x'].fields.symbol, 'SOLUSD');
+  assert.deepEqual(byUrl['https://api.telegram.org/botbot-secret/sendMessage'], { chat_id: '42', text: note.text, disable_web_page_preview: true });
+  assert.deepEqual(byUrl['https://discord.example/y'], { content: note.text });
+  assert.deepEqual(byUrl['https://slack.example/z'], { text: note.text });
+
+  const stats = n.stats();
+  assert.deepEqual(stats.sinks.map(s => s.name), ['webhook0', 'telegram1', 'discord2', 'ops']);
+  assert.ok(!JSON.stringify(stats).includes('example'));
+  assert.ok(!JSON.stringify(stats).includes('bot-secret'));
+  assert.equal(stats.sinks[0].sent, 1);
+});
+
+test('severity and event filters per sink; overrides win', async () => {
+  const fetchImpl = fakeFetch();
+  const n = createNotifier({
+    fetchImpl, dedupMs: 0, severities: { RISK_BLOCKED: 'critical' }, templates: { ADMIN_ACTION: 'admin did {admin_action}' },
+    sinks: [
+      { type: 'slack', name: 'crit', url: 'https://s/crit', min_severity: 'critical' },
+      { type: 'slack', name: 'admin', url: 'https://s/admin', min_severity: 'info', events: ['ADMIN_ACTION'] }
+    ]
+  });
+  n.notify('RECONCILE_ISSUE', { symbol: 'SOLUSD' });          // warn: nobody
+  n.notify('RISK_BLOCKED', { symbol: 'SOLUSD' });             // raised to critical
+  n.notify('ADMIN_ACTION', { admin_action: 'pause' });
+  await tick();
+  assert.deepEqual(fetchImpl.calls.map(c => [c.url, c.body.text]), [
+    ['https://s/crit', '🛑 ENTRY RISK BLOCKED SOLUSD sig=- [-] -'],
+    ['https://s/admin', 'admin did pause']
+  ]);
+});
+
+test('duplicates are collapsed and the per-minute cap reports what it held back', async () => {
+  const fetchImpl = fakeFetch();
+  const n = createNotifier({ fetchImpl, ratePerMin: 2, dedupMs: 60_000, sinks: [{ type: 'webhook', url: 'https://h' }] });
+  assert.ok(n.notify('SL_BREACH', { symbol: 'A', sig_id: '1' }));
+  assert.equal(n.notify('SL_BREACH', { symbol: 'A', sig_id: '1' }), null);
+  n.notify('SL_BREACH', { symbol: 'B', sig_id: '1' });
+  n.notify('SL_BREACH', { symbol: 'C', sig_id: '1' });
+  n.notify('SL_BREACH', { symbol: 'D', sig_id: '1' });
+  await tick();
+  assert.equal(fetchImpl.calls.length, 2);
+  const s = n.stats();
+  assert.equal(s.deduped, 1);
+  assert.equal(s.sinks[0].suppressed, 2);
+});
+
+test('a failing sink is counted and never throws into the caller', async () => {
+  const n = createNotifier({ fetchImpl: fakeFetch({ status: 500 }), sinks: [{ type: 'webhook', url: 'https://h' }] });
+  const broken = createNotifier({ fetchImpl: async () => { throw new Error('ECONNREFUSED'); }, sinks: [{ type: 'webhook', url: 'https://h' }] });
+  n.notify('TPS_FAILED', { symbol: 'SOLUSD' });
+  broken.notify('TPS_FAILED', { symbol: 'SOLUSD' });
+  await tick(); await tick();
+  assert.equal(n.stats().sinks[0].failed, 1);
+  assert.equal(n.stats().sinks[0].last_error, 'HTTP 500');
+  assert.equal(broken.stats().sinks[0].last_error, 'ECONNREFUSED');
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startRelay, eventually } = require('./support/relay');
+
+const ENV = { STRICT_SEQUENCE: 'false', WATCHDOG_ENABLED: 'false', OCO_ENABLED: 'true', OCO_INTERVAL_MS: '150', TP_SINGLE_GAP_MS: '0' };
+const simState = async relay => (await relay.get('/sim/state')).json;
+const stopOf = s => s.open_orders.find(o => o.stop_order_type === 'stop_loss_order');
+
+// Long SOLUSD 2 lots with a TP and a PRT_ stop, once the monitor has seen it held.
+async function openTrade(relay, sig){
+  await relay.post('/tv', { action: 'ENTER', sig_id: sig, seq: 1, symbol: 'SOLUSD', side: 'buy', qty: 2 });
+  await eventually(async () => Number((await simState(relay)).positions.SOLUSD?.size || 0) === 2);
+  await relay.post('/tv', { action: 'BATCH_TPS', sig_id: sig, seq: 2, symbol: 'SOLUSD', orders: [{ limit_price: 160, size: 1 }] });
+  await relay.post('/tv', { action: 'PLACE_SL_INTENT', sig_id: sig, seq: 3, symbol: 'SOLUSD', stop_price: 140 });
+  await eventually(async () => {
+    const watching = (await relay.get('/debug/oco')).json.watching.SOLUSD;
+    return watching?.hasPos && Object.keys(watching.orders).length === 2;
+  }, { timeoutMs: 6000 });
+}
+
+test('a stop-out is confirmed flat on two passes, then the TP ladder is cancelled', async t => {
+  const relay = await startRelay(ENV);
+  t.after(() => relay.stop());
+  await openTrade(relay, 'oco1');
+
+  await relay.post('/sim/mark', { symbol: 'SOLUSD', mark_price: 139 });
+  const closed = await relay.waitFor('oco_closed', { timeoutMs: 6000 });
+  assert.equal(closed.leg, 'SL');
+  assert.equal(closed.cancelled_tps, 1);
+  const pending = relay.logs.filter(l => l.event === 'oco_flat_pending' && l.symbol === 'SOLUSD');
+  assert.deepEqual(pending.map(l => l.flat_passes), [1], 'one flat pass before acting');
+  assert.deepEqual((await simState(relay)).open_orders, []);
+});
+
+test('an unreadable positions endpoint skips the pass instead of reading as flat', async t => {
+  const relay = await startRelay(ENV);
+  t.after(() => relay.stop());
+  await openTrade(relay, 'oco2');
+
+  // dcall retries each read, so one failed pass takes 6 faults (3 × positions, 3 × margined).
+  await relay.post('/sim/faults', { method: 'GET', path: '/v2/positions', status: 400, code: 'positions_down', times: 12 });
+  await eventually(() => relay.logs.filter(l => l.event === 'oco_read_failed').length >= 2, { timeoutMs: 10_000 });
+  await relay.request('DELETE', '/sim/faults');
+
+  const s = await simState(relay);
+  assert.equal(Number(stopOf(s)?.stop_price), 140, 'the stop still rests');
+  assert.equal(s.open_orders.length, 2);
+  assert.equal(relay.logs.some(l => l.event === 'oco_closed'), false);
+  assert.equal((await relay.get('/debug/oco')).json.watching.SOLUSD.hasPos, true);
+});
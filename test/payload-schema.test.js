@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePayload, SCHEMAS } = require('../lib/payload-schema');
+const { startRelay } = require('./support/relay');
+
+const ENTER = { action: 'ENTER', sig_id: 's1', seq: 1, symbol: 'SOLUSD', side: 'buy', qty: 2 };
+const BATCH = { action: 'BATCH_TPS', sig_id: 's1', seq: 2, symbol: 'SOLUSD', orders: [{ limit_price: 160, size: 1 }] };
+
+test('well-formed chain steps pass', () => {
+  for (const m of [{ action: 'CANCAL', sig_id: 's1', seq: 0, symbol: 'SOLUSD' }, ENTER, BATCH]) {
+    const r = validatePayload(m);
+    assert.equal(r.ok, true, `${m.action}: ${r.problems}`);
+    assert.deepEqual(r.warnings, []);
+  }
+  assert.equal(validatePayload({ action: 'place_sl_intent', symbol: 'SOLUSD', stop_price: '140.5' }).schema, 'PLACE_SL_INTENT');
+  assert.equal(validatePayload({ action: 'CANCAL', sig_id: 's', seq: 0, scope: 'all' }).ok, true, 'scope ALL needs no symbol');
+});
+
+test('a typo is a warning with a suggestion; the missing field is the problem', () => {
+  const r = validatePayload({ action: 'PLACE_SL_INTENT', symbol: 'SOLUSD', stop_prcie: 140 });
+  assert.equal(r.ok, false);
+  assert.deepEqual(r.problems, ['missing required field "stop_price"']);
+  assert.deepEqual(r.warnings, ['unknown field "stop_prcie" (did you mean "stop_price"?)']);
+});
+
+test('types, enums and positive numbers are checked; numbers parse like parseNum', () => {
+  assert.equal(validatePayload({ ...ENTER, qty: '10 ARC' }).ok, true);
+  const r = validatePayload({ ...ENTER, side: 'long', leverage: 0, seq: 1.5 });
+  assert.equal(r.ok, false);
+  assert.ok(r.problems.some(p => p.startsWith('side: expected one of buy|sell')));
+  assert.ok(r.problems.some(p => p.startsWith('leverage: expected number > 0')));
+  assert.ok(r.problems.some(p => p.startsWith('seq: expected integer')));
+  assert.match(validatePayload({ ...ENTER, qty: 0 }).problems.join('\n'), /ENTER requires qty or one of/);
+  assert.equal(validatePayload({ ...ENTER, qty: 0, amount_inr: 5000 }).ok, true);
+});
+
+test('strict sequence: sig_id and seq required, seq must match the action', () => {
+  const { sig_id, seq, ...loose } = ENTER;
+  assert.deepEqual(validatePayload(loose).problems, ['ENTER requires sig_id in strict sequence mode', 'ENTER requires seq in strict sequence mode']);
+  assert.equal(validatePayload(loose, { strict: false }).ok, true);
+  assert.deepEqual(validatePayload({ ...ENTER, seq: 2 }, { strict: false }).problems, ['ENTER must carry seq 1, got 2']);
+});
+
+test('unknown actions are validated by seq or rejected', () => {
+  const bySeq = validatePayload({ ...BATCH, action: 'TPS' });
+  assert.equal(bySeq.ok, true);
+  assert.equal(bySeq.schema, 'BATCH_TPS');
+  assert.match(bySeq.warnings[0], /validated as BATCH_TPS/);
+  const r = validatePayload({ action: 'BUY', symbol: 'SOLUSD' });
+  assert.equal(r.ok, false);
+  assert.match(r.problems[0], new RegExp(`expected one of ${Object.keys(SCHEMAS).join(', ')}`));
+  assert.deepEqual(validatePayload([ENTER]).problems, ['payload must be a JSON object']);
+});
+
+test('BATCH_TPS orders[] items are checked one by one', () => {
+  const r = validatePayload({ ...BATCH, orders: [{ price: 160, coins: 1 }, { limit_price: -1, size: 1 }, { size: 1 }, 'x'], tp_mults: [1, 'two'] });
+  assert.equal(r.ok, false);
+  assert.deepEqual(r.problems, [
+    'tp_mults[] must contain numbers',
+    'orders[1].limit_price: expected number > 0, got -1',
+    'orders[2].needs one of limit_price/price/lmt_price',
+    'orders[3]: expected object'
+  ]);
+  assert.deepEqual(validatePayload({ ...BATCH, orders: [] }).problems, ['orders[] must not be empty']);
+  assert.equal(validatePayload({ ...BATCH, symbol: undefined, orders: [{ product_symbol: 'SOLUSD', limit_price: 1, size: 1 }] }).ok, true);
+});
+
+test('/tv answers 422 before accepting and lists the rejection for the admin', async t => {
+  const relay = await startRelay({ ADMIN_TOKEN: 'schema-admin' });
+  t.after(() => relay.stop());
+  const r = await relay.post('/tv', { action: 'PLACE_SL_INTENT', symbol: 'SOLUSD', stop_prcie: 140 });
+  assert.equal(r.status, 422);
+  assert.equal(r.json.error, 'invalid_payload');
+  assert.deepEqual(r.json.problems, ['missing required field "stop_price"']);
+  assert.equal((await relay.get('/debug/rejections')).status, 401);
+  const { json } = await relay.get('/debug/rejections', { 'x-admin-token': 'schema-admin' });
+  assert.equal(JSON.stringify(json).includes('stop_prcie'), true);
+
+  const off = await startRelay();
+  t.after(() => off.stop());
+  assert.equal((await off.get('/debug/rejections')).status, 404);
+});
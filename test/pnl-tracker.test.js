@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPnlTracker, legFromClientOrderId } = require('../lib/pnl-tracker');
+const { startRelay } = require('./support/relay');
+
+function tracker(opts = {}){
+  return createPnlTracker({ trades: new Map(), openTrades: new Map(), attrib: new Map(), cursor: new Map(), ...opts });
+}
+let fillId = 0;
+function fill(f){
+  return { id: ++fillId, product_symbol: 'SOLUSD', commission: '0', created_at: new Date().toISOString(), ...f };
+}
+
+test('legFromClientOrderId reads multi-digit TP indexes and protective prefixes', () => {
+  assert.equal(legFromClientOrderId('T0SOLUSD_abc'), 'TP1');
+  assert.equal(legFromClientOrderId('T9SOLUSD_abc'), 'TP10');
+  assert.equal(legFromClientOrderId('T10SOLUSD_abc'), 'TP11');
+  assert.equal(legFromClientOrderId('T12SOLUSD_abc', 'PRT', 'SOLUSD'), 'TP13');
+  assert.equal(legFromClientOrderId('T31000SH_abc', 'PRT', '1000SHIBUSD'), 'TP4');
+  assert.equal(legFromClientOrderId('T101000SH_abc', 'PRT', '1000SHIBUSD'), 'TP11');
+  assert.equal(legFromClientOrderId('E1SOLUSD_abc'), 'ENTRY');
+  assert.equal(legFromClientOrderId('PRT_SL_SOLUSD_1'), 'SL');
+  assert.equal(legFromClientOrderId('PRT_TRL_SOLUSD_1'), 'TRAIL');
+  assert.equal(legFromClientOrderId('PRT_MKT_SOLUSD_1'), 'BREACH_CLOSE');
+  assert.equal(legFromClientOrderId('OWN_SL_x', 'OWN'), 'SL');
+  assert.equal(legFromClientOrderId('manual'), null);
+});
+
+test('entry and exit fills fold into one trade with PnL, fees and slippage', () => {
+  const p = tracker();
+  p.attribute({ orderId: 1, sigId: 's1', symbol: 'SOLUSD', leg: 'ENTRY', pineEntry: 100, contractValue: 1 });
+  p.ingest([
+    fill({ order_id: 1, side: 'buy', size: 2, price: '101', commission: '0.1' }),
+    fill({ order_id: 1, side: 'buy', size: 2, price: '103', commission: '0.1' })
+  ]);
+  let t = p.report().trades[0];
+  assert.equal(t.status, 'open');
+  assert.equal(t.entry_avg, 102);
+  assert.equal(t.slippage_pct, 2);
+
+  // TP leg known only by its client_order_id (order id never attributed).
+  p.ingest([fill({ order_id: 77, client_order_id: 'T10SOLUSD_x', side: 'sell', size: 1, price: '112' })]);
+  p.attribute({ orderId: 2, sigId: 's1', symbol: 'SOLUSD', leg: 'SL' });
+  p.ingest([fill({ order_id: 2, side: 'sell', size: 5, price: '97', commission: '0.2' })]);
+
+  t = p.report().trades[0];
+  assert.equal(t.status, 'closed');
+  assert.equal(t.closed_by, 'SL');
+  assert.deepEqual(t.exits.map(e => [e.leg, e.size]), [['TP11', 1], ['SL', 3]]);
+  assert.equal(t.realized_pnl, 10 - 15);
+  assert.ok(Math.abs(t.net_pnl - (-5 - 0.4)) < 1e-9);
+  assert.equal(p.realizedToday(), t.net_pnl);
+  assert.equal(p.lossStreak(), 1);
+});
+
+test('fills are applied once, in time order; exits without a trade are ignored', () => {
+  const p = tracker();
+  const stray = p.ingest([fill({ client_order_id: 'PRT_SL_SOLUSD_1', side: 'sell', size: 1, price: '90', created_at: '2026-10-19T09:00:00.000Z' })]);
+  assert.equal(stray[0].ignored, 'no_open_trade');
+
+  p.attribute({ clientOrderId: 'E1abc', sigId: 's2', symbol: 'SOLUSD', leg: 'ENTRY' });
+  const entry = fill({ client_order_id: 'E1abc', side: 'sell', size: 1, price: '100', created_at: '2026-10-19T10:00:00.000Z' });
+  const exit  = fill({ client_order_id: 'T0SOLUSD_x', side: 'buy', size: 1, price: '95', created_at: '2026-10-19T10:05:00.000Z' });
+  assert.equal(p.ingest([exit, entry]).length, 2);
+  assert.equal(p.ingest([exit, entry]).length, 0);
+
+  const r = p.report({ sig_id: 's2' });
+  assert.equal(r.total.closed, 1);
+  assert.equal(r.total.wins, 1);
+  assert.equal(r.by_symbol.SOLUSD.realized_pnl, 5);
+  assert.ok(r.by_day['2026-10-19']);
+  assert.equal(p.lastFillTs(), '2026-10-19T10:05:00.000Z');
+});
+
+test('an unattributed E<n> fill opens a trade keyed by the fill id', () => {
+  const p = tracker();
+  const applied = p.ingest([
+    fill({ client_order_id: 'E1SOLUSD_lost', side: 'buy', size: 1, price: '100', created_at: '2026-10-19T11:00:00.000Z' }),
+    fill({ client_order_id: 'T0SOLUSD_lost', side: 'sell', size: 1, price: '104', created_at: '2026-10-19T11:05:00.000Z' })
+  ]);
+  assert.deepEqual(applied.map(a => [a.leg, a.sig_id, a.status]), [['ENTRY', null, 'open'], ['TP1', null, 'closed']]);
+  const [t] = p.report().trades;
+  assert.equal(t.sig_id, null);
+  assert.equal(t.realized_pnl, 4);
+});
+
+test('a fill that fails to apply is skipped without replaying the rest of the batch', () => {
+  const p = tracker({ contractValueOf: s => { if (s === 'BTCUSD') throw new Error('no products'); return 1; } });
+  const batch = [
+    fill({ client_order_id: 'E1SOLUSD_a', side: 'buy', size: 1, price: '100', created_at: '2026-10-19T12:00:00.000Z' }),
+    fill({ client_order_id: 'E1BTCUSD_b', product_symbol: 'BTCUSD', side: 'buy', size: 1, price: '60000', created_at: '2026-10-19T12:01:00.000Z' }),
+    fill({ client_order_id: 'T0SOLUSD_a', side: 'sell', size: 1, price: '101', created_at: '2026-10-19T12:02:00.000Z' })
+  ];
+  const applied = p.ingest(batch);
+  assert.equal(applied[1].error, 'no products');
+  assert.equal(applied[2].status, 'closed');
+  assert.deepEqual(p.ingest(batch), []);
+  assert.equal(p.report({ symbol: 'SOLUSD' }).total.realized_pnl, 1);
+  assert.equal(p.lastFillTs(), '2026-10-19T12:02:00.000Z');
+});
+
+test('contract value converts lots to coins', () => {
+  const p = tracker({ contractValueOf: () => 0.001 });
+  p.attribute({ orderId: 9, sigId: 's3', symbol: 'BTCUSD', leg: 'ENTRY' });
+  p.ingest([
+    fill({ order_id: 9, product_symbol: 'BTCUSD', side: 'buy', size: 10, price: '60000' }),
+    fill({ client_order_id: 'T0BTCUSD_x', product_symbol: 'BTCUSD', side: 'sell', size: 10, price: '61000' })
+  ]);
+  assert.ok(Math.abs(p.report({ symbol: 'btcusd' }).total.realized_pnl - 10) < 1e-9);
+});
+
+test('pruneTrades drops closed trades past retention, then the oldest beyond the cap', () => {
+  const p = tracker({ tzOffsetMin: 0 });
+  const day = n => new Date(Date.now() - n * 86_400_000).toISOString();
+  const round = (sig, sym, closedDaysAgo) => {
+    p.attribute({ clientOrderId: `E1${sig}`, sigId: sig, symbol: sym, leg: 'ENTRY' });
+    p.ingest([fill({ client_order_id: `E1${sig}`, product_symbol: sym, side: 'buy', size: 1, price: '100', created_at: day((closedDaysAgo ?? 0) + 0.01) })]);
+    if (closedDaysAgo !== null) p.ingest([fill({ client_order_id: 'T0x_y', product_symbol: sym, side: 'sell', size: 1, price: '101', created_at: day(closedDaysAgo) })]);
+  };
+  round('old', 'SOLUSD', 40);
+  round('mid', 'SOLUSD', 5);
+  round('new', 'SOLUSD', 0);
+  round('open', 'BTCUSD', null);
+
+  assert.equal(p.pruneTrades({ retentionDays: 30 }), 1);
+  assert.deepEqual(p.report().trades.map(t => t.sig_id), ['mid', 'new', 'open']);
+  assert.equal(p.pruneTrades({ retentionDays: 30, maxTrades: 1 }), 1);
+  assert.deepEqual(p.report().trades.map(t => t.sig_id), ['new', 'open']);
+  assert.equal(p.pruneTrades(), 0);
+});
+
+test('GET /pnl?refresh=1 polls Delta only for the admin', async t => {
+  const relay = await startRelay({ ADMIN_TOKEN: 'pnl-admin' });
+  t.after(() => relay.stop());
+
+  assert.equal((await relay.get('/pnl')).status, 200);
+  assert.equal((await relay.get('/pnl?refresh=1')).status, 401);
+  const r = await relay.get('/pnl?refresh=1', { authorization: 'Bearer pnl-admin' });
+  assert.equal(r.status, 200, r.text);
+  assert.ok(r.json.last_poll);
+
+  const off = await startRelay();
+  t.after(() => off.stop());
+  assert.equal((await off.get('/pnl')).status, 200);
+  assert.equal((await off.get('/pnl?refresh=1')).status, 404);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('../lib/rate-limiter');
+const { startRelay } = require('./support/relay');
+
+// A fake clock for the limiter: advance() moves `now` and fires the timers that fell due.
+function clock(){
+  let ms = 0, seq = 0;
+  const pending = new Map(); // id -> { at, fn }
+  const timers = {
+    setTimeout(fn, d){ pending.set(++seq, { at: ms + d, fn }); return seq; },
+    clearTimeout(id){ pending.delete(id); }
+  };
+  return {
+    now: () => ms,
+    timers,
+    advance(d){
+      ms += d;
+      for (;;) {
+        const due = Array.from(pending).filter(([, x]) => x.at <= ms).sort((a, b) => a[1].at - b[1].at)[0];
+        if (!due) break;
+        pending.delete(due[0]);
+        due[1].fn();
+      }
+    }
+  };
+}
+const settled = async p => { let done = false; p.then(() => { done = true; }); await Promise.resolve(); await Promise.resolve(); return done; };
+
+test('tokens refill evenly over the window', async () => {
+  const c = clock();
+  const rl = createRateLimiter({ quota: 100, windowMs: 1000, reservePct: 0, now: c.now, timers: c.timers });
+  assert.equal(await rl.acquire(100, 'normal'), 0);
+
+  const next = rl.acquire(10, 'normal');
+  c.advance(50);
+  assert.equal(await settled(next), false, '5 tokens back, 10 needed');
+  c.advance(50);
+  assert.equal(await next, 100);
+  assert.equal(rl.usage().by_priority.normal.waited, 1);
+  assert.equal(rl.usage().tokens, 0);
+});
+
+test('only protective calls may dip into the reserve', async () => {
+  const c = clock();
+  const rl = createRateLimiter({ quota: 100, windowMs: 1000, reservePct: 0.2, now: c.now, timers: c.timers });
+  assert.equal(await rl.acquire(80, 'read'), 0);
+
+  const read = rl.acquire(1, 'read');
+  assert.equal(await settled(read), false, 'reads stop at the reserve');
+  assert.equal(await rl.acquire(20, 'protective'), 0, 'a stop goes straight out');
+  assert.equal(rl.usage().queued.read, 1);
+
+  c.advance(210); // 21 tokens: the reserve plus one
+  assert.equal(await read, 210);
+});
+
+test('a blocked class holds back the classes below it', async () => {
+  const c = clock();
+  const rl = createRateLimiter({ quota: 100, windowMs: 1000, reservePct: 0, now: c.now, timers: c.timers });
+  await rl.acquire(95, 'normal');
+
+  const order = [];
+  const tp = rl.acquire(3, 'tp').then(() => order.push('tp'));
+  const normal = rl.acquire(10, 'normal').then(() => order.push('normal'));
+  const read = rl.acquire(1, 'read').then(() => order.push('read'));
+  await Promise.resolve();
+  assert.deepEqual(order, ['tp'], 'tp fit before normal queued');
+
+  c.advance(40); // 6 tokens: enough for the read, but normal (10) is still waiting
+  await Promise.resolve();
+  assert.deepEqual(order, ['tp']);
+
+  c.advance(80);
+  await Promise.all([tp, normal, read]);
+  assert.deepEqual(order, ['tp', 'normal', 'read']);
+});
+
+test('a 429 empties the bucket and pauses every class until the reset', async () => {
+  const c = clock();
+  const rl = createRateLimiter({ quota: 100, windowMs: 1000, reservePct: 0, now: c.now, timers: c.timers });
+  rl.observe({ status: 200, remaining: '40' });
+  assert.equal(rl.usage().tokens, 40, 'the server count pulls the bucket down');
+  assert.equal(rl.usage().server_remaining, 40);
+
+  rl.observe({ status: 429, resetMs: '500' });
+  const stop = rl.acquire(1, 'protective');
+  c.advance(400);
+  assert.equal(await settled(stop), false, 'even a stop waits out the pause');
+  assert.equal(rl.usage().paused_ms, 100);
+  c.advance(100);
+  assert.equal(await stop, 500);
+  assert.equal(rl.usage().throttled_429, 1);
+});
+
+test('the relay retries a 429 once the bucket pause has passed', async t => {
+  // A small, fast bucket: after the 429 empties it, the 1s pause is what the read waits on.
+  const relay = await startRelay({ STRICT_SEQUENCE: 'false', WATCHDOG_ENABLED: 'false', OCO_ENABLED: 'false',
+    RATE_LIMIT_QUOTA: '1000', RATE_LIMIT_WINDOW_MS: '10000', RATE_LIMIT_RESERVE_PCT: '0', ADMIN_TOKEN: 'rl-admin' });
+  t.after(() => relay.stop());
+  await relay.waitFor('listening');
+
+  await relay.post('/sim/faults', { method: 'GET', path: '/v2/positions', status: 429, code: 'ratelimit_exceeded', times: 1 });
+  const started = Date.now();
+  const r = await relay.post('/reconcile?dry_run=1', {}, { authorization: 'Bearer rl-admin' });
+  assert.equal(r.status, 200);
+  const waited = Date.now() - started;
+  assert.ok(waited >= 900 && waited < 5000, `waited out the default 1s pause: ${waited}ms`);
+
+  const bucket = Object.values((await relay.get('/debug/ratelimit')).json.buckets)[0];
+  assert.equal(bucket.throttled_429, 1);
+  const calls = relay.logs.filter(l => l.event === 'dcall' && l.path === '/v2/positions' && l.method === 'GET');
+  assert.deepEqual(calls.slice(-2).map(l => l.status), [429, 200]);
+});
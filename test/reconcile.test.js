@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startRelay } = require('./support/relay');
+
+const ADMIN_TOKEN = 'admin-token-for-tests';
+const admin = { authorization: `Bearer ${ADMIN_TOKEN}` };
+const dcalls = relay => relay.logs.filter(l => l.event === 'dcall' && ['/v2/positions', '/v2/orders'].includes(l.path)).length;
+
+test('POST /reconcile (admin) runs live, ?dry_run=1 changes nothing', async t => {
+  const relay = await startRelay({ ADMIN_TOKEN });
+  t.after(() => relay.stop());
+
+  // A position the relay never saw (opened by hand / before this boot), no stop.
+  const placed = await relay.post('/sim/orders', { product_symbol: 'SOLUSD', side: 'buy', size: 3, order_type: 'market_order' });
+  assert.equal(placed.status, 200, placed.text);
+
+  assert.equal((await relay.post('/reconcile?dry_run=1')).status, 401);
+  assert.equal((await relay.post('/reconcile', {}, { authorization: 'Bearer wrong' })).status, 401);
+
+  const dry = await relay.post('/reconcile?dry_run=1', {}, admin);
+  assert.equal(dry.status, 200, dry.text);
+  assert.equal(dry.json.dry_run, true);
+  assert.deepEqual(dry.json.rebuilt.map(r => r.symbol), ['SOLUSD']);
+  assert.ok(dry.json.issues.some(i => i.type === 'naked_position' && i.symbol === 'SOLUSD'));
+
+  // Nothing was remembered or cached, so a second dry run reports the same gap.
+  const again = await relay.post('/reconcile', { dry_run: true }, admin);
+  assert.deepEqual(again.json.rebuilt.map(r => r.symbol), ['SOLUSD']);
+  assert.equal((await relay.get('/reconcile')).status, 404);
+
+  const applied = await relay.post('/reconcile', {}, admin);
+  assert.equal(applied.status, 200, applied.text);
+  assert.equal(applied.json.dry_run, undefined);
+  assert.deepEqual(applied.json.rebuilt, [{ symbol: 'SOLUSD', lots: 3, side: 'buy' }]);
+
+  const after = await relay.post('/reconcile?dry_run=1', {}, admin);
+  assert.deepEqual(after.json.rebuilt, []);
+});
+
+test('GET /reconcile serves the last report without calling the exchange', async t => {
+  const relay = await startRelay({ ADMIN_TOKEN, RECONCILE_ON_BOOT: 'true', WATCHDOG_ENABLED: 'false', OCO_ENABLED: 'false' });
+  t.after(() => relay.stop());
+  await relay.waitFor('reconcile_ok', { timeoutMs: 5000 });
+
+  const before = dcalls(relay);
+  const first = await relay.get('/reconcile');
+  assert.equal(first.status, 200, first.text);
+  assert.deepEqual(first.json.positions, []);
+  for (let i = 0; i < 5; i++) assert.equal((await relay.get('/reconcile')).json.ts, first.json.ts);
+  await new Promise(r => setTimeout(r, 100));
+  assert.equal(dcalls(relay), before);
+
+  const applied = await relay.post('/reconcile', {}, admin);
+  assert.equal((await relay.get('/reconcile')).json.ts, applied.json.ts);
+});
+
+test('POST /reconcile is disabled without ADMIN_TOKEN', async t => {
+  const relay = await startRelay();
+  t.after(() => relay.stop());
+  assert.equal((await relay.post('/reconcile')).status, 404);
+  assert.equal((await relay.post('/reconcile?dry_run=1')).status, 404);
+  assert.equal((await relay.get('/reconcile')).status, 404);
+});
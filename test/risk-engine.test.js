@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluate, normalizeLimits } = require('../lib/risk-engine');
+const { startRelay, eventually } = require('./support/relay');
+
+const positions = [
+  { symbol: 'BTCUSD', side: 'buy', notional: 600 },
+  { symbol: 'SOLUSD', side: 'sell', notional: -300 }
+];
+
+test('normalizeLimits keeps known positive limits only', () => {
+  assert.deepEqual(normalizeLimits({ max_positions: '3', max_leverage: 0, max_daily_loss: 'x', other: 5 }), { max_positions: 3 });
+});
+
+test('max_positions: adding to a held symbol is not a new position', () => {
+  const limits = { max_positions: 2 };
+  assert.equal(evaluate({ symbol: 'solusd', notional: 10 }, { positions }, limits).ok, true);
+  const r = evaluate({ symbol: 'ETHUSD', notional: 10 }, { positions }, limits);
+  assert.equal(r.ok, false);
+  assert.equal(r.rule, 'max_positions');
+  assert.equal(r.reason, '3 open positions would exceed max 2');
+});
+
+test('notional per symbol and in total use absolute values', () => {
+  const entry = { symbol: 'SOLUSD', notional: 250 };
+  assert.equal(evaluate(entry, { positions }, { max_notional_per_symbol: 550 }).ok, true);
+  const sym = evaluate(entry, { positions }, { max_notional_per_symbol: 500 });
+  assert.equal(sym.rule, 'max_notional_per_symbol');
+  assert.deepEqual(sym.checks, [{ rule: 'max_notional_per_symbol', value: 550, limit: 500, ok: false }]);
+  assert.equal(evaluate(entry, { positions }, { max_notional_total: 1100 }).rule, 'max_notional_total');
+  assert.equal(evaluate(entry, { positions }, { max_notional_total: 1150 }).ok, true);
+});
+
+test('daily loss, loss streak and leverage; the first violation is reported, all are listed', () => {
+  const snap = { positions: [], realizedToday: -100, lossStreak: 3 };
+  const r = evaluate({ symbol: 'SOLUSD', notional: 1, leverage: '20' }, snap, { max_daily_loss: 100, max_consecutive_losses: 3, max_leverage: 10 });
+  assert.equal(r.rule, 'max_daily_loss');
+  assert.deepEqual(r.violations.map(v => v.rule), ['max_daily_loss', 'max_consecutive_losses', 'max_leverage']);
+  assert.equal(evaluate({ symbol: 'SOLUSD' }, { positions: [], realizedToday: -99.99, lossStreak: 2 }, { max_daily_loss: 100, max_consecutive_losses: 3 }).ok, true);
+  // PnL-based limits are skipped when the snapshot has no PnL (PNL disabled).
+  assert.equal(evaluate({ symbol: 'SOLUSD' }, { positions: [] }, { max_daily_loss: 1 }).ok, true);
+  assert.equal(evaluate({ symbol: 'SOLUSD' }, null, {}).ok, true);
+});
+
+const enter = (sig, symbol) => ({ action: 'ENTER', sig_id: sig, seq: 1, symbol, side: 'buy', qty: 1 });
+const positionsIn = async relay => Object.keys((await relay.get('/sim/state')).json.positions);
+
+test('the gate fails closed when positions cannot be read', async t => {
+  const relay = await startRelay({ RISK_MAX_POSITIONS: '5', STRICT_SEQUENCE: 'false', WATCHDOG_ENABLED: 'false', OCO_ENABLED: 'false' });
+  t.after(() => relay.stop());
+
+  await relay.post('/sim/faults', { method: 'GET', path: '/v2/positions', status: 400, code: 'positions_unavailable', times: 50 });
+  assert.equal((await relay.post('/tv', enter('fc1', 'SOLUSD'))).status, 200);
+
+  const blocked = await relay.waitFor('risk_blocked');
+  assert.equal(blocked.rule, 'risk_check_failed');
+  assert.equal(blocked.reason, 'risk_check_failed');
+  assert.match(blocked.error, /positions_unavailable/);
+  await relay.request('DELETE', '/sim/faults');
+  assert.deepEqual(await positionsIn(relay), []);
+  assert.equal((await relay.get('/debug/risk')).json.last.rule, 'risk_check_failed');
+});
+
+test('an entry still being placed counts against entries on other symbols', async t => {
+  const relay = await startRelay({
+    RISK_MAX_POSITIONS: '1', STRICT_SEQUENCE: 'false', WATCHDOG_ENABLED: 'false', OCO_ENABLED: 'false',
+    ENTRY_CHASE_MAX: '0', ENTRY_LIMIT_TIMEOUT_MS: '1500'
+  });
+  t.after(() => relay.stop());
+
+  // A passive limit entry rests (no position yet) until the market fallback fills it.
+  assert.equal((await relay.post('/tv', { ...enter('c1', 'SOLUSD'), entry_type: 'limit' })).status, 200);
+  await eventually(async () => (await relay.get('/sim/state')).json.open_orders.length === 1);
+  assert.deepEqual((await relay.get('/debug/risk')).json.inflight, [{ symbol: 'SOLUSD', side: 'buy', lots: 1, notional: 150 }]);
+
+  assert.equal((await relay.post('/tv', enter('c2', 'XRPUSD'))).status, 200);
+  const blocked = await relay.waitFor('risk_blocked');
+  assert.equal(blocked.rule, 'max_positions');
+  assert.equal(blocked.sig_id, 'c2');
+
+  await eventually(async () => (await positionsIn(relay)).length === 1, { timeoutMs: 8000 });
+  assert.deepEqual(await positionsIn(relay), ['SOLUSD']);
+  await eventually(async () => (await relay.get('/debug/risk')).json.inflight.length === 0);
+});
+
+test('GET /debug/risk?snapshot=1 reads live exposure only for the admin', async t => {
+  const relay = await startRelay({ ADMIN_TOKEN: 'risk-admin', RISK_MAX_POSITIONS: '5', WATCHDOG_ENABLED: 'false', OCO_ENABLED: 'false' });
+  t.after(() => relay.stop());
+  await relay.post('/sim/orders', { product_symbol: 'SOLUSD', side: 'buy', size: 1, order_type: 'market_order' });
+
+  const plain = await relay.get('/debug/risk');
+  assert.equal(plain.status, 200);
+  assert.equal(plain.json.snapshot, undefined);
+  assert.equal((await relay.get('/debug/risk?snapshot=1')).status, 401);
+  const r = await relay.get('/debug/risk?snapshot=1', { 'x-admin-token': 'risk-admin' });
+  assert.equal(r.status, 200, r.text);
+  assert.deepEqual(r.json.snapshot.positions.map(p => p.symbol), ['SOLUSD']);
+
+  const off = await startRelay();
+  t.after(() => off.stop());
+  assert.equal((await off.get('/debug/risk')).status, 200);
+  assert.equal((await off.get('/debug/risk?snapshot=1')).status, 404);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeSpec, splits, bookDepth, nextChildSize, childDelayMs, adverseDriftPct, aggregate } = require('../lib/slicer');
+const { startRelay } = require('./support/relay');
+
+test('normalizeSpec overlays the message on the defaults; 0 in the message turns a default off', () => {
+  assert.deepEqual(normalizeSpec({ slices: '4.7', book_share: 3, interval_ms: 0 }, { max_lots: '10', interval_ms: 500, duration_ms: 900, depth_bps: 'x' }),
+    { max_lots: 10, book_share: 1, slices: 4, duration_ms: 900 });
+  assert.equal(splits(normalizeSpec({ slices: 1, duration_ms: 1000 })), false);
+  assert.equal(splits(normalizeSpec({ max_lots: 5 })), true);
+});
+
+test('bookDepth sums the opposite side within depth_bps of the touch', () => {
+  const book = { asks: [{ price: 100, size: 5 }, { price: 100.4, size: 7 }, { price: 100.6, size: 50 }], bids: [{ price: 99.9, size: 3 }] };
+  assert.deepEqual(bookDepth(book, 'buy', 50), { lots: 12, best: 100 });
+  assert.deepEqual(bookDepth(book, 'sell', 50), { lots: 3, best: 99.9 });
+  assert.deepEqual(bookDepth({ asks: [] }, 'buy'), { lots: 0, best: null });
+});
+
+test('nextChildSize takes the tightest cap and never returns less than one lot', () => {
+  assert.equal(nextChildSize({ remaining: 100, total: 100, spec: { max_lots: 30 } }), 30);
+  assert.equal(nextChildSize({ remaining: 100, total: 100, spec: { slices: 8 } }), 13);
+  assert.equal(nextChildSize({ remaining: 100, total: 100, spec: { book_share: 0.5 }, depthLots: 40 }), 20);
+  assert.equal(nextChildSize({ remaining: 100, total: 100, spec: { book_share: 0.5 }, depthLots: 0 }), 1);
+  assert.equal(nextChildSize({ remaining: 100, total: 100, spec: { max_lots: 60 }, hardMax: 25 }), 25);
+  assert.equal(nextChildSize({ remaining: 7, total: 100, spec: { max_lots: 30 } }), 7);
+  assert.equal(nextChildSize({ remaining: 0, total: 100, spec: {} }), 0);
+});
+
+test('childDelayMs: fixed interval, or what is left of the duration spread over the children to go', () => {
+  assert.equal(childDelayMs({ interval_ms: 250, duration_ms: 9999 }, { remaining: 10, childLots: 5, elapsedMs: 0 }), 250);
+  assert.equal(childDelayMs({ duration_ms: 6000 }, { remaining: 30, childLots: 10, elapsedMs: 3000 }), 1000);
+  assert.equal(childDelayMs({ duration_ms: 6000 }, { remaining: 30, childLots: 10, elapsedMs: 7000 }), 0);
+  assert.equal(childDelayMs({}, { remaining: 30, childLots: 10, elapsedMs: 0 }), 0);
+});
+
+test('drift is positive when fills are worse than arrival; aggregate is size-weighted', () => {
+  assert.equal(adverseDriftPct('buy', 100, 101), 1);
+  assert.equal(adverseDriftPct('sell', 100, 101), -1);
+  assert.equal(adverseDriftPct('buy', 0, 101), 0);
+  assert.deepEqual(aggregate([{ lots: 2, price: 100 }, { lots: 1, price: 103 }, { lots: 1, price: null }]), { filled: 4, avg_price: 101 });
+  assert.deepEqual(aggregate([]), { filled: 0, avg_price: null });
+});
+
+const ENV = { STRICT_SEQUENCE: 'false', WATCHDOG_ENABLED: 'false', OCO_ENABLED: 'false' };
+
+test('a sliced entry is worked as child market orders that add up to the parent', async t => {
+  const relay = await startRelay(ENV);
+  t.after(() => relay.stop());
+
+  await relay.post('/tv', { action: 'ENTER', sig_id: 's1', seq: 1, symbol: 'SOLUSD', side: 'buy', qty: 10, slice: { max_lots: 4, interval_ms: 20 } });
+  const done = await relay.waitFor('slice_done', { timeoutMs: 5000 });
+  assert.deepEqual([done.status, done.filled, done.total, done.children], ['done', 10, 10, 3]);
+  assert.deepEqual(relay.logs.filter(l => l.event === 'slice_child').map(l => l.lots), [4, 4, 2]);
+  const { json } = await relay.get('/sim/state');
+  assert.equal(Number(json.positions.SOLUSD.size), 10);
+  assert.equal(json.fills.length, 3);
+});
+
+test('adverse drift stops adding to an entry; the position keeps what filled', async t => {
+  const relay = await startRelay({ ...ENV, SIM_BOOK_DEPTH_LOTS: '2', SIM_BOOK_LEVEL_BPS: '100' });
+  t.after(() => relay.stop());
+
+  // Each child walks a thin synthetic book, so later children fill further away.
+  await relay.post('/tv', { action: 'ENTER', sig_id: 's2', seq: 1, symbol: 'SOLUSD', side: 'buy', qty: 12, slice: { max_lots: 6, interval_ms: 10, max_drift_pct: 0.5 } });
+  const abort = await relay.waitFor('slice_drift_abort', { timeoutMs: 5000 });
+  assert.ok(abort.drift_pct > 0.5);
+  const done = await relay.waitFor('slice_done');
+  assert.ok(done.filled < 12 && done.filled > 0, `filled ${done.filled}`);
+  assert.equal(Number((await relay.get('/sim/state')).json.positions.SOLUSD.size), done.filled);
+});
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStateStore } = require('../lib/state-store');
+const { startRelay, eventually } = require('./support/relay');
+
+// A fresh dir, removed once the test is done.
+function tmpDir(t){
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+const journal = dir => fs.readFileSync(path.join(dir, 'journal.ndjson'), 'utf8');
+const tick = ms => new Promise(r => setTimeout(r, ms));
+
+test('map and set mutations survive a reload', t => {
+  const dir = tmpDir(t);
+  const a = createStateStore({ dir });
+  const m = a.map('CHAIN');
+  const s = a.set('ABORTED');
+  m.set('x', { didEnter: false });
+  m.get('x').didEnter = true;
+  m.save('x');
+  m.set('y', 1);
+  m.delete('y');
+  s.add('sig1');
+  a.flush();
+
+  const b = createStateStore({ dir });
+  const m2 = b.map('CHAIN');
+  assert.deepEqual(m2.get('x'), { didEnter: true });
+  assert.equal(m2.has('y'), false);
+  assert.equal(b.set('ABORTED').has('sig1'), true);
+});
+
+test('journal writes are buffered and flushed asynchronously', async t => {
+  const dir = tmpDir(t);
+  const st = createStateStore({ dir, flushMs: 10 });
+  const m = st.map('SEEN');
+  m.set('k', 1);
+  assert.equal(fs.existsSync(path.join(dir, 'journal.ndjson')) ? journal(dir) : '', '');
+  assert.equal(st.stats().pending, 1);
+  await tick(50);
+  assert.equal(st.stats().pending, 0);
+  assert.match(journal(dir), /"k":"k"/);
+});
+
+test('flush() writes pending ops synchronously', t => {
+  const dir = tmpDir(t);
+  const st = createStateStore({ dir, flushMs: 60_000 });
+  st.map('SEEN').set('k', 1);
+  st.flush();
+  assert.match(journal(dir), /"op":"set"/);
+});
+
+test('compaction snapshots state and empties the journal', t => {
+  const dir = tmpDir(t);
+  const st = createStateStore({ dir, compactEvery: 3 });
+  const m = st.map('M');
+  m.set('a', 1); m.set('b', 2); m.set('c', 3);
+  st.flush();
+  assert.equal(journal(dir), '');
+  assert.equal(createStateStore({ dir }).map('M').size, 3);
+});
+
+test('ops the snapshot already covers are skipped, even if they land late', t => {
+  const dir = tmpDir(t);
+  const st = createStateStore({ dir });
+  const m = st.map('M');
+  m.set('a', 'old');                     // n=1
+  m.set('a', 'new');                     // n=2
+  st.compact();                          // snapshot seq=2
+  // A delayed append of the first op arriving after the journal was truncated.
+  fs.appendFileSync(path.join(dir, 'journal.ndjson'), JSON.stringify({ c: 'M', op: 'set', k: 'a', v: 'old', n: 1 }) + '\n');
+  assert.equal(createStateStore({ dir }).map('M').get('a'), 'new');
+});
+
+test('journal lines replay in sequence order', t => {
+  const dir = tmpDir(t);
+  fs.writeFileSync(path.join(dir, 'journal.ndjson'), [
+    { c: 'M', op: 'set', k: 'a', v: 2, n: 2 },
+    { c: 'M', op: 'set', k: 'a', v: 1, n: 1 }
+  ].map(o => JSON.stringify(o)).join('\n') + '\n');
+  const st = createStateStore({ dir });
+  assert.equal(st.map('M').get('a'), 2);
+  // New ops continue after the highest number seen.
+  st.map('N').set('b', 1);
+  st.flush();
+  assert.match(journal(dir), /"n":3/);
+});
+
+test('a torn last line is ignored', t => {
+  const dir = tmpDir(t);
+  fs.writeFileSync(path.join(dir, 'journal.ndjson'), JSON.stringify({ c: 'M', op: 'set', k: 'a', v: 1, n: 1 }) + '\n{"c":"M","op":"se');
+  assert.equal(createStateStore({ dir }).map('M').get('a'), 1);
+});
+
+test('collections loaded but not claimed are kept through compaction', t => {
+  const dir = tmpDir(t);
+  const a = createStateStore({ dir });
+  a.map('OLD').set('k', 1);
+  a.flush();
+  const b = createStateStore({ dir });
+  b.map('NEW').set('j', 2);
+  b.compact();
+  assert.equal(createStateStore({ dir }).map('OLD').get('k'), 1);
+});
+
+test('memory driver keeps nothing and unknown drivers throw', () => {
+  const st = createStateStore({ driver: 'memory' });
+  st.map('M').set('a', 1);
+  assert.equal(createStateStore({ driver: 'memory' }).map('M').size, 0);
+  assert.throws(() => createStateStore({ driver: 'nope' }), /unknown driver/);
+});
+
+test('stats() reports a configured STATE_DIR as durable', t => {
+  const dir = tmpDir(t);
+  assert.equal(createStateStore({ dir }).stats().durable, true);
+});
+
+test('a restart between ENTER and BATCH_TPS resumes the chain and places the ladder once', async t => {
+  const env = { WATCHDOG_ENABLED: 'false', OCO_ENABLED: 'false', TP_SINGLE_GAP_MS: '0' };
+  const batch = { action: 'BATCH_TPS', sig_id: 'r1', seq: 2, symbol: 'SOLUSD', orders: [{ limit_price: 155, size: 1 }, { limit_price: 160, size: 1 }] };
+  const simState = async relay => (await relay.get('/sim/state')).json;
+
+  let relay = await startRelay(env);
+  const dir = relay.dir;
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  await relay.post('/tv', { action: 'CANCAL', sig_id: 'r1', seq: 0, symbol: 'SOLUSD' });
+  await relay.post('/tv', { action: 'ENTER', sig_id: 'r1', seq: 1, symbol: 'SOLUSD', side: 'buy', qty: 2 });
+  await relay.waitFor('webhook_result', { timeoutMs: 5000, where: l => l.action === 'ENTER' });
+  await eventually(async () => Number((await simState(relay)).positions.SOLUSD?.size || 0) === 2);
+  await relay.stop({ keep: true });
+
+  relay = await startRelay(env, { dir });
+  t.after(() => relay.stop());
+  // The exchange kept the position while the relay was down; the sim starts empty.
+  await relay.post('/sim/orders', { product_symbol: 'SOLUSD', side: 'buy', size: 2, order_type: 'market_order' });
+
+  await relay.post('/tv', batch);
+  const done = await relay.waitFor('webhook_result', { timeoutMs: 6000, where: l => l.action === 'BATCH_TPS' });
+  assert.equal(done.outcome, 'done');
+  assert.deepEqual(done.result.did, { cancel: true, enterPrep: true, enter: true, batch: true });
+
+  await relay.post('/tv', batch); // TradingView re-delivers
+  await relay.waitFor('webhook_result', { timeoutMs: 5000, where: l => l.action === 'BATCH_TPS' && l.outcome === 'dedup' });
+
+  const s = await simState(relay);
+  assert.equal(Number(s.positions.SOLUSD.size), 2, 'ENTER was not replayed');
+  assert.deepEqual(s.open_orders.map(o => Number(o.limit_price)).sort(), [155, 160]);
+  assert.equal(relay.logs.filter(l => l.event === 'tp_ladder_placing').length, 1);
+});
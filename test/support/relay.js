@@ -0,0 +1,121 @@
+// test/support/relay.js — boots server.js in sim mode (DRY_RUN) on a free port
+//
+//   const relay = await startRelay({ ADMIN_TOKEN: 'x' });
+//   await relay.post('/sim/mark', { symbol: 'SOLUSD', mark_price: 150 });
+//   await relay.stop();
+//
+// State and journals go to a fresh temp dir (or `dir`, to restart on the same
+// state; stop({ keep: true }) leaves it in place). Every JSON log line is kept in relay.logs; relay.waitFor(event) resolves
+// with the first line carrying that event.
+
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+const SERVER = path.join(__dirname, '..', '..', 'server.js');
+
+function freePort(){
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.unref();
+    srv.on('error', reject);
+    srv.listen(0, '127.0.0.1', () => { const { port } = srv.address(); srv.close(() => resolve(port)); });
+  });
+}
+
+async function startRelay(env = {}, { dir, bootMs = 10_000 } = {}){
+  const port = await freePort();
+  const owned = !dir;
+  dir = dir || fs.mkdtempSync(path.join(os.tmpdir(), 'tv-relay-test-'));
+  const child = spawn(process.execPath, [SERVER], {
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      DRY_RUN: 'true',
+      STATE_DIR: path.join(dir, 'state'),
+      JOURNAL_DIR: path.join(dir, 'journal'),
+      RECONCILE_ON_BOOT: 'false',
+      LOG_LEVEL: 'debug',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  const logs = [];
+  const waiters = [];
+  let buf = '';
+  const onData = chunk => {
+    buf += chunk;
+    let i;
+    while ((i = buf.indexOf('\n')) >= 0) {
+      const line = buf.slice(0, i); buf = buf.slice(i + 1);
+      let entry;
+      try { entry = JSON.parse(line); } catch { continue; }
+      logs.push(entry);
+      for (const w of waiters.slice()) if (w.match(entry)) { waiters.splice(waiters.indexOf(w), 1); w.resolve(entry); }
+    }
+  };
+  child.stdout.setEncoding('utf8').on('data', onData);
+  child.stderr.setEncoding('utf8').on('data', onData);
+  const exited = new Promise(resolve => child.once('exit', code => resolve(code)));
+
+  function waitFor(event, { timeoutMs = 5000, where = () => true } = {}){
+    const match = e => e.event === event && where(e);
+    const hit = logs.find(match);
+    if (hit) return Promise.resolve(hit);
+    return new Promise((resolve, reject) => {
+      const w = { match, resolve };
+      const t = setTimeout(() => { waiters.splice(waiters.indexOf(w), 1); reject(new Error(`timed out waiting for log event ${event}`)); }, timeoutMs);
+      w.resolve = e => { clearTimeout(t); resolve(e); };
+      waiters.push(w);
+    });
+  }
+
+  async function request(method, urlPath, body, headers = {}){
+    const res = await fetch(`http://127.0.0.1:${port}${urlPath}`, {
+      method,
+      headers: { ...(body !== undefined ? { 'content-type': 'application/json' } : {}), ...headers },
+      body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+    });
+    const text = await res.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch {}
+    return { status: res.status, headers: res.headers, json, text };
+  }
+
+  // keep:true leaves the temp dir for a restart on the same state.
+  async function stop({ keep = false } = {}){
+    if (child.exitCode === null) child.kill('SIGTERM');
+    const t = setTimeout(() => { if (child.exitCode === null) child.kill('SIGKILL'); }, 5000);
+    const code = await exited;
+    clearTimeout(t);
+    if (owned && !keep) fs.rmSync(dir, { recursive: true, force: true });
+    return code;
+  }
+
+  try { await waitFor('listening', { timeoutMs: bootMs }); }
+  catch (e) { await stop(); throw new Error(`${e.message}\n${logs.map(l => JSON.stringify(l)).join('\n')}`); }
+
+  return {
+    port, dir, logs, child, waitFor, stop,
+    get: (p, headers) => request('GET', p, undefined, headers),
+    post: (p, body, headers) => request('POST', p, body ?? {}, headers),
+    request
+  };
+}
+
+// Polls fn() until it returns something truthy.
+async function eventually(fn, { timeoutMs = 5000, everyMs = 50 } = {}){
+  const end = Date.now() + timeoutMs;
+  let last;
+  while (Date.now() < end) {
+    last = await fn();
+    if (last) return last;
+    await new Promise(r => setTimeout(r, everyMs));
+  }
+  throw new Error(`condition not met within ${timeoutMs}ms (last: ${JSON.stringify(last)})`);
+}
+
+module.exports = { startRelay, eventually, freePort };
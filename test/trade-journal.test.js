@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createTradeJournal } = require('../lib/trade-journal');
+const { runWithContext } = require('../lib/context');
+const { log } = require('../lib/logger');
+const { startRelay } = require('./support/relay');
+
+function tmpDir(t){
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('entries pick up sig_id/symbol from the webhook context and filter on query', async t => {
+  const j = createTradeJournal({ dir: tmpDir(t) });
+  runWithContext({ sig_id: 'a1', symbol: 'SOLUSD', account: 'main', corr_id: 'c1' }, () => {
+    j.record('webhook', { accepted: true });
+    j.record('result', { ok: true });
+  });
+  j.record('webhook', { sig_id: 'b2', symbol: 'BTCUSD', accepted: false });
+
+  assert.equal((await j.query()).items.length, 3);
+  const a1 = await j.query({ sig_id: 'a1' });
+  assert.deepEqual(a1.items.map(e => [e.type, e.symbol, e.account, e.corr_id]), [['webhook', 'SOLUSD', 'main', 'c1'], ['result', 'SOLUSD', 'main', 'c1']]);
+  assert.deepEqual((await j.query({ symbol: 'btcusd' })).items.map(e => e.sig_id), ['b2']);
+  assert.equal((await j.query({ type: 'result' })).items.length, 1);
+  assert.equal((await j.query({ account: 'default' })).items.length, 1);
+  const lim = await j.query({ limit: 2 });
+  assert.equal(lim.items.length, 2);
+  assert.equal(lim.truncated, true);
+  assert.equal((await j.query({ to: Date.now() - 60_000 })).items.length, 0);
+  assert.equal(j.stats().written, 3);
+});
+
+test('secrets are scrubbed on write and again on read', async t => {
+  const dir = tmpDir(t);
+  const j = createTradeJournal({ dir });
+  log.configure({ secrets: ['super-secret-value-1'] });
+  t.after(() => log.configure({ secrets: [] }));
+
+  j.record('dcall', { headers: { 'api-key': 'k', signature: 'abc' }, body: 'x=super-secret-value-1' });
+  const raw = fs.readFileSync(path.join(dir, fs.readdirSync(dir)[0]), 'utf8');
+  assert.ok(!raw.includes('super-secret-value-1'));
+  assert.ok(!raw.includes('"abc"'));
+
+  // A line written before the secret was known is masked when served.
+  fs.appendFileSync(path.join(dir, fs.readdirSync(dir)[0]), JSON.stringify({ ts: new Date().toISOString(), type: 'webhook', payload: { note: 'super-secret-value-1', api_secret: 'zzz' } }) + '\n');
+  const { items } = await j.query({ type: 'webhook' });
+  assert.deepEqual(items[0].payload, { note: '[REDACTED]', api_secret: '[REDACTED]' });
+});
+
+test('disabled journal records nothing', async () => {
+  const j = createTradeJournal({ dir: path.join(os.tmpdir(), 'never-created'), enabled: false });
+  j.record('webhook', {});
+  assert.deepEqual(await j.query(), { items: [], truncated: false, disabled: true });
+});
+
+test('GET /audit needs the admin token and never serves secrets', async t => {
+  const WEBHOOK_TOKEN = 'webhook-token-abcdef';
+  const relay = await startRelay({ ADMIN_TOKEN: 'admin-token-for-tests', WEBHOOK_TOKEN });
+  t.after(() => relay.stop());
+
+  await relay.post('/tv', { action: 'EXIT', symbol: 'SOLUSD', token: WEBHOOK_TOKEN, comment: `oops ${WEBHOOK_TOKEN}` });
+  await relay.post('/tv', { action: 'EXIT', symbol: 'SOLUSD', token: 'wrong' });
+
+  assert.equal((await relay.get('/audit')).status, 401);
+  const r = await relay.get('/audit?type=webhook', { 'x-admin-token': 'admin-token-for-tests' });
+  assert.equal(r.status, 200, r.text);
+  assert.equal(r.json.count, 2);
+  assert.ok(!r.text.includes(WEBHOOK_TOKEN));
+  assert.ok(r.text.includes('[REDACTED]'));
+
+  const off = await startRelay();
+  t.after(() => off.stop());
+  assert.equal((await off.get('/audit')).status, 404);
+});
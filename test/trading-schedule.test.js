@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTradingSchedule, parseTz } = require('../lib/trading-schedule');
+const { startRelay, eventually } = require('./support/relay');
+
+// 2026-10-16 is a Friday.
+const at = iso => Date.parse(iso);
+
+test('parseTz accepts aliases and offsets', () => {
+  assert.equal(parseTz('IST'), 330);
+  assert.equal(parseTz('utc'), 0);
+  assert.equal(parseTz('+05:30'), 330);
+  assert.equal(parseTz('UTC-0400'), -240);
+  assert.throws(() => parseTz('Asia/Kolkata'), /bad tz/);
+});
+
+test('weekly windows in local time, several slots a day', () => {
+  const s = createTradingSchedule({ spec: { tz: 'IST', blackouts: [{ name: 'funding', days: '*', times: ['05:25-05:35', '13:25-13:35'] }] } });
+  assert.equal(s.size, 2);
+  // 05:30 IST = 00:00 UTC
+  assert.deepEqual(s.check({ symbol: 'SOLUSD', at: at('2026-10-16T00:00:00Z') }), { ok: false, window: 'funding', until: '2026-10-16T00:05:00.000Z' });
+  assert.equal(s.check({ at: at('2026-10-16T00:05:00Z') }).ok, true);
+  assert.equal(s.check({ at: at('2026-10-16T07:58:00Z') }).window, 'funding');
+});
+
+test('a window with to <= from wraps past midnight into the next day', () => {
+  const s = createTradingSchedule({ spec: { tz: 'UTC', blackouts: [{ name: 'weekend', days: 'fri', from: '23:00', to: '02:00' }] } });
+  assert.equal(s.check({ at: at('2026-10-16T22:59:00Z') }).ok, true);
+  assert.equal(s.check({ at: at('2026-10-16T23:30:00Z') }).until, '2026-10-17T02:00:00.000Z');
+  assert.equal(s.check({ at: at('2026-10-17T01:59:00Z') }).ok, false);
+  assert.equal(s.check({ at: at('2026-10-17T02:00:00Z') }).ok, true);
+  assert.equal(s.check({ at: at('2026-10-17T23:30:00Z') }).ok, true, 'saturday night is not covered');
+  const eod = createTradingSchedule({ spec: { tz: 'UTC', blackouts: [{ days: ['sat'], from: '22:00', to: '24:00' }] } });
+  assert.equal(eod.check({ at: at('2026-10-17T23:59:00Z') }).until, '2026-10-18T00:00:00.000Z');
+});
+
+test('one-off windows and symbol / strategy scope', () => {
+  const s = createTradingSchedule({ spec: [
+    { name: 'maint', start: '2026-10-20T02:00:00Z', end: '2026-10-20T03:00:00Z' },
+    { name: 'sol-only', from: '00:00', to: '24:00', symbols: ['solusd'], tz: 'UTC' },
+    { name: 'trend', from: '00:00', to: '24:00', strategies: ['trend'], tz: 'UTC' }
+  ] });
+  assert.equal(s.check({ symbol: 'BTCUSD', at: at('2026-10-20T02:30:00Z') }).window, 'maint');
+  assert.equal(s.check({ symbol: 'BTCUSD', at: at('2026-10-20T03:00:00Z') }).ok, true);
+  assert.equal(s.check({ symbol: 'SOLUSD', at: at('2026-10-21T00:00:00Z') }).window, 'sol-only');
+  assert.equal(s.check({ symbol: 'BTCUSD', strategy: 'trend', at: at('2026-10-21T00:00:00Z') }).window, 'trend');
+  assert.equal(s.check({ symbol: 'BTCUSD', strategy: 'mr', at: at('2026-10-21T00:00:00Z') }).ok, true);
+});
+
+test('openedBetween is edge-triggered and only reports flatten windows', () => {
+  const s = createTradingSchedule({ spec: { tz: 'UTC', blackouts: [
+    { name: 'close', from: '10:00', to: '11:00', flatten: true },
+    { name: 'quiet', from: '10:00', to: '11:00' }
+  ] } });
+  assert.deepEqual(s.openedBetween(at('2026-10-16T09:59:30Z'), at('2026-10-16T10:00:00Z')).map(w => w.name), ['close']);
+  assert.deepEqual(s.openedBetween(at('2026-10-16T10:00:00Z'), at('2026-10-16T10:00:30Z')), []);
+  assert.deepEqual(s.active(at('2026-10-16T10:30:00Z')).map(w => [w.name, w.from, w.to, w.until]), [
+    ['close', '10:00', '11:00', '2026-10-16T11:00:00.000Z'],
+    ['quiet', '10:00', '11:00', '2026-10-16T11:00:00.000Z']
+  ]);
+});
+
+test('bad config is refused at boot', () => {
+  assert.throws(() => createTradingSchedule({ spec: [{ from: '25:00', to: '01:00' }] }), /bad time/);
+  assert.throws(() => createTradingSchedule({ spec: [{ days: 'funday', from: '01:00', to: '02:00' }] }), /bad day/);
+  assert.throws(() => createTradingSchedule({ spec: [{ start: '2026-10-20', end: '2026-10-19' }] }), /needs start < end/);
+  assert.equal(createTradingSchedule().size, 0);
+});
+
+test('an ENTER inside a blackout is refused; other symbols still trade', async t => {
+  const relay = await startRelay({
+    TRADING_SCHEDULE: JSON.stringify({ tz: 'UTC', blackouts: [{ name: 'sol-off', from: '00:00', to: '24:00', symbols: ['SOLUSD'] }] }),
+    STRICT_SEQUENCE: 'false', WATCHDOG_ENABLED: 'false', OCO_ENABLED: 'false'
+  });
+  t.after(() => relay.stop());
+
+  await relay.post('/tv', { action: 'ENTER', sig_id: 'b1', seq: 1, symbol: 'SOLUSD', side: 'buy', qty: 1 });
+  const blocked = await relay.waitFor('entry_blackout');
+  assert.equal(blocked.window, 'sol-off');
+  await relay.post('/tv', { action: 'ENTER', sig_id: 'b2', seq: 1, symbol: 'XRPUSD', side: 'buy', qty: 1 });
+  await eventually(async () => (await relay.get('/sim/state')).json.positions.XRPUSD);
+  assert.equal((await relay.get('/sim/state')).json.positions.SOLUSD, undefined);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startRelay, eventually } = require('./support/relay');
+
+const FAST = { WATCHDOG_INTERVAL_MS: '100', WATCHDOG_GRACE_MS: '300', WATCHDOG_STOP_PCT: '2', OCO_ENABLED: 'false', ADMIN_TOKEN: 'wd-admin' };
+
+// Notifications are journaled as they are sent (type 'notify').
+const notified = async relay => (await relay.get('/audit?type=notify', { 'x-admin-token': 'wd-admin' })).json.items.map(i => i.event);
+
+test('a naked position gets an emergency stop once the grace period has passed', async t => {
+  const relay = await startRelay(FAST);
+  t.after(() => relay.stop());
+
+  const placed = await relay.post('/sim/orders', { product_symbol: 'SOLUSD', side: 'buy', size: 2, order_type: 'market_order' });
+  assert.equal(placed.status, 200, placed.text);
+
+  const naked = await relay.waitFor('watchdog_naked', { timeoutMs: 5000 });
+  assert.ok(naked.naked_ms >= 300, 'fired before WATCHDOG_GRACE_MS');
+  assert.equal(naked.symbol, 'SOLUSD');
+  assert.equal(naked.side, 'LONG');
+  assert.equal(naked.basis, 'pct');
+  const entry = Number(naked.entry_price);
+  assert.ok(naked.stop_price < entry && naked.stop_price >= entry * 0.98 - 0.1, `stop ${naked.stop_price} vs entry ${entry}`);
+
+  const stop = await eventually(async () => {
+    const { json } = await relay.get('/sim/state');
+    return json.open_orders.find(o => String(o.client_order_id).startsWith('PRT_'));
+  });
+  assert.equal(stop.side, 'sell');
+  assert.equal(stop.reduce_only, true);
+  assert.equal(Number(stop.stop_price), naked.stop_price);
+
+  // Protected now: later passes leave it alone.
+  await new Promise(r => setTimeout(r, 400));
+  const { json } = await relay.get('/sim/state');
+  assert.equal(json.open_orders.filter(o => String(o.client_order_id).startsWith('PRT_')).length, 1);
+  assert.equal(relay.logs.filter(l => l.event === 'watchdog_naked').length, 1);
+  assert.deepEqual(await eventually(async () => {
+    const events = await notified(relay);
+    return events.length && events;
+  }), ['WATCHDOG_EMERGENCY_SL']);
+});
+
+test('no WATCHDOG_EMERGENCY_SL page when the emergency stop never went out', async t => {
+  const relay = await startRelay(FAST);
+  t.after(() => relay.stop());
+
+  await relay.post('/sim/orders', { product_symbol: 'SOLUSD', side: 'buy', size: 1, order_type: 'market_order' });
+  await relay.post('/sim/faults', { method: 'POST', path: '/v2/orders', status: 400, code: 'insufficient_margin', times: 100 });
+
+  await relay.waitFor('watchdog_stop_failed', { timeoutMs: 8000 });
+  const events = await eventually(async () => {
+    const e = await notified(relay);
+    return e.includes('MANUAL_ATTENTION') && e;
+  });
+  assert.ok(!events.includes('WATCHDOG_EMERGENCY_SL'), events.join(','));
+});
+
+test('a position that already has a PRT_ stop is left alone', async t => {
+  const relay = await startRelay(FAST);
+  t.after(() => relay.stop());
+
+  await relay.post('/sim/orders', { product_symbol: 'SOLUSD', side: 'sell', size: 1, order_type: 'market_order' });
+  const sl = await relay.post('/sim/orders', {
+    product_symbol: 'SOLUSD', side: 'buy', size: 1, order_type: 'market_order', stop_order_type: 'stop_loss_order',
+    stop_price: '160', reduce_only: true, client_order_id: 'PRT_SL_manual'
+  });
+  assert.equal(sl.status, 200, sl.text);
+
+  await eventually(async () => (await relay.get('/debug/watchdog')).json.last?.positions === 1);
+  await new Promise(r => setTimeout(r, 500));
+  assert.equal(relay.logs.filter(l => l.event === 'watchdog_naked').length, 0);
+  assert.deepEqual((await relay.get('/debug/watchdog')).json.last.actions, []);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { createWebhookAuth, canonicalJson, clientIp, TRADINGVIEW_IPS } = require('../lib/webhook-auth');
+
+function req({ headers = {}, ip = '10.0.0.9', rawBody = '' } = {}){
+  return { headers, socket: { remoteAddress: ip }, rawBody };
+}
+const sign = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('hex');
+const nowSec = () => Math.floor(Date.now() / 1000);
+
+test('clientIp trusts only the rightmost hops of X-Forwarded-For', () => {
+  const r = req({ headers: { 'x-forwarded-for': '52.89.214.238, 203.0.113.7' }, ip: '::ffff:169.254.1.1' });
+  assert.equal(clientIp(r, 1), '203.0.113.7');
+  assert.equal(clientIp(r, 2), '52.89.214.238');
+  assert.equal(clientIp(r, 5), '52.89.214.238');
+  assert.equal(clientIp(r, 0), '169.254.1.1');
+  assert.equal(clientIp(req({ ip: '::ffff:198.51.100.4' })), '198.51.100.4');
+});
+
+test('a spoofed X-Forwarded-For entry does not pass the IP allowlist', () => {
+  const auth = createWebhookAuth({ ipAllowlist: 'tradingview' });
+  const spoofed = auth.verify(req({ headers: { 'x-forwarded-for': `${TRADINGVIEW_IPS[0]}, 203.0.113.7` } }), {});
+  assert.equal(spoofed.ok, false);
+  assert.equal(spoofed.status, 403);
+  assert.equal(spoofed.reason, 'ip_not_allowed');
+  assert.equal(spoofed.ip, '203.0.113.7');
+
+  const real = auth.verify(req({ headers: { 'x-forwarded-for': TRADINGVIEW_IPS[1] } }), {});
+  assert.equal(real.ok, true);
+
+  const direct = createWebhookAuth({ ipAllowlist: '10.0.0.9', trustedProxies: 0 });
+  assert.equal(direct.verify(req({ headers: { 'x-forwarded-for': '1.2.3.4' } }), {}).ok, true);
+  assert.equal(direct.verify(req({ ip: '10.0.0.8', headers: { 'x-forwarded-for': '10.0.0.9' } }), {}).ok, false);
+});
+
+test('shared token in the body or header; auth fields are stripped', () => {
+  const auth = createWebhookAuth({ token: 'shared-token-123' });
+  const msg = { action: 'ENTER', token: 'shared-token-123' };
+  const ok = auth.verify(req(), msg);
+  assert.equal(ok.ok, true);
+  assert.equal(ok.method, 'body_token');
+  assert.deepEqual(msg, { action: 'ENTER' });
+
+  assert.equal(auth.verify(req({ headers: { 'x-webhook-token': 'shared-token-123' } }), {}).method, 'header_token');
+  assert.equal(auth.verify(req(), {}).reason, 'missing_token');
+  assert.equal(auth.verify(req(), { secret: 'nope' }).reason, 'bad_token');
+});
+
+test('per-strategy secrets: own secret required, unknown strategies refused without a shared token', () => {
+  const auth = createWebhookAuth({ strategySecrets: { alpha: 'alpha-secret-1' } });
+  assert.equal(auth.verify(req(), { strategy: 'alpha', token: 'alpha-secret-1' }).ok, true);
+  assert.equal(auth.verify(req(), { strategy: 'alpha', token: 'other' }).reason, 'bad_token');
+  assert.equal(auth.verify(req(), { strategy: 'beta', token: 'alpha-secret-1' }).reason, 'unknown_strategy');
+  assert.equal(auth.verify(req(), { token: 'alpha-secret-1' }).reason, 'missing_strategy');
+
+  const withShared = createWebhookAuth({ token: 'shared-token-123', strategySecrets: { alpha: 'alpha-secret-1' } });
+  assert.equal(withShared.verify(req(), { strategy: 'beta', token: 'shared-token-123' }).ok, true);
+  assert.equal(withShared.verify(req(), { strategy: 'alpha', token: 'shared-token-123' }).reason, 'bad_token');
+});
+
+test('HMAC over the canonical body within the timestamp window, no replays', () => {
+  const secret = 'hmac-secret-xyz';
+  const auth = createWebhookAuth({ hmacSecret: secret, hmacRequired: true, hmacWindowSec: 60 });
+  const body = { symbol: 'SOLUSD', action: 'ENTER', qty: 2 };
+  const ts = nowSec();
+  const sig = sign(secret, `${ts}.${canonicalJson(body)}`);
+
+  const ok = auth.verify(req(), { ...body, auth_ts: ts, auth_sig: sig });
+  assert.equal(ok.ok, true);
+  assert.equal(ok.method, 'hmac');
+  assert.equal(auth.verify(req(), { ...body, auth_ts: ts, auth_sig: sig }).reason, 'replayed_signature');
+
+  // Key order doesn't matter; millisecond timestamps are accepted.
+  const tsMs = Date.now();
+  const reordered = { qty: 2, action: 'ENTER', symbol: 'SOLUSD' };
+  assert.equal(auth.verify(req(), { ...reordered, auth_ts: tsMs, auth_sig: sign(secret, `${tsMs}.${canonicalJson(body)}`) }).ok, true);
+
+  assert.equal(auth.verify(req(), { ...body, qty: 3, auth_ts: ts, auth_sig: sign(secret, `${ts}.${canonicalJson(body)}x`) }).reason, 'bad_signature');
+  assert.equal(auth.verify(req(), { ...body }).reason, 'missing_signature');
+  assert.equal(auth.verify(req(), { ...body, auth_ts: 'soon', auth_sig: sig }).reason, 'bad_timestamp');
+
+  const old = ts - 61;
+  const late = auth.verify(req(), { ...body, auth_ts: old, auth_sig: sign(secret, `${old}.${canonicalJson(body)}`) });
+  assert.equal(late.reason, 'timestamp_outside_window');
+  assert.ok(late.skew_sec >= 61);
+  const edge = ts - 59;
+  assert.equal(auth.verify(req(), { ...body, auth_ts: edge, auth_sig: sign(secret, `${edge}.${canonicalJson(body)}`) }).ok, true);
+});
+
+test('HMAC headers sign the raw body', () => {
+  const secret = 'hmac-secret-xyz';
+  const auth = createWebhookAuth({ token: 'shared-token-123', hmacSecret: secret });
+  const rawBody = '{"action":"EXIT","token":"shared-token-123"}';
+  const ts = String(nowSec());
+  const r = auth.verify(req({ rawBody, headers: { 'x-relay-timestamp': ts, 'x-relay-signature': sign(secret, `${ts}.${rawBody}`) } }), JSON.parse(rawBody));
+  assert.equal(r.ok, true);
+  assert.equal(r.method, 'body_token+hmac');
+
+  // Optional HMAC: unsigned requests still pass on the token alone.
+  assert.equal(auth.verify(req(), { token: 'shared-token-123' }).method, 'body_token');
+});